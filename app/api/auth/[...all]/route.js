@@ -1,5 +1,41 @@
 // app/api/auth/[...all]/route.ts
 import { auth } from '@/lib/auth';
 import { toNextJsHandler } from 'better-auth/next-js';
+import { applyRateLimit } from '@/backend/rateLimiter';
 
-export const { GET, POST } = toNextJsHandler(auth);
+const handlers = toNextJsHandler(auth);
+
+// Endpoints Better Auth sensibles au brute force (rate limit désactivé
+// côté Better Auth, voir lib/auth.js) : mot de passe oublié et codes 2FA
+const RATE_LIMITED_PATHS = {
+  '/api/auth/request-password-reset': 'password_reset',
+  '/api/auth/reset-password': 'password_reset',
+  '/api/auth/two-factor/': 'two_factor',
+};
+
+// Presets dédiés : chaque requête compte dans la limite
+const rateLimiters = {
+  password_reset: applyRateLimit('PASSWORD_RESET', {
+    prefix: 'password_reset',
+  }),
+  two_factor: applyRateLimit('TWO_FACTOR', { prefix: 'two_factor' }),
+};
+
+async function withAuthRateLimit(request, handler) {
+  const { pathname } = new URL(request.url);
+  const matchedPath = Object.keys(RATE_LIMITED_PATHS).find((path) =>
+    pathname.startsWith(path),
+  );
+
+  if (matchedPath) {
+    const rateLimit = rateLimiters[RATE_LIMITED_PATHS[matchedPath]];
+    const rateLimitResponse = await rateLimit(request);
+    if (rateLimitResponse) return rateLimitResponse;
+  }
+
+  return handler(request);
+}
+
+export const GET = (request) => withAuthRateLimit(request, handlers.GET);
+
+export const POST = (request) => withAuthRateLimit(request, handlers.POST);
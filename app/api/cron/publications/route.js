@@ -0,0 +1,56 @@
+// app/api/cron/publications/route.js
+// Appliquer les publications / dépublications programmées des applications
+//
+// Appelée par un planificateur externe (cron, Vercel Cron...) avec
+// l'en-tête Authorization: Bearer <CRON_SECRET>. Pas de session : la
+// route est exclue de la vérification du cookie dans proxy.js.
+// Équivalent en ligne de commande : scripts/apply-publications.mjs
+import { NextResponse } from 'next/server';
+import { applyDuePublications } from '@/lib/applicationPublication';
+import { isAuthorizedCronRequest } from '@/lib/cronAuth';
+import logger from '@/utils/logger';
+import { trackAuth } from '@/utils/monitoring';
+
+export const dynamic = 'force-dynamic';
+
+export async function GET(request) {
+  const requestId = crypto.randomUUID();
+
+  if (!isAuthorizedCronRequest(request)) {
+    logger.warn('Unauthorized cron request', {
+      requestId,
+      route: 'publications',
+      configured: Boolean(process.env.CRON_SECRET),
+    });
+    trackAuth(
+      'unauthorized_cron_request',
+      { route: 'publications' },
+      'warning',
+    );
+
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+  }
+
+  try {
+    const transitions = await applyDuePublications({ requestId });
+
+    return NextResponse.json({
+      success: true,
+      applied: transitions.length,
+      transitions,
+      meta: {
+        requestId,
+        timestamp: new Date().toISOString(),
+      },
+    });
+  } catch {
+    return NextResponse.json(
+      {
+        success: false,
+        error: 'Failed to apply scheduled publications',
+        requestId,
+      },
+      { status: 500 },
+    );
+  }
+}
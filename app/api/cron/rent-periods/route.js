@@ -0,0 +1,55 @@
+// app/api/cron/rent-periods/route.js
+// Générer les échéances de loyer jusqu'à l'horizon (RENT_UPCOMING_DAYS)
+//
+// Appelée une fois par jour par un planificateur externe (cron, Vercel
+// Cron...) avec l'en-tête Authorization: Bearer <CRON_SECRET>, comme
+// app/api/cron/publications. Les pages de loyers ne font que lire.
+// Équivalent en ligne de commande : scripts/extend-rent-periods.mjs
+import { NextResponse } from 'next/server';
+import { isAuthorizedCronRequest } from '@/lib/cronAuth';
+import { extendRentPeriods } from '@/lib/rentSchedules';
+import logger from '@/utils/logger';
+import { trackAuth } from '@/utils/monitoring';
+
+export const dynamic = 'force-dynamic';
+
+export async function GET(request) {
+  const requestId = crypto.randomUUID();
+
+  if (!isAuthorizedCronRequest(request)) {
+    logger.warn('Unauthorized cron request', {
+      requestId,
+      route: 'rent-periods',
+      configured: Boolean(process.env.CRON_SECRET),
+    });
+    trackAuth(
+      'unauthorized_cron_request',
+      { route: 'rent-periods' },
+      'warning',
+    );
+
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+  }
+
+  try {
+    const inserted = await extendRentPeriods({ requestId });
+
+    return NextResponse.json({
+      success: true,
+      inserted,
+      meta: {
+        requestId,
+        timestamp: new Date().toISOString(),
+      },
+    });
+  } catch {
+    return NextResponse.json(
+      {
+        success: false,
+        error: 'Failed to extend rent periods',
+        requestId,
+      },
+      { status: 500 },
+    );
+  }
+}
@@ -2,6 +2,11 @@
 import { NextResponse } from 'next/server';
 import { headers } from 'next/headers';
 import { auth } from '@/lib/auth';
+import { requireTwoFactorForRoute } from '@/lib/auth-utils';
+import { hasPermission } from '@/lib/permissions';
+import { recordAudit } from '@/lib/audit';
+import { getApplicationImageIds } from '@/lib/applicationRevisions';
+import { getUnreferencedImageIds } from '@/lib/catalogImages';
 import cloudinary from '@/backend/cloudinary';
 import { getClient } from '@/backend/dbConnect';
 import { applyRateLimit } from '@/backend/rateLimiter';
@@ -136,6 +141,32 @@ export async function DELETE(request, { params }) {
       );
     }
 
+    if (!hasPermission(session.user.role, 'catalog:delete')) {
+      const responseTime = Date.now() - startTime;
+      const header = createResponseHeaders(requestId, responseTime);
+
+      logger.warn('Forbidden delete attempt', {
+        requestId,
+        userId: session.user.id,
+        role: session.user.role,
+        applicationId: cleanedApplicationId,
+      });
+
+      trackAuth('forbidden_delete_application', {}, 'warning');
+
+      return NextResponse.json(
+        { success: false, error: 'Insufficient permissions' },
+        { status: 403, headers: header },
+      );
+    }
+
+    // 2FA imposée : même règle que le layout du dashboard
+    const twoFactorResponse = await requireTwoFactorForRoute(
+      session.user,
+      requestId,
+    );
+    if (twoFactorResponse) return twoFactorResponse;
+
     // Connexion DB
     try {
       client = await getClient();
@@ -284,13 +315,20 @@ export async function DELETE(request, { params }) {
 
     // Suppression de l'application
     let deleteResult;
+    let cloudinaryImageIds;
     try {
+      // Images de l'application et de ses révisions (supprimées en cascade)
+      cloudinaryImageIds = await getApplicationImageIds(
+        cleanedApplicationId,
+        client,
+      );
+
       deleteResult = await client.query(
         `DELETE FROM catalog.applications 
          WHERE application_id = $1 
          AND is_active = false 
          AND (sales_count = 0 OR sales_count IS NULL)
-         RETURNING application_name, application_images`,
+         RETURNING *`,
         [cleanedApplicationId],
       );
 
@@ -345,16 +383,18 @@ export async function DELETE(request, { params }) {
 
     // Suppression des images Cloudinary
     const deletedApplication = deleteResult.rows[0];
-    const cloudinaryImageIds =
-      applicationToDelete.application_images ||
-      deletedApplication.application_images ||
-      [];
 
     let deletedImagesCount = 0;
     let failedImagesCount = 0;
 
-    if (Array.isArray(cloudinaryImageIds) && cloudinaryImageIds.length > 0) {
-      const deletePromises = cloudinaryImageIds.map(async (imageId) => {
+    // Images encore utilisées par une copie : conservées
+    const imagesToDelete = await getUnreferencedImageIds(cloudinaryImageIds, {
+      client,
+      requestId,
+    });
+
+    if (imagesToDelete.length > 0) {
+      const deletePromises = imagesToDelete.map(async (imageId) => {
         try {
           await cloudinary.uploader.destroy(imageId);
           deletedImagesCount++;
@@ -393,6 +433,15 @@ export async function DELETE(request, { params }) {
       cloudinaryOperations,
     });
 
+    await recordAudit({
+      actor: session.user,
+      action: 'delete',
+      entityType: 'application',
+      entityId: cleanedApplicationId,
+      before: deletedApplication,
+      requestId,
+    });
+
     await client.cleanup();
 
     const header = createResponseHeaders(requestId, responseTime);
@@ -2,7 +2,13 @@
 import { NextResponse } from 'next/server';
 import { headers } from 'next/headers';
 import { auth } from '@/lib/auth';
-import cloudinary from '@/backend/cloudinary';
+import { requireTwoFactorForRoute } from '@/lib/auth-utils';
+import { hasPermission } from '@/lib/permissions';
+import { recordAudit } from '@/lib/audit';
+import {
+  pruneApplicationRevisions,
+  recordApplicationRevision,
+} from '@/lib/applicationRevisions';
 import { getClient } from '@/backend/dbConnect';
 import { applyRateLimit } from '@/backend/rateLimiter';
 import {
@@ -131,6 +137,32 @@ export async function PUT(request, { params }) {
       );
     }
 
+    if (!hasPermission(session.user.role, 'catalog:update')) {
+      const responseTime = Date.now() - startTime;
+      const header = createResponseHeaders(requestId, responseTime);
+
+      logger.warn('Forbidden edit attempt', {
+        requestId,
+        userId: session.user.id,
+        role: session.user.role,
+        applicationId: cleanedApplicationId,
+      });
+
+      trackAuth('forbidden_edit_application', {}, 'warning');
+
+      return NextResponse.json(
+        { error: 'Insufficient permissions' },
+        { status: 403, headers: header },
+      );
+    }
+
+    // 2FA imposée : même règle que le layout du dashboard
+    const twoFactorResponse = await requireTwoFactorForRoute(
+      session.user,
+      requestId,
+    );
+    if (twoFactorResponse) return twoFactorResponse;
+
     // Connexion DB
     try {
       client = await getClient();
@@ -187,11 +219,12 @@ export async function PUT(request, { params }) {
       rent,
       imageUrls,
       otherVersions,
-      isActive,
-      oldImageUrls,
+      status,
+      publishAt,
+      unpublishAt,
     } = body;
 
-    // Sanitization (exclure isActive et level)
+    // Sanitization (exclure le statut de publication et level)
     const dataToSanitize = {
       name,
       link,
@@ -218,8 +251,9 @@ export async function PUT(request, { params }) {
     const finalData = {
       ...sanitizedInputs,
       level,
-      isActive,
-      oldImageUrls,
+      status,
+      publishAt: publishAt || null,
+      unpublishAt: unpublishAt || null,
     };
 
     // Validation Yup
@@ -236,7 +270,9 @@ export async function PUT(request, { params }) {
           rent: finalData.rent,
           imageUrls: finalData.imageUrls,
           otherVersions: finalData.otherVersions,
-          isActive: finalData.isActive,
+          status: finalData.status,
+          publishAt: finalData.publishAt,
+          unpublishAt: finalData.unpublishAt,
           // eslint-disable-next-line no-unused-vars
         }).filter(([_, value]) => value !== undefined),
       );
@@ -272,37 +308,12 @@ export async function PUT(request, { params }) {
       return NextResponse.json({ errors }, { status: 400, header });
     }
 
-    // Gestion images Cloudinary (suppression des anciennes)
-    if (
-      oldImageUrls &&
-      Array.isArray(oldImageUrls) &&
-      oldImageUrls.length > 0
-    ) {
-      const currentImages = finalData.imageUrls || [];
-      const imagesToDelete = oldImageUrls.filter(
-        (oldImg) => !currentImages.includes(oldImg),
-      );
-
-      if (imagesToDelete.length > 0) {
-        const deletePromises = imagesToDelete.map(async (imageId) => {
-          try {
-            await cloudinary.uploader.destroy(imageId);
-          } catch (deleteError) {
-            logger.warn('Error deleting image from Cloudinary', {
-              requestId,
-              applicationId: cleanedApplicationId,
-              imageId,
-              error: deleteError.message,
-            });
-          }
-        });
-
-        await Promise.allSettled(deletePromises);
-      }
-    }
+    // Les images retirées restent sur Cloudinary : la révision créée
+    // ci-dessous les utilise encore (supprimées à l'élagage)
 
     // Mise à jour en base de données
     let result;
+    let previousApplication;
     try {
       const updateFields = [];
       const updateValues = [];
@@ -368,9 +379,19 @@ export async function PUT(request, { params }) {
         paramCounter++;
       }
 
-      if (isActive !== undefined) {
-        updateFields.push(`is_active = $${paramCounter}`);
-        updateValues.push(isActive);
+      // Statut de publication : is_active et les dates devenues sans objet
+      // sont recalculés par le trigger (migration 012)
+      if (finalData.status !== undefined) {
+        updateFields.push(`application_status = $${paramCounter}`);
+        updateValues.push(finalData.status);
+        paramCounter++;
+
+        updateFields.push(`application_publish_at = $${paramCounter}`);
+        updateValues.push(finalData.publishAt);
+        paramCounter++;
+
+        updateFields.push(`application_unpublish_at = $${paramCounter}`);
+        updateValues.push(finalData.unpublishAt);
         paramCounter++;
       }
 
@@ -389,9 +410,19 @@ export async function PUT(request, { params }) {
         RETURNING *
       `;
 
+      await client.query('BEGIN');
+
+      // État avant modification (révision et journal d'audit)
+      const previousResult = await client.query(
+        `SELECT * FROM catalog.applications WHERE application_id = $1 FOR UPDATE`,
+        [cleanedApplicationId],
+      );
+      previousApplication = previousResult.rows[0];
+
       result = await client.query(queryText, updateValues);
 
       if (result.rows.length === 0) {
+        await client.query('ROLLBACK');
         await client.cleanup();
 
         const responseTime = Date.now() - startTime;
@@ -409,7 +440,17 @@ export async function PUT(request, { params }) {
           { status: 404, header },
         );
       }
+
+      await recordApplicationRevision(
+        client,
+        previousApplication,
+        result.rows[0],
+        { actor: session.user, requestId },
+      );
+
+      await client.query('COMMIT');
     } catch (updateError) {
+      await client.query('ROLLBACK').catch(() => {});
       await client.cleanup();
 
       const responseTime = Date.now() - startTime;
@@ -444,6 +485,10 @@ export async function PUT(request, { params }) {
       application_other_versions:
         updatedApplication.application_other_versions || null,
       is_active: Boolean(updatedApplication.is_active),
+      application_status: updatedApplication.application_status,
+      application_publish_at: updatedApplication.application_publish_at,
+      application_unpublish_at: updatedApplication.application_unpublish_at,
+      application_published_at: updatedApplication.application_published_at,
       sales_count: parseInt(updatedApplication.sales_count) || 0,
       created_at: updatedApplication.created_at,
       updated_at: updatedApplication.updated_at,
@@ -465,8 +510,20 @@ export async function PUT(request, { params }) {
       userId: session.user.id,
     });
 
+    await recordAudit({
+      actor: session.user,
+      action: 'update',
+      entityType: 'application',
+      entityId: cleanedApplicationId,
+      before: previousApplication,
+      after: updatedApplication,
+      requestId,
+    });
+
     await client.cleanup();
 
+    await pruneApplicationRevisions(cleanedApplicationId, { requestId });
+
     const header = createResponseHeaders(requestId, responseTime);
 
     return NextResponse.json(
@@ -2,6 +2,8 @@
 import { NextResponse } from 'next/server';
 import { headers } from 'next/headers';
 import { auth } from '@/lib/auth';
+import { requireTwoFactorForRoute } from '@/lib/auth-utils';
+import { hasPermission } from '@/lib/permissions';
 import cloudinary from '@/backend/cloudinary';
 import { applyRateLimit } from '@/backend/rateLimiter';
 import logger from '@/utils/logger';
@@ -46,6 +48,28 @@ export async function POST(request) {
       );
     }
 
+    if (!hasPermission(session.user.role, 'catalog:create')) {
+      logger.warn('Forbidden signature request', {
+        requestId,
+        userId: session.user.id,
+        role: session.user.role,
+      });
+
+      trackAuth('forbidden_signature_request', {}, 'warning');
+
+      return NextResponse.json(
+        { error: 'Insufficient permissions' },
+        { status: 403 },
+      );
+    }
+
+    // 2FA imposée : même règle que le layout du dashboard
+    const twoFactorResponse = await requireTwoFactorForRoute(
+      session.user,
+      requestId,
+    );
+    if (twoFactorResponse) return twoFactorResponse;
+
     // Parse body
     const body = await request.json();
     const { paramsToSign } = body;
@@ -2,6 +2,9 @@
 import { NextResponse } from 'next/server';
 import { headers } from 'next/headers';
 import { auth } from '@/lib/auth';
+import { requireTwoFactorForRoute } from '@/lib/auth-utils';
+import { hasPermission } from '@/lib/permissions';
+import { recordAudit } from '@/lib/audit';
 import cloudinary from '@/backend/cloudinary';
 import { getClient } from '@/backend/dbConnect';
 import { applyRateLimit } from '@/backend/rateLimiter';
@@ -125,6 +128,32 @@ export async function DELETE(request, { params }) {
       );
     }
 
+    if (!hasPermission(session.user.role, 'catalog:delete')) {
+      const responseTime = Date.now() - startTime;
+      const header = createResponseHeaders(requestId, responseTime);
+
+      logger.warn('Forbidden delete video attempt', {
+        requestId,
+        userId: session.user.id,
+        role: session.user.role,
+        videoId: cleanedVideoId,
+      });
+
+      trackAuth('forbidden_delete_video', {}, 'warning');
+
+      return NextResponse.json(
+        { success: false, error: 'Insufficient permissions' },
+        { status: 403, headers: header },
+      );
+    }
+
+    // 2FA imposée : même règle que le layout du dashboard
+    const twoFactorResponse = await requireTwoFactorForRoute(
+      session.user,
+      requestId,
+    );
+    if (twoFactorResponse) return twoFactorResponse;
+
     // ===== 5. CONNEXION DB =====
     try {
       client = await getClient();
@@ -242,7 +271,7 @@ export async function DELETE(request, { params }) {
         `DELETE FROM catalog.channel_videos
          WHERE video_id = $1
          AND is_active = false
-         RETURNING video_title, video_cloudinary_id, video_thumbnail_id`,
+         RETURNING *`,
         [cleanedVideoId],
       );
 
@@ -356,6 +385,15 @@ export async function DELETE(request, { params }) {
       userId: session.user.id,
     });
 
+    await recordAudit({
+      actor: session.user,
+      action: 'delete',
+      entityType: 'video',
+      entityId: cleanedVideoId,
+      before: deletedVideo,
+      requestId,
+    });
+
     await client.cleanup();
 
     const header = createResponseHeaders(requestId, responseTime);
@@ -2,6 +2,9 @@
 import { NextResponse } from 'next/server';
 import { headers } from 'next/headers';
 import { auth } from '@/lib/auth';
+import { requireTwoFactorForRoute } from '@/lib/auth-utils';
+import { hasPermission } from '@/lib/permissions';
+import { recordAudit } from '@/lib/audit';
 import cloudinary from '@/backend/cloudinary';
 import { getClient } from '@/backend/dbConnect';
 import { applyRateLimit } from '@/backend/rateLimiter';
@@ -123,6 +126,32 @@ export async function PUT(request, { params }) {
       );
     }
 
+    if (!hasPermission(session.user.role, 'catalog:update')) {
+      const responseTime = Date.now() - startTime;
+      const header = createResponseHeaders(requestId, responseTime);
+
+      logger.warn('Forbidden edit video attempt', {
+        requestId,
+        userId: session.user.id,
+        role: session.user.role,
+        videoId: cleanedVideoId,
+      });
+
+      trackAuth('forbidden_edit_video', {}, 'warning');
+
+      return NextResponse.json(
+        { error: 'Insufficient permissions' },
+        { status: 403, headers: header },
+      );
+    }
+
+    // 2FA imposée : même règle que le layout du dashboard
+    const twoFactorResponse = await requireTwoFactorForRoute(
+      session.user,
+      requestId,
+    );
+    if (twoFactorResponse) return twoFactorResponse;
+
     // ===== 5. CONNEXION DB =====
     try {
       client = await getClient();
@@ -287,6 +316,7 @@ export async function PUT(request, { params }) {
 
     // ===== 10. MISE À JOUR EN BASE =====
     let result;
+    let previousVideo;
     try {
       const updateFields = [];
       const updateValues = [];
@@ -354,6 +384,13 @@ export async function PUT(request, { params }) {
         RETURNING *
       `;
 
+      // État avant modification (journal d'audit)
+      const previousResult = await client.query(
+        `SELECT * FROM catalog.channel_videos WHERE video_id = $1`,
+        [cleanedVideoId],
+      );
+      previousVideo = previousResult.rows[0];
+
       result = await client.query(queryText, updateValues);
 
       if (result.rows.length === 0) {
@@ -430,6 +467,16 @@ export async function PUT(request, { params }) {
       userId: session.user.id,
     });
 
+    await recordAudit({
+      actor: session.user,
+      action: 'update',
+      entityType: 'video',
+      entityId: cleanedVideoId,
+      before: previousVideo,
+      after: updatedVideo,
+      requestId,
+    });
+
     await client.cleanup();
 
     const header = createResponseHeaders(requestId, responseTime);
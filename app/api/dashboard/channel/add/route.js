@@ -2,6 +2,9 @@
 import { NextResponse } from 'next/server';
 import { headers } from 'next/headers';
 import { auth } from '@/lib/auth';
+import { requireTwoFactorForRoute } from '@/lib/auth-utils';
+import { hasPermission } from '@/lib/permissions';
+import { recordAudit } from '@/lib/audit';
 import { getClient } from '@/backend/dbConnect';
 import { applyRateLimit } from '@/backend/rateLimiter';
 import { sanitizeVideoInputsStrict } from '@/utils/sanitizers/sanitizeVideoInputs';
@@ -70,6 +73,30 @@ export async function POST(request) {
       );
     }
 
+    if (!hasPermission(session.user.role, 'catalog:create')) {
+      const responseTime = Date.now() - startTime;
+      const header = createResponseHeaders(requestId, responseTime);
+
+      logger.warn('Forbidden add video attempt', {
+        requestId,
+        userId: session.user.id,
+        role: session.user.role,
+      });
+      trackAuth('forbidden_add_video', {}, 'warning');
+
+      return NextResponse.json(
+        { error: 'Insufficient permissions' },
+        { status: 403, headers: header },
+      );
+    }
+
+    // 2FA imposée : même règle que le layout du dashboard
+    const twoFactorResponse = await requireTwoFactorForRoute(
+      session.user,
+      requestId,
+    );
+    if (twoFactorResponse) return twoFactorResponse;
+
     // Parse body
     let body;
     try {
@@ -204,7 +231,7 @@ export async function POST(request) {
           video_tags,
           video_duration_seconds
         ) VALUES ($1, $2, $3, $4, $5, $6, $7)
-        RETURNING video_id
+        RETURNING *
       `;
 
       const values = [
@@ -253,6 +280,15 @@ export async function POST(request) {
       userId: session.user.id,
     });
 
+    await recordAudit({
+      actor: session.user,
+      action: 'create',
+      entityType: 'video',
+      entityId: newVideoId,
+      after: result.rows[0],
+      requestId,
+    });
+
     await client.cleanup();
 
     const header = createResponseHeaders(requestId, responseTime);
@@ -0,0 +1,141 @@
+// app/api/dashboard/orders/[id]/invoice/route.js
+// Facture d'une commande payée : PDF (par défaut) ou vue HTML imprimable
+// (?format=html). Lecture seule : la facture est émise au préalable par
+// l'action serveur issueOrderInvoice.
+import { headers } from 'next/headers';
+import { NextResponse } from 'next/server';
+import { auth } from '@/lib/auth';
+import { requireTwoFactorForRoute } from '@/lib/auth-utils';
+import { hasPermission } from '@/lib/permissions';
+import { getIssuedInvoice, InvoiceError } from '@/lib/invoices';
+import { applyRateLimit } from '@/backend/rateLimiter';
+import {
+  renderInvoicesHtml,
+  renderInvoicesPdf,
+} from '@/backend/invoiceTemplates';
+import logger from '@/utils/logger';
+import { trackAuth, trackAPI, trackDatabaseError } from '@/utils/monitoring';
+
+export const dynamic = 'force-dynamic';
+
+const invoiceRateLimit = applyRateLimit('CONTENT_API', {
+  windowMs: 5 * 60 * 1000,
+  max: 30,
+  message: 'Trop de téléchargements de factures, veuillez réessayer plus tard',
+  prefix: 'order_invoice',
+});
+
+const UUID_REGEX =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+
+export async function GET(request, { params }) {
+  const requestId = crypto.randomUUID();
+
+  try {
+    const rateLimitResponse = await invoiceRateLimit(request);
+    if (rateLimitResponse) {
+      logger.warn('Invoice rate limit exceeded', { requestId });
+      trackAPI('rate_limit_exceeded', {}, 'warning');
+      return rateLimitResponse;
+    }
+
+    const session = await auth.api.getSession({
+      headers: await headers(),
+    });
+
+    if (!session?.user) {
+      logger.warn('Unauthenticated invoice request', { requestId });
+      trackAuth('unauthenticated_invoice_request', {}, 'warning');
+
+      return NextResponse.json(
+        { error: 'Authentication required' },
+        { status: 401 },
+      );
+    }
+
+    if (!hasPermission(session.user.role, 'orders:invoice')) {
+      logger.warn('Forbidden invoice request', {
+        requestId,
+        userId: session.user.id,
+        role: session.user.role,
+      });
+      trackAuth('forbidden_invoice_request', {}, 'warning');
+
+      return NextResponse.json(
+        { error: 'Insufficient permissions' },
+        { status: 403 },
+      );
+    }
+
+    // 2FA imposée : même règle que le layout du dashboard
+    const twoFactorResponse = await requireTwoFactorForRoute(
+      session.user,
+      requestId,
+    );
+    if (twoFactorResponse) return twoFactorResponse;
+
+    const { id } = await params;
+    const orderId = typeof id === 'string' ? id.trim().toLowerCase() : '';
+
+    if (!UUID_REGEX.test(orderId)) {
+      return NextResponse.json(
+        { error: 'Invalid order ID format' },
+        { status: 400 },
+      );
+    }
+
+    const invoice = await getIssuedInvoice(orderId);
+
+    trackAPI('invoice_downloaded', { format: 'single' });
+
+    const { searchParams } = new URL(request.url);
+
+    if (searchParams.get('format') === 'html') {
+      return new Response(renderInvoicesHtml([invoice]), {
+        status: 200,
+        headers: {
+          'Content-Type': 'text/html; charset=utf-8',
+          'Cache-Control': 'no-store',
+          'X-Request-ID': requestId,
+        },
+      });
+    }
+
+    return new Response(renderInvoicesPdf([invoice]), {
+      status: 200,
+      headers: {
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `attachment; filename="${invoice.number}.pdf"`,
+        'Cache-Control': 'no-store',
+        'X-Request-ID': requestId,
+      },
+    });
+  } catch (error) {
+    if (error instanceof InvoiceError) {
+      logger.warn('Invoice request rejected', {
+        reason: error.message,
+        requestId,
+      });
+
+      return NextResponse.json(
+        { error: error.message },
+        { status: error.status },
+      );
+    }
+
+    logger.error('Error generating invoice', {
+      error: error.message,
+      requestId,
+    });
+
+    trackDatabaseError(error, 'order_invoice', {
+      requestId,
+      critical: 'true',
+    });
+
+    return NextResponse.json(
+      { error: 'Failed to generate invoice' },
+      { status: 500 },
+    );
+  }
+}
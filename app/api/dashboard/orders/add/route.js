@@ -0,0 +1,412 @@
+// app/api/dashboard/orders/add/route.js
+// Saisie manuelle d'une commande (paiement en espèces ou par téléphone)
+import { NextResponse } from 'next/server';
+import { headers } from 'next/headers';
+import { auth } from '@/lib/auth';
+import { requireTwoFactorForRoute } from '@/lib/auth-utils';
+import { hasPermission } from '@/lib/permissions';
+import { recordAudit } from '@/lib/audit';
+import { setOrderStatusContext } from '@/lib/orderStatusHistory';
+import { getClient } from '@/backend/dbConnect';
+import { applyRateLimit } from '@/backend/rateLimiter';
+import { sanitizeOrderInputsStrict } from '@/utils/sanitizers/sanitizeOrderInputs';
+import { orderAddingSchema } from '@/utils/schemas/orderSchema';
+import logger from '@/utils/logger';
+import {
+  trackAuth,
+  trackDatabase,
+  trackDatabaseError,
+  trackValidation,
+} from '@/utils/monitoring';
+
+export const dynamic = 'force-dynamic';
+
+const addOrderRateLimit = applyRateLimit('CONTENT_API', {
+  windowMs: 10 * 60 * 1000,
+  max: 20,
+  message:
+    "Trop de tentatives d'ajout de commandes. Veuillez réessayer dans quelques minutes.",
+  prefix: 'add_order',
+});
+
+const ORDER_RETURNING = `
+  order_id,
+  order_application_id,
+  order_platform_ids,
+  order_client_name,
+  order_client_email,
+  order_client_phone,
+  order_price,
+  order_rent,
+  order_payment_status,
+  order_paid_at,
+  order_source,
+  order_created
+`;
+
+function createResponseHeaders(requestId, responseTime) {
+  return {
+    'X-Request-ID': requestId,
+    'X-Response-Time': `${responseTime}ms`,
+  };
+}
+
+// Erreur métier : rollback puis réponse 400 avec le champ concerné
+class OrderInputError extends Error {
+  constructor(message, field) {
+    super(message);
+    this.name = 'OrderInputError';
+    this.field = field;
+  }
+}
+
+export async function POST(request) {
+  let client;
+  const startTime = Date.now();
+  const requestId = crypto.randomUUID();
+
+  logger.info('Add order API called', { requestId });
+
+  try {
+    // Rate limiting
+    const rateLimitResponse = await addOrderRateLimit(request);
+    if (rateLimitResponse) {
+      const responseTime = Date.now() - startTime;
+      const responseHeaders = createResponseHeaders(requestId, responseTime);
+
+      logger.warn('Add order rate limit exceeded', { requestId });
+      trackDatabase('add_order_rate_limit_exceeded', {}, 'warning');
+
+      const rateLimitBody = await rateLimitResponse.json();
+      return NextResponse.json(rateLimitBody, {
+        status: 429,
+        headers: responseHeaders,
+      });
+    }
+
+    // Authentification
+    const session = await auth.api.getSession({
+      headers: await headers(),
+    });
+
+    if (!session?.user) {
+      const responseTime = Date.now() - startTime;
+      const responseHeaders = createResponseHeaders(requestId, responseTime);
+
+      logger.warn('Unauthenticated add order attempt', { requestId });
+      trackAuth('unauthenticated_add_order', {}, 'warning');
+
+      return NextResponse.json(
+        { error: 'Authentication required' },
+        { status: 401, headers: responseHeaders },
+      );
+    }
+
+    if (!hasPermission(session.user.role, 'orders:create')) {
+      const responseTime = Date.now() - startTime;
+      const responseHeaders = createResponseHeaders(requestId, responseTime);
+
+      logger.warn('Forbidden add order attempt', {
+        requestId,
+        userId: session.user.id,
+        role: session.user.role,
+      });
+      trackAuth('forbidden_add_order', {}, 'warning');
+
+      return NextResponse.json(
+        { error: 'Insufficient permissions' },
+        { status: 403, headers: responseHeaders },
+      );
+    }
+
+    // 2FA imposée : même règle que le layout du dashboard
+    const twoFactorResponse = await requireTwoFactorForRoute(
+      session.user,
+      requestId,
+    );
+    if (twoFactorResponse) return twoFactorResponse;
+
+    // Parse body
+    let body;
+    try {
+      body = await request.json();
+    } catch (parseError) {
+      const responseTime = Date.now() - startTime;
+      const responseHeaders = createResponseHeaders(requestId, responseTime);
+
+      logger.error('JSON parse error', {
+        error: parseError.message,
+        requestId,
+      });
+
+      return NextResponse.json(
+        { error: 'Invalid JSON in request body' },
+        { status: 400, headers: responseHeaders },
+      );
+    }
+
+    // Sanitization
+    const sanitizedInputs = sanitizeOrderInputsStrict({
+      applicationId: body.applicationId,
+      platformIds: body.platformIds,
+      clientName: body.clientName,
+      clientEmail: body.clientEmail,
+      clientPhone: body.clientPhone,
+      price: body.price,
+      rent: body.rent,
+      markAsPaid: body.markAsPaid,
+    });
+
+    // Validation Yup
+    let validatedInputs;
+    try {
+      validatedInputs = await orderAddingSchema.validate(sanitizedInputs, {
+        abortEarly: false,
+      });
+    } catch (validationError) {
+      const responseTime = Date.now() - startTime;
+      const responseHeaders = createResponseHeaders(requestId, responseTime);
+
+      logger.warn('Order validation failed', {
+        errors: validationError.inner?.length || 0,
+        requestId,
+      });
+
+      trackValidation(
+        'order_validation_failed',
+        {
+          errors: validationError.inner?.map((e) => e.path),
+        },
+        'warning',
+      );
+
+      const errors = {};
+      validationError.inner.forEach((error) => {
+        errors[error.path] = error.message;
+      });
+
+      return NextResponse.json(
+        { errors },
+        { status: 400, headers: responseHeaders },
+      );
+    }
+
+    // Connexion DB
+    try {
+      client = await getClient();
+    } catch (dbError) {
+      const responseTime = Date.now() - startTime;
+      const responseHeaders = createResponseHeaders(requestId, responseTime);
+
+      logger.error('Database connection failed', {
+        error: dbError.message,
+        requestId,
+      });
+
+      trackDatabaseError(dbError, 'db_connection_add_order', { requestId });
+
+      return NextResponse.json(
+        { error: 'Database connection failed' },
+        { status: 503, headers: responseHeaders },
+      );
+    }
+
+    let newOrder;
+    try {
+      await client.query('BEGIN');
+
+      // Application active uniquement
+      const applicationResult = await client.query(
+        `SELECT application_id, application_name, is_active
+         FROM catalog.applications
+         WHERE application_id = $1`,
+        [validatedInputs.applicationId],
+      );
+
+      const application = applicationResult.rows[0];
+      if (!application || !application.is_active) {
+        throw new OrderInputError(
+          'Application not found or inactive',
+          'applicationId',
+        );
+      }
+
+      // Toutes les plateformes doivent exister et être actives
+      const platformResult = await client.query(
+        `SELECT platform_id, platform_name, is_cash_payment
+         FROM admin.platforms
+         WHERE platform_id = ANY($1) AND is_active = true`,
+        [validatedInputs.platformIds],
+      );
+
+      if (platformResult.rows.length !== validatedInputs.platformIds.length) {
+        throw new OrderInputError(
+          'One or more payment platforms are missing or inactive',
+          'platformIds',
+        );
+      }
+
+      // Attribution de l'entrée d'historique créée par le trigger
+      await setOrderStatusContext(client, {
+        actor: session.user,
+        note: 'Commande saisie manuellement',
+      });
+
+      const insertResult = await client.query(
+        `INSERT INTO admin.orders (
+           order_application_id,
+           order_platform_ids,
+           order_client_name,
+           order_client_email,
+           order_client_phone,
+           order_price,
+           order_rent,
+           order_payment_status,
+           order_source,
+           order_created_by
+         ) VALUES ($1, $2, $3, $4, $5, $6, $7, 'unpaid', 'admin', $8)
+         RETURNING ${ORDER_RETURNING}`,
+        [
+          validatedInputs.applicationId,
+          validatedInputs.platformIds,
+          validatedInputs.clientName,
+          validatedInputs.clientEmail,
+          validatedInputs.clientPhone,
+          validatedInputs.price,
+          validatedInputs.rent,
+          session.user.id,
+        ],
+      );
+
+      newOrder = insertResult.rows[0];
+
+      // Encaissement immédiat : même transition unpaid → paid que depuis
+      // la liste, le trigger met à jour order_paid_at et sales_count
+      if (validatedInputs.markAsPaid) {
+        await setOrderStatusContext(client, {
+          actor: session.user,
+          note: 'Encaissée à la saisie',
+        });
+
+        const paidResult = await client.query(
+          `UPDATE admin.orders
+           SET order_payment_status = 'paid'
+           WHERE order_id = $1
+           RETURNING ${ORDER_RETURNING}`,
+          [newOrder.order_id],
+        );
+
+        newOrder = paidResult.rows[0];
+      }
+
+      await client.query('COMMIT');
+    } catch (transactionError) {
+      await client.query('ROLLBACK').catch(() => {});
+      await client.cleanup();
+      client = null;
+
+      const responseTime = Date.now() - startTime;
+      const responseHeaders = createResponseHeaders(requestId, responseTime);
+
+      if (transactionError instanceof OrderInputError) {
+        logger.warn('Add order rejected', {
+          reason: transactionError.message,
+          requestId,
+        });
+        trackValidation('add_order_rejected', {}, 'warning');
+
+        return NextResponse.json(
+          {
+            error: transactionError.message,
+            errors: { [transactionError.field]: transactionError.message },
+          },
+          { status: 400, headers: responseHeaders },
+        );
+      }
+
+      logger.error('Order insertion error', {
+        error: transactionError.message,
+        code: transactionError.code,
+        requestId,
+      });
+
+      trackDatabaseError(transactionError, 'insertion', { requestId });
+
+      return NextResponse.json(
+        { error: 'Failed to add order to database' },
+        { status: 500, headers: responseHeaders },
+      );
+    }
+
+    await client.cleanup();
+    client = null;
+
+    const responseTime = Date.now() - startTime;
+
+    logger.info('Order added successfully', {
+      newOrderId: newOrder.order_id,
+      markAsPaid: validatedInputs.markAsPaid,
+      durationMs: responseTime,
+      userId: session.user.id,
+      requestId,
+    });
+
+    trackDatabase('order_added_successfully', {
+      newOrderId: newOrder.order_id,
+      markAsPaid: validatedInputs.markAsPaid,
+      userId: session.user.id,
+    });
+
+    await recordAudit({
+      actor: session.user,
+      action: 'create',
+      entityType: 'order',
+      entityId: newOrder.order_id,
+      after: newOrder,
+      requestId,
+    });
+
+    const responseHeaders = createResponseHeaders(requestId, responseTime);
+
+    return NextResponse.json(
+      {
+        message: 'Order added successfully',
+        order: {
+          id: newOrder.order_id,
+          paymentStatus: newOrder.order_payment_status,
+          createdAt: newOrder.order_created,
+        },
+        meta: {
+          requestId,
+          timestamp: new Date().toISOString(),
+        },
+      },
+      { status: 201, headers: responseHeaders },
+    );
+  } catch (error) {
+    if (client) await client.cleanup();
+
+    const responseTime = Date.now() - startTime;
+    const responseHeaders = createResponseHeaders(requestId, responseTime);
+
+    logger.error('Global add order error', {
+      error: error.message,
+      requestId,
+    });
+
+    trackDatabaseError(error, 'add_order', {
+      requestId,
+      durationMs: responseTime,
+      critical: 'true',
+    });
+
+    return NextResponse.json(
+      {
+        error: 'Internal server error',
+        message: 'Failed to add order',
+        requestId,
+      },
+      { status: 500, headers: responseHeaders },
+    );
+  }
+}
@@ -0,0 +1,271 @@
+// app/api/dashboard/orders/export/route.js
+// Export CSV des commandes filtrées
+//
+// Mêmes filtres que la liste (backend/orderFilters.js), sans limite de
+// lignes : un curseur SQL lit les commandes par lots et chaque lot est
+// envoyé au fil de l'eau, la mémoire reste constante quel que soit le volume.
+import { headers } from 'next/headers';
+import { NextResponse } from 'next/server';
+import { auth } from '@/lib/auth';
+import { requireTwoFactorForRoute } from '@/lib/auth-utils';
+import { hasPermission } from '@/lib/permissions';
+import { getClient } from '@/backend/dbConnect';
+import {
+  buildSecureWhereClause,
+  readOrderFiltersFromSearchParams,
+  validateAndSanitizeFilters,
+} from '@/backend/orderFilters';
+import { applyRateLimit } from '@/backend/rateLimiter';
+import {
+  CSV_BOM,
+  CSV_SEPARATORS,
+  formatCsvDate,
+  formatCsvNumber,
+  toCsvRow,
+} from '@/utils/csv';
+import logger from '@/utils/logger';
+import { trackAuth, trackAPI, trackDatabaseError } from '@/utils/monitoring';
+
+export const dynamic = 'force-dynamic';
+
+const BATCH_SIZE = 500;
+
+const exportRateLimit = applyRateLimit('CONTENT_API', {
+  windowMs: 5 * 60 * 1000,
+  max: 10,
+  message: "Trop d'exports, veuillez réessayer plus tard",
+  prefix: 'orders_export',
+});
+
+const CSV_HEADER = [
+  'Order ID',
+  'Created at',
+  'Updated at',
+  'Paid at',
+  'Cancelled at',
+  'Payment status',
+  'Client name',
+  'Client email',
+  'Client phone',
+  'Application',
+  'Platforms',
+  'Price',
+  'Rent',
+  'Cancel reason',
+];
+
+function toCsvLine(row, { separator, decimal }) {
+  return toCsvRow(
+    [
+      row.order_id,
+      formatCsvDate(row.order_created),
+      formatCsvDate(row.order_updated),
+      formatCsvDate(row.order_paid_at),
+      formatCsvDate(row.order_cancelled_at),
+      row.order_payment_status,
+      row.order_client_name,
+      row.order_client_email,
+      row.order_client_phone,
+      row.application_name,
+      row.platform_names,
+      formatCsvNumber(row.order_price, decimal),
+      formatCsvNumber(row.order_rent, decimal),
+      row.order_cancel_reason,
+    ],
+    separator,
+  );
+}
+
+export async function GET(request) {
+  const requestId = crypto.randomUUID();
+
+  try {
+    const rateLimitResponse = await exportRateLimit(request);
+    if (rateLimitResponse) {
+      logger.warn('Orders export rate limit exceeded', { requestId });
+      trackAPI('rate_limit_exceeded', {}, 'warning');
+      return rateLimitResponse;
+    }
+
+    const session = await auth.api.getSession({
+      headers: await headers(),
+    });
+
+    if (!session?.user) {
+      logger.warn('Unauthenticated orders export request', { requestId });
+      trackAuth('unauthenticated_orders_export', {}, 'warning');
+
+      return NextResponse.json(
+        { error: 'Authentication required' },
+        { status: 401 },
+      );
+    }
+
+    if (!hasPermission(session.user.role, 'orders:export')) {
+      logger.warn('Forbidden orders export request', {
+        requestId,
+        userId: session.user.id,
+        role: session.user.role,
+      });
+      trackAuth('forbidden_orders_export', {}, 'warning');
+
+      return NextResponse.json(
+        { error: 'Insufficient permissions' },
+        { status: 403 },
+      );
+    }
+
+    // 2FA imposée : même règle que le layout du dashboard
+    const twoFactorResponse = await requireTwoFactorForRoute(
+      session.user,
+      requestId,
+    );
+    if (twoFactorResponse) return twoFactorResponse;
+
+    const { searchParams } = new URL(request.url);
+    const format =
+      CSV_SEPARATORS[searchParams.get('separator')] || CSV_SEPARATORS.comma;
+
+    const filters = validateAndSanitizeFilters(
+      readOrderFiltersFromSearchParams(searchParams),
+    );
+    const { whereClause, values } = buildSecureWhereClause(filters);
+
+    // Noms des plateformes résolus depuis order_platform_ids
+    const exportQuery = `
+      SELECT
+        o.order_id,
+        o.order_created,
+        o.order_updated,
+        o.order_paid_at,
+        o.order_cancelled_at,
+        o.order_payment_status,
+        o.order_client_name,
+        o.order_client_email,
+        o.order_client_phone,
+        o.order_price,
+        o.order_rent,
+        o.order_cancel_reason,
+        a.application_name,
+        (
+          SELECT string_agg(p.platform_name, ', ' ORDER BY p.platform_name)
+          FROM admin.platforms p
+          WHERE p.platform_id = ANY(o.order_platform_ids)
+        ) AS platform_names
+      FROM admin.orders o
+      JOIN catalog.applications a ON o.order_application_id = a.application_id
+      ${whereClause}
+      ORDER BY o.order_created DESC, o.order_id DESC
+    `;
+
+    // Le curseur vit dans une transaction en lecture seule : l'export
+    // reflète un instantané cohérent même si des commandes changent
+    const client = await getClient();
+    let released = false;
+
+    const release = async (statement) => {
+      if (released) return;
+      released = true;
+      await client.query(statement).catch(() => {});
+      await client.cleanup();
+    };
+
+    try {
+      await client.query('BEGIN READ ONLY');
+      await client.query(
+        `DECLARE orders_export NO SCROLL CURSOR FOR ${exportQuery}`,
+        values,
+      );
+    } catch (error) {
+      await release('ROLLBACK');
+      throw error;
+    }
+
+    const encoder = new TextEncoder();
+    let exportedRows = 0;
+
+    const stream = new ReadableStream({
+      start(controller) {
+        controller.enqueue(
+          encoder.encode(CSV_BOM + toCsvRow(CSV_HEADER, format.separator)),
+        );
+      },
+
+      async pull(controller) {
+        try {
+          const result = await client.query(
+            `FETCH ${BATCH_SIZE} FROM orders_export`,
+          );
+
+          if (result.rows.length === 0) {
+            await release('COMMIT');
+            controller.close();
+
+            logger.info('Orders export completed', {
+              requestId,
+              userId: session.user.id,
+              rowCount: exportedRows,
+              filters: Object.keys(filters),
+            });
+            trackAPI('orders_exported', { rowCount: exportedRows });
+            return;
+          }
+
+          exportedRows += result.rows.length;
+          controller.enqueue(
+            encoder.encode(
+              result.rows.map((row) => toCsvLine(row, format)).join(''),
+            ),
+          );
+        } catch (error) {
+          await release('ROLLBACK');
+
+          logger.error('Orders export stream error', {
+            error: error.message,
+            requestId,
+            rowCount: exportedRows,
+          });
+          trackDatabaseError(error, 'orders_export_stream', { requestId });
+
+          controller.error(error);
+        }
+      },
+
+      // Téléchargement interrompu côté navigateur
+      async cancel() {
+        await release('ROLLBACK');
+        logger.warn('Orders export cancelled', {
+          requestId,
+          rowCount: exportedRows,
+        });
+      },
+    });
+
+    const date = new Date().toISOString().slice(0, 10);
+
+    return new Response(stream, {
+      status: 200,
+      headers: {
+        'Content-Type': 'text/csv; charset=utf-8',
+        'Content-Disposition': `attachment; filename="orders-${date}.csv"`,
+        'Cache-Control': 'no-store',
+        'X-Request-ID': requestId,
+      },
+    });
+  } catch (error) {
+    logger.error('Error exporting orders', {
+      error: error.message,
+      requestId,
+    });
+
+    trackDatabaseError(error, 'orders_export', {
+      requestId,
+      critical: 'true',
+    });
+
+    return NextResponse.json(
+      { error: 'Failed to export orders' },
+      { status: 500 },
+    );
+  }
+}
@@ -0,0 +1,138 @@
+// app/api/dashboard/orders/invoices/route.js
+// Factures des commandes payées sur une période (?from=YYYY-MM-DD&to=YYYY-MM-DD)
+// en un seul PDF (une page par facture) ou en vue HTML imprimable (?format=html).
+// Lecture seule : les factures manquantes sont émises au préalable par
+// l'action serveur issuePaidRangeInvoices.
+import { headers } from 'next/headers';
+import { NextResponse } from 'next/server';
+import { auth } from '@/lib/auth';
+import { requireTwoFactorForRoute } from '@/lib/auth-utils';
+import { hasPermission } from '@/lib/permissions';
+import { getIssuedInvoicesForPaidRange, InvoiceError } from '@/lib/invoices';
+import { applyRateLimit } from '@/backend/rateLimiter';
+import {
+  renderInvoicesHtml,
+  renderInvoicesPdf,
+} from '@/backend/invoiceTemplates';
+import logger from '@/utils/logger';
+import { trackAuth, trackAPI, trackDatabaseError } from '@/utils/monitoring';
+
+export const dynamic = 'force-dynamic';
+
+const bulkInvoiceRateLimit = applyRateLimit('CONTENT_API', {
+  windowMs: 5 * 60 * 1000,
+  max: 10,
+  message: 'Trop de téléchargements de factures, veuillez réessayer plus tard',
+  prefix: 'orders_invoices',
+});
+
+export async function GET(request) {
+  const requestId = crypto.randomUUID();
+
+  try {
+    const rateLimitResponse = await bulkInvoiceRateLimit(request);
+    if (rateLimitResponse) {
+      logger.warn('Bulk invoice rate limit exceeded', { requestId });
+      trackAPI('rate_limit_exceeded', {}, 'warning');
+      return rateLimitResponse;
+    }
+
+    const session = await auth.api.getSession({
+      headers: await headers(),
+    });
+
+    if (!session?.user) {
+      logger.warn('Unauthenticated bulk invoice request', { requestId });
+      trackAuth('unauthenticated_bulk_invoice_request', {}, 'warning');
+
+      return NextResponse.json(
+        { error: 'Authentication required' },
+        { status: 401 },
+      );
+    }
+
+    if (!hasPermission(session.user.role, 'orders:invoice')) {
+      logger.warn('Forbidden bulk invoice request', {
+        requestId,
+        userId: session.user.id,
+        role: session.user.role,
+      });
+      trackAuth('forbidden_bulk_invoice_request', {}, 'warning');
+
+      return NextResponse.json(
+        { error: 'Insufficient permissions' },
+        { status: 403 },
+      );
+    }
+
+    // 2FA imposée : même règle que le layout du dashboard
+    const twoFactorResponse = await requireTwoFactorForRoute(
+      session.user,
+      requestId,
+    );
+    if (twoFactorResponse) return twoFactorResponse;
+
+    const { searchParams } = new URL(request.url);
+    const from = searchParams.get('from');
+    const to = searchParams.get('to');
+
+    const invoices = await getIssuedInvoicesForPaidRange({ from, to });
+
+    if (invoices.length === 0) {
+      return NextResponse.json(
+        { error: 'No issued invoices in this date range' },
+        { status: 404 },
+      );
+    }
+
+    trackAPI('invoices_downloaded', { count: invoices.length });
+
+    if (searchParams.get('format') === 'html') {
+      return new Response(renderInvoicesHtml(invoices), {
+        status: 200,
+        headers: {
+          'Content-Type': 'text/html; charset=utf-8',
+          'Cache-Control': 'no-store',
+          'X-Request-ID': requestId,
+        },
+      });
+    }
+
+    return new Response(renderInvoicesPdf(invoices), {
+      status: 200,
+      headers: {
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `attachment; filename="factures-${from}-${to}.pdf"`,
+        'Cache-Control': 'no-store',
+        'X-Request-ID': requestId,
+      },
+    });
+  } catch (error) {
+    if (error instanceof InvoiceError) {
+      logger.warn('Bulk invoice request rejected', {
+        reason: error.message,
+        requestId,
+      });
+
+      return NextResponse.json(
+        { error: error.message },
+        { status: error.status },
+      );
+    }
+
+    logger.error('Error generating invoices', {
+      error: error.message,
+      requestId,
+    });
+
+    trackDatabaseError(error, 'orders_invoices', {
+      requestId,
+      critical: 'true',
+    });
+
+    return NextResponse.json(
+      { error: 'Failed to generate invoices' },
+      { status: 500 },
+    );
+  }
+}
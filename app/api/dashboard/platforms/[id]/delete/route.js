@@ -3,6 +3,9 @@
 import { NextResponse } from 'next/server';
 import { headers } from 'next/headers';
 import { auth } from '@/lib/auth';
+import { requireTwoFactorForRoute } from '@/lib/auth-utils';
+import { hasPermission } from '@/lib/permissions';
+import { recordAudit } from '@/lib/audit';
 import { getClient } from '@/backend/dbConnect';
 import { applyRateLimit } from '@/backend/rateLimiter';
 import { platformIdSchema, cleanUUID } from '@/utils/schemas/platformSchema';
@@ -101,6 +104,30 @@ export async function DELETE(request, { params }) {
       );
     }
 
+    if (!hasPermission(session.user.role, 'catalog:delete')) {
+      const responseTime = Date.now() - startTime;
+      const header = createResponseHeaders(requestId, responseTime);
+
+      logger.warn('Forbidden delete attempt', {
+        requestId,
+        userId: session.user.id,
+        role: session.user.role,
+      });
+      trackAuth('forbidden_delete_platform', {}, 'warning');
+
+      return NextResponse.json(
+        { success: false, error: 'Insufficient permissions' },
+        { status: 403, headers: header },
+      );
+    }
+
+    // 2FA imposée : même règle que le layout du dashboard
+    const twoFactorResponse = await requireTwoFactorForRoute(
+      session.user,
+      requestId,
+    );
+    if (twoFactorResponse) return twoFactorResponse;
+
     // Connexion DB
     try {
       client = await getClient();
@@ -201,7 +228,7 @@ export async function DELETE(request, { params }) {
       deleteResult = await client.query(
         `DELETE FROM admin.platforms 
          WHERE platform_id = $1 AND is_active = false 
-         RETURNING platform_name`,
+         RETURNING *`,
         [cleanedPlatformId],
       );
 
@@ -259,6 +286,15 @@ export async function DELETE(request, { params }) {
       userId: session.user.id,
     });
 
+    await recordAudit({
+      actor: session.user,
+      action: 'delete',
+      entityType: 'platform',
+      entityId: cleanedPlatformId,
+      before: deletedPlatform,
+      requestId,
+    });
+
     await client.cleanup();
     const header = createResponseHeaders(requestId, responseTime);
 
@@ -3,6 +3,9 @@
 import { NextResponse } from 'next/server';
 import { headers } from 'next/headers';
 import { auth } from '@/lib/auth';
+import { requireTwoFactorForRoute } from '@/lib/auth-utils';
+import { hasPermission } from '@/lib/permissions';
+import { recordAudit } from '@/lib/audit';
 import { getClient } from '@/backend/dbConnect';
 import { applyRateLimit } from '@/backend/rateLimiter';
 import { sanitizePlatformUpdateInputsStrict } from '@/utils/sanitizers/sanitizePlatformInputs';
@@ -106,6 +109,30 @@ export async function PUT(request, { params }) {
       );
     }
 
+    if (!hasPermission(session.user.role, 'catalog:update')) {
+      const responseTime = Date.now() - startTime;
+      const header = createResponseHeaders(requestId, responseTime);
+
+      logger.warn('Forbidden edit attempt', {
+        requestId,
+        userId: session.user.id,
+        role: session.user.role,
+      });
+      trackAuth('forbidden_edit_platform', {}, 'warning');
+
+      return NextResponse.json(
+        { error: 'Insufficient permissions' },
+        { status: 403, headers: header },
+      );
+    }
+
+    // 2FA imposée : même règle que le layout du dashboard
+    const twoFactorResponse = await requireTwoFactorForRoute(
+      session.user,
+      requestId,
+    );
+    if (twoFactorResponse) return twoFactorResponse;
+
     // Connexion DB
     try {
       client = await getClient();
@@ -229,6 +256,7 @@ export async function PUT(request, { params }) {
 
     // Mise à jour
     let result;
+    let previousPlatform;
     try {
       const updateFields = [];
       const updateValues = [];
@@ -292,6 +320,13 @@ export async function PUT(request, { params }) {
           updated_at
       `;
 
+      // État avant modification (journal d'audit)
+      const previousResult = await client.query(
+        `SELECT * FROM admin.platforms WHERE platform_id = $1`,
+        [cleanedPlatformId],
+      );
+      previousPlatform = previousResult.rows[0];
+
       result = await client.query(queryText, updateValues);
 
       if (result.rows.length === 0) {
@@ -359,6 +394,16 @@ export async function PUT(request, { params }) {
       userId: session.user.id,
     });
 
+    await recordAudit({
+      actor: session.user,
+      action: 'update',
+      entityType: 'platform',
+      entityId: cleanedPlatformId,
+      before: previousPlatform,
+      after: updatedPlatform,
+      requestId,
+    });
+
     await client.cleanup();
     const header = createResponseHeaders(requestId, responseTime);
 
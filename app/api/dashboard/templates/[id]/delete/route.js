@@ -1,8 +1,14 @@
 // app/api/dashboard/templates/[id]/delete/route.js
 import { NextResponse } from 'next/server';
 import cloudinary from '@/backend/cloudinary';
+import { getUnreferencedImageIds } from '@/lib/catalogImages';
 import { getClient } from '@/backend/dbConnect';
-import { getAuthenticatedUser } from '@/lib/auth-utils';
+import {
+  getAuthenticatedUser,
+  requireTwoFactorForRoute,
+} from '@/lib/auth-utils';
+import { hasPermission } from '@/lib/permissions';
+import { recordAudit } from '@/lib/audit';
 import { applyRateLimit } from '@/backend/rateLimiter';
 import logger from '@/utils/logger';
 import {
@@ -136,6 +142,39 @@ export async function DELETE(request, { params }) {
       );
     }
 
+    if (!hasPermission(user.role, 'catalog:delete')) {
+      const responseTime = Date.now() - startTime;
+      const headers = createResponseHeaders(requestId, responseTime, id);
+
+      logger.warn('Forbidden delete attempt', {
+        requestId,
+        userId: user.id,
+        role: user.role,
+        templateId: id,
+      });
+
+      trackAuth(
+        'forbidden_delete_attempt',
+        {
+          templateId: id,
+        },
+        'warning',
+      );
+
+      return NextResponse.json(
+        {
+          success: false,
+          error: 'Insufficient permissions',
+          message: 'Your role does not allow this action',
+        },
+        { status: 403, headers },
+      );
+    }
+
+    // 2FA imposée : même règle que le layout du dashboard
+    const twoFactorResponse = await requireTwoFactorForRoute(user, requestId);
+    if (twoFactorResponse) return twoFactorResponse;
+
     logger.info('User authenticated for template deletion', {
       requestId,
       userId: user.id,
@@ -270,7 +309,7 @@ export async function DELETE(request, { params }) {
          WHERE template_id = $1 
          AND is_active = false 
          AND (sales_count = 0 OR sales_count IS NULL)
-         RETURNING template_name, template_images`,
+         RETURNING *`,
         [id],
       );
 
@@ -336,7 +375,13 @@ export async function DELETE(request, { params }) {
       deletedTemplate.template_images &&
       Array.isArray(deletedTemplate.template_images)
     ) {
-      deletedTemplate.template_images.forEach((imageId) => {
+      // Images encore utilisées par une copie : conservées
+      const imagesToDelete = await getUnreferencedImageIds(
+        deletedTemplate.template_images,
+        { client, requestId },
+      );
+
+      imagesToDelete.forEach((imageId) => {
         cloudinary.uploader
           .destroy(imageId)
           .then(() => {
@@ -381,6 +426,15 @@ export async function DELETE(request, { params }) {
       userId: user.id,
     });
 
+    await recordAudit({
+      actor: user,
+      action: 'delete',
+      entityType: 'template',
+      entityId: id,
+      before: deletedTemplate,
+      requestId,
+    });
+
     return NextResponse.json(
       {
         success: true,
@@ -2,7 +2,13 @@
 import { NextResponse } from 'next/server';
 import cloudinary from '@/backend/cloudinary';
 import { getClient } from '@/backend/dbConnect';
-import { getAuthenticatedUser } from '@/lib/auth-utils';
+import { getUnreferencedImageIds } from '@/lib/catalogImages';
+import {
+  getAuthenticatedUser,
+  requireTwoFactorForRoute,
+} from '@/lib/auth-utils';
+import { hasPermission } from '@/lib/permissions';
+import { recordAudit } from '@/lib/audit';
 import { applyRateLimit } from '@/backend/rateLimiter';
 import { sanitizeTemplateInputsStrict } from '@/utils/sanitizers/sanitizeTemplateInputs';
 import {
@@ -132,6 +138,39 @@ export async function PUT(request, { params }) {
       );
     }
 
+    if (!hasPermission(user.role, 'catalog:update')) {
+      const responseTime = Date.now() - startTime;
+      const headers = createResponseHeaders(requestId, responseTime, id);
+
+      logger.warn('Forbidden edit attempt', {
+        requestId,
+        userId: user.id,
+        role: user.role,
+        templateId: id,
+      });
+
+      trackAuth(
+        'forbidden_edit_attempt',
+        {
+          templateId: id,
+        },
+        'warning',
+      );
+
+      return NextResponse.json(
+        {
+          success: false,
+          error: 'Insufficient permissions',
+          message: 'Your role does not allow this action',
+        },
+        { status: 403, headers },
+      );
+    }
+
+    // 2FA imposée : même règle que le layout du dashboard
+    const twoFactorResponse = await requireTwoFactorForRoute(user, requestId);
+    if (twoFactorResponse) return twoFactorResponse;
+
     let body;
     try {
       body = await request.json();
@@ -262,8 +301,12 @@ export async function PUT(request, { params }) {
       Array.isArray(oldImageIds) &&
       sanitizedTemplateImageIds
     ) {
-      const imagesToDelete = oldImageIds.filter(
-        (oldId) => !sanitizedTemplateImageIds.includes(oldId),
+      // Images encore utilisées ailleurs (copie du template) : conservées
+      const imagesToDelete = await getUnreferencedImageIds(
+        oldImageIds.filter(
+          (oldId) => !sanitizedTemplateImageIds.includes(oldId),
+        ),
+        { exceptTemplateId: id, requestId },
       );
 
       imagesToDelete.forEach((imageId) => {
@@ -285,6 +328,7 @@ export async function PUT(request, { params }) {
     }
 
     let result;
+    let previousTemplate;
     try {
       const updateFields = [];
       const updateValues = [];
@@ -331,6 +375,13 @@ export async function PUT(request, { params }) {
         RETURNING *
       `;
 
+      // État avant modification (journal d'audit)
+      const previousResult = await client.query(
+        `SELECT * FROM catalog.templates WHERE template_id = $1`,
+        [id],
+      );
+      previousTemplate = previousResult.rows[0];
+
       result = await client.query(queryText, updateValues);
 
       if (result.rows.length === 0) {
@@ -400,6 +451,16 @@ export async function PUT(request, { params }) {
       userId: user.id,
     });
 
+    await recordAudit({
+      actor: user,
+      action: 'update',
+      entityType: 'template',
+      entityId: id,
+      before: previousTemplate,
+      after: updatedTemplate,
+      requestId,
+    });
+
     return NextResponse.json(
       {
         success: true,
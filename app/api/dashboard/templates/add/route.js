@@ -1,7 +1,12 @@
 // app/api/dashboard/templates/add/route.js
 import { NextResponse } from 'next/server';
 import { getClient } from '@/backend/dbConnect';
-import { getAuthenticatedUser } from '@/lib/auth-utils';
+import {
+  getAuthenticatedUser,
+  requireTwoFactorForRoute,
+} from '@/lib/auth-utils';
+import { hasPermission } from '@/lib/permissions';
+import { recordAudit } from '@/lib/audit';
 import { applyRateLimit } from '@/backend/rateLimiter';
 import { sanitizeTemplateInputsStrict } from '@/utils/sanitizers/sanitizeTemplateInputs';
 import { templateAddingSchema } from '@/utils/schemas/templateSchema';
@@ -75,6 +80,32 @@ export async function POST(request) {
       );
     }
 
+    if (!hasPermission(user.role, 'catalog:create')) {
+      const responseTime = Date.now() - startTime;
+      const headers = createResponseHeaders(requestId, responseTime);
+
+      logger.warn('Forbidden add attempt', {
+        requestId,
+        userId: user.id,
+        role: user.role,
+      });
+
+      trackAuth('forbidden_add_attempt', {}, 'warning');
+
+      return NextResponse.json(
+        {
+          success: false,
+          error: 'Insufficient permissions',
+          message: 'Your role does not allow this action',
+        },
+        { status: 403, headers },
+      );
+    }
+
+    // 2FA imposée : même règle que le layout du dashboard
+    const twoFactorResponse = await requireTwoFactorForRoute(user, requestId);
+    if (twoFactorResponse) return twoFactorResponse;
+
     let body;
     try {
       body = await request.json();
@@ -203,7 +234,7 @@ export async function POST(request) {
           template_has_web,
           template_has_mobile
         ) VALUES ($1, $2, $3, $4)
-        RETURNING template_id
+        RETURNING *
       `;
 
       const values = [
@@ -256,6 +287,15 @@ export async function POST(request) {
       userId: user.id,
     });
 
+    await recordAudit({
+      actor: user,
+      action: 'create',
+      entityType: 'template',
+      entityId: newTemplateId,
+      after: result.rows[0],
+      requestId,
+    });
+
     return NextResponse.json(
       {
         success: true,
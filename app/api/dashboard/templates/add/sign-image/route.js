@@ -1,7 +1,11 @@
 // app/api/dashboard/templates/add/sign-image/route.js
 import { NextResponse } from 'next/server';
 import cloudinary from '@/backend/cloudinary';
-import { getAuthenticatedUser } from '@/lib/auth-utils';
+import {
+  getAuthenticatedUser,
+  requireTwoFactorForRoute,
+} from '@/lib/auth-utils';
+import { hasPermission } from '@/lib/permissions';
 import { applyRateLimit } from '@/backend/rateLimiter';
 import logger from '@/utils/logger';
 import { trackAuth, trackAPI, trackDatabaseError } from '@/utils/monitoring';
@@ -45,6 +49,25 @@ export async function POST(request) {
       );
     }
 
+    if (!hasPermission(user.role, 'catalog:create')) {
+      logger.warn('Forbidden signature request', {
+        requestId,
+        userId: user.id,
+        role: user.role,
+      });
+
+      trackAuth('forbidden_signature_request', {}, 'warning');
+
+      return NextResponse.json(
+        { error: 'Insufficient permissions' },
+        { status: 403 },
+      );
+    }
+
+    // 2FA imposée : même règle que le layout du dashboard
+    const twoFactorResponse = await requireTwoFactorForRoute(user, requestId);
+    if (twoFactorResponse) return twoFactorResponse;
+
     // 3. Parse body
     const body = await request.json();
     const { paramsToSign } = body;
@@ -0,0 +1,130 @@
+'use server';
+
+import { headers } from 'next/headers';
+import { query } from '@/backend/dbConnect';
+import { auth } from '@/lib/auth';
+import { recordAudit } from '@/lib/audit';
+import logger from '@/utils/logger';
+import { trackAuth, trackDatabaseError } from '@/utils/monitoring';
+
+function handleActionError(error, action, context, message) {
+  logger.error(`Error during account action: ${action}`, {
+    error: error.message,
+    ...context,
+  });
+
+  trackDatabaseError(error, `account_${action}`, context);
+
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error(message);
+  }
+  throw error;
+}
+
+// Pas de permission RBAC : chaque admin ne gère que ses propres sessions
+async function getCurrentSession() {
+  const session = await auth.api.getSession({ headers: await headers() });
+
+  if (!session?.user?.id) {
+    throw new Error('Authentication required for this action');
+  }
+
+  return session;
+}
+
+/**
+ * Révoquer une autre session du compte connecté
+ */
+export async function revokeAccountSession(sessionId) {
+  const requestId = crypto.randomUUID();
+
+  try {
+    const session = await getCurrentSession();
+
+    if (typeof sessionId !== 'string' || !sessionId) {
+      throw new Error(`Invalid session ID: ${sessionId}`);
+    }
+
+    if (sessionId === session.session.id) {
+      throw new Error('Use logout to end the current session');
+    }
+
+    const result = await query(
+      `DELETE FROM admin."session" WHERE id = $1 AND "userId" = $2`,
+      [sessionId, session.user.id],
+    );
+
+    if (result.rowCount === 0) {
+      throw new Error(`Session not found: ${sessionId}`);
+    }
+
+    logger.info('Account session revoked', {
+      requestId,
+      userId: session.user.id,
+    });
+
+    trackAuth('account_session_revoked');
+
+    await recordAudit({
+      actor: session.user,
+      action: 'revoke_sessions',
+      entityType: 'user',
+      entityId: session.user.id,
+      after: { revokedSessions: 1 },
+      requestId,
+    });
+
+    return { success: true };
+  } catch (error) {
+    return handleActionError(
+      error,
+      'revoke_session',
+      { requestId },
+      'An error occurred while revoking the session. Please try again.',
+    );
+  }
+}
+
+/**
+ * Révoquer toutes les autres sessions du compte connecté
+ */
+export async function revokeOtherAccountSessions() {
+  const requestId = crypto.randomUUID();
+
+  try {
+    const session = await getCurrentSession();
+
+    const result = await query(
+      `DELETE FROM admin."session" WHERE "userId" = $1 AND id <> $2`,
+      [session.user.id, session.session.id],
+    );
+
+    logger.info('Other account sessions revoked', {
+      requestId,
+      userId: session.user.id,
+      revokedSessions: result.rowCount,
+    });
+
+    trackAuth('account_other_sessions_revoked', {
+      revokedSessions: result.rowCount,
+    });
+
+    await recordAudit({
+      actor: session.user,
+      action: 'revoke_sessions',
+      entityType: 'user',
+      entityId: session.user.id,
+      after: { revokedSessions: result.rowCount },
+      requestId,
+    });
+
+    return { success: true, revokedSessions: result.rowCount };
+  } catch (error) {
+    return handleActionError(
+      error,
+      'revoke_other_sessions',
+      { requestId },
+      'An error occurred while revoking sessions. Please try again.',
+    );
+  }
+}
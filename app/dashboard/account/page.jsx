@@ -0,0 +1,129 @@
+// app/dashboard/account/page.jsx
+import AccountSettings from '@/ui/pages/account/AccountSettings';
+import { redirect } from 'next/navigation';
+import { headers } from 'next/headers';
+import { auth } from '@/lib/auth';
+import { query } from '@/backend/dbConnect';
+import { anonymizeIp } from '@/backend/rateLimiter';
+import logger from '@/utils/logger';
+import {
+  trackAuth,
+  trackDatabase,
+  trackDatabaseError,
+} from '@/utils/monitoring';
+
+export const revalidate = 0;
+export const dynamic = 'force-dynamic';
+
+// Libellé lisible à partir du User-Agent (navigateur + système)
+function describeDevice(userAgent) {
+  if (!userAgent) return 'Unknown device';
+
+  const browser =
+    [
+      ['Edg/', 'Edge'],
+      ['OPR/', 'Opera'],
+      ['Firefox/', 'Firefox'],
+      ['Chrome/', 'Chrome'],
+      ['Safari/', 'Safari'],
+    ].find(([token]) => userAgent.includes(token))?.[1] || 'Browser';
+
+  const os =
+    [
+      ['iPhone', 'iOS'],
+      ['iPad', 'iPadOS'],
+      ['Android', 'Android'],
+      ['Windows', 'Windows'],
+      ['Mac OS X', 'macOS'],
+      ['Linux', 'Linux'],
+    ].find(([token]) => userAgent.includes(token))?.[1] || 'Unknown OS';
+
+  return `${browser} on ${os}`;
+}
+
+async function getSessionsFromDatabase(userId) {
+  const startTime = Date.now();
+  const requestId = crypto.randomUUID();
+
+  try {
+    const sessionsQuery = `
+      SELECT id, "ipAddress", "userAgent", "createdAt", "updatedAt"
+      FROM admin."session"
+      WHERE "userId" = $1 AND "expiresAt" > NOW()
+      ORDER BY "updatedAt" DESC
+    `;
+
+    const result = await query(sessionsQuery, [userId]);
+
+    const sessions = result.rows.map((session) => ({
+      id: session.id,
+      device: describeDevice(session.userAgent),
+      ip_address: anonymizeIp(session.ipAddress),
+      created_at: session.createdAt,
+      last_active: session.updatedAt,
+    }));
+
+    trackDatabase('account_sessions_fetched', {
+      sessionCount: sessions.length,
+      durationMs: Date.now() - startTime,
+    });
+
+    return sessions;
+  } catch (error) {
+    logger.error('Global Account Sessions Error', {
+      error: error.message,
+      durationMs: Date.now() - startTime,
+      requestId,
+    });
+
+    trackDatabaseError(error, 'account_sessions_fetch_global', {
+      requestId,
+      critical: 'true',
+    });
+
+    return [];
+  }
+}
+
+/**
+ * ACCOUNT PAGE - Server Component
+ *
+ * Paramètres du compte connecté (tous les rôles) : profil, mot de passe,
+ * email (avec vérification) et sessions actives.
+ */
+export default async function AccountPage({ searchParams }) {
+  const session = await auth.api.getSession({ headers: await headers() });
+
+  if (!session?.user) {
+    trackAuth('unauthenticated_account_access', {}, 'warning');
+    redirect('/login');
+  }
+
+  const params = await searchParams;
+  const sessions = await getSessionsFromDatabase(session.user.id);
+
+  logger.info('Account page rendered', {
+    sessionCount: sessions.length,
+    userId: session.user.id,
+  });
+
+  return (
+    <AccountSettings
+      user={{
+        name: session.user.name || '',
+        email: session.user.email,
+        image: session.user.image || '',
+        email_verified: Boolean(session.user.emailVerified),
+        two_factor_enabled: Boolean(session.user.twoFactorEnabled),
+      }}
+      sessions={sessions}
+      currentSessionId={session.session.id}
+      emailChangeError={typeof params?.error === 'string' ? params.error : null}
+    />
+  );
+}
+
+export const metadata = {
+  title: 'My Account | Benew Admin',
+  robots: 'noindex, nofollow',
+};
@@ -0,0 +1,8 @@
+// app/dashboard/applications/[id]/edit/layout.jsx
+import { requirePagePermission } from '@/lib/auth-utils';
+
+export default async function EditApplicationLayout({ children }) {
+  await requirePagePermission('catalog:update');
+
+  return children;
+}
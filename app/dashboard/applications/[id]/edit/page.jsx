@@ -98,6 +98,10 @@ async function getApplicationForEditFromDatabase(applicationId) {
           created_at,
           sales_count,
           is_active,
+          application_status,
+          application_publish_at,
+          application_unpublish_at,
+          application_published_at,
           updated_at
         FROM catalog.applications 
         WHERE application_id = $1
@@ -152,6 +156,10 @@ async function getApplicationForEditFromDatabase(applicationId) {
       created_at: application.created_at,
       sales_count: parseInt(application.sales_count) || 0,
       is_active: Boolean(application.is_active),
+      application_status: application.application_status,
+      application_publish_at: application.application_publish_at,
+      application_unpublish_at: application.application_unpublish_at,
+      application_published_at: application.application_published_at,
       updated_at: application.updated_at,
     };
 
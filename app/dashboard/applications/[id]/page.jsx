@@ -1,8 +1,11 @@
 // app/dashboard/applications/[id]/page.jsx - UPDATED WITH notFound()
 import SingleApplication from '@/ui/pages/applications/SingleApplication';
+import EntityHistory from '@/ui/components/dashboard/EntityHistory';
 import { redirect, notFound } from 'next/navigation';
 import { headers } from 'next/headers';
 import { auth } from '@/lib/auth';
+import { hasPermission } from '@/lib/permissions';
+import { getApplicationRevisions } from '@/lib/applicationRevisions';
 import { getClient } from '@/backend/dbConnect';
 import logger from '@/utils/logger';
 import {
@@ -98,6 +101,10 @@ async function getApplicationFromDatabase(applicationId) {
           created_at,
           sales_count,
           is_active,
+          application_status,
+          application_publish_at,
+          application_unpublish_at,
+          application_published_at,
           updated_at
         FROM catalog.applications 
         WHERE application_id = $1
@@ -152,6 +159,10 @@ async function getApplicationFromDatabase(applicationId) {
       created_at: application.created_at,
       sales_count: parseInt(application.sales_count) || 0,
       is_active: Boolean(application.is_active),
+      application_status: application.application_status,
+      application_publish_at: application.application_publish_at,
+      application_unpublish_at: application.application_unpublish_at,
+      application_published_at: application.application_published_at,
       updated_at: application.updated_at,
     };
 
@@ -194,6 +205,25 @@ async function getApplicationFromDatabase(applicationId) {
   }
 }
 
+/**
+ * Révisions de l'application (liste vide en cas d'erreur : la page reste
+ * consultable)
+ */
+async function getRevisions(applicationId) {
+  try {
+    return await getApplicationRevisions(applicationId);
+  } catch (error) {
+    logger.error('Error fetching application revisions', {
+      error: error.message,
+      applicationId,
+    });
+    trackDatabaseError(error, 'application_revisions_fetch', {
+      applicationId,
+    });
+    return [];
+  }
+}
+
 /**
  * Server Component - Page Single Application
  */
@@ -225,6 +255,8 @@ export default async function SingleApplicationPage({ params }) {
       notFound();
     }
 
+    const revisions = await getRevisions(application.application_id);
+
     // ===== 4. RENDER =====
     logger.info('Single application page rendered', {
       applicationId: application.application_id,
@@ -232,7 +264,20 @@ export default async function SingleApplicationPage({ params }) {
       userId: session.user.id,
     });
 
-    return <SingleApplication data={application} />;
+    return (
+      <EntityHistory
+        entityType="application"
+        entityId={application.application_id}
+        canViewHistory={hasPermission(session.user.role, 'audit:view')}
+      >
+        <SingleApplication
+          data={application}
+          revisions={revisions}
+          canRestore={hasPermission(session.user.role, 'catalog:update')}
+          canDuplicate={hasPermission(session.user.role, 'catalog:create')}
+        />
+      </EntityHistory>
+    );
   } catch (error) {
     // ✅ Gestion des redirects Next.js
     if (
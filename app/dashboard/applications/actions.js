@@ -3,7 +3,31 @@
 import { getClient } from '@/backend/dbConnect';
 import { headers } from 'next/headers';
 import { auth } from '@/lib/auth';
+import { hasPermission } from '@/lib/permissions';
+import { authorizeServerAction } from '@/lib/auth-utils';
+import {
+  ApplicationRevisionError,
+  restoreApplicationRevision,
+} from '@/lib/applicationRevisions';
+import {
+  CatalogDuplicateError,
+  duplicateApplication,
+} from '@/lib/catalogDuplicates';
+import {
+  runCatalogBulkActive,
+  runCatalogBulkDelete,
+} from '@/lib/catalogBulkActions';
 import { checkServerActionRateLimit } from '@/backend/rateLimiter';
+import { buildCatalogFilterQuery } from '@/backend/catalogFilters';
+import {
+  appendCondition,
+  buildKeysetQuery,
+  paginateRows,
+} from '@/backend/pagination';
+import {
+  applicationDuplicateSchema,
+  applicationRevisionRestoreSchema,
+} from '@/utils/schemas/applicationSchema';
 import logger from '@/utils/logger';
 import {
   trackAuth,
@@ -11,95 +35,14 @@ import {
   trackDatabaseError,
 } from '@/utils/monitoring';
 
-/**
- * Validation des filtres
- */
-function validateFilters(filters = {}) {
-  const validated = {};
-  const allowedFields = ['application_name', 'category', 'level', 'status'];
-
-  for (const [key, value] of Object.entries(filters)) {
-    if (!allowedFields.includes(key)) continue;
-
-    switch (key) {
-      case 'application_name':
-        if (typeof value === 'string' && value.trim().length >= 2) {
-          validated[key] = value.trim().substring(0, 100);
-        }
-        break;
-
-      case 'category':
-        if (Array.isArray(value)) {
-          const allowedCategories = ['mobile', 'web'];
-          validated[key] = value.filter((v) => allowedCategories.includes(v));
-        }
-        break;
-
-      case 'level':
-        if (Array.isArray(value)) {
-          const allowedLevels = ['1', '2', '3', '4', '5'];
-          validated[key] = value.filter((v) => allowedLevels.includes(v));
-        }
-        break;
-
-      case 'status':
-        if (Array.isArray(value)) {
-          const allowedStatuses = ['true', 'false'];
-          validated[key] = value.filter((v) => allowedStatuses.includes(v));
-        }
-        break;
-    }
-  }
-
-  return validated;
-}
-
-/**
- * Construction de la clause WHERE
- */
-function buildWhereClause(filters) {
-  const conditions = [];
-  const values = [];
-  let paramCount = 1;
-
-  if (filters.application_name) {
-    conditions.push(`application_name ILIKE $${paramCount}`);
-    values.push(`%${filters.application_name}%`);
-    paramCount++;
-  }
-
-  if (filters.category?.length > 0) {
-    const placeholders = filters.category
-      .map(() => `$${paramCount++}`)
-      .join(', ');
-    conditions.push(`application_category IN (${placeholders})`);
-    values.push(...filters.category);
-  }
-
-  if (filters.level?.length > 0) {
-    const placeholders = filters.level.map(() => `$${paramCount++}`).join(', ');
-    conditions.push(`application_level IN (${placeholders})`);
-    values.push(...filters.level.map((l) => parseInt(l)));
-  }
-
-  if (filters.status?.length > 0) {
-    const placeholders = filters.status
-      .map(() => `$${paramCount++}`)
-      .join(', ');
-    conditions.push(`is_active IN (${placeholders})`);
-    values.push(...filters.status.map((s) => s === 'true'));
-  }
-
-  const whereClause =
-    conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
-
-  return { whereClause, values };
-}
-
 /**
  * Server Action - Filtrer les applications
+ *
+ * @param {Object} filters - Filtres de recherche
+ * @param {Object} listParams - Tri, taille de page et curseur (utils/pagination)
+ * @returns {Promise<{ applications: Array, pageInfo: Object }>}
  */
-export async function getFilteredApplications(filters = {}) {
+export async function getFilteredApplications(filters = {}, listParams = {}) {
   let client;
   const startTime = Date.now();
 
@@ -114,6 +57,11 @@ export async function getFilteredApplications(filters = {}) {
       throw new Error('Authentication required');
     }
 
+    if (!hasPermission(session.user.role, 'catalog:view')) {
+      trackAuth('forbidden_filter_attempt', {}, 'warning');
+      throw new Error('You do not have permission to perform this action');
+    }
+
     // ✅ Rate limiting basé sur userId (Server Action)
     const rateLimitKey = `filter_applications:${session.user.id}`;
     const isRateLimited = await checkServerActionRateLimit(rateLimitKey, {
@@ -127,7 +75,11 @@ export async function getFilteredApplications(filters = {}) {
     }
 
     // Validation des filtres
-    const validatedFilters = validateFilters(filters);
+    const {
+      filters: validatedFilters,
+      whereClause,
+      values,
+    } = buildCatalogFilterQuery('applications', filters);
 
     logger.info('Filtering applications', {
       userId: session.user.id,
@@ -138,7 +90,11 @@ export async function getFilteredApplications(filters = {}) {
     client = await getClient();
 
     // Construction requête
-    const { whereClause, values } = buildWhereClause(validatedFilters);
+    const keyset = buildKeysetQuery(
+      'applications',
+      listParams,
+      values.length + 1,
+    );
 
     const query = `
       SELECT 
@@ -151,23 +107,33 @@ export async function getFilteredApplications(filters = {}) {
         application_link, 
         application_level,
         is_active,
+        application_status,
+        application_publish_at,
+        application_unpublish_at,
         created_at,
         sales_count,
-        updated_at
+        updated_at,
+        ${keyset.sortSelect}
       FROM catalog.applications
-      ${whereClause}
-      ORDER BY created_at DESC
-      LIMIT 1000
+      ${appendCondition(whereClause, keyset.condition)}
+      ${keyset.orderBy}
+      LIMIT ${keyset.limit}
     `;
 
-    const result = await client.query(query, values);
+    const result = await client.query(query, [...values, ...keyset.values]);
+    const countResult = await client.query(
+      `SELECT COUNT(*) AS total FROM catalog.applications ${whereClause}`,
+      values,
+    );
 
-    if (!result || !Array.isArray(result.rows)) {
-      await client.cleanup();
-      return [];
-    }
+    const { rows, pageInfo } = paginateRows(
+      result.rows,
+      keyset,
+      'application_id',
+      parseInt(countResult.rows[0].total, 10) || 0,
+    );
 
-    const applications = result.rows.map((app) => ({
+    const applications = rows.map((app) => ({
       application_id: app.application_id,
       application_name: app.application_name || '[No Name]',
       application_images: app.application_images || [],
@@ -177,6 +143,9 @@ export async function getFilteredApplications(filters = {}) {
       application_link: app.application_link,
       application_level: app.application_level || 1,
       is_active: Boolean(app.is_active),
+      application_status: app.application_status,
+      application_publish_at: app.application_publish_at,
+      application_unpublish_at: app.application_unpublish_at,
       sales_count: parseInt(app.sales_count) || 0,
       created_at: app.created_at,
       updated_at: app.updated_at,
@@ -197,7 +166,7 @@ export async function getFilteredApplications(filters = {}) {
     });
 
     await client.cleanup();
-    return applications;
+    return { applications, pageInfo };
   } catch (error) {
     const responseTime = Date.now() - startTime;
 
@@ -222,3 +191,151 @@ export async function getFilteredApplications(filters = {}) {
     }
   }
 }
+
+/**
+ * Restaurer une révision d'une application
+ * Le contenu restauré repasse par les règles de la route d'édition.
+ *
+ * @param {string} applicationId
+ * @param {string} revisionId
+ * @returns {Promise<{ success: boolean, error?: string }>}
+ */
+export async function rollbackApplication(applicationId, revisionId) {
+  const startTime = Date.now();
+  let requestId;
+
+  try {
+    const { session, requestId: authRequestId } =
+      await authorizeServerAction('catalog:update');
+    requestId = authRequestId;
+
+    const validated = await applicationRevisionRestoreSchema.validate(
+      { applicationId, revisionId },
+      { stripUnknown: true },
+    );
+
+    await restoreApplicationRevision(
+      validated.applicationId.toLowerCase(),
+      validated.revisionId.toLowerCase(),
+      { actor: session.user, requestId },
+    );
+
+    trackDatabase('application_revision_restored', {
+      applicationId: validated.applicationId,
+      durationMs: Date.now() - startTime,
+    });
+
+    return { success: true };
+  } catch (error) {
+    // Révision devenue invalide : message du schéma d'édition
+    if (error.name === 'ValidationError') {
+      return { success: false, error: error.errors?.[0] || error.message };
+    }
+
+    if (error instanceof ApplicationRevisionError) {
+      return { success: false, error: error.message };
+    }
+
+    logger.error('Error restoring application revision', {
+      error: error.message,
+      requestId: requestId || 'unknown',
+      applicationId,
+      revisionId,
+      durationMs: Date.now() - startTime,
+    });
+
+    trackDatabaseError(error, 'restore_application_revision', {
+      requestId: requestId || 'unknown',
+      applicationId,
+    });
+
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error(
+        'An error occurred while restoring the revision. Please try again.',
+      );
+    }
+    throw error;
+  }
+}
+
+/**
+ * Dupliquer une application (brouillon)
+ *
+ * @param {string} applicationId
+ * @param {boolean} copyImages - Recopier les images sur Cloudinary
+ * @returns {Promise<{ success: boolean, error?: string, applicationId?: string }>}
+ */
+export async function createApplicationCopy(applicationId, copyImages = false) {
+  const startTime = Date.now();
+  let requestId;
+
+  try {
+    const { session, requestId: authRequestId } =
+      await authorizeServerAction('catalog:create');
+    requestId = authRequestId;
+
+    const validated = await applicationDuplicateSchema.validate(
+      { applicationId, copyImages },
+      { stripUnknown: true },
+    );
+
+    const copy = await duplicateApplication(
+      validated.applicationId.toLowerCase(),
+      {
+        copyImages: validated.copyImages,
+        actor: session.user,
+        requestId,
+      },
+    );
+
+    trackDatabase('application_duplicated', {
+      applicationId: validated.applicationId,
+      copyImages: validated.copyImages,
+      durationMs: Date.now() - startTime,
+    });
+
+    return { success: true, applicationId: copy.application_id };
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return { success: false, error: error.errors?.[0] || error.message };
+    }
+
+    if (error instanceof CatalogDuplicateError) {
+      return { success: false, error: error.message };
+    }
+
+    logger.error('Error duplicating application', {
+      error: error.message,
+      requestId: requestId || 'unknown',
+      applicationId,
+      durationMs: Date.now() - startTime,
+    });
+
+    trackDatabaseError(error, 'duplicate_application', {
+      requestId: requestId || 'unknown',
+      applicationId,
+    });
+
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error(
+        'An error occurred while duplicating the application. Please try again.',
+      );
+    }
+    throw error;
+  }
+}
+
+/**
+ * Activer ou désactiver plusieurs applications (publier / archiver)
+ * Tout ou rien, voir lib/catalogBulk.js
+ */
+export async function bulkUpdateApplicationsActive(ids, active) {
+  return runCatalogBulkActive('application', ids, active);
+}
+
+/**
+ * Supprimer plusieurs applications (inactives, sans vente)
+ */
+export async function bulkDeleteApplications(ids) {
+  return runCatalogBulkDelete('application', ids);
+}
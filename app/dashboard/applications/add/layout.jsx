@@ -0,0 +1,8 @@
+// app/dashboard/applications/add/layout.jsx
+import { requirePagePermission } from '@/lib/auth-utils';
+
+export default async function AddApplicationLayout({ children }) {
+  await requirePagePermission('catalog:create');
+
+  return children;
+}
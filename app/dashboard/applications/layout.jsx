@@ -0,0 +1,8 @@
+// app/dashboard/applications/layout.jsx
+import { requirePagePermission } from '@/lib/auth-utils';
+
+export default async function ApplicationsLayout({ children }) {
+  await requirePagePermission('catalog:view');
+
+  return children;
+}
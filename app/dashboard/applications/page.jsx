@@ -4,6 +4,13 @@ import { redirect } from 'next/navigation';
 import { headers } from 'next/headers';
 import { auth } from '@/lib/auth';
 import { query } from '@/backend/dbConnect';
+import { buildCatalogFilterQuery } from '@/backend/catalogFilters';
+import {
+  appendCondition,
+  buildKeysetQuery,
+  paginateRows,
+} from '@/backend/pagination';
+import { parseListFilters } from '@/utils/pagination';
 import logger from '@/utils/logger';
 import {
   trackAuth,
@@ -15,12 +22,24 @@ export const revalidate = 0;
 export const dynamic = 'force-dynamic';
 
 /**
- * Récupérer les applications depuis la base de données
+ * Récupérer une page d'applications depuis la base de données
+ * @param {Object} listParams - Tri, taille de page, curseur et filtres (URL)
  */
-async function getApplicationsFromDatabase() {
+async function getApplicationsFromDatabase(listParams) {
   const startTime = Date.now();
 
   try {
+    // Mêmes filtres que getFilteredApplications : liste et total cohérents
+    const { filters, whereClause, values } = buildCatalogFilterQuery(
+      'applications',
+      parseListFilters('applications', listParams),
+    );
+    const keyset = buildKeysetQuery(
+      'applications',
+      listParams,
+      values.length + 1,
+    );
+
     const applicationsQuery = `
       SELECT 
         application_id, 
@@ -32,21 +51,40 @@ async function getApplicationsFromDatabase() {
         application_link, 
         application_level,
         is_active,
+        application_status,
+        application_publish_at,
+        application_unpublish_at,
         created_at,
         sales_count,
-        updated_at
+        updated_at,
+        ${keyset.sortSelect}
       FROM catalog.applications
-      ORDER BY created_at DESC
+      ${appendCondition(whereClause, keyset.condition)}
+      ${keyset.orderBy}
+      LIMIT ${keyset.limit}
     `;
 
-    const result = await query(applicationsQuery);
+    const [result, countResult] = await Promise.all([
+      query(applicationsQuery, [...values, ...keyset.values]),
+      query(
+        `SELECT COUNT(*) AS total FROM catalog.applications ${whereClause}`,
+        values,
+      ),
+    ]);
 
     if (!result || !Array.isArray(result.rows)) {
       logger.warn('Invalid data structure from applications query');
-      return [];
+      return { applications: [], pageInfo: null, filters: {} };
     }
 
-    const applications = result.rows.map((app) => ({
+    const { rows, pageInfo } = paginateRows(
+      result.rows,
+      keyset,
+      'application_id',
+      parseInt(countResult.rows[0].total, 10) || 0,
+    );
+
+    const applications = rows.map((app) => ({
       application_id: app.application_id,
       application_name: app.application_name || '[No Name]',
       application_images: app.application_images || [],
@@ -56,6 +94,9 @@ async function getApplicationsFromDatabase() {
       application_link: app.application_link,
       application_level: app.application_level || 1,
       is_active: Boolean(app.is_active),
+      application_status: app.application_status,
+      application_publish_at: app.application_publish_at,
+      application_unpublish_at: app.application_unpublish_at,
       sales_count: parseInt(app.sales_count) || 0,
       created_at: app.created_at,
       updated_at: app.updated_at,
@@ -73,7 +114,7 @@ async function getApplicationsFromDatabase() {
       durationMs: responseTime,
     });
 
-    return applications;
+    return { applications, pageInfo, filters };
   } catch (error) {
     const responseTime = Date.now() - startTime;
 
@@ -86,14 +127,14 @@ async function getApplicationsFromDatabase() {
       durationMs: responseTime,
     });
 
-    return [];
+    return { applications: [], pageInfo: null, filters: {} };
   }
 }
 
 /**
  * Server Component - Page Applications
  */
-export default async function ApplicationsPage() {
+export default async function ApplicationsPage({ searchParams }) {
   try {
     // Vérification session
     const session = await auth.api.getSession({
@@ -105,15 +146,22 @@ export default async function ApplicationsPage() {
       redirect('/login');
     }
 
-    // Récupération des applications
-    const applications = await getApplicationsFromDatabase();
+    // Récupération des applications (tri, page et filtres depuis l'URL)
+    const { applications, pageInfo, filters } =
+      await getApplicationsFromDatabase(await searchParams);
 
     logger.info('Applications page rendered', {
       count: applications.length,
       userId: session.user.id,
     });
 
-    return <ApplicationsList data={applications} />;
+    return (
+      <ApplicationsList
+        data={applications}
+        pageInfo={pageInfo}
+        filters={filters}
+      />
+    );
   } catch (error) {
     logger.error('Applications page error', {
       error: error.message,
@@ -122,7 +170,7 @@ export default async function ApplicationsPage() {
     trackDatabaseError(error, 'applications_page_render');
 
     // Fallback avec données vides
-    return <ApplicationsList data={[]} />;
+    return <ApplicationsList data={[]} pageInfo={null} />;
   }
 }
 
@@ -0,0 +1,112 @@
+'use server';
+
+import { listAuditEntries } from '@/lib/audit';
+import { authorizeServerAction } from '@/lib/auth-utils';
+import logger from '@/utils/logger';
+import { trackDatabase, trackDatabaseError } from '@/utils/monitoring';
+import {
+  auditEntitySchema,
+  auditFiltersSchema,
+} from '@/utils/schemas/auditSchema';
+
+function handleActionError(error, action, context, message) {
+  logger.error(`Error during audit action: ${action}`, {
+    error: error.message,
+    ...context,
+  });
+
+  trackDatabaseError(error, `audit_${action}`, context);
+
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error(message);
+  }
+  throw error;
+}
+
+/**
+ * Récupérer une page du journal d'audit filtré
+ * @param {Object} filters - actor, action, entityType, entityId, dateFrom, dateTo
+ * @param {Object} listParams - Tri, taille de page et curseur (after/before)
+ */
+export async function getFilteredAuditLog(filters = {}, listParams = {}) {
+  const startTime = Date.now();
+  let requestId;
+
+  try {
+    const { session, requestId: authRequestId } =
+      await authorizeServerAction('audit:view');
+    requestId = authRequestId;
+
+    const validatedFilters = await auditFiltersSchema.validate(filters, {
+      stripUnknown: true,
+    });
+
+    const result = await listAuditEntries(validatedFilters, listParams);
+
+    logger.info('Audit log filtered', {
+      requestId,
+      userId: session.user.id,
+      entryCount: result.entries.length,
+      totalCount: result.total,
+      durationMs: Date.now() - startTime,
+    });
+
+    trackDatabase('audit_log_filtered', {
+      entryCount: result.entries.length,
+      durationMs: Date.now() - startTime,
+    });
+
+    return result;
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return {
+        entries: [],
+        total: 0,
+        pageInfo: null,
+        error: error.errors?.[0],
+      };
+    }
+
+    return handleActionError(
+      error,
+      'filter',
+      { requestId: requestId || 'unknown' },
+      'An error occurred while loading the audit log. Please try again.',
+    );
+  }
+}
+
+/**
+ * Historique d'une entité (onglet History des pages de détail)
+ * Première page seulement : la suite est dans le journal d'audit filtré.
+ */
+export async function getEntityAuditHistory(entityType, entityId) {
+  let requestId;
+
+  try {
+    const { requestId: authRequestId } =
+      await authorizeServerAction('audit:view');
+    requestId = authRequestId;
+
+    const filters = await auditEntitySchema.validate(
+      { entityType, entityId },
+      { stripUnknown: true },
+    );
+
+    const { entries } = await listAuditEntries(filters);
+
+    trackDatabase('entity_audit_history_fetched', {
+      entityType,
+      entryCount: entries.length,
+    });
+
+    return { success: true, entries };
+  } catch (error) {
+    return handleActionError(
+      error,
+      'entity_history',
+      { requestId: requestId || 'unknown', entityType, entityId },
+      'An error occurred while loading the history. Please try again.',
+    );
+  }
+}
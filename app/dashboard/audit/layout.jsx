@@ -0,0 +1,8 @@
+// app/dashboard/audit/layout.jsx
+import { requirePagePermission } from '@/lib/auth-utils';
+
+export default async function AuditLayout({ children }) {
+  await requirePagePermission('audit:view');
+
+  return children;
+}
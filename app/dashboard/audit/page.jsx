@@ -0,0 +1,104 @@
+// app/dashboard/audit/page.jsx
+import AuditLog from '@/ui/pages/audit/AuditLog';
+import { redirect } from 'next/navigation';
+import { headers } from 'next/headers';
+import { auth } from '@/lib/auth';
+import { listAuditEntries } from '@/lib/audit';
+import { auditFiltersSchema } from '@/utils/schemas/auditSchema';
+import { parseListFilters } from '@/utils/pagination';
+import logger from '@/utils/logger';
+import {
+  trackAuth,
+  trackDatabase,
+  trackDatabaseError,
+} from '@/utils/monitoring';
+
+export const revalidate = 0;
+export const dynamic = 'force-dynamic';
+
+// Filtres initiaux depuis l'URL (ex: lien "View in audit log" de l'onglet
+// History) : valeurs brutes pour le formulaire, valeurs validées pour la requête
+async function getInitialFilters(searchParams) {
+  const rawFilters = parseListFilters('audit', searchParams);
+
+  try {
+    const filters = await auditFiltersSchema.validate(rawFilters, {
+      stripUnknown: true,
+    });
+
+    return { rawFilters, filters };
+  } catch {
+    return { rawFilters: {}, filters: {} };
+  }
+}
+
+async function getAuditLogFromDatabase(filters, listParams) {
+  const startTime = Date.now();
+  const requestId = crypto.randomUUID();
+
+  try {
+    const result = await listAuditEntries(filters, listParams);
+
+    logger.info('Audit log fetch successful', {
+      entryCount: result.entries.length,
+      totalCount: result.total,
+      durationMs: Date.now() - startTime,
+      requestId,
+    });
+
+    trackDatabase('audit_log_fetched', {
+      entryCount: result.entries.length,
+      durationMs: Date.now() - startTime,
+    });
+
+    return result;
+  } catch (error) {
+    logger.error('Global Audit Log Error', {
+      error: error.message,
+      durationMs: Date.now() - startTime,
+      requestId,
+    });
+
+    trackDatabaseError(error, 'audit_log_fetch_global', {
+      requestId,
+      critical: 'true',
+    });
+
+    return { entries: [], total: 0, pageInfo: null };
+  }
+}
+
+export default async function AuditPage({ searchParams }) {
+  const session = await auth.api.getSession({ headers: await headers() });
+
+  if (!session?.user) {
+    trackAuth('unauthenticated_audit_access', {}, 'warning');
+    redirect('/login');
+  }
+
+  const listParams = await searchParams;
+  const { rawFilters, filters } = await getInitialFilters(listParams);
+  const { entries, total, pageInfo } = await getAuditLogFromDatabase(
+    filters,
+    listParams,
+  );
+
+  logger.info('Audit page rendered', {
+    entryCount: entries.length,
+    userId: session.user.id,
+  });
+
+  return (
+    <AuditLog
+      data={entries}
+      totalEntries={total}
+      pageInfo={pageInfo}
+      initialFilters={rawFilters}
+    />
+  );
+}
+
+export const metadata = {
+  title: 'Audit Log | Benew Admin',
+  robots: 'noindex, nofollow',
+};
@@ -0,0 +1,8 @@
+// app/dashboard/channel/[id]/edit/layout.jsx
+import { requirePagePermission } from '@/lib/auth-utils';
+
+export default async function EditVideoLayout({ children }) {
+  await requirePagePermission('catalog:update');
+
+  return children;
+}
@@ -1,8 +1,10 @@
 // app/dashboard/channel/[id]/page.jsx
 import SingleVideo from '@/ui/pages/channel/SingleVideo';
+import EntityHistory from '@/ui/components/dashboard/EntityHistory';
 import { redirect, notFound } from 'next/navigation';
 import { headers } from 'next/headers';
 import { auth } from '@/lib/auth';
+import { hasPermission } from '@/lib/permissions';
 import { getClient } from '@/backend/dbConnect';
 import logger from '@/utils/logger';
 import {
@@ -207,7 +209,15 @@ export default async function SingleVideoPage({ params }) {
       userId: session.user.id,
     });
 
-    return <SingleVideo data={video} />;
+    return (
+      <EntityHistory
+        entityType="video"
+        entityId={video.video_id}
+        canViewHistory={hasPermission(session.user.role, 'audit:view')}
+      >
+        <SingleVideo data={video} />
+      </EntityHistory>
+    );
   } catch (error) {
     if (
       error.message?.includes('NEXT_REDIRECT') ||
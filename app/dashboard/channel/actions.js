@@ -3,7 +3,18 @@
 import { getClient } from '@/backend/dbConnect';
 import { headers } from 'next/headers';
 import { auth } from '@/lib/auth';
+import { hasPermission } from '@/lib/permissions';
+import {
+  runCatalogBulkActive,
+  runCatalogBulkDelete,
+} from '@/lib/catalogBulkActions';
 import { checkServerActionRateLimit } from '@/backend/rateLimiter';
+import { buildCatalogFilterQuery } from '@/backend/catalogFilters';
+import {
+  appendCondition,
+  buildKeysetQuery,
+  paginateRows,
+} from '@/backend/pagination';
 import logger from '@/utils/logger';
 import {
   trackAuth,
@@ -11,80 +22,14 @@ import {
   trackDatabaseError,
 } from '@/utils/monitoring';
 
-/**
- * Validation des filtres vidéo
- */
-function validateFilters(filters = {}) {
-  const validated = {};
-  const allowedFields = ['video_title', 'category', 'status'];
-
-  for (const [key, value] of Object.entries(filters)) {
-    if (!allowedFields.includes(key)) continue;
-
-    switch (key) {
-      case 'video_title':
-        if (typeof value === 'string' && value.trim().length >= 2) {
-          validated[key] = value.trim().substring(0, 100);
-        }
-        break;
-
-      case 'category':
-        // Texte libre — on sanitize juste la longueur et le type
-        if (typeof value === 'string' && value.trim().length >= 1) {
-          validated[key] = value.trim().substring(0, 100);
-        }
-        break;
-
-      case 'status':
-        if (Array.isArray(value)) {
-          const allowedStatuses = ['true', 'false'];
-          validated[key] = value.filter((v) => allowedStatuses.includes(v));
-        }
-        break;
-    }
-  }
-
-  return validated;
-}
-
-/**
- * Construction de la clause WHERE pour les vidéos
- */
-function buildWhereClause(filters) {
-  const conditions = [];
-  const values = [];
-  let paramCount = 1;
-
-  if (filters.video_title) {
-    conditions.push(`video_title ILIKE $${paramCount}`);
-    values.push(`%${filters.video_title}%`);
-    paramCount++;
-  }
-
-  if (filters.category) {
-    conditions.push(`video_category ILIKE $${paramCount}`);
-    values.push(`%${filters.category}%`);
-    paramCount++;
-  }
-
-  if (filters.status?.length > 0) {
-    const placeholders = filters.status
-      .map(() => `$${paramCount++}`)
-      .join(', ');
-    conditions.push(`is_active IN (${placeholders})`);
-    values.push(...filters.status.map((s) => s === 'true'));
-  }
-
-  const whereClause =
-    conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
-
-  return { whereClause, values };
-}
-
 /**
  * Server Action - Filtrer les vidéos
+ *
+ * @param {Object} filters - Filtres de recherche
+ * @param {Object} listParams - Tri, taille de page et curseur (utils/pagination)
+ * @returns {Promise<{ videos: Array, pageInfo: Object }>}
  */
-export async function getFilteredVideos(filters = {}) {
+export async function getFilteredVideos(filters = {}, listParams = {}) {
   let client;
   const startTime = Date.now();
 
@@ -99,6 +44,11 @@ export async function getFilteredVideos(filters = {}) {
       throw new Error('Authentication required');
     }
 
+    if (!hasPermission(session.user.role, 'catalog:view')) {
+      trackAuth('forbidden_filter_videos_attempt', {}, 'warning');
+      throw new Error('You do not have permission to perform this action');
+    }
+
     // Rate limiting basé sur userId
     const rateLimitKey = `filter_videos:${session.user.id}`;
     const isRateLimited = await checkServerActionRateLimit(rateLimitKey, {
@@ -114,7 +64,11 @@ export async function getFilteredVideos(filters = {}) {
     }
 
     // Validation des filtres
-    const validatedFilters = validateFilters(filters);
+    const {
+      filters: validatedFilters,
+      whereClause,
+      values,
+    } = buildCatalogFilterQuery('videos', filters);
 
     logger.info('Filtering videos', {
       userId: session.user.id,
@@ -125,7 +79,7 @@ export async function getFilteredVideos(filters = {}) {
     client = await getClient();
 
     // Construction requête
-    const { whereClause, values } = buildWhereClause(validatedFilters);
+    const keyset = buildKeysetQuery('videos', listParams, values.length + 1);
 
     const query = `
       SELECT
@@ -139,21 +93,28 @@ export async function getFilteredVideos(filters = {}) {
         video_duration_seconds,
         is_active,
         created_at,
-        updated_at
+        updated_at,
+        ${keyset.sortSelect}
       FROM catalog.channel_videos
-      ${whereClause}
-      ORDER BY created_at DESC
-      LIMIT 1000
+      ${appendCondition(whereClause, keyset.condition)}
+      ${keyset.orderBy}
+      LIMIT ${keyset.limit}
     `;
 
-    const result = await client.query(query, values);
+    const result = await client.query(query, [...values, ...keyset.values]);
+    const countResult = await client.query(
+      `SELECT COUNT(*) AS total FROM catalog.channel_videos ${whereClause}`,
+      values,
+    );
 
-    if (!result || !Array.isArray(result.rows)) {
-      await client.cleanup();
-      return [];
-    }
+    const { rows, pageInfo } = paginateRows(
+      result.rows,
+      keyset,
+      'video_id',
+      parseInt(countResult.rows[0].total, 10) || 0,
+    );
 
-    const videos = result.rows.map((video) => ({
+    const videos = rows.map((video) => ({
       video_id: video.video_id,
       video_title: video.video_title || '[No Title]',
       video_description: video.video_description || null,
@@ -184,7 +145,7 @@ export async function getFilteredVideos(filters = {}) {
     });
 
     await client.cleanup();
-    return videos;
+    return { videos, pageInfo };
   } catch (error) {
     const responseTime = Date.now() - startTime;
 
@@ -209,3 +170,18 @@ export async function getFilteredVideos(filters = {}) {
     }
   }
 }
+
+/**
+ * Activer ou désactiver plusieurs vidéos
+ * Tout ou rien, voir lib/catalogBulk.js
+ */
+export async function bulkUpdateVideosActive(ids, active) {
+  return runCatalogBulkActive('video', ids, active);
+}
+
+/**
+ * Supprimer plusieurs vidéos (inactives)
+ */
+export async function bulkDeleteVideos(ids) {
+  return runCatalogBulkDelete('video', ids);
+}
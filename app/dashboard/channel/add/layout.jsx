@@ -0,0 +1,8 @@
+// app/dashboard/channel/add/layout.jsx
+import { requirePagePermission } from '@/lib/auth-utils';
+
+export default async function AddVideoLayout({ children }) {
+  await requirePagePermission('catalog:create');
+
+  return children;
+}
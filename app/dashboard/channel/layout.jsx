@@ -0,0 +1,8 @@
+// app/dashboard/channel/layout.jsx
+import { requirePagePermission } from '@/lib/auth-utils';
+
+export default async function ChannelLayout({ children }) {
+  await requirePagePermission('catalog:view');
+
+  return children;
+}
@@ -4,6 +4,13 @@ import { redirect } from 'next/navigation';
 import { headers } from 'next/headers';
 import { auth } from '@/lib/auth';
 import { query } from '@/backend/dbConnect';
+import { buildCatalogFilterQuery } from '@/backend/catalogFilters';
+import {
+  appendCondition,
+  buildKeysetQuery,
+  paginateRows,
+} from '@/backend/pagination';
+import { parseListFilters } from '@/utils/pagination';
 import logger from '@/utils/logger';
 import {
   trackAuth,
@@ -15,31 +22,55 @@ export const revalidate = 0;
 export const dynamic = 'force-dynamic';
 
 /**
- * Récupérer les vidéos depuis la base de données
+ * Récupérer une page de vidéos depuis la base de données
+ * @param {Object} listParams - Tri, taille de page, curseur et filtres (URL)
  */
-async function getVideosFromDatabase() {
+async function getVideosFromDatabase(listParams) {
   const startTime = Date.now();
 
   try {
+    // Mêmes filtres que la server action : liste et total cohérents
+    const { filters, whereClause, values } = buildCatalogFilterQuery(
+      'videos',
+      parseListFilters('videos', listParams),
+    );
+    const keyset = buildKeysetQuery('videos', listParams, values.length + 1);
+
     const videosQuery = `
       SELECT
         video_id, video_title, video_description,
         video_cloudinary_id, video_thumbnail_id,
         video_category, video_tags,
         video_duration_seconds,
-        is_active, created_at, updated_at
+        is_active, created_at, updated_at,
+        ${keyset.sortSelect}
       FROM catalog.channel_videos
-      ORDER BY created_at DESC
+      ${appendCondition(whereClause, keyset.condition)}
+      ${keyset.orderBy}
+      LIMIT ${keyset.limit}
     `;
 
-    const result = await query(videosQuery);
+    const [result, countResult] = await Promise.all([
+      query(videosQuery, [...values, ...keyset.values]),
+      query(
+        `SELECT COUNT(*) AS total FROM catalog.channel_videos ${whereClause}`,
+        values,
+      ),
+    ]);
 
     if (!result || !Array.isArray(result.rows)) {
       logger.warn('Invalid data structure from videos query');
-      return [];
+      return { videos: [], pageInfo: null, filters: {} };
     }
 
-    const videos = result.rows.map((video) => ({
+    const { rows, pageInfo } = paginateRows(
+      result.rows,
+      keyset,
+      'video_id',
+      parseInt(countResult.rows[0].total, 10) || 0,
+    );
+
+    const videos = rows.map((video) => ({
       video_id: video.video_id,
       video_title: video.video_title || '[No Title]',
       video_description: video.video_description || null,
@@ -67,7 +98,7 @@ async function getVideosFromDatabase() {
       durationMs: responseTime,
     });
 
-    return videos;
+    return { videos, pageInfo, filters };
   } catch (error) {
     const responseTime = Date.now() - startTime;
 
@@ -80,14 +111,14 @@ async function getVideosFromDatabase() {
       durationMs: responseTime,
     });
 
-    return [];
+    return { videos: [], pageInfo: null, filters: {} };
   }
 }
 
 /**
  * Server Component - Page Channel (Videos List)
  */
-export default async function ChannelPage() {
+export default async function ChannelPage({ searchParams }) {
   try {
     // Vérification session
     const session = await auth.api.getSession({
@@ -99,15 +130,17 @@ export default async function ChannelPage() {
       redirect('/login');
     }
 
-    // Récupération des vidéos
-    const videos = await getVideosFromDatabase();
+    // Récupération des vidéos (tri, page et filtres depuis l'URL)
+    const { videos, pageInfo, filters } = await getVideosFromDatabase(
+      await searchParams,
+    );
 
     logger.info('Channel page rendered', {
       count: videos.length,
       userId: session.user.id,
     });
 
-    return <VideosList data={videos} />;
+    return <VideosList data={videos} pageInfo={pageInfo} filters={filters} />;
   } catch (error) {
     logger.error('Channel page error', {
       error: error.message,
@@ -116,7 +149,7 @@ export default async function ChannelPage() {
     trackDatabaseError(error, 'channel_page_render');
 
     // Fallback avec données vides
-    return <VideosList data={[]} />;
+    return <VideosList data={[]} pageInfo={null} />;
   }
 }
 
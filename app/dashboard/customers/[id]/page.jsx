@@ -0,0 +1,98 @@
+// app/dashboard/customers/[id]/page.jsx
+import CustomerDetail from '@/ui/pages/customers/CustomerDetail';
+import EntityHistory from '@/ui/components/dashboard/EntityHistory';
+import { redirect, notFound } from 'next/navigation';
+import { headers } from 'next/headers';
+import { auth } from '@/lib/auth';
+import { hasPermission } from '@/lib/permissions';
+import { findDuplicateCandidates, getCustomer } from '@/lib/customers';
+import logger from '@/utils/logger';
+import {
+  trackAuth,
+  trackDatabase,
+  trackDatabaseError,
+} from '@/utils/monitoring';
+
+export const revalidate = 0;
+export const dynamic = 'force-dynamic';
+
+const UUID_REGEX =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+
+async function getCustomerFromDatabase(customerId, withDuplicates) {
+  const startTime = Date.now();
+  const requestId = crypto.randomUUID();
+
+  try {
+    const [customer, duplicates] = await Promise.all([
+      getCustomer(customerId),
+      withDuplicates ? findDuplicateCandidates(customerId) : [],
+    ]);
+
+    if (!customer) return null;
+
+    logger.info('Customer fetch by ID successful', {
+      customerId: customerId.substring(0, 8),
+      orderCount: customer.order_count,
+      durationMs: Date.now() - startTime,
+      requestId,
+    });
+
+    trackDatabase('customer_by_id_fetched', {
+      durationMs: Date.now() - startTime,
+    });
+
+    return { customer, duplicates };
+  } catch (error) {
+    logger.error('Global Customer By ID Error', {
+      error: error.message,
+      requestId,
+      customerId: customerId.substring(0, 8),
+    });
+
+    trackDatabaseError(error, 'customer_by_id_global', {
+      requestId,
+      critical: 'true',
+    });
+
+    return null;
+  }
+}
+
+export default async function CustomerPage({ params }) {
+  const { id } = await params;
+
+  const session = await auth.api.getSession({ headers: await headers() });
+  if (!session?.user) {
+    trackAuth('unauthenticated_customer_access', {}, 'warning');
+    redirect('/login');
+  }
+
+  const customerId = typeof id === 'string' ? id.trim().toLowerCase() : '';
+  if (!UUID_REGEX.test(customerId)) notFound();
+
+  const canMerge = hasPermission(session.user.role, 'customers:merge');
+  const result = await getCustomerFromDatabase(customerId, canMerge);
+
+  // Fiche supprimée par une fusion, ou client sans commande
+  if (!result || result.customer.order_count === 0) notFound();
+
+  return (
+    <EntityHistory
+      entityType="customer"
+      entityId={customerId}
+      canViewHistory={hasPermission(session.user.role, 'audit:view')}
+    >
+      <CustomerDetail
+        customer={result.customer}
+        duplicates={result.duplicates}
+        canMerge={canMerge}
+      />
+    </EntityHistory>
+  );
+}
+
+export const metadata = {
+  title: 'Customer Details | Benew Admin',
+  robots: 'noindex, nofollow',
+};
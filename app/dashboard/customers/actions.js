@@ -0,0 +1,181 @@
+'use server';
+
+import {
+  CustomerError,
+  listCustomers,
+  mergeCustomers,
+  searchCustomers,
+} from '@/lib/customers';
+import { authorizeServerAction } from '@/lib/auth-utils';
+import logger from '@/utils/logger';
+import { trackDatabase, trackDatabaseError } from '@/utils/monitoring';
+import {
+  customerFiltersSchema,
+  customerMergeSchema,
+  customerMergeSearchSchema,
+} from '@/utils/schemas/customerSchema';
+
+/**
+ * Récupérer les clients filtrés
+ *
+ * @param {Object} filters - { search }
+ * @param {Object} listParams - Tri, taille de page et curseur (utils/pagination)
+ * @returns {Promise<{ customers: Array, total: number, pageInfo: Object }>}
+ */
+export async function getFilteredCustomers(filters = {}, listParams = {}) {
+  const startTime = Date.now();
+  let requestId;
+
+  try {
+    const { session, requestId: authRequestId } =
+      await authorizeServerAction('customers:view');
+    requestId = authRequestId;
+
+    const validatedFilters = await customerFiltersSchema.validate(filters, {
+      stripUnknown: true,
+    });
+
+    const result = await listCustomers(validatedFilters, listParams);
+
+    logger.info('Customers filtered successfully', {
+      customerCount: result.customers.length,
+      totalCount: result.total,
+      durationMs: Date.now() - startTime,
+      requestId,
+      userId: session.user.id,
+    });
+
+    trackDatabase('customers_filtered', {
+      customerCount: result.customers.length,
+      durationMs: Date.now() - startTime,
+    });
+
+    return result;
+  } catch (error) {
+    logger.error('Error filtering customers', {
+      error: error.message,
+      requestId: requestId || 'unknown',
+      durationMs: Date.now() - startTime,
+    });
+
+    trackDatabaseError(error, 'filter_customers_global', {
+      requestId: requestId || 'unknown',
+    });
+
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error(
+        'An error occurred while loading customers. Please try again.',
+      );
+    }
+    throw error;
+  }
+}
+
+/**
+ * Rechercher des doublons à fusionner dans un client
+ *
+ * @param {string} customerId - Client conservé
+ * @param {string} search - Nom, email ou téléphone
+ * @returns {Promise<{ success: boolean, error?: string, customers?: Array }>}
+ */
+export async function searchMergeCandidates(customerId, search) {
+  let requestId;
+
+  try {
+    const { requestId: authRequestId } =
+      await authorizeServerAction('customers:merge');
+    requestId = authRequestId;
+
+    const validated = await customerMergeSearchSchema.validate(
+      { customerId, search },
+      { stripUnknown: true },
+    );
+
+    const customers = await searchCustomers(
+      validated.search,
+      validated.customerId,
+    );
+
+    return { success: true, customers };
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return { success: false, error: error.errors?.[0] || error.message };
+    }
+
+    logger.error('Error searching merge candidates', {
+      error: error.message,
+      requestId: requestId || 'unknown',
+      customerId,
+    });
+
+    trackDatabaseError(error, 'search_merge_candidates', {
+      requestId: requestId || 'unknown',
+    });
+
+    return { success: false, error: 'Search failed, please try again' };
+  }
+}
+
+/**
+ * Fusionner des doublons dans un client
+ *
+ * @param {string} targetId - Client conservé
+ * @param {string[]} sourceIds - Doublons, supprimés après la fusion
+ * @returns {Promise<{ success: boolean, error?: string, movedOrders?: number }>}
+ */
+export async function mergeCustomerDuplicates(targetId, sourceIds) {
+  const startTime = Date.now();
+  let requestId;
+
+  try {
+    const { session, requestId: authRequestId } =
+      await authorizeServerAction('customers:merge');
+    requestId = authRequestId;
+
+    const validated = await customerMergeSchema.validate(
+      { targetId, sourceIds },
+      { stripUnknown: true },
+    );
+
+    const { movedOrders } = await mergeCustomers(
+      validated.targetId,
+      validated.sourceIds,
+      { actor: session.user, requestId },
+    );
+
+    trackDatabase('customers_merged', {
+      mergedCount: validated.sourceIds.length,
+      movedOrders,
+      durationMs: Date.now() - startTime,
+    });
+
+    return { success: true, movedOrders };
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return { success: false, error: error.errors?.[0] || error.message };
+    }
+
+    if (error instanceof CustomerError) {
+      return { success: false, error: error.message };
+    }
+
+    logger.error('Error merging customers', {
+      error: error.message,
+      requestId: requestId || 'unknown',
+      targetId,
+      durationMs: Date.now() - startTime,
+    });
+
+    trackDatabaseError(error, 'merge_customers', {
+      requestId: requestId || 'unknown',
+      targetId,
+    });
+
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error(
+        'An error occurred while merging customers. Please try again.',
+      );
+    }
+    throw error;
+  }
+}
@@ -0,0 +1,8 @@
+// app/dashboard/customers/layout.jsx
+import { requirePagePermission } from '@/lib/auth-utils';
+
+export default async function CustomersLayout({ children }) {
+  await requirePagePermission('customers:view');
+
+  return children;
+}
@@ -0,0 +1,94 @@
+// app/dashboard/customers/page.jsx
+import CustomersList from '@/ui/pages/customers/CustomersList';
+import { redirect } from 'next/navigation';
+import { headers } from 'next/headers';
+import { auth } from '@/lib/auth';
+import { listCustomers } from '@/lib/customers';
+import logger from '@/utils/logger';
+import { parseListFilters } from '@/utils/pagination';
+import { customerFiltersSchema } from '@/utils/schemas/customerSchema';
+import {
+  trackAuth,
+  trackDatabase,
+  trackDatabaseError,
+} from '@/utils/monitoring';
+
+export const revalidate = 0;
+export const dynamic = 'force-dynamic';
+
+async function getCustomersFromDatabase(listParams) {
+  const startTime = Date.now();
+  const requestId = crypto.randomUUID();
+
+  try {
+    // Recherche depuis l'URL, ignorée si invalide
+    const filters = await customerFiltersSchema
+      .validate(parseListFilters('customers', listParams), {
+        stripUnknown: true,
+      })
+      .catch(() => ({}));
+
+    const result = await listCustomers(filters, listParams);
+
+    logger.info('Customers fetch successful', {
+      customerCount: result.customers.length,
+      totalCount: result.total,
+      durationMs: Date.now() - startTime,
+      requestId,
+    });
+
+    trackDatabase('customers_fetched', {
+      customerCount: result.customers.length,
+      totalCount: result.total,
+      durationMs: Date.now() - startTime,
+    });
+
+    return { ...result, filters };
+  } catch (error) {
+    logger.error('Global Customers Error', {
+      error: error.message,
+      durationMs: Date.now() - startTime,
+      requestId,
+    });
+
+    trackDatabaseError(error, 'customers_fetch_global', {
+      requestId,
+      critical: 'true',
+    });
+
+    return { customers: [], total: 0, pageInfo: null, filters: {} };
+  }
+}
+
+export default async function CustomersPage({ searchParams }) {
+  const session = await auth.api.getSession({ headers: await headers() });
+
+  if (!session?.user) {
+    trackAuth('unauthenticated_customers_access', {}, 'warning');
+    redirect('/login');
+  }
+
+  // Tri, page et filtres depuis l'URL
+  const { customers, total, pageInfo, filters } =
+    await getCustomersFromDatabase(await searchParams);
+
+  logger.info('Customers page rendered', {
+    customerCount: customers.length,
+    totalCount: total,
+    userId: session.user.id,
+  });
+
+  return (
+    <CustomersList
+      data={customers}
+      totalCustomers={total}
+      pageInfo={pageInfo}
+      filters={filters}
+    />
+  );
+}
+
+export const metadata = {
+  title: 'Customers | Benew Admin',
+  robots: 'noindex, nofollow',
+};
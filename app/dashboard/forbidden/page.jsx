@@ -0,0 +1,47 @@
+// app/dashboard/forbidden/page.jsx - DASHBOARD 403 PAGE
+import Link from 'next/link';
+import { getAuthenticatedUser } from '@/lib/auth-utils';
+import { ROLE_LABELS } from '@/lib/permissions';
+import styles from '@/ui/styling/dashboard/not-found.module.css';
+
+export const dynamic = 'force-dynamic';
+
+/**
+ * DASHBOARD FORBIDDEN (403) PAGE - Server Component
+ *
+ * Cible des redirections de requirePagePermission() (lib/auth-utils.js)
+ * quand le rôle de l'utilisateur n'autorise pas la section demandée.
+ */
+export default async function DashboardForbidden() {
+  const user = await getAuthenticatedUser();
+  const roleLabel = ROLE_LABELS[user?.role] || 'No role';
+
+  return (
+    <div className={styles.notFoundContainer}>
+      <div className={styles.notFoundCard}>
+        <div className={styles.notFoundIcon}>403</div>
+
+        <h1 className={styles.notFoundTitle}>Access Denied</h1>
+
+        <p className={styles.notFoundDescription}>
+          Your role (<strong>{roleLabel}</strong>) does not allow access to this
+          section. Ask an owner if you need additional permissions.
+        </p>
+
+        <div className={styles.quickNav}>
+          <div className={styles.navGrid}>
+            <Link href="/dashboard" className={styles.navCard}>
+              <span className={styles.navIcon}>🏠</span>
+              <span className={styles.navLabel}>Dashboard Home</span>
+            </Link>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export const metadata = {
+  title: '403 - Access Denied | Dashboard',
+  robots: 'noindex, nofollow',
+};
@@ -2,6 +2,7 @@
 import { redirect } from 'next/navigation';
 import { headers } from 'next/headers';
 import { auth } from '@/lib/auth';
+import { isTwoFactorRequired } from '@/lib/settings';
 import styles from '@/ui/styling/dashboard/dashboard.module.css';
 import Navbar from '@/ui/components/dashboard/navbar';
 import Sidebar from '@/ui/components/dashboard/sidebar';
@@ -11,6 +12,7 @@ import Sidebar from '@/ui/components/dashboard/sidebar';
  *
  * IMPORTANT: Ce layout vérifie la session AVANT de rendre le dashboard
  * Si pas de session → redirect vers /login
+ * Si la 2FA est imposée et pas encore activée → redirect vers /two-factor/setup
  */
 export default async function DashboardLayout({ children }) {
   // ✅ Vérification session côté serveur (CRITIQUE)
@@ -23,11 +25,23 @@ export default async function DashboardLayout({ children }) {
     redirect('/login');
   }
 
+  // ✅ 2FA imposée par l'owner : pas d'accès au dashboard avant l'enrôlement
+  if (!session.user.twoFactorEnabled && (await isTwoFactorRequired())) {
+    redirect('/two-factor/setup');
+  }
+
   // ✅ Rendre le dashboard seulement si authentifié
   return (
     <div className={styles.container}>
       <div className={styles.menu}>
-        <Sidebar />
+        <Sidebar
+          user={{
+            name: session.user.name,
+            email: session.user.email,
+            image: session.user.image,
+            role: session.user.role,
+          }}
+        />
       </div>
       <div className={styles.content}>
         <Navbar />
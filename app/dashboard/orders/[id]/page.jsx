@@ -1,8 +1,14 @@
 // app/dashboard/orders/[id]/page.jsx
 import EditOrder from '@/ui/pages/orders/EditOrder';
+import EntityHistory from '@/ui/components/dashboard/EntityHistory';
 import { redirect, notFound } from 'next/navigation';
 import { headers } from 'next/headers';
 import { auth } from '@/lib/auth';
+import { hasPermission } from '@/lib/permissions';
+import { getInvoiceSummary } from '@/lib/invoices';
+import { getOrderNotifications } from '@/lib/orderNotifications';
+import { getOrderStatusHistory } from '@/lib/orderStatusHistory';
+import { getOrderRentSchedule } from '@/lib/rentSchedules';
 import { getClient } from '@/backend/dbConnect';
 import logger from '@/utils/logger';
 import {
@@ -59,6 +65,8 @@ async function getOrderFromDatabase(orderId) {
         o.order_paid_at,
         o.order_created,
         o.order_updated,
+        o.order_source,
+        o.order_customer_id,
 
         a.application_name,
         a.application_category,
@@ -105,10 +113,26 @@ async function getOrderFromDatabase(orderId) {
 
     const hasCashPayment = platforms.some((p) => p.is_cash_payment);
 
+    // Historique des changements de statut (trigger trg_order_status_history)
+    const statusHistory = await getOrderStatusHistory(cleanedOrderId);
+
+    // Emails envoyés (ou retenus) au client
+    const notifications = await getOrderNotifications(cleanedOrderId);
+
+    // Facture déjà émise (numéro affiché sur la page)
+    const invoice = await getInvoiceSummary(cleanedOrderId);
+
+    // Échéancier de location (commandes payées avec loyer)
+    const rentSchedule =
+      parseFloat(row.order_rent) > 0
+        ? await getOrderRentSchedule(cleanedOrderId)
+        : null;
+
     const clientInfo = {
       fullName: row.order_client_name || 'N/A',
       email: row.order_client_email || 'N/A',
       phone: row.order_client_phone || 'N/A',
+      customerId: row.order_customer_id || null,
     };
 
     const sanitizedOrder = {
@@ -119,6 +143,7 @@ async function getOrderFromDatabase(orderId) {
       order_paid_at: row.order_paid_at,
       order_created: row.order_created,
       order_updated: row.order_updated,
+      order_source: row.order_source || 'storefront',
       order_price: parseFloat(row.order_price) || 0,
       order_rent: parseFloat(row.order_rent) || 0,
 
@@ -136,6 +161,14 @@ async function getOrderFromDatabase(orderId) {
 
       hasCashPayment,
 
+      statusHistory,
+
+      notifications,
+
+      invoice,
+
+      rentSchedule,
+
       application: {
         id: row.order_application_id,
         name: row.application_name || '[No Name]',
@@ -202,7 +235,22 @@ export default async function EditOrderPage({ params }) {
       userId: session.user.id,
     });
 
-    return <EditOrder order={order} />;
+    return (
+      <EntityHistory
+        entityType="order"
+        entityId={order.order_id}
+        canViewHistory={hasPermission(session.user.role, 'audit:view')}
+      >
+        <EditOrder
+          order={order}
+          canUpdateStatus={hasPermission(
+            session.user.role,
+            'orders:update_status',
+          )}
+          canInvoice={hasPermission(session.user.role, 'orders:invoice')}
+        />
+      </EntityHistory>
+    );
   } catch (error) {
     logger.error('Order edit page error', { error: error.message });
     trackDatabaseError(error, 'order_edit_page_render', { critical: 'true' });
@@ -1,129 +1,99 @@
 'use server';
 
 import { getClient, query } from '@/backend/dbConnect';
-import { headers } from 'next/headers';
-import { auth } from '@/lib/auth';
+import {
+  buildSecureWhereClause,
+  validateAndSanitizeFilters,
+} from '@/backend/orderFilters';
+import {
+  appendCondition,
+  buildKeysetQuery,
+  paginateRows,
+} from '@/backend/pagination';
+import { recordAudit } from '@/lib/audit';
+import { authorizeServerAction } from '@/lib/auth-utils';
+import {
+  InvoiceError,
+  issueInvoice,
+  issueInvoicesForPaidRange,
+} from '@/lib/invoices';
+import {
+  notifyOrderStatus,
+  OrderNotificationError,
+  resendOrderNotification,
+  saveNotificationTemplate,
+} from '@/lib/orderNotifications';
+import { setOrderStatusContext } from '@/lib/orderStatusHistory';
+import { markRentPeriodPaid, RentScheduleError } from '@/lib/rentSchedules';
 import logger from '@/utils/logger';
 import { trackDatabase, trackDatabaseError } from '@/utils/monitoring';
-
-function validateAndSanitizeFilters(filters = {}) {
-  const validatedFilters = {};
-  const allowedFields = [
-    'order_client_name',
-    'order_client_email',
-    'order_payment_status',
-  ];
-  const maxStringLength = 100;
-  const maxArrayLength = 10;
-
-  for (const [key, value] of Object.entries(filters)) {
-    if (!allowedFields.includes(key)) continue;
-
-    switch (key) {
-      case 'order_client_name':
-      case 'order_client_email':
-        if (typeof value === 'string' && value.trim()) {
-          const cleanValue = value.trim().substring(0, maxStringLength);
-          const sanitizedValue = cleanValue.replace(/[<>"'%;()&+]/g, '');
-          if (sanitizedValue.length >= 2) {
-            validatedFilters[key] = sanitizedValue;
-          }
-        }
-        break;
-
-      case 'order_payment_status':
-        if (Array.isArray(value)) {
-          const allowedStatuses = ['paid', 'unpaid', 'refunded', 'failed'];
-          validatedFilters[key] = value
-            .filter((v) => typeof v === 'string' && v.trim())
-            .map((v) => v.trim())
-            .slice(0, maxArrayLength)
-            .filter((v) => allowedStatuses.includes(v));
-        }
-        break;
-    }
-  }
-
-  return validatedFilters;
-}
-
-function buildSecureWhereClause(filters) {
-  const conditions = [];
-  const values = [];
-  let paramCount = 1;
-
-  if (filters.order_client_name) {
-    conditions.push(`o.order_client_name ILIKE $${paramCount}`);
-    values.push(`%${filters.order_client_name}%`);
-    paramCount++;
-  }
-
-  if (filters.order_client_email) {
-    conditions.push(`o.order_client_email ILIKE $${paramCount}`);
-    values.push(`%${filters.order_client_email}%`);
-    paramCount++;
-  }
-
-  if (filters.order_payment_status?.length > 0) {
-    const placeholders = filters.order_payment_status
-      .map(() => `$${paramCount++}`)
-      .join(', ');
-    conditions.push(`o.order_payment_status IN (${placeholders})`);
-    values.push(...filters.order_payment_status);
-  }
-
-  const whereClause =
-    conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
-
-  return { whereClause, values };
-}
-
-async function authenticateServerAction() {
-  const requestId = crypto.randomUUID();
-
-  const session = await auth.api.getSession({ headers: await headers() });
-
-  if (!session?.user?.id || !session?.user?.email) {
-    logger.warn('Unauthenticated server action attempt', { requestId });
-    throw new Error('Authentication required for this action');
-  }
-
-  return { session, requestId };
+import {
+  STATUSES_REQUIRING_REASON,
+  canTransitionOrderStatus,
+  getAllowedOrderTransitions,
+  orderBulkStatusUpdateSchema,
+  orderInvoiceIssueSchema,
+  orderStatusUpdateSchema,
+  rentPeriodPaymentSchema,
+} from '@/utils/schemas/orderSchema';
+import {
+  notificationResendSchema,
+  notificationTemplateSchema,
+} from '@/utils/schemas/notificationSchema';
+
+function describeInvalidTransition(fromStatus, toStatus) {
+  const allowed = getAllowedOrderTransitions(fromStatus);
+
+  return allowed.length > 0
+    ? `Cannot change status from ${fromStatus} to ${toStatus}. Allowed: ${allowed.join(', ')}.`
+    : `Cannot change status of a ${fromStatus} order.`;
 }
 
 /**
  * Mettre à jour le statut de paiement d'une commande
+ *
+ * Seules les transitions de ORDER_STATUS_TRANSITIONS sont acceptées ;
+ * refunded et failed exigent une raison (order_cancel_reason).
+ * Le client est notifié par email après le changement (lib/orderNotifications).
+ *
+ * @param {string} orderId
+ * @param {string} newStatus
+ * @param {string} [reason] - Obligatoire pour refunded / failed
+ * @param {boolean} [notifyClient=true] - false : notification retenue
  */
-export async function updateOrderPaymentStatus(orderId, newStatus) {
+export async function updateOrderPaymentStatus(
+  orderId,
+  newStatus,
+  reason,
+  notifyClient = true,
+) {
   let client;
   const startTime = Date.now();
   let requestId;
 
   try {
-    const { session, requestId: authRequestId } =
-      await authenticateServerAction();
+    const { session, requestId: authRequestId } = await authorizeServerAction(
+      'orders:update_status',
+    );
     requestId = authRequestId;
 
-    if (!orderId || !newStatus) {
-      throw new Error('Order ID and new status are required');
-    }
-
-    const allowedStatuses = ['paid', 'unpaid', 'refunded', 'failed'];
-    if (!allowedStatuses.includes(newStatus)) {
-      throw new Error(`Invalid payment status: ${newStatus}`);
-    }
-
-    const uuidRegex =
-      /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
-    if (!uuidRegex.test(orderId)) {
-      throw new Error(`Invalid order ID: ${orderId}`);
-    }
+    const {
+      status,
+      reason: cleanReason,
+      notifyClient: shouldNotify,
+    } = await orderStatusUpdateSchema.validate(
+      { orderId, status: newStatus, reason, notifyClient },
+      { stripUnknown: true },
+    );
 
     client = await getClient();
+    await client.query('BEGIN');
 
-    // Vérifier existence
+    // Verrou sur la commande : la transition est vérifiée sur l'état courant
     const checkResult = await client.query(
-      `SELECT order_id, order_payment_status FROM admin.orders WHERE order_id = $1`,
+      `SELECT order_id, order_payment_status, order_paid_at, order_cancelled_at, order_cancel_reason
+       FROM admin.orders WHERE order_id = $1
+       FOR UPDATE`,
       [orderId],
     );
 
@@ -133,15 +103,45 @@ export async function updateOrderPaymentStatus(orderId, newStatus) {
 
     const currentOrder = checkResult.rows[0];
 
+    if (!canTransitionOrderStatus(currentOrder.order_payment_status, status)) {
+      await client.query('ROLLBACK');
+
+      logger.warn('Rejected order status transition', {
+        requestId,
+        userId: session.user.id,
+        orderId,
+        fromStatus: currentOrder.order_payment_status,
+        toStatus: status,
+      });
+
+      return {
+        success: false,
+        error: describeInvalidTransition(
+          currentOrder.order_payment_status,
+          status,
+        ),
+      };
+    }
+
+    const note = STATUSES_REQUIRING_REASON.includes(status)
+      ? cleanReason
+      : null;
+
+    // Auteur et note repris par le trigger d'historique des statuts
+    await setOrderStatusContext(client, { actor: session.user, note });
+
     // Le trigger gère order_updated, order_paid_at, order_cancelled_at et sales_count
     const updateResult = await client.query(
       `UPDATE admin.orders
-       SET order_payment_status = $1
-       WHERE order_id = $2
-       RETURNING order_id, order_payment_status, order_updated, order_paid_at, order_cancelled_at`,
-      [newStatus, orderId],
+       SET order_payment_status = $1,
+           order_cancel_reason = $2
+       WHERE order_id = $3
+       RETURNING order_id, order_payment_status, order_updated, order_paid_at, order_cancelled_at, order_cancel_reason`,
+      [status, note, orderId],
     );
 
+    await client.query('COMMIT');
+
     const updatedOrder = updateResult.rows[0];
 
     logger.info('Order status updated', {
@@ -160,21 +160,42 @@ export async function updateOrderPaymentStatus(orderId, newStatus) {
       durationMs: Date.now() - startTime,
     });
 
-    await client.cleanup();
+    await recordAudit({
+      actor: session.user,
+      action: 'update_status',
+      entityType: 'order',
+      entityId: orderId,
+      before: currentOrder,
+      after: updatedOrder,
+      requestId,
+    });
+
+    const notification = await notifyOrderStatus(orderId, {
+      actor: session.user,
+      suppress: !shouldNotify,
+    });
 
     return {
       success: true,
+      notification,
       order: {
         order_id: updatedOrder.order_id,
         order_payment_status: updatedOrder.order_payment_status,
         updated_at: updatedOrder.order_updated,
         paid_at: updatedOrder.order_paid_at,
         cancelled_at: updatedOrder.order_cancelled_at,
+        cancel_reason: updatedOrder.order_cancel_reason,
       },
       oldStatus: currentOrder.order_payment_status,
       newStatus: updatedOrder.order_payment_status,
     };
   } catch (error) {
+    if (client) await client.query('ROLLBACK').catch(() => {});
+
+    if (error.name === 'ValidationError') {
+      return { success: false, error: error.errors?.[0] || error.message };
+    }
+
     logger.error('Error updating order status', {
       error: error.message,
       requestId: requestId || 'unknown',
@@ -189,11 +210,503 @@ export async function updateOrderPaymentStatus(orderId, newStatus) {
       newStatus,
     });
 
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error(
+        'An error occurred while updating the order status. Please try again.',
+      );
+    }
+    throw error;
+  } finally {
     if (client) await client.cleanup();
+  }
+}
+
+/**
+ * Mettre à jour le statut de paiement de plusieurs commandes
+ *
+ * Tout ou rien : si une seule commande est introuvable ou dans un état
+ * qui n'autorise pas la transition, aucune n'est modifiée.
+ *
+ * @param {string[]} orderIds
+ * @param {string} newStatus
+ * @param {string} [reason] - Obligatoire pour refunded / failed
+ * @param {boolean} [notifyClient=true] - false : notifications retenues
+ * @returns {Promise<{ success: boolean, error?: string, results: Array<{ orderId: string, success: boolean, error?: string }> }>}
+ */
+export async function bulkUpdateOrderPaymentStatus(
+  orderIds,
+  newStatus,
+  reason,
+  notifyClient = true,
+) {
+  let client;
+  const startTime = Date.now();
+  let requestId;
+
+  try {
+    const { session, requestId: authRequestId } = await authorizeServerAction(
+      'orders:update_status',
+    );
+    requestId = authRequestId;
+
+    const {
+      status,
+      reason: cleanReason,
+      notifyClient: shouldNotify,
+    } = await orderBulkStatusUpdateSchema.validate(
+      { orderIds, status: newStatus, reason, notifyClient },
+      { stripUnknown: true },
+    );
+
+    client = await getClient();
+    await client.query('BEGIN');
+
+    // Verrous pris dans un ordre stable pour éviter les interblocages
+    const checkResult = await client.query(
+      `SELECT order_id, order_payment_status, order_paid_at, order_cancelled_at, order_cancel_reason
+       FROM admin.orders
+       WHERE order_id = ANY($1::uuid[])
+       ORDER BY order_id
+       FOR UPDATE`,
+      [orderIds],
+    );
+
+    const currentOrders = new Map(
+      checkResult.rows.map((order) => [order.order_id, order]),
+    );
+
+    const results = orderIds.map((orderId) => {
+      const currentOrder = currentOrders.get(orderId.toLowerCase());
+
+      if (!currentOrder) {
+        return { orderId, success: false, error: 'Order not found' };
+      }
+
+      if (
+        !canTransitionOrderStatus(currentOrder.order_payment_status, status)
+      ) {
+        return {
+          orderId,
+          success: false,
+          error: describeInvalidTransition(
+            currentOrder.order_payment_status,
+            status,
+          ),
+        };
+      }
+
+      return { orderId, success: true };
+    });
+
+    const failures = results.filter((result) => !result.success);
+
+    if (failures.length > 0) {
+      await client.query('ROLLBACK');
+
+      logger.warn('Rejected bulk order status update', {
+        requestId,
+        userId: session.user.id,
+        toStatus: status,
+        orderCount: orderIds.length,
+        failureCount: failures.length,
+      });
+
+      return {
+        success: false,
+        error: `${failures.length} of ${orderIds.length} orders cannot be changed to ${status}. No order was updated.`,
+        results,
+      };
+    }
+
+    const note = STATUSES_REQUIRING_REASON.includes(status)
+      ? cleanReason
+      : null;
+
+    // Auteur et note repris par le trigger d'historique des statuts
+    await setOrderStatusContext(client, { actor: session.user, note });
+
+    // Le trigger gère order_updated, order_paid_at, order_cancelled_at et sales_count
+    const updateResult = await client.query(
+      `UPDATE admin.orders
+       SET order_payment_status = $1,
+           order_cancel_reason = $2
+       WHERE order_id = ANY($3::uuid[])
+       RETURNING order_id, order_payment_status, order_updated, order_paid_at, order_cancelled_at, order_cancel_reason`,
+      [status, note, orderIds],
+    );
+
+    await client.query('COMMIT');
+
+    logger.info('Bulk order status updated', {
+      requestId,
+      userId: session.user.id,
+      newStatus: status,
+      orderCount: updateResult.rowCount,
+      durationMs: Date.now() - startTime,
+    });
+
+    trackDatabase('orders_bulk_status_updated', {
+      newStatus: status,
+      orderCount: updateResult.rowCount,
+      durationMs: Date.now() - startTime,
+    });
+
+    for (const updatedOrder of updateResult.rows) {
+      await recordAudit({
+        actor: session.user,
+        action: 'update_status',
+        entityType: 'order',
+        entityId: updatedOrder.order_id,
+        before: currentOrders.get(updatedOrder.order_id),
+        after: updatedOrder,
+        requestId,
+      });
+    }
+
+    for (const updatedOrder of updateResult.rows) {
+      await notifyOrderStatus(updatedOrder.order_id, {
+        actor: session.user,
+        suppress: !shouldNotify,
+      });
+    }
+
+    return { success: true, results };
+  } catch (error) {
+    if (client) await client.query('ROLLBACK').catch(() => {});
+
+    if (error.name === 'ValidationError') {
+      return {
+        success: false,
+        error: error.errors?.[0] || error.message,
+        results: [],
+      };
+    }
+
+    logger.error('Error during bulk order status update', {
+      error: error.message,
+      requestId: requestId || 'unknown',
+      newStatus,
+      orderCount: Array.isArray(orderIds) ? orderIds.length : 0,
+      durationMs: Date.now() - startTime,
+    });
+
+    trackDatabaseError(error, 'bulk_update_order_status', {
+      requestId: requestId || 'unknown',
+      newStatus,
+    });
 
     if (process.env.NODE_ENV === 'production') {
       throw new Error(
-        'An error occurred while updating the order status. Please try again.',
+        'An error occurred while updating the orders. Please try again.',
+      );
+    }
+    throw error;
+  } finally {
+    if (client) await client.cleanup();
+  }
+}
+
+/**
+ * Enregistrer le paiement d'une échéance de loyer
+ *
+ * @param {string} periodId
+ * @param {string} [note]
+ * @returns {Promise<{ success: boolean, error?: string, orderId?: string, period?: Object }>}
+ */
+export async function payRentPeriod(periodId, note) {
+  const startTime = Date.now();
+  let requestId;
+
+  try {
+    const { session, requestId: authRequestId } = await authorizeServerAction(
+      'orders:update_status',
+    );
+    requestId = authRequestId;
+
+    const validated = await rentPeriodPaymentSchema.validate(
+      { periodId, note },
+      { stripUnknown: true },
+    );
+
+    const { orderId, period } = await markRentPeriodPaid(validated.periodId, {
+      actor: session.user,
+      note: validated.note,
+      requestId,
+    });
+
+    trackDatabase('rent_period_paid', {
+      orderId,
+      durationMs: Date.now() - startTime,
+    });
+
+    return { success: true, orderId, period };
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return { success: false, error: error.errors?.[0] || error.message };
+    }
+
+    if (error instanceof RentScheduleError) {
+      return { success: false, error: error.message };
+    }
+
+    logger.error('Error marking rent period as paid', {
+      error: error.message,
+      requestId: requestId || 'unknown',
+      periodId,
+      durationMs: Date.now() - startTime,
+    });
+
+    trackDatabaseError(error, 'pay_rent_period', {
+      requestId: requestId || 'unknown',
+      periodId,
+    });
+
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error(
+        'An error occurred while recording the rent payment. Please try again.',
+      );
+    }
+    throw error;
+  }
+}
+
+/**
+ * Renvoyer au client la notification du statut courant
+ * (y compris une notification retenue au changement de statut)
+ *
+ * @param {string} orderId
+ * @returns {Promise<{ success: boolean, error?: string, notification?: Object }>}
+ */
+export async function resendOrderStatusNotification(orderId) {
+  const startTime = Date.now();
+  let requestId;
+
+  try {
+    const { session, requestId: authRequestId } = await authorizeServerAction(
+      'orders:update_status',
+    );
+    requestId = authRequestId;
+
+    const validated = await notificationResendSchema.validate(
+      { orderId },
+      { stripUnknown: true },
+    );
+
+    const notification = await resendOrderNotification(
+      validated.orderId.toLowerCase(),
+      { actor: session.user },
+    );
+
+    trackDatabase('order_notification_resent', {
+      orderId,
+      status: notification.status,
+      durationMs: Date.now() - startTime,
+    });
+
+    return { success: true, notification };
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return { success: false, error: error.errors?.[0] || error.message };
+    }
+
+    if (error instanceof OrderNotificationError) {
+      return { success: false, error: error.message };
+    }
+
+    logger.error('Error resending order notification', {
+      error: error.message,
+      requestId: requestId || 'unknown',
+      orderId,
+      durationMs: Date.now() - startTime,
+    });
+
+    trackDatabaseError(error, 'resend_order_notification', {
+      requestId: requestId || 'unknown',
+      orderId,
+    });
+
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error(
+        'An error occurred while sending the notification. Please try again.',
+      );
+    }
+    throw error;
+  }
+}
+
+/**
+ * Émettre la facture d'une commande payée
+ * Le téléchargement (app/api/dashboard/orders/[id]/invoice) ne fait que
+ * relire la facture émise ici.
+ *
+ * @param {string} orderId
+ * @returns {Promise<{ success: boolean, error?: string, invoice?: { number: string, issued_at: Date } }>}
+ */
+export async function issueOrderInvoice(orderId) {
+  const startTime = Date.now();
+  let requestId;
+
+  try {
+    const { session, requestId: authRequestId } =
+      await authorizeServerAction('orders:invoice');
+    requestId = authRequestId;
+
+    const validated = await orderInvoiceIssueSchema.validate(
+      { orderId },
+      { stripUnknown: true },
+    );
+
+    const { invoice, created } = await issueInvoice(
+      validated.orderId.toLowerCase(),
+      { actor: session.user, requestId },
+    );
+
+    trackDatabase('order_invoice_issued', {
+      orderId,
+      created,
+      durationMs: Date.now() - startTime,
+    });
+
+    return {
+      success: true,
+      invoice: { number: invoice.number, issued_at: invoice.issuedAt },
+    };
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return { success: false, error: error.errors?.[0] || error.message };
+    }
+
+    if (error instanceof InvoiceError) {
+      return { success: false, error: error.message };
+    }
+
+    logger.error('Error issuing order invoice', {
+      error: error.message,
+      requestId: requestId || 'unknown',
+      orderId,
+      durationMs: Date.now() - startTime,
+    });
+
+    trackDatabaseError(error, 'issue_order_invoice', {
+      requestId: requestId || 'unknown',
+      orderId,
+    });
+
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error(
+        'An error occurred while issuing the invoice. Please try again.',
+      );
+    }
+    throw error;
+  }
+}
+
+/**
+ * Émettre les factures manquantes des commandes payées sur une période
+ * Le téléchargement groupé (app/api/dashboard/orders/invoices) ne fait que
+ * relire les factures émises ici.
+ *
+ * @param {string} from - YYYY-MM-DD (inclus)
+ * @param {string} to - YYYY-MM-DD (inclus)
+ * @returns {Promise<{ success: boolean, error?: string, invoiceCount?: number, createdCount?: number }>}
+ */
+export async function issuePaidRangeInvoices(from, to) {
+  const startTime = Date.now();
+  let requestId;
+
+  try {
+    const { session, requestId: authRequestId } =
+      await authorizeServerAction('orders:invoice');
+    requestId = authRequestId;
+
+    const { invoiceCount, createdCount } = await issueInvoicesForPaidRange({
+      from,
+      to,
+      actor: session.user,
+      requestId,
+    });
+
+    trackDatabase('order_invoices_issued', {
+      invoiceCount,
+      createdCount,
+      durationMs: Date.now() - startTime,
+    });
+
+    return { success: true, invoiceCount, createdCount };
+  } catch (error) {
+    if (error instanceof InvoiceError) {
+      return { success: false, error: error.message };
+    }
+
+    logger.error('Error issuing invoices for range', {
+      error: error.message,
+      requestId: requestId || 'unknown',
+      durationMs: Date.now() - startTime,
+    });
+
+    trackDatabaseError(error, 'issue_range_invoices', {
+      requestId: requestId || 'unknown',
+    });
+
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error(
+        'An error occurred while issuing the invoices. Please try again.',
+      );
+    }
+    throw error;
+  }
+}
+
+/**
+ * Enregistrer un modèle de notification client
+ *
+ * @param {Object} template - { key, subject, body, enabled }
+ * @returns {Promise<{ success: boolean, error?: string, template?: Object }>}
+ */
+export async function updateNotificationTemplate(template) {
+  let requestId;
+
+  try {
+    const { session, requestId: authRequestId } = await authorizeServerAction(
+      'orders:notifications',
+    );
+    requestId = authRequestId;
+
+    const validated = await notificationTemplateSchema.validate(template, {
+      stripUnknown: true,
+    });
+
+    const saved = await saveNotificationTemplate(validated, {
+      actor: session.user,
+      requestId,
+    });
+
+    logger.info('Notification template updated', {
+      requestId,
+      userId: session.user.id,
+      templateKey: saved.key,
+      enabled: saved.enabled,
+    });
+
+    return { success: true, template: saved };
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return { success: false, error: error.errors?.[0] || error.message };
+    }
+
+    logger.error('Error updating notification template', {
+      error: error.message,
+      requestId: requestId || 'unknown',
+      templateKey: template?.key,
+    });
+
+    trackDatabaseError(error, 'update_notification_template', {
+      requestId: requestId || 'unknown',
+    });
+
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error(
+        'An error occurred while saving the template. Please try again.',
       );
     }
     throw error;
@@ -202,18 +715,23 @@ export async function updateOrderPaymentStatus(orderId, newStatus) {
 
 /**
  * Récupérer les commandes filtrées
+ *
+ * @param {Object} filters - Filtres de recherche
+ * @param {Object} listParams - Tri, taille de page et curseur (utils/pagination)
+ * @returns {Promise<{ orders: Array, totalOrders: number, pageInfo: Object }>}
  */
-export async function getFilteredOrders(filters = {}) {
+export async function getFilteredOrders(filters = {}, listParams = {}) {
   const startTime = Date.now();
   let requestId;
 
   try {
     const { session, requestId: authRequestId } =
-      await authenticateServerAction();
+      await authorizeServerAction('orders:view');
     requestId = authRequestId;
 
     const validatedFilters = validateAndSanitizeFilters(filters);
     const { whereClause, values } = buildSecureWhereClause(validatedFilters);
+    const keyset = buildKeysetQuery('orders', listParams, values.length + 1);
 
     // ✅ REQUÊTE CORRIGÉE :
     // platform_name vient de admin.platforms via JOIN (pas de colonne directe dans orders)
@@ -233,13 +751,14 @@ export async function getFilteredOrders(filters = {}) {
 
         a.application_name,
         a.application_category,
-        a.application_images
+        a.application_images,
+        ${keyset.sortSelect}
 
       FROM admin.orders o
       JOIN catalog.applications a ON o.order_application_id = a.application_id
-      ${whereClause}
-      ORDER BY o.order_created DESC
-      LIMIT 1000
+      ${appendCondition(whereClause, keyset.condition)}
+      ${keyset.orderBy}
+      LIMIT ${keyset.limit}
     `;
 
     const countQuery = `
@@ -250,7 +769,7 @@ export async function getFilteredOrders(filters = {}) {
     `;
 
     const [ordersResult, countResult] = await Promise.all([
-      query(mainQuery, values),
+      query(mainQuery, [...values, ...keyset.values]),
       query(countQuery, values),
     ]);
 
@@ -259,8 +778,14 @@ export async function getFilteredOrders(filters = {}) {
     }
 
     const total = parseInt(countResult.rows[0].total);
+    const { rows, pageInfo } = paginateRows(
+      ordersResult.rows,
+      keyset,
+      'order_id',
+      total || 0,
+    );
 
-    const sanitizedOrders = ordersResult.rows.map((order) => ({
+    const sanitizedOrders = rows.map((order) => ({
       order_id: order.order_id,
       order_payment_status: ['paid', 'unpaid', 'refunded', 'failed'].includes(
         order.order_payment_status,
@@ -310,7 +835,7 @@ export async function getFilteredOrders(filters = {}) {
       durationMs: responseTime,
     });
 
-    return { orders: sanitizedOrders, totalOrders: total };
+    return { orders: sanitizedOrders, totalOrders: total, pageInfo };
   } catch (error) {
     logger.error('Error filtering orders', {
       error: error.message,
@@ -0,0 +1,8 @@
+// app/dashboard/orders/add/layout.jsx
+import { requirePagePermission } from '@/lib/auth-utils';
+
+export default async function AddOrderLayout({ children }) {
+  await requirePagePermission('orders:create');
+
+  return children;
+}
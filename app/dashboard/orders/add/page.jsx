@@ -0,0 +1,123 @@
+// app/dashboard/orders/add/page.jsx
+import AddOrder from '@/ui/pages/orders/AddOrder';
+import { redirect } from 'next/navigation';
+import { headers } from 'next/headers';
+import { auth } from '@/lib/auth';
+import { query } from '@/backend/dbConnect';
+import logger from '@/utils/logger';
+import {
+  trackAuth,
+  trackDatabase,
+  trackDatabaseError,
+} from '@/utils/monitoring';
+
+export const revalidate = 0;
+export const dynamic = 'force-dynamic';
+
+/**
+ * Récupérer les applications et plateformes actives
+ * Le prix et le loyer de l'application pré-remplissent le formulaire.
+ */
+async function getOrderOptionsFromDatabase() {
+  const startTime = Date.now();
+
+  try {
+    const [applicationsResult, platformsResult] = await Promise.all([
+      query(
+        `SELECT
+          application_id,
+          application_name,
+          application_fee,
+          application_rent
+        FROM catalog.applications
+        WHERE is_active = true
+        ORDER BY application_name ASC`,
+      ),
+      query(
+        `SELECT
+          platform_id,
+          platform_name,
+          is_cash_payment
+        FROM admin.platforms
+        WHERE is_active = true
+        ORDER BY is_cash_payment DESC, platform_name ASC`,
+      ),
+    ]);
+
+    const applications = applicationsResult.rows.map((application) => ({
+      application_id: application.application_id,
+      application_name: application.application_name || '[No Name]',
+      application_fee: parseFloat(application.application_fee) || 0,
+      application_rent: parseFloat(application.application_rent) || 0,
+    }));
+
+    const platforms = platformsResult.rows.map((platform) => ({
+      platform_id: platform.platform_id,
+      platform_name: platform.platform_name || '[No Name]',
+      is_cash_payment: Boolean(platform.is_cash_payment),
+    }));
+
+    const responseTime = Date.now() - startTime;
+
+    trackDatabase('order_options_fetched', {
+      applicationCount: applications.length,
+      platformCount: platforms.length,
+      durationMs: responseTime,
+    });
+
+    return { applications, platforms };
+  } catch (error) {
+    const responseTime = Date.now() - startTime;
+
+    logger.error('Error fetching order options', {
+      error: error.message,
+      durationMs: responseTime,
+    });
+
+    trackDatabaseError(error, 'order_options_fetch', {
+      durationMs: responseTime,
+    });
+
+    return { applications: [], platforms: [] };
+  }
+}
+
+/**
+ * Server Component - Page Add Order
+ */
+export default async function AddOrderPage() {
+  try {
+    // Vérification session
+    const session = await auth.api.getSession({
+      headers: await headers(),
+    });
+
+    if (!session?.user) {
+      trackAuth('unauthenticated_add_order_access', {}, 'warning');
+      redirect('/login');
+    }
+
+    const { applications, platforms } = await getOrderOptionsFromDatabase();
+
+    logger.info('Add order page rendered', {
+      applicationCount: applications.length,
+      platformCount: platforms.length,
+      userId: session.user.id,
+    });
+
+    return <AddOrder applications={applications} platforms={platforms} />;
+  } catch (error) {
+    logger.error('Add order page error', {
+      error: error.message,
+    });
+
+    trackDatabaseError(error, 'add_order_page_render');
+
+    return <AddOrder applications={[]} platforms={[]} />;
+  }
+}
+
+export const metadata = {
+  title: 'Add Order | Benew Admin',
+  robots: 'noindex, nofollow',
+};
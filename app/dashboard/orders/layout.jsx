@@ -0,0 +1,8 @@
+// app/dashboard/orders/layout.jsx
+import { requirePagePermission } from '@/lib/auth-utils';
+
+export default async function OrdersLayout({ children }) {
+  await requirePagePermission('orders:view');
+
+  return children;
+}
@@ -0,0 +1,8 @@
+// app/dashboard/orders/notifications/layout.jsx
+import { requirePagePermission } from '@/lib/auth-utils';
+
+export default async function OrderNotificationsLayout({ children }) {
+  await requirePagePermission('orders:notifications');
+
+  return children;
+}
@@ -0,0 +1,47 @@
+// app/dashboard/orders/notifications/page.jsx
+import NotificationTemplates from '@/ui/pages/orders/NotificationTemplates';
+import { redirect } from 'next/navigation';
+import { headers } from 'next/headers';
+import { auth } from '@/lib/auth';
+import { getNotificationTemplates } from '@/lib/orderNotifications';
+import logger from '@/utils/logger';
+import { trackAuth, trackDatabaseError } from '@/utils/monitoring';
+
+export const revalidate = 0;
+export const dynamic = 'force-dynamic';
+
+async function getTemplatesFromDatabase() {
+  try {
+    return await getNotificationTemplates();
+  } catch (error) {
+    logger.error('Notification templates fetch error', {
+      error: error.message,
+    });
+
+    trackDatabaseError(error, 'notification_templates_fetch');
+    return [];
+  }
+}
+
+export default async function OrderNotificationsPage() {
+  const session = await auth.api.getSession({ headers: await headers() });
+
+  if (!session?.user) {
+    trackAuth('unauthenticated_order_notifications_access', {}, 'warning');
+    redirect('/login');
+  }
+
+  const templates = await getTemplatesFromDatabase();
+
+  logger.info('Order notifications page rendered', {
+    templateCount: templates.length,
+    userId: session.user.id,
+  });
+
+  return <NotificationTemplates templates={templates} />;
+}
+
+export const metadata = {
+  title: 'Client Emails | Benew Admin',
+  robots: 'noindex, nofollow',
+};
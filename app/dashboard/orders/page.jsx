@@ -3,7 +3,18 @@ import OrdersList from '@/ui/pages/orders/OrdersList';
 import { redirect } from 'next/navigation';
 import { headers } from 'next/headers';
 import { auth } from '@/lib/auth';
+import { hasPermission } from '@/lib/permissions';
 import { query } from '@/backend/dbConnect';
+import {
+  buildSecureWhereClause,
+  validateAndSanitizeFilters,
+} from '@/backend/orderFilters';
+import {
+  appendCondition,
+  buildKeysetQuery,
+  paginateRows,
+} from '@/backend/pagination';
+import { parseListFilters } from '@/utils/pagination';
 import logger from '@/utils/logger';
 import {
   trackAuth,
@@ -14,13 +25,20 @@ import {
 export const revalidate = 0;
 export const dynamic = 'force-dynamic';
 
-async function getOrdersFromDatabase() {
+async function getOrdersFromDatabase(listParams) {
   const startTime = Date.now();
   const requestId = crypto.randomUUID();
 
   logger.info('Orders fetch process started', { requestId });
 
   try {
+    // Mêmes filtres que getFilteredOrders : liste et total cohérents
+    const filters = validateAndSanitizeFilters(
+      parseListFilters('orders', listParams),
+    );
+    const { whereClause, values } = buildSecureWhereClause(filters);
+    const keyset = buildKeysetQuery('orders', listParams, values.length + 1);
+
     // ✅ CORRIGÉ : platform_name vient de admin.platforms via JOIN
     // admin.orders ne contient PAS de colonne platform_name
     const mainQuery = `
@@ -38,34 +56,44 @@ async function getOrdersFromDatabase() {
 
         a.application_name,
         a.application_category,
-        a.application_images
+        a.application_images,
+        ${keyset.sortSelect}
 
       FROM admin.orders o
       JOIN catalog.applications a ON o.order_application_id = a.application_id
-      ORDER BY o.order_created DESC
+      ${appendCondition(whereClause, keyset.condition)}
+      ${keyset.orderBy}
+      LIMIT ${keyset.limit}
     `;
 
     const countQuery = `
       SELECT COUNT(*) as total
       FROM admin.orders o
       JOIN catalog.applications a ON o.order_application_id = a.application_id
+      ${whereClause}
     `;
 
     const [ordersResult, countResult] = await Promise.all([
-      query(mainQuery),
-      query(countQuery),
+      query(mainQuery, [...values, ...keyset.values]),
+      query(countQuery, values),
     ]);
 
     if (!ordersResult || !Array.isArray(ordersResult.rows)) {
       logger.warn('Orders query returned invalid data structure', {
         requestId,
       });
-      return { orders: [], totalOrders: 0 };
+      return { orders: [], totalOrders: 0, pageInfo: null, filters: {} };
     }
 
     const total = parseInt(countResult.rows[0].total);
-
-    const sanitizedOrders = ordersResult.rows.map((order) => ({
+    const { rows, pageInfo } = paginateRows(
+      ordersResult.rows,
+      keyset,
+      'order_id',
+      total || 0,
+    );
+
+    const sanitizedOrders = rows.map((order) => ({
       order_id: order.order_id,
       order_payment_status: order.order_payment_status,
       order_created: order.order_created,
@@ -100,7 +128,7 @@ async function getOrdersFromDatabase() {
       durationMs: responseTime,
     });
 
-    return { orders: sanitizedOrders, totalOrders: total };
+    return { orders: sanitizedOrders, totalOrders: total, pageInfo, filters };
   } catch (error) {
     logger.error('Global Orders Error', {
       error: error.message,
@@ -113,11 +141,45 @@ async function getOrdersFromDatabase() {
       critical: 'true',
     });
 
-    return { orders: [], totalOrders: 0 };
+    return { orders: [], totalOrders: 0, pageInfo: null, filters: {} };
+  }
+}
+
+// Options des filtres application / plateforme (y compris inactives :
+// d'anciennes commandes peuvent y faire référence)
+async function getFilterOptionsFromDatabase() {
+  try {
+    const [applicationsResult, platformsResult] = await Promise.all([
+      query(
+        `SELECT application_id, application_name
+         FROM catalog.applications
+         ORDER BY application_name ASC`,
+      ),
+      query(
+        `SELECT platform_id, platform_name
+         FROM admin.platforms
+         ORDER BY platform_name ASC`,
+      ),
+    ]);
+
+    return {
+      applications: applicationsResult.rows.map((row) => ({
+        id: row.application_id,
+        name: row.application_name || '[No Name]',
+      })),
+      platforms: platformsResult.rows.map((row) => ({
+        id: row.platform_id,
+        name: row.platform_name || '[No Name]',
+      })),
+    };
+  } catch (error) {
+    logger.error('Order filter options fetch error', { error: error.message });
+    trackDatabaseError(error, 'orders_filter_options');
+    return { applications: [], platforms: [] };
   }
 }
 
-export default async function OrdersPage() {
+export default async function OrdersPage({ searchParams }) {
   try {
     const session = await auth.api.getSession({ headers: await headers() });
 
@@ -126,7 +188,12 @@ export default async function OrdersPage() {
       redirect('/login');
     }
 
-    const { orders, totalOrders } = await getOrdersFromDatabase();
+    // Tri, page et filtres depuis l'URL
+    const [{ orders, totalOrders, pageInfo, filters }, filterOptions] =
+      await Promise.all([
+        getOrdersFromDatabase(await searchParams),
+        getFilterOptionsFromDatabase(),
+      ]);
 
     logger.info('Orders page rendered', {
       orderCount: orders.length,
@@ -134,11 +201,30 @@ export default async function OrdersPage() {
       userId: session.user.id,
     });
 
-    return <OrdersList data={orders} totalOrders={totalOrders} />;
+    return (
+      <OrdersList
+        data={orders}
+        totalOrders={totalOrders}
+        pageInfo={pageInfo}
+        filters={filters}
+        filterOptions={filterOptions}
+        canUpdateStatus={hasPermission(
+          session.user.role,
+          'orders:update_status',
+        )}
+        canExport={hasPermission(session.user.role, 'orders:export')}
+        canCreate={hasPermission(session.user.role, 'orders:create')}
+        canInvoice={hasPermission(session.user.role, 'orders:invoice')}
+        canManageNotifications={hasPermission(
+          session.user.role,
+          'orders:notifications',
+        )}
+      />
+    );
   } catch (error) {
     logger.error('Orders page error', { error: error.message });
     trackDatabaseError(error, 'orders_page_render', { critical: 'true' });
-    return <OrdersList data={[]} totalOrders={0} />;
+    return <OrdersList data={[]} totalOrders={0} pageInfo={null} />;
   }
 }
 
@@ -1,28 +1,127 @@
-// app/dashboard/page.jsx - FIXED VERSION
-// ❌ RETIRER 'use client' - Ce doit être un Server Component
+// app/dashboard/page.jsx
+import { redirect } from 'next/navigation';
+import { headers } from 'next/headers';
+import { MdAttachMoney, MdShoppingCart, MdApps } from 'react-icons/md';
+import { auth } from '@/lib/auth';
+import {
+  getDashboardMetrics,
+  getRevenueSeries,
+  resolveDashboardPeriod,
+  resolveSeriesGranularity,
+} from '@/backend/dashboardMetrics';
+import logger from '@/utils/logger';
+import { trackAuth } from '@/utils/monitoring';
 import styles from '@/ui/styling/dashboard/dashboard.module.css';
 import Card from '@/ui/components/dashboard/card';
 import Chart from '@/ui/components/dashboard/chart';
+import PeriodSelector from '@/ui/components/dashboard/periodSelector';
+import RevenueChart from '@/ui/components/dashboard/revenueChart';
 import Rightbar from '@/ui/components/dashboard/rightbar';
 import Transactions from '@/ui/components/dashboard/transactions';
 
+export const revalidate = 0;
+export const dynamic = 'force-dynamic';
+
+const formatPrice = (price) =>
+  new Intl.NumberFormat('fr-FR', {
+    style: 'currency',
+    currency: 'USD',
+    minimumFractionDigits: 0,
+    maximumFractionDigits: 2,
+  }).format(price);
+
 /**
  * DASHBOARD PAGE - Server Component
  *
- * Note: La vérification auth est faite dans layout.jsx
- * Cette page peut rester simple et juste rendre le contenu
+ * Les KPIs sont calculés côté serveur pour la période passée dans l'URL
+ * (?period=7d|30d|90d ou ?period=custom&from=YYYY-MM-DD&to=YYYY-MM-DD).
+ * La série du revenu accepte en plus ?granularity=day|week|month.
  */
-export default function DashboardPage() {
+export default async function DashboardPage({ searchParams }) {
+  const session = await auth.api.getSession({ headers: await headers() });
+
+  if (!session?.user) {
+    trackAuth('unauthenticated_dashboard_access', {}, 'warning');
+    redirect('/login');
+  }
+
+  const params = await searchParams;
+  const period = resolveDashboardPeriod(params);
+  const granularity = resolveSeriesGranularity(params, period);
+  const [metrics, revenueSeries] = await Promise.all([
+    getDashboardMetrics(period),
+    getRevenueSeries(period, granularity),
+  ]);
+  const { revenue, orders, catalog } = metrics;
+  const comparisonLabel = `vs previous ${period.days} days`;
+
+  logger.info('Dashboard page rendered', {
+    period: period.key,
+    userId: session.user.id,
+  });
+
   return (
     <div className={styles.wrapper}>
       <div className={styles.main}>
+        <PeriodSelector
+          period={{
+            key: period.key,
+            label: period.label,
+            from: period.from,
+            to: period.to,
+          }}
+        />
         <div className={styles.cards}>
-          <Card />
-          <Card />
-          <Card />
+          <Card
+            icon={MdAttachMoney}
+            title="Revenue (paid orders)"
+            value={formatPrice(revenue.current)}
+            change={revenue.change}
+            detail={comparisonLabel}
+          />
+          <Card
+            icon={MdShoppingCart}
+            title="Orders"
+            value={orders.total}
+            change={orders.change}
+            detail={comparisonLabel}
+            breakdown={[
+              { label: 'Paid', value: orders.byStatus.paid },
+              { label: 'Pending', value: orders.byStatus.unpaid },
+              { label: 'Refunded', value: orders.byStatus.refunded },
+              { label: 'Failed', value: orders.byStatus.failed },
+            ]}
+          />
+          <Card
+            icon={MdApps}
+            title="Catalog (active / inactive)"
+            value={catalog.applications.active}
+            detail="active applications"
+            breakdown={[
+              {
+                label: 'Applications',
+                value: `${catalog.applications.active} / ${catalog.applications.inactive}`,
+              },
+              {
+                label: 'Templates',
+                value: `${catalog.templates.active} / ${catalog.templates.inactive}`,
+              },
+              {
+                label: 'Videos',
+                value: `${catalog.videos.active} / ${catalog.videos.inactive}`,
+              },
+            ]}
+          />
         </div>
-        <Transactions />
-        <Chart />
+        <RevenueChart series={revenueSeries} granularity={granularity} />
+        <Transactions orders={metrics.latestOrders} />
+        <Chart
+          title="Top Sellers (all time)"
+          data={metrics.topSellers}
+          xKey="application_name"
+          bars={[{ dataKey: 'sales_count', name: 'Sales', color: '#5d57c9' }]}
+          emptyMessage="No sales recorded yet"
+        />
       </div>
       <div className={styles.side}>
         <Rightbar />
@@ -30,3 +129,8 @@ export default function DashboardPage() {
     </div>
   );
 }
+
+export const metadata = {
+  title: 'Dashboard | Benew Admin',
+  robots: 'noindex, nofollow',
+};
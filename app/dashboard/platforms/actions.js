@@ -3,7 +3,18 @@
 import { getClient } from '@/backend/dbConnect';
 import { headers } from 'next/headers';
 import { auth } from '@/lib/auth';
+import { hasPermission } from '@/lib/permissions';
+import {
+  runCatalogBulkActive,
+  runCatalogBulkDelete,
+} from '@/lib/catalogBulkActions';
 import { checkServerActionRateLimit } from '@/backend/rateLimiter';
+import { buildCatalogFilterQuery } from '@/backend/catalogFilters';
+import {
+  appendCondition,
+  buildKeysetQuery,
+  paginateRows,
+} from '@/backend/pagination';
 import logger from '@/utils/logger';
 import {
   trackAuth,
@@ -11,87 +22,14 @@ import {
   trackDatabaseError,
 } from '@/utils/monitoring';
 
-/**
- * Validation des filtres platforms
- */
-function validateFilters(filters = {}) {
-  const validated = {};
-  const allowedFields = ['platform_name', 'payment_type', 'status'];
-
-  for (const [key, value] of Object.entries(filters)) {
-    if (!allowedFields.includes(key)) continue;
-
-    switch (key) {
-      case 'platform_name':
-        if (typeof value === 'string' && value.trim().length >= 2) {
-          validated[key] = value.trim().substring(0, 100);
-        }
-        break;
-
-      // payment_type = ['cash'] | ['electronic'] | ['cash', 'electronic']
-      case 'payment_type':
-        if (Array.isArray(value)) {
-          const allowedTypes = ['cash', 'electronic'];
-          validated[key] = value.filter((v) => allowedTypes.includes(v));
-        }
-        break;
-
-      case 'status':
-        if (Array.isArray(value)) {
-          const allowedStatuses = ['true', 'false'];
-          validated[key] = value.filter((v) => allowedStatuses.includes(v));
-        }
-        break;
-    }
-  }
-
-  return validated;
-}
-
-/**
- * Construction de la clause WHERE pour les platforms
- */
-function buildWhereClause(filters) {
-  const conditions = [];
-  const values = [];
-  let paramCount = 1;
-
-  if (filters.platform_name) {
-    conditions.push(`platform_name ILIKE $${paramCount}`);
-    values.push(`%${filters.platform_name}%`);
-    paramCount++;
-  }
-
-  // payment_type : is_cash_payment est un boolean en DB
-  // ['cash']             → is_cash_payment = TRUE
-  // ['electronic']       → is_cash_payment = FALSE
-  // ['cash','electronic'] → pas de condition (les deux = tout)
-  if (filters.payment_type?.length === 1) {
-    const isCash = filters.payment_type[0] === 'cash';
-    conditions.push(`is_cash_payment = $${paramCount}`);
-    values.push(isCash);
-    paramCount++;
-  }
-  // Si les deux sont sélectionnés ou aucun → aucune condition à ajouter
-
-  if (filters.status?.length > 0) {
-    const placeholders = filters.status
-      .map(() => `$${paramCount++}`)
-      .join(', ');
-    conditions.push(`is_active IN (${placeholders})`);
-    values.push(...filters.status.map((s) => s === 'true'));
-  }
-
-  const whereClause =
-    conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
-
-  return { whereClause, values };
-}
-
 /**
  * Server Action - Filtrer les platforms de paiement
+ *
+ * @param {Object} filters - Filtres de recherche
+ * @param {Object} listParams - Tri, taille de page et curseur (utils/pagination)
+ * @returns {Promise<{ platforms: Array, pageInfo: Object }>}
  */
-export async function getFilteredPlatforms(filters = {}) {
+export async function getFilteredPlatforms(filters = {}, listParams = {}) {
   let client;
   const startTime = Date.now();
 
@@ -106,6 +44,11 @@ export async function getFilteredPlatforms(filters = {}) {
       throw new Error('Authentication required');
     }
 
+    if (!hasPermission(session.user.role, 'catalog:view')) {
+      trackAuth('forbidden_filter_platforms_attempt', {}, 'warning');
+      throw new Error('You do not have permission to perform this action');
+    }
+
     // Rate limiting basé sur userId
     const rateLimitKey = `filter_platforms:${session.user.id}`;
     const isRateLimited = await checkServerActionRateLimit(rateLimitKey, {
@@ -121,7 +64,11 @@ export async function getFilteredPlatforms(filters = {}) {
     }
 
     // Validation des filtres
-    const validatedFilters = validateFilters(filters);
+    const {
+      filters: validatedFilters,
+      whereClause,
+      values,
+    } = buildCatalogFilterQuery('platforms', filters);
 
     logger.info('Filtering platforms', {
       userId: session.user.id,
@@ -132,7 +79,7 @@ export async function getFilteredPlatforms(filters = {}) {
     client = await getClient();
 
     // Construction requête
-    const { whereClause, values } = buildWhereClause(validatedFilters);
+    const keyset = buildKeysetQuery('platforms', listParams, values.length + 1);
 
     const query = `
       SELECT
@@ -144,23 +91,30 @@ export async function getFilteredPlatforms(filters = {}) {
         description,
         created_at,
         updated_at,
-        is_active
+        is_active,
+        ${keyset.sortSelect}
       FROM admin.platforms
-      ${whereClause}
-      ORDER BY created_at DESC
-      LIMIT 1000
+      ${appendCondition(whereClause, keyset.condition)}
+      ${keyset.orderBy}
+      LIMIT ${keyset.limit}
     `;
 
-    const result = await client.query(query, values);
+    const result = await client.query(query, [...values, ...keyset.values]);
+    const countResult = await client.query(
+      `SELECT COUNT(*) AS total FROM admin.platforms ${whereClause}`,
+      values,
+    );
 
-    if (!result || !Array.isArray(result.rows)) {
-      await client.cleanup();
-      return [];
-    }
+    const { rows, pageInfo } = paginateRows(
+      result.rows,
+      keyset,
+      'platform_id',
+      parseInt(countResult.rows[0].total, 10) || 0,
+    );
 
     // Même sanitization que dans platforms/page.jsx :
     // masquer partiellement les numéros de compte électroniques
-    const platforms = result.rows.map((platform) => {
+    const platforms = rows.map((platform) => {
       const isCash = Boolean(platform.is_cash_payment);
 
       return {
@@ -197,7 +151,7 @@ export async function getFilteredPlatforms(filters = {}) {
     });
 
     await client.cleanup();
-    return platforms;
+    return { platforms, pageInfo };
   } catch (error) {
     const responseTime = Date.now() - startTime;
 
@@ -222,3 +176,18 @@ export async function getFilteredPlatforms(filters = {}) {
     }
   }
 }
+
+/**
+ * Activer ou désactiver plusieurs plateformes de paiement
+ * Tout ou rien, voir lib/catalogBulk.js
+ */
+export async function bulkUpdatePlatformsActive(ids, active) {
+  return runCatalogBulkActive('platform', ids, active);
+}
+
+/**
+ * Supprimer plusieurs plateformes de paiement (inactives)
+ */
+export async function bulkDeletePlatforms(ids) {
+  return runCatalogBulkDelete('platform', ids);
+}
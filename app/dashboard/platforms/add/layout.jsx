@@ -0,0 +1,8 @@
+// app/dashboard/platforms/add/layout.jsx
+import { requirePagePermission } from '@/lib/auth-utils';
+
+export default async function AddPlatformLayout({ children }) {
+  await requirePagePermission('catalog:create');
+
+  return children;
+}
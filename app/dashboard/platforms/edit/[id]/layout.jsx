@@ -0,0 +1,8 @@
+// app/dashboard/platforms/edit/[id]/layout.jsx
+import { requirePagePermission } from '@/lib/auth-utils';
+
+export default async function EditPlatformLayout({ children }) {
+  await requirePagePermission('catalog:update');
+
+  return children;
+}
@@ -1,7 +1,9 @@
 // app/dashboard/platforms/edit/[id]/page.jsx - UPDATED WITH notFound()
 import EditPlatform from '@/ui/pages/platforms/EditPlatform';
+import EntityHistory from '@/ui/components/dashboard/EntityHistory';
 import { headers } from 'next/headers';
 import { auth } from '@/lib/auth';
+import { hasPermission } from '@/lib/permissions';
 import { getClient } from '@/backend/dbConnect';
 import { redirect, notFound } from 'next/navigation';
 import { platformIdSchema, cleanUUID } from '@/utils/schemas/platformSchema';
@@ -176,7 +178,15 @@ export default async function EditPlatformPage({ params }) {
       userId: session.user.id,
     });
 
-    return <EditPlatform platform={platform} />;
+    return (
+      <EntityHistory
+        entityType="platform"
+        entityId={platform.platform_id}
+        canViewHistory={hasPermission(session.user.role, 'audit:view')}
+      >
+        <EditPlatform platform={platform} />
+      </EntityHistory>
+    );
   } catch (error) {
     // ✅ Gestion des redirects Next.js
     if (
@@ -0,0 +1,8 @@
+// app/dashboard/platforms/layout.jsx
+import { requirePagePermission } from '@/lib/auth-utils';
+
+export default async function PlatformsLayout({ children }) {
+  await requirePagePermission('catalog:view');
+
+  return children;
+}
@@ -4,6 +4,13 @@ import { redirect } from 'next/navigation';
 import { headers } from 'next/headers';
 import { auth } from '@/lib/auth';
 import { query } from '@/backend/dbConnect';
+import { buildCatalogFilterQuery } from '@/backend/catalogFilters';
+import {
+  appendCondition,
+  buildKeysetQuery,
+  paginateRows,
+} from '@/backend/pagination';
+import { parseListFilters } from '@/utils/pagination';
 import logger from '@/utils/logger';
 import {
   trackAuth,
@@ -15,13 +22,19 @@ export const revalidate = 0;
 export const dynamic = 'force-dynamic';
 
 /**
- * Récupérer les plateformes de paiement depuis la base de données
+ * Récupérer une page de plateformes de paiement
+ * @param {Object} listParams - Tri, taille de page, curseur et filtres (URL)
  */
-async function getPlatformsFromDatabase() {
+async function getPlatformsFromDatabase(listParams) {
   const startTime = Date.now();
 
   try {
-    // Connexion DB
+    // Mêmes filtres que la server action : liste et total cohérents
+    const { filters, whereClause, values } = buildCatalogFilterQuery(
+      'platforms',
+      parseListFilters('platforms', listParams),
+    );
+    const keyset = buildKeysetQuery('platforms', listParams, values.length + 1);
 
     // ✅ MODIFIÉ : Ajouter is_cash_payment et description
     const platformsQuery = `
@@ -34,20 +47,36 @@ async function getPlatformsFromDatabase() {
         description,
         created_at, 
         updated_at, 
-        is_active
+        is_active,
+        ${keyset.sortSelect}
       FROM admin.platforms 
-      ORDER BY created_at DESC
+      ${appendCondition(whereClause, keyset.condition)}
+      ${keyset.orderBy}
+      LIMIT ${keyset.limit}
     `;
 
-    const result = await query(platformsQuery);
+    const [result, countResult] = await Promise.all([
+      query(platformsQuery, [...values, ...keyset.values]),
+      query(
+        `SELECT COUNT(*) AS total FROM admin.platforms ${whereClause}`,
+        values,
+      ),
+    ]);
 
     if (!result || !Array.isArray(result.rows)) {
       logger.warn('Platforms query returned invalid data structure');
-      return [];
+      return { platforms: [], pageInfo: null, filters: {} };
     }
 
+    const { rows, pageInfo } = paginateRows(
+      result.rows,
+      keyset,
+      'platform_id',
+      parseInt(countResult.rows[0].total, 10) || 0,
+    );
+
     // ✅ MODIFIÉ : Masquer partiellement les numéros de compte SEULEMENT pour plateformes électroniques
-    const sanitizedPlatforms = result.rows.map((platform) => {
+    const sanitizedPlatforms = rows.map((platform) => {
       const isCash = Boolean(platform.is_cash_payment);
 
       return {
@@ -91,7 +120,7 @@ async function getPlatformsFromDatabase() {
       durationMs: responseTime,
     });
 
-    return sanitizedPlatforms;
+    return { platforms: sanitizedPlatforms, pageInfo, filters };
   } catch (error) {
     const responseTime = Date.now() - startTime;
 
@@ -104,14 +133,14 @@ async function getPlatformsFromDatabase() {
       durationMs: responseTime,
     });
 
-    return [];
+    return { platforms: [], pageInfo: null, filters: {} };
   }
 }
 
 /**
  * Server Component - Page Platforms List
  */
-export default async function PlatformsPage() {
+export default async function PlatformsPage({ searchParams }) {
   try {
     // Vérification session
     const session = await auth.api.getSession({
@@ -123,15 +152,19 @@ export default async function PlatformsPage() {
       redirect('/login');
     }
 
-    // Récupération des plateformes
-    const platforms = await getPlatformsFromDatabase();
+    // Récupération des plateformes (tri, page et filtres depuis l'URL)
+    const { platforms, pageInfo, filters } = await getPlatformsFromDatabase(
+      await searchParams,
+    );
 
     logger.info('Platforms page rendered', {
       platformCount: platforms.length,
       userId: session.user.id,
     });
 
-    return <PlatformsList data={platforms} />;
+    return (
+      <PlatformsList data={platforms} pageInfo={pageInfo} filters={filters} />
+    );
   } catch (error) {
     logger.error('Platforms page error', {
       error: error.message,
@@ -140,7 +173,7 @@ export default async function PlatformsPage() {
     trackDatabaseError(error, 'platforms_page_render');
 
     // Afficher page vide en cas d'erreur
-    return <PlatformsList data={[]} />;
+    return <PlatformsList data={[]} pageInfo={null} />;
   }
 }
 
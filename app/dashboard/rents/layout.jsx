@@ -0,0 +1,8 @@
+// app/dashboard/rents/layout.jsx
+import { requirePagePermission } from '@/lib/auth-utils';
+
+export default async function RentsLayout({ children }) {
+  await requirePagePermission('orders:view');
+
+  return children;
+}
@@ -0,0 +1,94 @@
+// app/dashboard/rents/page.jsx
+import RentsList from '@/ui/pages/rents/RentsList';
+import { redirect } from 'next/navigation';
+import { headers } from 'next/headers';
+import { auth } from '@/lib/auth';
+import { hasPermission } from '@/lib/permissions';
+import { listRentPeriods, RENT_UPCOMING_DAYS } from '@/lib/rentSchedules';
+import logger from '@/utils/logger';
+import {
+  trackAuth,
+  trackDatabase,
+  trackDatabaseError,
+} from '@/utils/monitoring';
+
+export const revalidate = 0;
+export const dynamic = 'force-dynamic';
+
+async function getRentPeriodsFromDatabase() {
+  const startTime = Date.now();
+  const requestId = crypto.randomUUID();
+
+  try {
+    const result = await listRentPeriods();
+
+    logger.info('Rent periods fetch successful', {
+      overdueCount: result.totals.overdue_count,
+      upcomingCount: result.totals.upcoming_count,
+      durationMs: Date.now() - startTime,
+      requestId,
+    });
+
+    trackDatabase('rent_periods_fetched', {
+      overdueCount: result.totals.overdue_count,
+      durationMs: Date.now() - startTime,
+    });
+
+    return result;
+  } catch (error) {
+    logger.error('Global Rent Periods Error', {
+      error: error.message,
+      durationMs: Date.now() - startTime,
+      requestId,
+    });
+
+    trackDatabaseError(error, 'rent_periods_fetch_global', {
+      requestId,
+      critical: 'true',
+    });
+
+    return {
+      overdue: [],
+      upcoming: [],
+      totals: {
+        overdue_count: 0,
+        overdue_amount: 0,
+        upcoming_count: 0,
+        upcoming_amount: 0,
+        active_schedules: 0,
+      },
+    };
+  }
+}
+
+export default async function RentsPage() {
+  const session = await auth.api.getSession({ headers: await headers() });
+
+  if (!session?.user) {
+    trackAuth('unauthenticated_rents_access', {}, 'warning');
+    redirect('/login');
+  }
+
+  const { overdue, upcoming, totals } = await getRentPeriodsFromDatabase();
+
+  logger.info('Rents page rendered', {
+    overdueCount: overdue.length,
+    upcomingCount: upcoming.length,
+    userId: session.user.id,
+  });
+
+  return (
+    <RentsList
+      overdue={overdue}
+      upcoming={upcoming}
+      totals={totals}
+      upcomingDays={RENT_UPCOMING_DAYS}
+      canMarkPaid={hasPermission(session.user.role, 'orders:update_status')}
+    />
+  );
+}
+
+export const metadata = {
+  title: 'Rents | Benew Admin',
+  robots: 'noindex, nofollow',
+};
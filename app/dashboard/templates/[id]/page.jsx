@@ -2,8 +2,10 @@
 import { redirect, notFound } from 'next/navigation';
 import { headers } from 'next/headers';
 import { auth } from '@/lib/auth';
+import { hasPermission } from '@/lib/permissions';
 import { getClient } from '@/backend/dbConnect';
 import EditTemplate from '@/ui/pages/templates/EditTemplate';
+import EntityHistory from '@/ui/components/dashboard/EntityHistory';
 import { templateIdSchema, cleanUUID } from '@/utils/schemas/templateSchema';
 import logger from '@/utils/logger';
 import {
@@ -282,7 +284,18 @@ export default async function EditTemplatePage({ params }) {
       userId: session.user?.id,
     });
 
-    return <EditTemplate template={template} />;
+    return (
+      <EntityHistory
+        entityType="template"
+        entityId={template.template_id}
+        canViewHistory={hasPermission(session.user.role, 'audit:view')}
+      >
+        <EditTemplate
+          template={template}
+          canDuplicate={hasPermission(session.user.role, 'catalog:create')}
+        />
+      </EntityHistory>
+    );
   } catch (error) {
     // ✅ Gestion des redirects Next.js
     if (
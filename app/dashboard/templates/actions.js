@@ -3,7 +3,24 @@
 import { getClient } from '@/backend/dbConnect';
 import { headers } from 'next/headers';
 import { auth } from '@/lib/auth';
+import { hasPermission } from '@/lib/permissions';
+import { authorizeServerAction } from '@/lib/auth-utils';
+import {
+  CatalogDuplicateError,
+  duplicateTemplate,
+} from '@/lib/catalogDuplicates';
+import {
+  runCatalogBulkActive,
+  runCatalogBulkDelete,
+} from '@/lib/catalogBulkActions';
 import { checkServerActionRateLimit } from '@/backend/rateLimiter';
+import { buildCatalogFilterQuery } from '@/backend/catalogFilters';
+import {
+  appendCondition,
+  buildKeysetQuery,
+  paginateRows,
+} from '@/backend/pagination';
+import { templateDuplicateSchema } from '@/utils/schemas/templateSchema';
 import logger from '@/utils/logger';
 import {
   trackAuth,
@@ -11,92 +28,14 @@ import {
   trackDatabaseError,
 } from '@/utils/monitoring';
 
-/**
- * Validation des filtres templates
- */
-function validateFilters(filters = {}) {
-  const validated = {};
-  const allowedFields = ['template_name', 'platform', 'status'];
-
-  for (const [key, value] of Object.entries(filters)) {
-    if (!allowedFields.includes(key)) continue;
-
-    switch (key) {
-      case 'template_name':
-        if (typeof value === 'string' && value.trim().length >= 2) {
-          validated[key] = value.trim().substring(0, 100);
-        }
-        break;
-
-      // platform = web | mobile | both (filtre sur template_has_web / template_has_mobile)
-      case 'platform':
-        if (Array.isArray(value)) {
-          const allowedPlatforms = ['web', 'mobile'];
-          validated[key] = value.filter((v) => allowedPlatforms.includes(v));
-        }
-        break;
-
-      case 'status':
-        if (Array.isArray(value)) {
-          const allowedStatuses = ['true', 'false'];
-          validated[key] = value.filter((v) => allowedStatuses.includes(v));
-        }
-        break;
-    }
-  }
-
-  return validated;
-}
-
-/**
- * Construction de la clause WHERE pour les templates
- */
-function buildWhereClause(filters) {
-  const conditions = [];
-  const values = [];
-  let paramCount = 1;
-
-  if (filters.template_name) {
-    conditions.push(`template_name ILIKE $${paramCount}`);
-    values.push(`%${filters.template_name}%`);
-    paramCount++;
-  }
-
-  // Filtre plateforme : OR entre les valeurs sélectionnées
-  // ex: ['web'] → template_has_web = true
-  // ex: ['mobile'] → template_has_mobile = true
-  // ex: ['web', 'mobile'] → template_has_web = true OR template_has_mobile = true
-  if (filters.platform?.length > 0) {
-    const platformConditions = [];
-    if (filters.platform.includes('web')) {
-      platformConditions.push('template_has_web = TRUE');
-    }
-    if (filters.platform.includes('mobile')) {
-      platformConditions.push('template_has_mobile = TRUE');
-    }
-    if (platformConditions.length > 0) {
-      conditions.push(`(${platformConditions.join(' OR ')})`);
-    }
-  }
-
-  if (filters.status?.length > 0) {
-    const placeholders = filters.status
-      .map(() => `$${paramCount++}`)
-      .join(', ');
-    conditions.push(`is_active IN (${placeholders})`);
-    values.push(...filters.status.map((s) => s === 'true'));
-  }
-
-  const whereClause =
-    conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
-
-  return { whereClause, values };
-}
-
 /**
  * Server Action - Filtrer les templates
+ *
+ * @param {Object} filters - Filtres de recherche
+ * @param {Object} listParams - Tri, taille de page et curseur (utils/pagination)
+ * @returns {Promise<{ templates: Array, pageInfo: Object }>}
  */
-export async function getFilteredTemplates(filters = {}) {
+export async function getFilteredTemplates(filters = {}, listParams = {}) {
   let client;
   const startTime = Date.now();
 
@@ -111,6 +50,11 @@ export async function getFilteredTemplates(filters = {}) {
       throw new Error('Authentication required');
     }
 
+    if (!hasPermission(session.user.role, 'catalog:view')) {
+      trackAuth('forbidden_filter_templates_attempt', {}, 'warning');
+      throw new Error('You do not have permission to perform this action');
+    }
+
     // Rate limiting basé sur userId
     const rateLimitKey = `filter_templates:${session.user.id}`;
     const isRateLimited = await checkServerActionRateLimit(rateLimitKey, {
@@ -126,7 +70,11 @@ export async function getFilteredTemplates(filters = {}) {
     }
 
     // Validation des filtres
-    const validatedFilters = validateFilters(filters);
+    const {
+      filters: validatedFilters,
+      whereClause,
+      values,
+    } = buildCatalogFilterQuery('templates', filters);
 
     logger.info('Filtering templates', {
       userId: session.user.id,
@@ -137,7 +85,7 @@ export async function getFilteredTemplates(filters = {}) {
     client = await getClient();
 
     // Construction requête
-    const { whereClause, values } = buildWhereClause(validatedFilters);
+    const keyset = buildKeysetQuery('templates', listParams, values.length + 1);
 
     const query = `
       SELECT
@@ -149,21 +97,28 @@ export async function getFilteredTemplates(filters = {}) {
         template_added,
         sales_count,
         is_active,
-        updated_at
+        updated_at,
+        ${keyset.sortSelect}
       FROM catalog.templates
-      ${whereClause}
-      ORDER BY template_added DESC
-      LIMIT 1000
+      ${appendCondition(whereClause, keyset.condition)}
+      ${keyset.orderBy}
+      LIMIT ${keyset.limit}
     `;
 
-    const result = await client.query(query, values);
+    const result = await client.query(query, [...values, ...keyset.values]);
+    const countResult = await client.query(
+      `SELECT COUNT(*) AS total FROM catalog.templates ${whereClause}`,
+      values,
+    );
 
-    if (!result || !Array.isArray(result.rows)) {
-      await client.cleanup();
-      return [];
-    }
+    const { rows, pageInfo } = paginateRows(
+      result.rows,
+      keyset,
+      'template_id',
+      parseInt(countResult.rows[0].total, 10) || 0,
+    );
 
-    const templates = result.rows.map((template) => ({
+    const templates = rows.map((template) => ({
       template_id: template.template_id,
       template_name: template.template_name || '[No Name]',
       template_images: template.template_images || [],
@@ -190,7 +145,7 @@ export async function getFilteredTemplates(filters = {}) {
     });
 
     await client.cleanup();
-    return templates;
+    return { templates, pageInfo };
   } catch (error) {
     const responseTime = Date.now() - startTime;
 
@@ -215,3 +170,82 @@ export async function getFilteredTemplates(filters = {}) {
     }
   }
 }
+
+/**
+ * Dupliquer un template (inactif)
+ *
+ * @param {string} templateId
+ * @param {boolean} copyImages - Recopier les images sur Cloudinary
+ * @returns {Promise<{ success: boolean, error?: string, templateId?: string }>}
+ */
+export async function createTemplateCopy(templateId, copyImages = false) {
+  const startTime = Date.now();
+  let requestId;
+
+  try {
+    const { session, requestId: authRequestId } =
+      await authorizeServerAction('catalog:create');
+    requestId = authRequestId;
+
+    const validated = await templateDuplicateSchema.validate(
+      { templateId, copyImages },
+      { stripUnknown: true },
+    );
+
+    const copy = await duplicateTemplate(validated.templateId.toLowerCase(), {
+      copyImages: validated.copyImages,
+      actor: session.user,
+      requestId,
+    });
+
+    trackDatabase('template_duplicated', {
+      templateId: validated.templateId,
+      copyImages: validated.copyImages,
+      durationMs: Date.now() - startTime,
+    });
+
+    return { success: true, templateId: copy.template_id };
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return { success: false, error: error.errors?.[0] || error.message };
+    }
+
+    if (error instanceof CatalogDuplicateError) {
+      return { success: false, error: error.message };
+    }
+
+    logger.error('Error duplicating template', {
+      error: error.message,
+      requestId: requestId || 'unknown',
+      templateId,
+      durationMs: Date.now() - startTime,
+    });
+
+    trackDatabaseError(error, 'duplicate_template', {
+      requestId: requestId || 'unknown',
+      templateId,
+    });
+
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error(
+        'An error occurred while duplicating the template. Please try again.',
+      );
+    }
+    throw error;
+  }
+}
+
+/**
+ * Activer ou désactiver plusieurs templates
+ * Tout ou rien, voir lib/catalogBulk.js
+ */
+export async function bulkUpdateTemplatesActive(ids, active) {
+  return runCatalogBulkActive('template', ids, active);
+}
+
+/**
+ * Supprimer plusieurs templates (inactifs, sans vente)
+ */
+export async function bulkDeleteTemplates(ids) {
+  return runCatalogBulkDelete('template', ids);
+}
@@ -0,0 +1,8 @@
+// app/dashboard/templates/add/layout.jsx
+import { requirePagePermission } from '@/lib/auth-utils';
+
+export default async function AddTemplateLayout({ children }) {
+  await requirePagePermission('catalog:create');
+
+  return children;
+}
@@ -0,0 +1,8 @@
+// app/dashboard/templates/layout.jsx
+import { requirePagePermission } from '@/lib/auth-utils';
+
+export default async function TemplatesLayout({ children }) {
+  await requirePagePermission('catalog:view');
+
+  return children;
+}
@@ -2,6 +2,13 @@
 import { redirect } from 'next/navigation';
 import { headers } from 'next/headers';
 import { query } from '@/backend/dbConnect';
+import { buildCatalogFilterQuery } from '@/backend/catalogFilters';
+import {
+  appendCondition,
+  buildKeysetQuery,
+  paginateRows,
+} from '@/backend/pagination';
+import { parseListFilters } from '@/utils/pagination';
 import { auth } from '@/lib/auth';
 import ListTemplates from '@/ui/pages/templates/ListTemplates';
 import logger from '@/utils/logger';
@@ -20,11 +27,20 @@ export const metadata = {
   robots: 'noindex, nofollow',
 };
 
-async function getTemplates() {
+async function getTemplates(listParams) {
   const startTime = Date.now();
 
   try {
-    const result = await query(`
+    // Mêmes filtres que la server action : liste et total cohérents
+    const { filters, whereClause, values } = buildCatalogFilterQuery(
+      'templates',
+      parseListFilters('templates', listParams),
+    );
+    const keyset = buildKeysetQuery('templates', listParams, values.length + 1);
+
+    const [result, countResult] = await Promise.all([
+      query(
+        `
       SELECT 
         template_id,
         template_name,
@@ -34,25 +50,42 @@ async function getTemplates() {
         template_added,
         sales_count,
         is_active,
-        updated_at
+        updated_at,
+        ${keyset.sortSelect}
       FROM catalog.templates
-      ORDER BY template_added DESC
-    `);
+      ${appendCondition(whereClause, keyset.condition)}
+      ${keyset.orderBy}
+      LIMIT ${keyset.limit}
+    `,
+        [...values, ...keyset.values],
+      ),
+      query(
+        `SELECT COUNT(*) AS total FROM catalog.templates ${whereClause}`,
+        values,
+      ),
+    ]);
+
+    const { rows, pageInfo } = paginateRows(
+      result.rows,
+      keyset,
+      'template_id',
+      parseInt(countResult.rows[0].total, 10) || 0,
+    );
 
     const duration = Date.now() - startTime;
 
     logger.info('Templates fetched successfully', {
-      count: result.rows.length,
+      count: rows.length,
       durationMs: duration,
       component: 'templates_page',
     });
 
     trackDatabase('templates_fetched', {
-      count: result.rows.length,
+      count: rows.length,
       durationMs: duration,
     });
 
-    return result.rows.map((template) => ({
+    const templates = rows.map((template) => ({
       template_id: template.template_id,
       template_name: template.template_name || '[No Name]',
       template_images: template.template_images || [],
@@ -63,6 +96,8 @@ async function getTemplates() {
       is_active: Boolean(template.is_active),
       updated_at: template.updated_at,
     }));
+
+    return { templates, pageInfo, filters };
   } catch (error) {
     const duration = Date.now() - startTime;
 
@@ -78,7 +113,7 @@ async function getTemplates() {
       postgresCode: error.code,
     });
 
-    return [];
+    return { templates: [], pageInfo: null, filters: {} };
   }
 }
 
@@ -122,7 +157,7 @@ async function checkAuth() {
   }
 }
 
-export default async function TemplatesPage() {
+export default async function TemplatesPage({ searchParams }) {
   try {
     const session = await checkAuth();
 
@@ -130,7 +165,9 @@ export default async function TemplatesPage() {
       redirect('/login');
     }
 
-    const templates = await getTemplates();
+    const { templates, pageInfo, filters } = await getTemplates(
+      await searchParams,
+    );
 
     logger.info('Templates page rendering', {
       templateCount: templates.length,
@@ -138,7 +175,9 @@ export default async function TemplatesPage() {
       component: 'templates_page',
     });
 
-    return <ListTemplates data={templates} />;
+    return (
+      <ListTemplates data={templates} pageInfo={pageInfo} filters={filters} />
+    );
   } catch (error) {
     if (error.message?.includes('NEXT_REDIRECT')) {
       throw error;
@@ -153,6 +192,6 @@ export default async function TemplatesPage() {
       critical: 'true',
     });
 
-    return <ListTemplates data={[]} />;
+    return <ListTemplates data={[]} pageInfo={null} />;
   }
 }
@@ -0,0 +1,591 @@
+'use server';
+
+import { getClient, query } from '@/backend/dbConnect';
+import { auth } from '@/lib/auth';
+import { recordAudit } from '@/lib/audit';
+import { authorizeServerAction } from '@/lib/auth-utils';
+import {
+  generateInvitationToken,
+  hashInvitationToken,
+} from '@/lib/invitations';
+import { isValidRole } from '@/lib/permissions';
+import { SETTINGS, getAppSetting, setAppSetting } from '@/lib/settings';
+import logger from '@/utils/logger';
+import { trackAuth, trackDatabaseError } from '@/utils/monitoring';
+import {
+  invitationCreateSchema,
+  invitationIdSchema,
+} from '@/utils/schemas/invitationSchema';
+
+// Les IDs Better Auth sont des chaînes aléatoires (pas des UUID)
+const USER_ID_REGEX = /^[A-Za-z0-9_-]{1,64}$/;
+const MAX_REASON_LENGTH = 500;
+
+function validateTargetUserId(userId, session) {
+  if (typeof userId !== 'string' || !USER_ID_REGEX.test(userId)) {
+    throw new Error(`Invalid user ID: ${userId}`);
+  }
+
+  if (userId === session.user.id) {
+    throw new Error('You cannot perform this action on your own account');
+  }
+}
+
+function sanitizeReason(reason) {
+  if (typeof reason !== 'string') return null;
+
+  const cleanReason = reason
+    .trim()
+    .replace(/[<>]/g, '')
+    .substring(0, MAX_REASON_LENGTH);
+
+  return cleanReason || null;
+}
+
+function handleActionError(error, action, context, message) {
+  logger.error(`Error during user action: ${action}`, {
+    error: error.message,
+    ...context,
+  });
+
+  trackDatabaseError(error, `users_${action}`, context);
+
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error(message);
+  }
+  throw error;
+}
+
+/**
+ * Désactiver (bannir) un compte admin et révoquer toutes ses sessions
+ */
+export async function banUser(userId, reason) {
+  let client;
+  let requestId;
+  const startTime = Date.now();
+
+  try {
+    const { session, requestId: authRequestId } =
+      await authorizeServerAction('users:manage');
+    requestId = authRequestId;
+
+    validateTargetUserId(userId, session);
+
+    client = await getClient();
+    await client.query('BEGIN');
+
+    const updateResult = await client.query(
+      `UPDATE admin."user"
+       SET "banned" = true, "banReason" = $1, "bannedAt" = NOW()
+       WHERE id = $2
+       RETURNING id, email, "banReason"`,
+      [sanitizeReason(reason), userId],
+    );
+
+    if (updateResult.rows.length === 0) {
+      throw new Error(`User not found: ${userId}`);
+    }
+
+    const sessionsResult = await client.query(
+      `DELETE FROM admin."session" WHERE "userId" = $1`,
+      [userId],
+    );
+
+    await client.query('COMMIT');
+
+    logger.info('User banned', {
+      requestId,
+      userId: session.user.id,
+      targetUserId: userId,
+      revokedSessions: sessionsResult.rowCount,
+      durationMs: Date.now() - startTime,
+    });
+
+    trackAuth('user_banned', {
+      targetUserId: userId,
+      revokedSessions: sessionsResult.rowCount,
+    });
+
+    await recordAudit({
+      actor: session.user,
+      action: 'ban',
+      entityType: 'user',
+      entityId: userId,
+      after: {
+        banned: true,
+        banReason: updateResult.rows[0].banReason,
+        revokedSessions: sessionsResult.rowCount,
+      },
+      requestId,
+    });
+
+    return { success: true, revokedSessions: sessionsResult.rowCount };
+  } catch (error) {
+    if (client) await client.query('ROLLBACK').catch(() => {});
+
+    return handleActionError(
+      error,
+      'ban',
+      { requestId: requestId || 'unknown', targetUserId: userId },
+      'An error occurred while deactivating the account. Please try again.',
+    );
+  } finally {
+    if (client) await client.cleanup();
+  }
+}
+
+/**
+ * Réactiver un compte admin désactivé
+ */
+export async function unbanUser(userId) {
+  let requestId;
+
+  try {
+    const { session, requestId: authRequestId } =
+      await authorizeServerAction('users:manage');
+    requestId = authRequestId;
+
+    validateTargetUserId(userId, session);
+
+    const result = await query(
+      `UPDATE admin."user"
+       SET "banned" = false, "banReason" = NULL, "bannedAt" = NULL
+       WHERE id = $1
+       RETURNING id`,
+      [userId],
+    );
+
+    if (result.rows.length === 0) {
+      throw new Error(`User not found: ${userId}`);
+    }
+
+    logger.info('User unbanned', {
+      requestId,
+      userId: session.user.id,
+      targetUserId: userId,
+    });
+
+    trackAuth('user_unbanned', { targetUserId: userId });
+
+    await recordAudit({
+      actor: session.user,
+      action: 'unban',
+      entityType: 'user',
+      entityId: userId,
+      after: { banned: false },
+      requestId,
+    });
+
+    return { success: true };
+  } catch (error) {
+    return handleActionError(
+      error,
+      'unban',
+      { requestId: requestId || 'unknown', targetUserId: userId },
+      'An error occurred while reactivating the account. Please try again.',
+    );
+  }
+}
+
+/**
+ * Révoquer toutes les sessions d'un compte admin
+ *
+ * Note: le cookie cache Better Auth (5 min) peut garder une session
+ * révoquée valide jusqu'à son expiration.
+ */
+export async function revokeUserSessions(userId) {
+  let requestId;
+
+  try {
+    const { session, requestId: authRequestId } =
+      await authorizeServerAction('users:manage');
+    requestId = authRequestId;
+
+    validateTargetUserId(userId, session);
+
+    const result = await query(
+      `DELETE FROM admin."session" WHERE "userId" = $1`,
+      [userId],
+    );
+
+    logger.info('User sessions revoked', {
+      requestId,
+      userId: session.user.id,
+      targetUserId: userId,
+      revokedSessions: result.rowCount,
+    });
+
+    trackAuth('user_sessions_revoked', {
+      targetUserId: userId,
+      revokedSessions: result.rowCount,
+    });
+
+    await recordAudit({
+      actor: session.user,
+      action: 'revoke_sessions',
+      entityType: 'user',
+      entityId: userId,
+      after: { revokedSessions: result.rowCount },
+      requestId,
+    });
+
+    return { success: true, revokedSessions: result.rowCount };
+  } catch (error) {
+    return handleActionError(
+      error,
+      'revoke_sessions',
+      { requestId: requestId || 'unknown', targetUserId: userId },
+      'An error occurred while revoking sessions. Please try again.',
+    );
+  }
+}
+
+/**
+ * Forcer la réinitialisation du mot de passe d'un compte admin :
+ * sessions révoquées, connexion bloquée jusqu'au reset, lien de
+ * réinitialisation Better Auth généré.
+ */
+export async function forceUserPasswordReset(userId) {
+  let client;
+  let requestId;
+
+  try {
+    const { session, requestId: authRequestId } =
+      await authorizeServerAction('users:manage');
+    requestId = authRequestId;
+
+    validateTargetUserId(userId, session);
+
+    client = await getClient();
+    await client.query('BEGIN');
+
+    const updateResult = await client.query(
+      `UPDATE admin."user"
+       SET "forcePasswordReset" = true
+       WHERE id = $1
+       RETURNING id, email`,
+      [userId],
+    );
+
+    if (updateResult.rows.length === 0) {
+      throw new Error(`User not found: ${userId}`);
+    }
+
+    const sessionsResult = await client.query(
+      `DELETE FROM admin."session" WHERE "userId" = $1`,
+      [userId],
+    );
+
+    await client.query('COMMIT');
+
+    await auth.api.requestPasswordReset({
+      body: {
+        email: updateResult.rows[0].email,
+        redirectTo: '/reset-password',
+      },
+    });
+
+    logger.info('Password reset forced', {
+      requestId,
+      userId: session.user.id,
+      targetUserId: userId,
+      revokedSessions: sessionsResult.rowCount,
+    });
+
+    trackAuth('user_password_reset_forced', { targetUserId: userId });
+
+    await recordAudit({
+      actor: session.user,
+      action: 'force_password_reset',
+      entityType: 'user',
+      entityId: userId,
+      after: {
+        forcePasswordReset: true,
+        revokedSessions: sessionsResult.rowCount,
+      },
+      requestId,
+    });
+
+    return { success: true, revokedSessions: sessionsResult.rowCount };
+  } catch (error) {
+    if (client) await client.query('ROLLBACK').catch(() => {});
+
+    return handleActionError(
+      error,
+      'force_password_reset',
+      { requestId: requestId || 'unknown', targetUserId: userId },
+      'An error occurred while forcing the password reset. Please try again.',
+    );
+  } finally {
+    if (client) await client.cleanup();
+  }
+}
+
+/**
+ * Changer le rôle d'un compte admin (voir lib/permissions.js)
+ */
+export async function updateUserRole(userId, role) {
+  let requestId;
+
+  try {
+    const { session, requestId: authRequestId } =
+      await authorizeServerAction('users:manage');
+    requestId = authRequestId;
+
+    validateTargetUserId(userId, session);
+
+    if (!isValidRole(role)) {
+      throw new Error(`Invalid role: ${role}`);
+    }
+
+    // Ancien rôle relu dans la même requête (journal d'audit)
+    const result = await query(
+      `UPDATE admin."user" u
+       SET "role" = $1
+       FROM (SELECT id, "role" FROM admin."user" WHERE id = $2 FOR UPDATE) previous
+       WHERE u.id = previous.id
+       RETURNING u.id, u."role", previous."role" AS previous_role`,
+      [role, userId],
+    );
+
+    if (result.rows.length === 0) {
+      throw new Error(`User not found: ${userId}`);
+    }
+
+    logger.info('User role updated', {
+      requestId,
+      userId: session.user.id,
+      targetUserId: userId,
+      role,
+    });
+
+    trackAuth('user_role_updated', { targetUserId: userId, role });
+
+    await recordAudit({
+      actor: session.user,
+      action: 'update_role',
+      entityType: 'user',
+      entityId: userId,
+      before: { role: result.rows[0].previous_role },
+      after: { role: result.rows[0].role },
+      requestId,
+    });
+
+    return { success: true, role: result.rows[0].role };
+  } catch (error) {
+    return handleActionError(
+      error,
+      'update_role',
+      { requestId: requestId || 'unknown', targetUserId: userId, role },
+      'An error occurred while updating the role. Please try again.',
+    );
+  }
+}
+
+/**
+ * Créer une invitation (usage unique, liée à un email et un rôle)
+ *
+ * Le lien d'inscription n'est renvoyé qu'ici : seul le hash du token
+ * est stocké.
+ */
+export async function createInvitation(formData) {
+  let requestId;
+
+  try {
+    const { session, requestId: authRequestId } =
+      await authorizeServerAction('users:manage');
+    requestId = authRequestId;
+
+    const { email, role, expiresInHours } =
+      await invitationCreateSchema.validate(formData, { stripUnknown: true });
+    const normalizedEmail = email.trim().toLowerCase();
+
+    const existingUser = await query(
+      `SELECT id FROM admin."user" WHERE LOWER(email) = $1`,
+      [normalizedEmail],
+    );
+
+    if (existingUser.rows.length > 0) {
+      return {
+        success: false,
+        error: 'An account with this email already exists',
+      };
+    }
+
+    const token = generateInvitationToken();
+
+    // Une seule invitation en attente par email : les précédentes sont révoquées
+    const result = await query(
+      `WITH revoked AS (
+         UPDATE admin.invitations
+         SET invitation_revoked_at = NOW()
+         WHERE LOWER(invitation_email) = $1
+           AND invitation_used_at IS NULL
+           AND invitation_revoked_at IS NULL
+       )
+       INSERT INTO admin.invitations (
+         invitation_email,
+         invitation_role,
+         invitation_token_hash,
+         invitation_expires_at,
+         invitation_created_by
+       )
+       VALUES ($1, $2, $3, NOW() + make_interval(hours => $4), $5)
+       RETURNING invitation_id, invitation_expires_at`,
+      [
+        normalizedEmail,
+        role,
+        hashInvitationToken(token),
+        expiresInHours,
+        session.user.id,
+      ],
+    );
+
+    const invitation = result.rows[0];
+    const baseUrl =
+      process.env.BETTER_AUTH_URL || process.env.NEXT_PUBLIC_SITE_URL || '';
+
+    logger.info('Invitation created', {
+      requestId,
+      userId: session.user.id,
+      invitationId: invitation.invitation_id,
+      role,
+    });
+
+    trackAuth('invitation_created', { role });
+
+    await recordAudit({
+      actor: session.user,
+      action: 'create',
+      entityType: 'invitation',
+      entityId: invitation.invitation_id,
+      after: {
+        email: normalizedEmail,
+        role,
+        expiresAt: invitation.invitation_expires_at,
+      },
+      requestId,
+    });
+
+    return {
+      success: true,
+      invitationId: invitation.invitation_id,
+      expiresAt: invitation.invitation_expires_at,
+      url: `${baseUrl}/register?token=${token}`,
+    };
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return { success: false, error: error.errors?.[0] || error.message };
+    }
+
+    return handleActionError(
+      error,
+      'create_invitation',
+      { requestId: requestId || 'unknown' },
+      'An error occurred while creating the invitation. Please try again.',
+    );
+  }
+}
+
+/**
+ * Révoquer une invitation encore en attente
+ */
+export async function revokeInvitation(invitationId) {
+  let requestId;
+
+  try {
+    const { session, requestId: authRequestId } =
+      await authorizeServerAction('users:manage');
+    requestId = authRequestId;
+
+    await invitationIdSchema.validate({ id: invitationId });
+
+    const result = await query(
+      `UPDATE admin.invitations
+       SET invitation_revoked_at = NOW()
+       WHERE invitation_id = $1
+         AND invitation_used_at IS NULL
+         AND invitation_revoked_at IS NULL
+       RETURNING invitation_id`,
+      [invitationId],
+    );
+
+    if (result.rows.length === 0) {
+      throw new Error(`Pending invitation not found: ${invitationId}`);
+    }
+
+    logger.info('Invitation revoked', {
+      requestId,
+      userId: session.user.id,
+      invitationId,
+    });
+
+    trackAuth('invitation_revoked', { invitationId });
+
+    await recordAudit({
+      actor: session.user,
+      action: 'revoke',
+      entityType: 'invitation',
+      entityId: invitationId,
+      after: { revoked: true },
+      requestId,
+    });
+
+    return { success: true };
+  } catch (error) {
+    return handleActionError(
+      error,
+      'revoke_invitation',
+      { requestId: requestId || 'unknown', invitationId },
+      'An error occurred while revoking the invitation. Please try again.',
+    );
+  }
+}
+
+/**
+ * Imposer (ou non) la 2FA à tous les comptes admin
+ * Les comptes sans 2FA sont redirigés vers /two-factor/setup.
+ */
+export async function setTwoFactorRequirement(required) {
+  let requestId;
+
+  try {
+    const { session, requestId: authRequestId } =
+      await authorizeServerAction('users:manage');
+    requestId = authRequestId;
+
+    if (typeof required !== 'boolean') {
+      throw new Error(`Invalid value for two-factor requirement: ${required}`);
+    }
+
+    const previousValue = await getAppSetting(SETTINGS.REQUIRE_TWO_FACTOR);
+    await setAppSetting(SETTINGS.REQUIRE_TWO_FACTOR, required, session.user.id);
+
+    logger.info('Two-factor requirement updated', {
+      requestId,
+      userId: session.user.id,
+      required,
+    });
+
+    trackAuth('two_factor_requirement_updated', { required });
+
+    await recordAudit({
+      actor: session.user,
+      action: 'update',
+      entityType: 'setting',
+      entityId: SETTINGS.REQUIRE_TWO_FACTOR,
+      before: { value: previousValue },
+      after: { value: required },
+      requestId,
+    });
+
+    return { success: true, required };
+  } catch (error) {
+    return handleActionError(
+      error,
+      'two_factor_requirement',
+      { requestId: requestId || 'unknown', required },
+      'An error occurred while updating the security setting. Please try again.',
+    );
+  }
+}
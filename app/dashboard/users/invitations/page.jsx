@@ -0,0 +1,103 @@
+// app/dashboard/users/invitations/page.jsx
+import InvitationsList from '@/ui/pages/users/InvitationsList';
+import { redirect } from 'next/navigation';
+import { headers } from 'next/headers';
+import { auth } from '@/lib/auth';
+import { query } from '@/backend/dbConnect';
+import { getInvitationStatus } from '@/lib/invitations';
+import logger from '@/utils/logger';
+import {
+  trackAuth,
+  trackDatabase,
+  trackDatabaseError,
+} from '@/utils/monitoring';
+
+export const revalidate = 0;
+export const dynamic = 'force-dynamic';
+
+// Historique affiché : les invitations les plus récentes
+const INVITATIONS_LIMIT = 200;
+
+async function getInvitationsFromDatabase() {
+  const startTime = Date.now();
+  const requestId = crypto.randomUUID();
+
+  try {
+    const invitationsQuery = `
+      SELECT
+        i.invitation_id,
+        i.invitation_email,
+        i.invitation_role,
+        i.invitation_expires_at,
+        i.invitation_created_at,
+        i.invitation_used_at,
+        i.invitation_revoked_at,
+        creator.email AS created_by_email,
+        invitee.email AS used_by_email
+      FROM admin.invitations i
+      LEFT JOIN admin."user" creator ON creator.id = i.invitation_created_by
+      LEFT JOIN admin."user" invitee ON invitee.id = i.invitation_used_by
+      ORDER BY i.invitation_created_at DESC
+      LIMIT $1
+    `;
+
+    const result = await query(invitationsQuery, [INVITATIONS_LIMIT]);
+    const now = new Date();
+
+    const invitations = result.rows.map((invitation) => ({
+      id: invitation.invitation_id,
+      email: invitation.invitation_email,
+      role: invitation.invitation_role,
+      status: getInvitationStatus(invitation, now),
+      expires_at: invitation.invitation_expires_at,
+      created_at: invitation.invitation_created_at,
+      used_at: invitation.invitation_used_at,
+      revoked_at: invitation.invitation_revoked_at,
+      created_by: invitation.created_by_email || '',
+      used_by: invitation.used_by_email || '',
+    }));
+
+    trackDatabase('invitations_fetched', {
+      invitationCount: invitations.length,
+      durationMs: Date.now() - startTime,
+    });
+
+    return invitations;
+  } catch (error) {
+    logger.error('Global Invitations Error', {
+      error: error.message,
+      durationMs: Date.now() - startTime,
+      requestId,
+    });
+
+    trackDatabaseError(error, 'invitations_fetch_global', {
+      requestId,
+      critical: 'true',
+    });
+
+    return [];
+  }
+}
+
+export default async function InvitationsPage() {
+  const session = await auth.api.getSession({ headers: await headers() });
+
+  if (!session?.user) {
+    trackAuth('unauthenticated_invitations_access', {}, 'warning');
+    redirect('/login');
+  }
+
+  const invitations = await getInvitationsFromDatabase();
+
+  logger.info('Invitations page rendered', {
+    invitationCount: invitations.length,
+    userId: session.user.id,
+  });
+
+  return <InvitationsList data={invitations} />;
+}
+
+export const metadata = {
+  title: 'Invitations | Benew Admin',
+  robots: 'noindex, nofollow',
+};
@@ -0,0 +1,8 @@
+// app/dashboard/users/layout.jsx
+import { requirePagePermission } from '@/lib/auth-utils';
+
+export default async function UsersLayout({ children }) {
+  await requirePagePermission('users:manage');
+
+  return children;
+}
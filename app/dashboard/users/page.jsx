@@ -0,0 +1,121 @@
+// app/dashboard/users/page.jsx
+import UsersList from '@/ui/pages/users/UsersList';
+import { redirect } from 'next/navigation';
+import { headers } from 'next/headers';
+import { auth } from '@/lib/auth';
+import { query } from '@/backend/dbConnect';
+import { isTwoFactorRequired } from '@/lib/settings';
+import logger from '@/utils/logger';
+import {
+  trackAuth,
+  trackDatabase,
+  trackDatabaseError,
+} from '@/utils/monitoring';
+
+export const revalidate = 0;
+export const dynamic = 'force-dynamic';
+
+async function getUsersFromDatabase() {
+  const startTime = Date.now();
+  const requestId = crypto.randomUUID();
+
+  try {
+    // Tables Better Auth : colonnes camelCase entre guillemets
+    const usersQuery = `
+      SELECT
+        u.id,
+        u.name,
+        u.email,
+        u."emailVerified",
+        u."role",
+        u."createdAt",
+        u."banned",
+        u."banReason",
+        u."bannedAt",
+        u."forcePasswordReset",
+        u."twoFactorEnabled",
+        COALESCE(u."lastSignInAt", MAX(s."createdAt")) AS last_sign_in,
+        COUNT(s.id) FILTER (WHERE s."expiresAt" > NOW()) AS active_sessions
+      FROM admin."user" u
+      LEFT JOIN admin."session" s ON s."userId" = u.id
+      GROUP BY u.id
+      ORDER BY u."createdAt" ASC
+    `;
+
+    const result = await query(usersQuery);
+
+    const users = result.rows.map((user) => ({
+      id: user.id,
+      name: user.name || '',
+      email: user.email,
+      email_verified: Boolean(user.emailVerified),
+      role: user.role,
+      created_at: user.createdAt,
+      banned: Boolean(user.banned),
+      ban_reason: user.banReason || '',
+      banned_at: user.bannedAt,
+      force_password_reset: Boolean(user.forcePasswordReset),
+      two_factor_enabled: Boolean(user.twoFactorEnabled),
+      last_sign_in: user.last_sign_in,
+      active_sessions: parseInt(user.active_sessions, 10) || 0,
+    }));
+
+    logger.info('Users fetch successful', {
+      userCount: users.length,
+      durationMs: Date.now() - startTime,
+      requestId,
+    });
+
+    trackDatabase('users_fetched', {
+      userCount: users.length,
+      durationMs: Date.now() - startTime,
+    });
+
+    return users;
+  } catch (error) {
+    logger.error('Global Users Error', {
+      error: error.message,
+      durationMs: Date.now() - startTime,
+      requestId,
+    });
+
+    trackDatabaseError(error, 'users_fetch_global', {
+      requestId,
+      critical: 'true',
+    });
+
+    return [];
+  }
+}
+
+export default async function UsersPage() {
+  const session = await auth.api.getSession({ headers: await headers() });
+
+  if (!session?.user) {
+    trackAuth('unauthenticated_users_access', {}, 'warning');
+    redirect('/login');
+  }
+
+  const [users, twoFactorRequired] = await Promise.all([
+    getUsersFromDatabase(),
+    isTwoFactorRequired(),
+  ]);
+
+  logger.info('Users page rendered', {
+    userCount: users.length,
+    userId: session.user.id,
+  });
+
+  return (
+    <UsersList
+      data={users}
+      currentUserId={session.user.id}
+      twoFactorRequired={twoFactorRequired}
+    />
+  );
+}
+
+export const metadata = {
+  title: 'Users | Benew Admin',
+  robots: 'noindex, nofollow',
+};
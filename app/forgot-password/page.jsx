@@ -0,0 +1,42 @@
+// app/forgot-password/page.jsx - SERVER COMPONENT
+import { redirect } from 'next/navigation';
+import { headers } from 'next/headers';
+import { auth } from '@/lib/auth';
+import '@/ui/styling/login/login.css';
+import ForgotPasswordForm from '@/ui/components/dashboard/auth/ForgotPasswordForm';
+import { trackAuth } from '@/utils/monitoring';
+
+/**
+ * FORGOT PASSWORD PAGE - Server Component
+ *
+ * - Automatic redirect if already authenticated
+ * - Sends a Better Auth reset link (see sendResetPassword in lib/auth.js)
+ * - Rate limited with the AUTH_ENDPOINTS preset (app/api/auth/[...all])
+ */
+export default async function ForgotPasswordPage() {
+  const session = await auth.api.getSession({
+    headers: await headers(),
+  });
+
+  if (session?.user) {
+    trackAuth('forgot_password_page_already_authenticated', {
+      userId: session.user.id,
+      redirectTo: '/dashboard',
+    });
+    redirect('/dashboard');
+  }
+
+  trackAuth('forgot_password_page_visited');
+
+  return (
+    <div className="container">
+      <h1>Forgot Password</h1>
+      <ForgotPasswordForm />
+    </div>
+  );
+}
+
+export const metadata = {
+  title: 'Forgot Password | Benew',
+  robots: 'noindex, nofollow',
+};
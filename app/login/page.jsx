@@ -31,14 +31,17 @@ export default async function LoginPage({ searchParams }) {
   }
 
   // ✅ Extract URL params for better UX
-  const callbackUrl = searchParams?.callbackUrl || '/dashboard';
-  const registered = searchParams?.registered === 'true';
-  const errorParam = searchParams?.error;
+  const params = await searchParams;
+  const callbackUrl = params?.callbackUrl || '/dashboard';
+  const registered = params?.registered === 'true';
+  const passwordReset = params?.reset === 'true';
+  const errorParam = params?.error;
 
   // Track login page visit
   trackAuth('login_page_visited', {
-    hasCallback: !!searchParams?.callbackUrl,
+    hasCallback: !!params?.callbackUrl,
     fromRegistration: registered,
+    fromPasswordReset: passwordReset,
     hasError: !!errorParam,
   });
 
@@ -63,6 +66,23 @@ export default async function LoginPage({ searchParams }) {
         </div>
       )}
 
+      {/* ✅ Success message after password reset */}
+      {passwordReset && (
+        <div
+          className="success-banner"
+          style={{
+            padding: '1rem',
+            marginBottom: '1rem',
+            backgroundColor: '#d1fae5',
+            color: '#065f46',
+            borderRadius: '4px',
+            textAlign: 'center',
+          }}
+        >
+          ✓ Password updated! Please log in with your new password.
+        </div>
+      )}
+
       {/* ✅ Error message from URL params */}
       {errorParam && (
         <div className="error submit-error">
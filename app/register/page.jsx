@@ -2,6 +2,7 @@
 import { redirect } from 'next/navigation';
 import { headers } from 'next/headers';
 import { auth } from '@/lib/auth';
+import { findPendingInvitation } from '@/lib/invitations';
 import '@/ui/styling/register/register.css';
 import RegistrationForm from '@/ui/components/dashboard/auth/RegistrationForm';
 import { trackAuth } from '@/utils/monitoring';
@@ -12,13 +13,11 @@ import { trackAuth } from '@/utils/monitoring';
  * Production-ready features for admin app (5 users max/day):
  * - Server-side session check (prevent duplicate registrations)
  * - Automatic redirect if already authenticated
- * - Zero client-side JavaScript for auth check
+ * - Invitation-only registration (?token=... created from /dashboard/users/invitations)
  * - Security warnings for admin-only access
  *
- * IMPORTANT: For production with 5 users max, consider:
- * 1. Disabling public registration entirely (create users via DB/CLI)
- * 2. Implementing invitation-only registration (token required)
- * 3. Adding email domain whitelist (@yourcompany.com only)
+ * The token is checked here for UX only: it is enforced again (and
+ * consumed) by the databaseHooks.user.create hooks in lib/auth.js.
  */
 export default async function RegisterPage({ searchParams }) {
   // ✅ Server-side session verification
@@ -36,32 +35,45 @@ export default async function RegisterPage({ searchParams }) {
   }
 
   // ✅ Extract URL params
-  const invitationToken = searchParams?.token; // For invitation-only flow (optional)
-  const errorParam = searchParams?.error;
+  const params = await searchParams;
+  const invitationToken =
+    typeof params?.token === 'string' ? params.token : null;
+  const errorParam = params?.error;
 
-  // ✅ OPTIONAL: Uncomment to require invitation token
-  // if (!invitationToken) {
-  //   trackAuth('register_page_no_invitation_token', {}, 'warning');
+  // ✅ Invitation required (single-use, bound to an email)
+  const invitation = invitationToken
+    ? await findPendingInvitation(invitationToken)
+    : null;
 
-  //   return (
-  //     <div className="container">
-  //       <h1>Admin Registration</h1>
-  //       <p
-  //         style={{
-  //           textAlign: 'center',
-  //           color: 'var(--textSoft)',
-  //           marginTop: '1rem',
-  //         }}
-  //       >
-  //         Registration is by invitation only. Please contact your administrator.
-  //       </p>
-  //     </div>
-  //   );
-  // }
+  if (!invitation) {
+    trackAuth(
+      'register_page_invalid_invitation',
+      { hasInvitationToken: !!invitationToken },
+      'warning',
+    );
+
+    return (
+      <div className="container">
+        <h1>Admin Registration</h1>
+        <p
+          style={{
+            textAlign: 'center',
+            color: 'var(--textSoft)',
+            marginTop: '1rem',
+          }}
+        >
+          {invitationToken
+            ? 'This invitation is invalid, has expired or has already been used.'
+            : 'Registration is by invitation only.'}{' '}
+          Please contact your administrator.
+        </p>
+      </div>
+    );
+  }
 
   // Track registration page visit
   trackAuth('register_page_visited', {
-    hasInvitationToken: !!invitationToken,
+    invitationId: invitation.id,
     hasError: !!errorParam,
   });
 
@@ -96,7 +108,10 @@ export default async function RegisterPage({ searchParams }) {
       )}
 
       {/* ✅ Client Component for form interactivity */}
-      <RegistrationForm invitationToken={invitationToken} />
+      <RegistrationForm
+        invitationToken={invitationToken}
+        invitationEmail={invitation.email}
+      />
     </div>
   );
 }
@@ -0,0 +1,53 @@
+// app/reset-password/page.jsx - SERVER COMPONENT
+import Link from 'next/link';
+import '@/ui/styling/login/login.css';
+import ResetPasswordForm from '@/ui/components/dashboard/auth/ResetPasswordForm';
+import { trackAuth } from '@/utils/monitoring';
+
+/**
+ * RESET PASSWORD PAGE - Server Component
+ *
+ * Target of the Better Auth reset link: /api/auth/reset-password/:token
+ * redirects here with ?token=... (or ?error=INVALID_TOKEN).
+ */
+export default async function ResetPasswordPage({ searchParams }) {
+  const params = await searchParams;
+  const token = typeof params?.token === 'string' ? params.token : null;
+  const hasError = !!params?.error;
+
+  if (!token || hasError) {
+    trackAuth(
+      'reset_password_invalid_token',
+      { hasToken: !!token, error: params?.error },
+      'warning',
+    );
+
+    return (
+      <div className="container">
+        <h1>Reset Password</h1>
+        <div className="error submit-error" role="alert">
+          This reset link is invalid or has expired.
+        </div>
+        <div className="form-footer">
+          <Link href="/forgot-password">Request a new link</Link>
+          <span className="divider">|</span>
+          <Link href="/login">Back to login</Link>
+        </div>
+      </div>
+    );
+  }
+
+  trackAuth('reset_password_page_visited');
+
+  return (
+    <div className="container">
+      <h1>Reset Password</h1>
+      <ResetPasswordForm token={token} />
+    </div>
+  );
+}
+
+export const metadata = {
+  title: 'Reset Password | Benew',
+  robots: 'noindex, nofollow',
+};
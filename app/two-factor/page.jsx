@@ -0,0 +1,48 @@
+// app/two-factor/page.jsx - SERVER COMPONENT
+import { redirect } from 'next/navigation';
+import { headers } from 'next/headers';
+import { auth } from '@/lib/auth';
+import '@/ui/styling/login/login.css';
+import TwoFactorForm from '@/ui/components/dashboard/auth/TwoFactorForm';
+import { trackAuth } from '@/utils/monitoring';
+
+/**
+ * TWO-FACTOR PAGE - Server Component
+ *
+ * Second login step: the password has been checked, Better Auth holds a
+ * short-lived "two_factor" cookie until a TOTP or backup code is verified.
+ */
+export default async function TwoFactorPage({ searchParams }) {
+  const session = await auth.api.getSession({
+    headers: await headers(),
+  });
+
+  if (session?.user) {
+    redirect('/dashboard');
+  }
+
+  const params = await searchParams;
+  const requestedUrl = params?.callbackUrl;
+
+  // ✅ Only same-site relative URLs (no open redirect)
+  const callbackUrl =
+    typeof requestedUrl === 'string' &&
+    requestedUrl.startsWith('/') &&
+    !requestedUrl.startsWith('//')
+      ? requestedUrl
+      : '/dashboard';
+
+  trackAuth('two_factor_page_visited');
+
+  return (
+    <div className="container">
+      <h1>Two-Factor Authentication</h1>
+      <TwoFactorForm callbackUrl={callbackUrl} />
+    </div>
+  );
+}
+
+export const metadata = {
+  title: 'Two-Factor Authentication | Benew',
+  robots: 'noindex, nofollow',
+};
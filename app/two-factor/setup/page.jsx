@@ -0,0 +1,48 @@
+// app/two-factor/setup/page.jsx - SERVER COMPONENT
+import { redirect } from 'next/navigation';
+import { headers } from 'next/headers';
+import { auth } from '@/lib/auth';
+import { isTwoFactorRequired } from '@/lib/settings';
+import '@/ui/styling/login/login.css';
+import TwoFactorSetup from '@/ui/components/dashboard/auth/TwoFactorSetup';
+import { trackAuth } from '@/utils/monitoring';
+
+/**
+ * TWO-FACTOR SETUP PAGE - Server Component
+ *
+ * Outside /dashboard on purpose: when 2FA is required by the owner, the
+ * dashboard layout redirects accounts without 2FA here.
+ */
+export default async function TwoFactorSetupPage() {
+  const session = await auth.api.getSession({
+    headers: await headers(),
+  });
+
+  if (!session?.user) {
+    trackAuth('unauthenticated_two_factor_setup_access', {}, 'warning');
+    redirect('/login');
+  }
+
+  const required = await isTwoFactorRequired();
+  const enabled = Boolean(session.user.twoFactorEnabled);
+
+  trackAuth('two_factor_setup_visited', { enabled, required });
+
+  return (
+    <div className="container">
+      <h1>Two-Factor Authentication</h1>
+      {required && !enabled && (
+        <div className="error submit-error" role="alert">
+          Two-factor authentication is required for all admin accounts. Set it
+          up to continue to the dashboard.
+        </div>
+      )}
+      <TwoFactorSetup enabled={enabled} required={required} />
+    </div>
+  );
+}
+
+export const metadata = {
+  title: 'Two-Factor Setup | Benew Admin',
+  robots: 'noindex, nofollow',
+};
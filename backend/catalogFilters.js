@@ -0,0 +1,358 @@
+// backend/catalogFilters.js
+// Filtres des listes du catalogue (applications, templates, plateformes,
+// vidéos), partagés par les server actions getFiltered* et les pages :
+// une URL de filtres donne les mêmes lignes et le même total.
+import { APPLICATION_STATUSES } from '@/utils/schemas/applicationSchema';
+
+/**
+ * Validation des filtres applications
+ */
+function validateApplicationFilters(filters = {}) {
+  const validated = {};
+  const allowedFields = ['application_name', 'category', 'level', 'status'];
+
+  for (const [key, value] of Object.entries(filters)) {
+    if (!allowedFields.includes(key)) continue;
+
+    switch (key) {
+      case 'application_name':
+        if (typeof value === 'string' && value.trim().length >= 2) {
+          validated[key] = value.trim().substring(0, 100);
+        }
+        break;
+
+      case 'category':
+        if (Array.isArray(value)) {
+          const allowedCategories = ['mobile', 'web'];
+          validated[key] = value.filter((v) => allowedCategories.includes(v));
+        }
+        break;
+
+      case 'level':
+        if (Array.isArray(value)) {
+          const allowedLevels = ['1', '2', '3', '4', '5'];
+          validated[key] = value.filter((v) => allowedLevels.includes(v));
+        }
+        break;
+
+      case 'status':
+        if (Array.isArray(value)) {
+          validated[key] = value.filter((v) =>
+            APPLICATION_STATUSES.includes(v),
+          );
+        }
+        break;
+    }
+  }
+
+  return validated;
+}
+
+/**
+ * Construction de la clause WHERE pour les applications
+ */
+function buildApplicationWhereClause(filters) {
+  const conditions = [];
+  const values = [];
+  let paramCount = 1;
+
+  if (filters.application_name) {
+    conditions.push(`application_name ILIKE $${paramCount}`);
+    values.push(`%${filters.application_name}%`);
+    paramCount++;
+  }
+
+  if (filters.category?.length > 0) {
+    const placeholders = filters.category
+      .map(() => `$${paramCount++}`)
+      .join(', ');
+    conditions.push(`application_category IN (${placeholders})`);
+    values.push(...filters.category);
+  }
+
+  if (filters.level?.length > 0) {
+    const placeholders = filters.level.map(() => `$${paramCount++}`).join(', ');
+    conditions.push(`application_level IN (${placeholders})`);
+    values.push(...filters.level.map((l) => parseInt(l)));
+  }
+
+  if (filters.status?.length > 0) {
+    const placeholders = filters.status
+      .map(() => `$${paramCount++}`)
+      .join(', ');
+    conditions.push(`application_status IN (${placeholders})`);
+    values.push(...filters.status);
+  }
+
+  const whereClause =
+    conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  return { whereClause, values };
+}
+
+/**
+ * Validation des filtres templates
+ */
+function validateTemplateFilters(filters = {}) {
+  const validated = {};
+  const allowedFields = ['template_name', 'platform', 'status'];
+
+  for (const [key, value] of Object.entries(filters)) {
+    if (!allowedFields.includes(key)) continue;
+
+    switch (key) {
+      case 'template_name':
+        if (typeof value === 'string' && value.trim().length >= 2) {
+          validated[key] = value.trim().substring(0, 100);
+        }
+        break;
+
+      // platform = web | mobile | both (filtre sur template_has_web / template_has_mobile)
+      case 'platform':
+        if (Array.isArray(value)) {
+          const allowedPlatforms = ['web', 'mobile'];
+          validated[key] = value.filter((v) => allowedPlatforms.includes(v));
+        }
+        break;
+
+      case 'status':
+        if (Array.isArray(value)) {
+          const allowedStatuses = ['true', 'false'];
+          validated[key] = value.filter((v) => allowedStatuses.includes(v));
+        }
+        break;
+    }
+  }
+
+  return validated;
+}
+
+/**
+ * Construction de la clause WHERE pour les templates
+ */
+function buildTemplateWhereClause(filters) {
+  const conditions = [];
+  const values = [];
+  let paramCount = 1;
+
+  if (filters.template_name) {
+    conditions.push(`template_name ILIKE $${paramCount}`);
+    values.push(`%${filters.template_name}%`);
+    paramCount++;
+  }
+
+  // Filtre plateforme : OR entre les valeurs sélectionnées
+  // ex: ['web'] → template_has_web = true
+  // ex: ['mobile'] → template_has_mobile = true
+  // ex: ['web', 'mobile'] → template_has_web = true OR template_has_mobile = true
+  if (filters.platform?.length > 0) {
+    const platformConditions = [];
+    if (filters.platform.includes('web')) {
+      platformConditions.push('template_has_web = TRUE');
+    }
+    if (filters.platform.includes('mobile')) {
+      platformConditions.push('template_has_mobile = TRUE');
+    }
+    if (platformConditions.length > 0) {
+      conditions.push(`(${platformConditions.join(' OR ')})`);
+    }
+  }
+
+  if (filters.status?.length > 0) {
+    const placeholders = filters.status
+      .map(() => `$${paramCount++}`)
+      .join(', ');
+    conditions.push(`is_active IN (${placeholders})`);
+    values.push(...filters.status.map((s) => s === 'true'));
+  }
+
+  const whereClause =
+    conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  return { whereClause, values };
+}
+
+/**
+ * Validation des filtres platforms
+ */
+function validatePlatformFilters(filters = {}) {
+  const validated = {};
+  const allowedFields = ['platform_name', 'payment_type', 'status'];
+
+  for (const [key, value] of Object.entries(filters)) {
+    if (!allowedFields.includes(key)) continue;
+
+    switch (key) {
+      case 'platform_name':
+        if (typeof value === 'string' && value.trim().length >= 2) {
+          validated[key] = value.trim().substring(0, 100);
+        }
+        break;
+
+      // payment_type = ['cash'] | ['electronic'] | ['cash', 'electronic']
+      case 'payment_type':
+        if (Array.isArray(value)) {
+          const allowedTypes = ['cash', 'electronic'];
+          validated[key] = value.filter((v) => allowedTypes.includes(v));
+        }
+        break;
+
+      case 'status':
+        if (Array.isArray(value)) {
+          const allowedStatuses = ['true', 'false'];
+          validated[key] = value.filter((v) => allowedStatuses.includes(v));
+        }
+        break;
+    }
+  }
+
+  return validated;
+}
+
+/**
+ * Construction de la clause WHERE pour les platforms
+ */
+function buildPlatformWhereClause(filters) {
+  const conditions = [];
+  const values = [];
+  let paramCount = 1;
+
+  if (filters.platform_name) {
+    conditions.push(`platform_name ILIKE $${paramCount}`);
+    values.push(`%${filters.platform_name}%`);
+    paramCount++;
+  }
+
+  // payment_type : is_cash_payment est un boolean en DB
+  // ['cash']             → is_cash_payment = TRUE
+  // ['electronic']       → is_cash_payment = FALSE
+  // ['cash','electronic'] → pas de condition (les deux = tout)
+  if (filters.payment_type?.length === 1) {
+    const isCash = filters.payment_type[0] === 'cash';
+    conditions.push(`is_cash_payment = $${paramCount}`);
+    values.push(isCash);
+    paramCount++;
+  }
+  // Si les deux sont sélectionnés ou aucun → aucune condition à ajouter
+
+  if (filters.status?.length > 0) {
+    const placeholders = filters.status
+      .map(() => `$${paramCount++}`)
+      .join(', ');
+    conditions.push(`is_active IN (${placeholders})`);
+    values.push(...filters.status.map((s) => s === 'true'));
+  }
+
+  const whereClause =
+    conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  return { whereClause, values };
+}
+
+/**
+ * Validation des filtres vidéo
+ */
+function validateVideoFilters(filters = {}) {
+  const validated = {};
+  const allowedFields = ['video_title', 'category', 'status'];
+
+  for (const [key, value] of Object.entries(filters)) {
+    if (!allowedFields.includes(key)) continue;
+
+    switch (key) {
+      case 'video_title':
+        if (typeof value === 'string' && value.trim().length >= 2) {
+          validated[key] = value.trim().substring(0, 100);
+        }
+        break;
+
+      case 'category':
+        // Texte libre — on sanitize juste la longueur et le type
+        if (typeof value === 'string' && value.trim().length >= 1) {
+          validated[key] = value.trim().substring(0, 100);
+        }
+        break;
+
+      case 'status':
+        if (Array.isArray(value)) {
+          const allowedStatuses = ['true', 'false'];
+          validated[key] = value.filter((v) => allowedStatuses.includes(v));
+        }
+        break;
+    }
+  }
+
+  return validated;
+}
+
+/**
+ * Construction de la clause WHERE pour les vidéos
+ */
+function buildVideoWhereClause(filters) {
+  const conditions = [];
+  const values = [];
+  let paramCount = 1;
+
+  if (filters.video_title) {
+    conditions.push(`video_title ILIKE $${paramCount}`);
+    values.push(`%${filters.video_title}%`);
+    paramCount++;
+  }
+
+  if (filters.category) {
+    conditions.push(`video_category ILIKE $${paramCount}`);
+    values.push(`%${filters.category}%`);
+    paramCount++;
+  }
+
+  if (filters.status?.length > 0) {
+    const placeholders = filters.status
+      .map(() => `$${paramCount++}`)
+      .join(', ');
+    conditions.push(`is_active IN (${placeholders})`);
+    values.push(...filters.status.map((s) => s === 'true'));
+  }
+
+  const whereClause =
+    conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  return { whereClause, values };
+}
+
+const CATALOG_FILTERS = {
+  applications: {
+    validate: validateApplicationFilters,
+    build: buildApplicationWhereClause,
+  },
+  templates: {
+    validate: validateTemplateFilters,
+    build: buildTemplateWhereClause,
+  },
+  platforms: {
+    validate: validatePlatformFilters,
+    build: buildPlatformWhereClause,
+  },
+  videos: {
+    validate: validateVideoFilters,
+    build: buildVideoWhereClause,
+  },
+};
+
+/**
+ * Valider les filtres d'une liste et construire sa clause WHERE
+ * Tout champ inconnu ou invalide est ignoré.
+ *
+ * @param {string} listKey - applications | templates | platforms | videos
+ * @param {Object} filters - Filtres bruts (client ou URL)
+ * @returns {{ filters: Object, whereClause: string, values: Array }}
+ */
+export function buildCatalogFilterQuery(listKey, filters = {}) {
+  const config = CATALOG_FILTERS[listKey];
+
+  if (!config) {
+    throw new Error(`Unknown catalog list: ${listKey}`);
+  }
+
+  const validatedFilters = config.validate(filters);
+  return { filters: validatedFilters, ...config.build(validatedFilters) };
+}
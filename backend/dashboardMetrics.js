@@ -0,0 +1,477 @@
+// backend/dashboardMetrics.js
+import { query } from '@/backend/dbConnect';
+import logger from '@/utils/logger';
+import { trackDatabase, trackDatabaseError } from '@/utils/monitoring';
+
+// ===== PÉRIODES =====
+
+export const DASHBOARD_PERIODS = {
+  '7d': { days: 7, label: 'Last 7 days' },
+  '30d': { days: 30, label: 'Last 30 days' },
+  '90d': { days: 90, label: 'Last 90 days' },
+};
+
+export const DEFAULT_DASHBOARD_PERIOD = '30d';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_CUSTOM_RANGE_DAYS = 366;
+const ISO_DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+const ORDER_STATUSES = ['paid', 'unpaid', 'refunded', 'failed'];
+
+function parseIsoDate(value) {
+  if (typeof value !== 'string' || !ISO_DATE_REGEX.test(value)) return null;
+
+  const date = new Date(`${value}T00:00:00.000Z`);
+  if (Number.isNaN(date.getTime())) return null;
+
+  // Rejeter les dates "roulées" (ex: 2025-02-31)
+  return date.toISOString().slice(0, 10) === value ? date : null;
+}
+
+function startOfUtcDay(date) {
+  return new Date(
+    Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()),
+  );
+}
+
+/**
+ * Résoudre la période demandée (searchParams) en bornes de dates.
+ * La fin est exclusive : [start, end[. La période précédente a la même durée
+ * et se termine là où commence la période courante.
+ *
+ * Toute entrée invalide retombe sur la période par défaut (30 jours).
+ */
+export function resolveDashboardPeriod(params = {}) {
+  const key = typeof params.period === 'string' ? params.period : '';
+  const tomorrow = new Date(startOfUtcDay(new Date()).getTime() + DAY_MS);
+
+  let start;
+  let end;
+  let resolvedKey;
+  let label;
+
+  if (key === 'custom') {
+    const from = parseIsoDate(params.from);
+    const to = parseIsoDate(params.to);
+    const days = from && to ? (to - from) / DAY_MS + 1 : 0;
+
+    if (days >= 1 && days <= MAX_CUSTOM_RANGE_DAYS) {
+      start = from;
+      end = new Date(to.getTime() + DAY_MS);
+      resolvedKey = 'custom';
+      label = `${params.from} → ${params.to}`;
+    }
+  }
+
+  if (!start) {
+    resolvedKey = DASHBOARD_PERIODS[key] ? key : DEFAULT_DASHBOARD_PERIOD;
+    const { days } = DASHBOARD_PERIODS[resolvedKey];
+    end = tomorrow;
+    start = new Date(end.getTime() - days * DAY_MS);
+    label = DASHBOARD_PERIODS[resolvedKey].label;
+  }
+
+  const durationMs = end.getTime() - start.getTime();
+
+  return {
+    key: resolvedKey,
+    label,
+    start,
+    end,
+    days: Math.round(durationMs / DAY_MS),
+    previousStart: new Date(start.getTime() - durationMs),
+    previousEnd: start,
+    from: start.toISOString().slice(0, 10),
+    to: new Date(end.getTime() - DAY_MS).toISOString().slice(0, 10),
+  };
+}
+
+// ===== REQUÊTES =====
+
+// Le revenu est rattaché à la date de paiement (order_paid_at), les volumes
+// de commandes à la date de création.
+const ORDERS_SUMMARY_QUERY = `
+  SELECT
+    COALESCE(SUM(o.order_price + o.order_rent) FILTER (
+      WHERE o.order_payment_status = 'paid'
+        AND COALESCE(o.order_paid_at, o.order_created) >= $1
+        AND COALESCE(o.order_paid_at, o.order_created) < $2
+    ), 0) AS revenue,
+    COALESCE(SUM(o.order_price + o.order_rent) FILTER (
+      WHERE o.order_payment_status = 'paid'
+        AND COALESCE(o.order_paid_at, o.order_created) >= $3
+        AND COALESCE(o.order_paid_at, o.order_created) < $4
+    ), 0) AS previous_revenue,
+    COUNT(*) FILTER (
+      WHERE o.order_created >= $1 AND o.order_created < $2
+    ) AS total_orders,
+    COUNT(*) FILTER (
+      WHERE o.order_created >= $3 AND o.order_created < $4
+    ) AS previous_total_orders,
+    COUNT(*) FILTER (
+      WHERE o.order_created >= $1 AND o.order_created < $2
+        AND o.order_payment_status = 'paid'
+    ) AS paid,
+    COUNT(*) FILTER (
+      WHERE o.order_created >= $1 AND o.order_created < $2
+        AND o.order_payment_status = 'unpaid'
+    ) AS unpaid,
+    COUNT(*) FILTER (
+      WHERE o.order_created >= $1 AND o.order_created < $2
+        AND o.order_payment_status = 'refunded'
+    ) AS refunded,
+    COUNT(*) FILTER (
+      WHERE o.order_created >= $1 AND o.order_created < $2
+        AND o.order_payment_status = 'failed'
+    ) AS failed
+  FROM admin.orders o
+  WHERE o.order_created >= $3 OR o.order_paid_at >= $3
+`;
+
+const CATALOG_SUMMARY_QUERY = `
+  SELECT 'applications' AS entity,
+    COUNT(*) FILTER (WHERE is_active = true) AS active,
+    COUNT(*) FILTER (WHERE is_active = false) AS inactive
+  FROM catalog.applications
+  UNION ALL
+  SELECT 'templates' AS entity,
+    COUNT(*) FILTER (WHERE is_active = true) AS active,
+    COUNT(*) FILTER (WHERE is_active = false) AS inactive
+  FROM catalog.templates
+  UNION ALL
+  SELECT 'videos' AS entity,
+    COUNT(*) FILTER (WHERE is_active = true) AS active,
+    COUNT(*) FILTER (WHERE is_active = false) AS inactive
+  FROM catalog.channel_videos
+`;
+
+const TOP_SELLERS_QUERY = `
+  SELECT
+    application_id,
+    application_name,
+    application_category,
+    sales_count
+  FROM catalog.applications
+  WHERE sales_count > 0
+  ORDER BY sales_count DESC, application_name ASC
+  LIMIT $1
+`;
+
+const LATEST_ORDERS_QUERY = `
+  SELECT
+    o.order_id,
+    o.order_client_name,
+    o.order_payment_status,
+    o.order_created,
+    o.order_price,
+    o.order_rent,
+    a.application_name
+  FROM admin.orders o
+  JOIN catalog.applications a ON o.order_application_id = a.application_id
+  WHERE o.order_created >= $1 AND o.order_created < $2
+  ORDER BY o.order_created DESC
+  LIMIT $3
+`;
+
+function toNumber(value) {
+  return Math.max(0, parseFloat(value) || 0);
+}
+
+function toCount(value) {
+  return Math.max(0, parseInt(value, 10) || 0);
+}
+
+function percentChange(current, previous) {
+  if (!previous) return current > 0 ? null : 0;
+  return Math.round(((current - previous) / previous) * 1000) / 10;
+}
+
+export function emptyDashboardMetrics(period) {
+  return {
+    period,
+    revenue: { current: 0, previous: 0, change: 0 },
+    orders: {
+      total: 0,
+      previousTotal: 0,
+      change: 0,
+      byStatus: { paid: 0, unpaid: 0, refunded: 0, failed: 0 },
+    },
+    catalog: {
+      applications: { active: 0, inactive: 0 },
+      templates: { active: 0, inactive: 0 },
+      videos: { active: 0, inactive: 0 },
+    },
+    topSellers: [],
+    latestOrders: [],
+  };
+}
+
+/**
+ * Calculer les KPIs du tableau de bord pour une période résolue
+ * (voir resolveDashboardPeriod).
+ *
+ * En cas d'erreur base de données, retourne des métriques vides
+ * plutôt que de faire échouer le rendu de la page.
+ */
+export async function getDashboardMetrics(period, options = {}) {
+  const startTime = Date.now();
+  const requestId = options.requestId || crypto.randomUUID();
+  const topSellersLimit = options.topSellersLimit || 5;
+  const latestOrdersLimit = options.latestOrdersLimit || 5;
+
+  try {
+    const periodValues = [
+      period.start.toISOString(),
+      period.end.toISOString(),
+      period.previousStart.toISOString(),
+      period.previousEnd.toISOString(),
+    ];
+
+    const [ordersResult, catalogResult, topSellersResult, latestResult] =
+      await Promise.all([
+        query(ORDERS_SUMMARY_QUERY, periodValues),
+        query(CATALOG_SUMMARY_QUERY),
+        query(TOP_SELLERS_QUERY, [topSellersLimit]),
+        query(LATEST_ORDERS_QUERY, [
+          periodValues[0],
+          periodValues[1],
+          latestOrdersLimit,
+        ]),
+      ]);
+
+    const metrics = emptyDashboardMetrics(period);
+    const summary = ordersResult.rows[0] || {};
+
+    metrics.revenue.current = toNumber(summary.revenue);
+    metrics.revenue.previous = toNumber(summary.previous_revenue);
+    metrics.revenue.change = percentChange(
+      metrics.revenue.current,
+      metrics.revenue.previous,
+    );
+
+    metrics.orders.total = toCount(summary.total_orders);
+    metrics.orders.previousTotal = toCount(summary.previous_total_orders);
+    metrics.orders.change = percentChange(
+      metrics.orders.total,
+      metrics.orders.previousTotal,
+    );
+    ORDER_STATUSES.forEach((status) => {
+      metrics.orders.byStatus[status] = toCount(summary[status]);
+    });
+
+    catalogResult.rows.forEach((row) => {
+      if (metrics.catalog[row.entity]) {
+        metrics.catalog[row.entity] = {
+          active: toCount(row.active),
+          inactive: toCount(row.inactive),
+        };
+      }
+    });
+
+    metrics.topSellers = topSellersResult.rows.map((app) => ({
+      application_id: app.application_id,
+      application_name: (app.application_name || '[No Name]').substring(0, 200),
+      application_category: ['mobile', 'web'].includes(app.application_category)
+        ? app.application_category
+        : 'web',
+      sales_count: toCount(app.sales_count),
+    }));
+
+    metrics.latestOrders = latestResult.rows.map((order) => ({
+      order_id: order.order_id,
+      order_client_name: order.order_client_name || '',
+      order_payment_status: ORDER_STATUSES.includes(order.order_payment_status)
+        ? order.order_payment_status
+        : 'unpaid',
+      order_created: order.order_created,
+      order_total: toNumber(order.order_price) + toNumber(order.order_rent),
+      application_name: order.application_name || '[No Name]',
+    }));
+
+    const responseTime = Date.now() - startTime;
+
+    logger.info('Dashboard metrics computed', {
+      requestId,
+      period: period.key,
+      orderCount: metrics.orders.total,
+      durationMs: responseTime,
+    });
+
+    trackDatabase('dashboard_metrics_computed', {
+      period: period.key,
+      durationMs: responseTime,
+    });
+
+    return metrics;
+  } catch (error) {
+    logger.error('Dashboard metrics error', {
+      error: error.message,
+      requestId,
+      period: period.key,
+      durationMs: Date.now() - startTime,
+    });
+
+    trackDatabaseError(error, 'dashboard_metrics', {
+      requestId,
+      period: period.key,
+    });
+
+    return emptyDashboardMetrics(period);
+  }
+}
+
+// ===== SÉRIE TEMPORELLE DU REVENU =====
+
+export const SERIES_GRANULARITIES = ['day', 'week', 'month'];
+
+/**
+ * Choisir la granularité de la série : celle demandée si valide, sinon
+ * une valeur adaptée à la durée de la période (jour ≤ 31j, semaine ≤ 120j).
+ */
+export function resolveSeriesGranularity(params = {}, period) {
+  if (SERIES_GRANULARITIES.includes(params.granularity)) {
+    return params.granularity;
+  }
+  if (period.days <= 31) return 'day';
+  if (period.days <= 120) return 'week';
+  return 'month';
+}
+
+// generate_series produit tous les buckets de la période : les jours (ou
+// semaines / mois) sans commande sortent à zéro au lieu de disparaître.
+// $3 est une granularité validée (day|week|month), jamais une saisie brute.
+const REVENUE_SERIES_QUERY = `
+  WITH buckets AS (
+    SELECT generate_series(
+      date_trunc($3::text, $1::timestamp),
+      date_trunc($3::text, $2::timestamp - interval '1 second'),
+      ('1 ' || $3::text)::interval
+    ) AS bucket
+  ),
+  revenue AS (
+    SELECT
+      date_trunc($3::text, COALESCE(o.order_paid_at, o.order_created)) AS bucket,
+      SUM(o.order_price + o.order_rent) FILTER (
+        WHERE a.application_category = 'web'
+      ) AS revenue_web,
+      SUM(o.order_price + o.order_rent) FILTER (
+        WHERE a.application_category = 'mobile'
+      ) AS revenue_mobile
+    FROM admin.orders o
+    JOIN catalog.applications a ON o.order_application_id = a.application_id
+    WHERE o.order_payment_status = 'paid'
+      AND COALESCE(o.order_paid_at, o.order_created) >= $1::timestamp
+      AND COALESCE(o.order_paid_at, o.order_created) < $2::timestamp
+    GROUP BY 1
+  ),
+  volumes AS (
+    SELECT
+      date_trunc($3::text, o.order_created) AS bucket,
+      COUNT(*) FILTER (WHERE a.application_category = 'web') AS orders_web,
+      COUNT(*) FILTER (WHERE a.application_category = 'mobile') AS orders_mobile
+    FROM admin.orders o
+    JOIN catalog.applications a ON o.order_application_id = a.application_id
+    WHERE o.order_created >= $1::timestamp
+      AND o.order_created < $2::timestamp
+    GROUP BY 1
+  )
+  SELECT
+    to_char(b.bucket, 'YYYY-MM-DD') AS bucket,
+    COALESCE(r.revenue_web, 0) AS revenue_web,
+    COALESCE(r.revenue_mobile, 0) AS revenue_mobile,
+    COALESCE(v.orders_web, 0) AS orders_web,
+    COALESCE(v.orders_mobile, 0) AS orders_mobile
+  FROM buckets b
+  LEFT JOIN revenue r ON r.bucket = b.bucket
+  LEFT JOIN volumes v ON v.bucket = b.bucket
+  ORDER BY b.bucket ASC
+`;
+
+function mapSeriesRow(row) {
+  const revenueWeb = toNumber(row.revenue_web);
+  const revenueMobile = toNumber(row.revenue_mobile);
+  const ordersWeb = toCount(row.orders_web);
+  const ordersMobile = toCount(row.orders_mobile);
+
+  return {
+    bucket: row.bucket,
+    revenue: revenueWeb + revenueMobile,
+    revenue_web: revenueWeb,
+    revenue_mobile: revenueMobile,
+    orders: ordersWeb + ordersMobile,
+    orders_web: ordersWeb,
+    orders_mobile: ordersMobile,
+  };
+}
+
+/**
+ * Construire la série revenu / commandes de la période, ventilée web/mobile,
+ * avec la période précédente superposée (alignée bucket par bucket).
+ *
+ * Les buckets de la période précédente sont alignés par position : le
+ * 1er jour courant est comparé au 1er jour précédent, etc.
+ */
+export async function getRevenueSeries(period, granularity, options = {}) {
+  const startTime = Date.now();
+  const requestId = options.requestId || crypto.randomUUID();
+
+  if (!SERIES_GRANULARITIES.includes(granularity)) {
+    throw new Error(`Invalid series granularity: ${granularity}`);
+  }
+
+  try {
+    const [currentResult, previousResult] = await Promise.all([
+      query(REVENUE_SERIES_QUERY, [
+        period.start.toISOString(),
+        period.end.toISOString(),
+        granularity,
+      ]),
+      query(REVENUE_SERIES_QUERY, [
+        period.previousStart.toISOString(),
+        period.previousEnd.toISOString(),
+        granularity,
+      ]),
+    ]);
+
+    const previous = previousResult.rows.map(mapSeriesRow);
+
+    const series = currentResult.rows.map((row, index) => ({
+      ...mapSeriesRow(row),
+      previous_bucket: previous[index]?.bucket ?? null,
+      previous_revenue: previous[index]?.revenue ?? null,
+      previous_orders: previous[index]?.orders ?? null,
+    }));
+
+    logger.info('Dashboard revenue series computed', {
+      requestId,
+      period: period.key,
+      granularity,
+      bucketCount: series.length,
+      durationMs: Date.now() - startTime,
+    });
+
+    trackDatabase('dashboard_revenue_series_computed', {
+      period: period.key,
+      granularity,
+      durationMs: Date.now() - startTime,
+    });
+
+    return series;
+  } catch (error) {
+    logger.error('Dashboard revenue series error', {
+      error: error.message,
+      requestId,
+      period: period.key,
+      granularity,
+      durationMs: Date.now() - startTime,
+    });
+
+    trackDatabaseError(error, 'dashboard_revenue_series', {
+      requestId,
+      period: period.key,
+      granularity,
+    });
+
+    return [];
+  }
+}
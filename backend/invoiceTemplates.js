@@ -0,0 +1,295 @@
+// backend/invoiceTemplates.js
+// Mise en page des factures (lib/invoices.js) : PDF via backend/pdf.js
+// et vue HTML imprimable (secours si le PDF ne convient pas)
+import { createPdfDocument, fitText, PAGE_WIDTH } from '@/backend/pdf';
+
+const MARGIN = 50;
+const RIGHT = PAGE_WIDTH - MARGIN;
+const ACCENT = [93, 87, 201];
+const MUTED = [107, 114, 128];
+const BORDER = [229, 231, 235];
+
+const escapeHtml = (value = '') =>
+  String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+export function formatInvoiceAmount(amount, currency) {
+  return new Intl.NumberFormat('fr-FR', {
+    style: 'currency',
+    currency,
+  }).format(amount || 0);
+}
+
+export function formatInvoiceDate(value) {
+  if (!value) return '-';
+  return new Date(value).toLocaleDateString('fr-FR', {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+  });
+}
+
+// Lignes d'en-tête de l'entreprise (adresse, contact, identifiant fiscal)
+function companyLines(company) {
+  return [
+    ...(company.addressLines || []),
+    company.phone && `Tél. : ${company.phone}`,
+    company.email,
+    company.taxId && `N° fiscal : ${company.taxId}`,
+  ].filter(Boolean);
+}
+
+function metaLines(invoice) {
+  return [
+    ['Facture n°', invoice.number],
+    ["Date d'émission", formatInvoiceDate(invoice.issuedAt)],
+    ['Commande', `#${invoice.order.id.substring(0, 8)}`],
+    ['Payée le', formatInvoiceDate(invoice.order.paidAt)],
+  ];
+}
+
+function drawInvoicePage(pdf, invoice) {
+  const { company, client, currency } = invoice;
+
+  pdf.addPage();
+
+  // En-tête : entreprise à gauche, titre et références à droite
+  pdf.text(fitText(company.name, 260, 18, true), MARGIN, 70, {
+    size: 18,
+    bold: true,
+    color: ACCENT,
+  });
+
+  let y = 90;
+  for (const line of companyLines(company)) {
+    pdf.text(fitText(line, 260, 9), MARGIN, y, { size: 9, color: MUTED });
+    y += 13;
+  }
+
+  pdf.text('FACTURE', RIGHT, 70, { size: 22, bold: true, align: 'right' });
+
+  let metaY = 92;
+  for (const [label, value] of metaLines(invoice)) {
+    pdf.text(label, RIGHT - 120, metaY, {
+      size: 9,
+      color: MUTED,
+      align: 'right',
+    });
+    pdf.text(value, RIGHT, metaY, { size: 9, bold: true, align: 'right' });
+    metaY += 14;
+  }
+
+  // Client
+  y = Math.max(y, metaY) + 25;
+  pdf.text('FACTURÉ À', MARGIN, y, { size: 9, bold: true, color: MUTED });
+  y += 16;
+  pdf.text(fitText(client.name, 300, 11, true), MARGIN, y, {
+    size: 11,
+    bold: true,
+  });
+  for (const line of [client.email, client.phone].filter(Boolean)) {
+    y += 14;
+    pdf.text(fitText(line, 300, 10), MARGIN, y, { size: 10 });
+  }
+
+  // Lignes
+  y += 35;
+  pdf.rect(MARGIN, y - 14, RIGHT - MARGIN, 22, { fill: [243, 244, 246] });
+  pdf.text('Désignation', MARGIN + 10, y, { size: 9, bold: true });
+  pdf.text('Montant', RIGHT - 10, y, { size: 9, bold: true, align: 'right' });
+  y += 8;
+
+  for (const line of invoice.lines) {
+    y += 22;
+    pdf.text(fitText(line.label, 330, 10), MARGIN + 10, y, { size: 10 });
+    pdf.text(formatInvoiceAmount(line.amount, currency), RIGHT - 10, y, {
+      size: 10,
+      align: 'right',
+    });
+    pdf.line(MARGIN, y + 8, RIGHT, y + 8, { color: BORDER });
+  }
+
+  y += 32;
+  pdf.text('Total', RIGHT - 140, y, { size: 12, bold: true, align: 'right' });
+  pdf.text(formatInvoiceAmount(invoice.total, currency), RIGHT - 10, y, {
+    size: 12,
+    bold: true,
+    align: 'right',
+    color: ACCENT,
+  });
+
+  // Paiement
+  y += 40;
+  pdf.text('PAIEMENT', MARGIN, y, { size: 9, bold: true, color: MUTED });
+  y += 16;
+  pdf.text(
+    fitText(
+      `Réglée via : ${invoice.platforms.join(', ') || '-'}`,
+      RIGHT - MARGIN,
+      10,
+    ),
+    MARGIN,
+    y,
+    { size: 10 },
+  );
+  y += 14;
+  pdf.text(`Payée le ${formatInvoiceDate(invoice.order.paidAt)}`, MARGIN, y, {
+    size: 10,
+  });
+
+  // Pied de page
+  pdf.line(MARGIN, 780, RIGHT, 780, { color: BORDER });
+  pdf.text('Merci pour votre confiance.', PAGE_WIDTH / 2, 798, {
+    size: 9,
+    color: MUTED,
+    align: 'center',
+  });
+  pdf.text(
+    fitText(
+      [company.name, company.taxId && `N° fiscal ${company.taxId}`]
+        .filter(Boolean)
+        .join(' - '),
+      RIGHT - MARGIN,
+      8,
+    ),
+    PAGE_WIDTH / 2,
+    812,
+    { size: 8, color: MUTED, align: 'center' },
+  );
+}
+
+/**
+ * Rendre une ou plusieurs factures en PDF (une page par facture)
+ * @param {Array} invoices
+ * @returns {Buffer}
+ */
+export function renderInvoicesPdf(invoices) {
+  const pdf = createPdfDocument({
+    title:
+      invoices.length === 1
+        ? `Facture ${invoices[0].number}`
+        : `Factures (${invoices.length})`,
+  });
+
+  invoices.forEach((invoice) => drawInvoicePage(pdf, invoice));
+
+  return pdf.toBuffer();
+}
+
+function invoiceHtml(invoice) {
+  const { company, client, currency } = invoice;
+
+  const rows = invoice.lines
+    .map(
+      (line) => `
+        <tr>
+          <td>${escapeHtml(line.label)}</td>
+          <td class="amount">${escapeHtml(formatInvoiceAmount(line.amount, currency))}</td>
+        </tr>`,
+    )
+    .join('');
+
+  return `
+    <article class="invoice">
+      <header>
+        <div>
+          <h1>${escapeHtml(company.name)}</h1>
+          ${companyLines(company)
+            .map((line) => `<p class="muted">${escapeHtml(line)}</p>`)
+            .join('')}
+        </div>
+        <div class="meta">
+          <h2>FACTURE</h2>
+          ${metaLines(invoice)
+            .map(
+              ([label, value]) =>
+                `<p><span class="muted">${escapeHtml(label)}</span> <strong>${escapeHtml(value)}</strong></p>`,
+            )
+            .join('')}
+        </div>
+      </header>
+
+      <section>
+        <h3>Facturé à</h3>
+        <p><strong>${escapeHtml(client.name)}</strong></p>
+        ${[client.email, client.phone]
+          .filter(Boolean)
+          .map((line) => `<p>${escapeHtml(line)}</p>`)
+          .join('')}
+      </section>
+
+      <table>
+        <thead>
+          <tr><th>Désignation</th><th class="amount">Montant</th></tr>
+        </thead>
+        <tbody>${rows}</tbody>
+        <tfoot>
+          <tr>
+            <td>Total</td>
+            <td class="amount">${escapeHtml(formatInvoiceAmount(invoice.total, currency))}</td>
+          </tr>
+        </tfoot>
+      </table>
+
+      <section>
+        <h3>Paiement</h3>
+        <p>Réglée via : ${escapeHtml(invoice.platforms.join(', ') || '-')}</p>
+        <p>Payée le ${escapeHtml(formatInvoiceDate(invoice.order.paidAt))}</p>
+      </section>
+
+      <footer class="muted">Merci pour votre confiance.</footer>
+    </article>`;
+}
+
+/**
+ * Vue HTML imprimable (une facture par page à l'impression)
+ * @param {Array} invoices
+ * @returns {string}
+ */
+export function renderInvoicesHtml(invoices) {
+  const title =
+    invoices.length === 1
+      ? `Facture ${invoices[0].number}`
+      : `Factures (${invoices.length})`;
+
+  return `<!DOCTYPE html>
+<html lang="fr">
+  <head>
+    <meta charset="utf-8" />
+    <title>${escapeHtml(title)}</title>
+    <style>
+      body { margin: 0; padding: 24px; background: #f4f4f7; font-family: Arial, sans-serif; color: #1f2937; }
+      .invoice { max-width: 760px; margin: 0 auto 24px; padding: 48px; background: #fff; border-radius: 8px; }
+      header { display: flex; justify-content: space-between; gap: 24px; margin-bottom: 32px; }
+      h1 { margin: 0 0 8px; color: #5d57c9; font-size: 24px; }
+      h2 { margin: 0 0 8px; font-size: 28px; text-align: right; }
+      h3 { margin: 24px 0 8px; font-size: 12px; color: #6b7280; text-transform: uppercase; }
+      p { margin: 2px 0; font-size: 14px; }
+      .meta p { text-align: right; }
+      .muted { color: #6b7280; font-size: 12px; }
+      table { width: 100%; margin-top: 24px; border-collapse: collapse; font-size: 14px; }
+      th { background: #f3f4f6; text-align: left; padding: 8px 12px; }
+      td { padding: 10px 12px; border-bottom: 1px solid #e5e7eb; }
+      tfoot td { font-weight: bold; font-size: 16px; border-bottom: none; }
+      tfoot .amount { color: #5d57c9; }
+      .amount { text-align: right; white-space: nowrap; }
+      footer { margin-top: 48px; padding-top: 12px; border-top: 1px solid #e5e7eb; text-align: center; }
+      .hint { max-width: 760px; margin: 0 auto 16px; color: #6b7280; font-size: 13px; }
+      @media print {
+        body { padding: 0; background: #fff; }
+        .hint { display: none; }
+        .invoice { margin: 0; padding: 0; border-radius: 0; page-break-after: always; }
+        .invoice:last-child { page-break-after: auto; }
+      }
+    </style>
+  </head>
+  <body>
+    <p class="hint">Utilisez la fonction Imprimer du navigateur (Ctrl+P) pour imprimer ou enregistrer en PDF.</p>
+    ${invoices.map(invoiceHtml).join('')}
+  </body>
+</html>`;
+}
@@ -0,0 +1,120 @@
+// backend/mailTemplates.js
+// Contenu des emails envoyés via backend/mailer.js ({ subject, text, html })
+
+const escapeHtml = (value = '') =>
+  String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+function layout(title, body, footer = 'Benew Admin') {
+  return `<!DOCTYPE html>
+<html>
+  <body style="margin:0;padding:24px;background:#f4f4f7;font-family:Arial,sans-serif;color:#1f2937;">
+    <div style="max-width:520px;margin:0 auto;padding:24px;background:#ffffff;border-radius:8px;">
+      <h1 style="margin:0 0 16px;font-size:20px;">${escapeHtml(title)}</h1>
+      ${body}
+      <p style="margin:24px 0 0;font-size:12px;color:#6b7280;">${escapeHtml(footer)}</p>
+    </div>
+  </body>
+</html>`;
+}
+
+/**
+ * Lien de réinitialisation du mot de passe (Better Auth)
+ */
+export function passwordResetEmail({ name, url, expiresInMinutes }) {
+  const greeting = name ? `Hello ${name},` : 'Hello,';
+  const expiry = `This link expires in ${expiresInMinutes} minutes.`;
+
+  return {
+    subject: 'Reset your Benew Admin password',
+    text: [
+      greeting,
+      '',
+      'A password reset was requested for your Benew Admin account.',
+      `Open this link to choose a new password: ${url}`,
+      '',
+      expiry,
+      "If you didn't request it, you can ignore this email.",
+    ].join('\n'),
+    html: layout(
+      'Reset your password',
+      `<p>${escapeHtml(greeting)}</p>
+      <p>A password reset was requested for your Benew Admin account.</p>
+      <p><a href="${escapeHtml(url)}" style="display:inline-block;padding:10px 16px;background:#5d57c9;color:#ffffff;border-radius:5px;text-decoration:none;">Choose a new password</a></p>
+      <p style="font-size:13px;color:#6b7280;">${escapeHtml(expiry)} If you didn't request it, you can ignore this email.</p>`,
+    ),
+  };
+}
+
+/**
+ * Confirmation envoyée à l'adresse actuelle avant un changement d'email
+ */
+export function changeEmailConfirmationEmail({ name, newEmail, url }) {
+  const greeting = name ? `Hello ${name},` : 'Hello,';
+
+  return {
+    subject: 'Confirm your Benew Admin email change',
+    text: [
+      greeting,
+      '',
+      `A request was made to change your Benew Admin email to ${newEmail}.`,
+      `Open this link to approve it: ${url}`,
+      '',
+      "If you didn't request it, ignore this email and change your password.",
+    ].join('\n'),
+    html: layout(
+      'Confirm your email change',
+      `<p>${escapeHtml(greeting)}</p>
+      <p>A request was made to change your Benew Admin email to <strong>${escapeHtml(newEmail)}</strong>.</p>
+      <p><a href="${escapeHtml(url)}" style="display:inline-block;padding:10px 16px;background:#5d57c9;color:#ffffff;border-radius:5px;text-decoration:none;">Approve the change</a></p>
+      <p style="font-size:13px;color:#6b7280;">If you didn't request it, ignore this email and change your password.</p>`,
+    ),
+  };
+}
+
+/**
+ * Vérification de la nouvelle adresse email
+ */
+export function emailVerificationEmail({ name, url }) {
+  const greeting = name ? `Hello ${name},` : 'Hello,';
+
+  return {
+    subject: 'Verify your Benew Admin email',
+    text: [
+      greeting,
+      '',
+      'Open this link to verify this email address for your Benew Admin account:',
+      url,
+    ].join('\n'),
+    html: layout(
+      'Verify your email',
+      `<p>${escapeHtml(greeting)}</p>
+      <p>Confirm this email address for your Benew Admin account.</p>
+      <p><a href="${escapeHtml(url)}" style="display:inline-block;padding:10px 16px;background:#5d57c9;color:#ffffff;border-radius:5px;text-decoration:none;">Verify my email</a></p>`,
+    ),
+  };
+}
+
+/**
+ * Notification client (lib/orderNotifications.js) : modèle déjà rendu,
+ * en texte brut ; une ligne vide sépare les paragraphes
+ */
+export function clientNotificationEmail({ subject, body, companyName }) {
+  const paragraphs = body
+    .split(/\n{2,}/)
+    .map((paragraph) => paragraph.trim())
+    .filter(Boolean)
+    .map(
+      (paragraph) => `<p>${escapeHtml(paragraph).replace(/\n/g, '<br />')}</p>`,
+    );
+
+  return {
+    subject,
+    text: body,
+    html: layout(subject, paragraphs.join('\n      '), companyName),
+  };
+}
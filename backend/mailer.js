@@ -0,0 +1,179 @@
+// backend/mailer.js
+// Envoi d'emails via un transport interchangeable (MAIL_TRANSPORT) :
+// - smtp    : nodemailer (SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASSWORD, SMTP_SECURE)
+// - file    : chaque email est écrit en JSON dans MAIL_FILE_DIR (boîte
+//             d'envoi locale pour le dev et les tests)
+// - console : l'email est journalisé (dev)
+//
+// Par défaut : smtp en production, console sinon.
+import { mkdir, writeFile } from 'fs/promises';
+import path from 'path';
+import nodemailer from 'nodemailer';
+import logger from '@/utils/logger';
+
+const IS_PRODUCTION = process.env.NODE_ENV === 'production';
+const DEFAULT_FROM = 'Benew Admin <no-reply@benew.com>';
+
+// ===== TRANSPORTS =====
+
+function createSmtpTransport() {
+  const requiredEnvVars = ['SMTP_HOST', 'SMTP_USER', 'SMTP_PASSWORD'];
+  const missing = requiredEnvVars.filter((envVar) => !process.env[envVar]);
+
+  if (missing.length > 0) {
+    throw new Error(`Missing SMTP configuration: ${missing.join(', ')}`);
+  }
+
+  const port = Number(process.env.SMTP_PORT) || 587;
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port,
+    secure: process.env.SMTP_SECURE
+      ? process.env.SMTP_SECURE === 'true'
+      : port === 465,
+    auth: {
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASSWORD,
+    },
+  });
+
+  return {
+    name: 'smtp',
+    send: async (message) => {
+      const info = await transporter.sendMail(message);
+      return { messageId: info.messageId };
+    },
+  };
+}
+
+function createFileTransport() {
+  const directory = path.resolve(process.env.MAIL_FILE_DIR || '.mail');
+
+  return {
+    name: 'file',
+    send: async (message) => {
+      const messageId = crypto.randomUUID();
+      const filePath = path.join(directory, `${Date.now()}-${messageId}.json`);
+
+      await mkdir(directory, { recursive: true });
+      await writeFile(
+        filePath,
+        JSON.stringify(
+          { messageId, date: new Date().toISOString(), ...message },
+          null,
+          2,
+        ),
+      );
+
+      logger.info('Email written to file', { to: message.to, filePath });
+      return { messageId };
+    },
+  };
+}
+
+function createConsoleTransport() {
+  return {
+    name: 'console',
+    send: async (message) => {
+      const messageId = crypto.randomUUID();
+
+      logger.info('Email (console transport)', {
+        messageId,
+        to: message.to,
+        subject: message.subject,
+        text: message.text,
+      });
+
+      return { messageId };
+    },
+  };
+}
+
+const TRANSPORT_FACTORIES = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  console: createConsoleTransport,
+};
+
+// ===== TRANSPORT SINGLETON =====
+
+let transport = null;
+
+/**
+ * Transport courant (créé au premier envoi)
+ * @returns {{ name: string, send: Function }}
+ */
+export function getMailTransport() {
+  if (transport) return transport;
+
+  const name =
+    process.env.MAIL_TRANSPORT || (IS_PRODUCTION ? 'smtp' : 'console');
+  const factory = TRANSPORT_FACTORIES[name];
+
+  if (!factory) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+
+  if (IS_PRODUCTION && name !== 'smtp') {
+    logger.warn('Non-SMTP mail transport used in production', {
+      transport: name,
+    });
+  }
+
+  transport = factory();
+  return transport;
+}
+
+/**
+ * Remplacer le transport (autre fournisseur, scripts...)
+ * @param {{ name: string, send: Function }} customTransport
+ */
+export function setMailTransport(customTransport) {
+  if (typeof customTransport?.send !== 'function') {
+    throw new Error('A mail transport must provide a send() function');
+  }
+  transport = customTransport;
+}
+
+/**
+ * Envoyer un email
+ * @param {Object} message - { to, subject, text, html }
+ * @returns {Promise<{ messageId: string }>}
+ */
+export async function sendMail({ to, subject, text, html }) {
+  const startTime = Date.now();
+  const currentTransport = getMailTransport();
+
+  try {
+    const result = await currentTransport.send({
+      from: process.env.MAIL_FROM || DEFAULT_FROM,
+      to,
+      subject,
+      text,
+      html,
+    });
+
+    logger.info('Email sent', {
+      transport: currentTransport.name,
+      messageId: result.messageId,
+      subject,
+      durationMs: Date.now() - startTime,
+    });
+
+    return result;
+  } catch (error) {
+    logger.error('Email sending failed', {
+      transport: currentTransport.name,
+      subject,
+      error: error.message,
+      durationMs: Date.now() - startTime,
+    });
+    throw error;
+  }
+}
+
+export default {
+  sendMail,
+  getMailTransport,
+  setMailTransport,
+};
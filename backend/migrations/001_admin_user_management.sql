@@ -0,0 +1,20 @@
+-- backend/migrations/001_admin_user_management.sql
+-- Gestion des comptes admin (section /dashboard/users)
+--
+-- Colonnes ajoutées aux tables Better Auth (admin."user" / admin."session").
+-- Better Auth utilise des noms de colonnes camelCase : ils doivent être
+-- entre guillemets.
+
+BEGIN;
+
+ALTER TABLE admin."user"
+  ADD COLUMN IF NOT EXISTS "banned" BOOLEAN NOT NULL DEFAULT false,
+  ADD COLUMN IF NOT EXISTS "banReason" TEXT,
+  ADD COLUMN IF NOT EXISTS "bannedAt" TIMESTAMP,
+  ADD COLUMN IF NOT EXISTS "forcePasswordReset" BOOLEAN NOT NULL DEFAULT false,
+  ADD COLUMN IF NOT EXISTS "lastSignInAt" TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_session_user_id
+  ON admin."session" ("userId");
+
+COMMIT;
@@ -0,0 +1,25 @@
+-- backend/migrations/002_admin_user_roles.sql
+-- Rôles RBAC des comptes admin (voir lib/permissions.js)
+--
+-- Les comptes existants avaient un accès complet : ils deviennent "owner".
+-- Les nouveaux comptes sont créés en "viewer" (lecture seule).
+
+BEGIN;
+
+ALTER TABLE admin."user"
+  ADD COLUMN IF NOT EXISTS "role" TEXT;
+
+UPDATE admin."user" SET "role" = 'owner' WHERE "role" IS NULL;
+
+ALTER TABLE admin."user"
+  ALTER COLUMN "role" SET DEFAULT 'viewer',
+  ALTER COLUMN "role" SET NOT NULL;
+
+ALTER TABLE admin."user"
+  DROP CONSTRAINT IF EXISTS user_role_check;
+
+ALTER TABLE admin."user"
+  ADD CONSTRAINT user_role_check
+  CHECK ("role" IN ('owner', 'editor', 'finance', 'viewer'));
+
+COMMIT;
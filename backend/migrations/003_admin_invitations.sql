@@ -0,0 +1,30 @@
+-- backend/migrations/003_admin_invitations.sql
+-- Inscription sur invitation uniquement (voir lib/invitations.js)
+--
+-- Le token n'est jamais stocké en clair : seule son empreinte SHA-256
+-- est conservée. Une invitation est à usage unique et liée à un email
+-- et à un rôle.
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS admin.invitations (
+  invitation_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  invitation_email TEXT NOT NULL,
+  invitation_role TEXT NOT NULL
+    CHECK (invitation_role IN ('owner', 'editor', 'finance', 'viewer')),
+  invitation_token_hash TEXT NOT NULL UNIQUE,
+  invitation_expires_at TIMESTAMP NOT NULL,
+  invitation_created_by TEXT REFERENCES admin."user" (id) ON DELETE SET NULL,
+  invitation_created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  invitation_used_at TIMESTAMP,
+  invitation_used_by TEXT REFERENCES admin."user" (id) ON DELETE SET NULL,
+  invitation_revoked_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_invitations_email
+  ON admin.invitations (LOWER(invitation_email));
+
+CREATE INDEX IF NOT EXISTS idx_invitations_created_at
+  ON admin.invitations (invitation_created_at DESC);
+
+COMMIT;
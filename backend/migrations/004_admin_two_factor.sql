@@ -0,0 +1,37 @@
+-- backend/migrations/004_admin_two_factor.sql
+-- Authentification à deux facteurs (plugin twoFactor de Better Auth)
+-- et réglages globaux de l'admin (voir lib/settings.js)
+--
+-- Le secret TOTP et les codes de secours sont chiffrés par Better Auth.
+
+BEGIN;
+
+ALTER TABLE admin."user"
+  ADD COLUMN IF NOT EXISTS "twoFactorEnabled" BOOLEAN NOT NULL DEFAULT false;
+
+CREATE TABLE IF NOT EXISTS admin."twoFactor" (
+  id TEXT PRIMARY KEY,
+  secret TEXT NOT NULL,
+  "backupCodes" TEXT NOT NULL,
+  "userId" TEXT NOT NULL REFERENCES admin."user" (id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_two_factor_secret
+  ON admin."twoFactor" (secret);
+
+CREATE INDEX IF NOT EXISTS idx_two_factor_user_id
+  ON admin."twoFactor" ("userId");
+
+CREATE TABLE IF NOT EXISTS admin.app_settings (
+  setting_key TEXT PRIMARY KEY,
+  setting_value JSONB NOT NULL,
+  setting_updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  setting_updated_by TEXT REFERENCES admin."user" (id) ON DELETE SET NULL
+);
+
+-- 2FA facultative par défaut : l'owner peut l'imposer depuis /dashboard/users
+INSERT INTO admin.app_settings (setting_key, setting_value)
+VALUES ('require_two_factor', 'false'::jsonb)
+ON CONFLICT (setting_key) DO NOTHING;
+
+COMMIT;
@@ -0,0 +1,33 @@
+-- backend/migrations/005_admin_audit_log.sql
+-- Journal d'audit persistant des mutations admin (voir lib/audit.js)
+--
+-- Une ligne par mutation : auteur, action, entité, différence avant/après
+-- (seuls les champs modifiés), requestId et IP anonymisée.
+-- L'email de l'auteur est copié pour rester lisible si le compte disparaît.
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS admin.audit_log (
+  audit_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  audit_actor_id TEXT REFERENCES admin."user" (id) ON DELETE SET NULL,
+  audit_actor_email TEXT,
+  audit_action TEXT NOT NULL,
+  audit_entity_type TEXT NOT NULL,
+  audit_entity_id TEXT,
+  audit_before JSONB,
+  audit_after JSONB,
+  audit_request_id TEXT,
+  audit_ip_address TEXT,
+  audit_created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_entity
+  ON admin.audit_log (audit_entity_type, audit_entity_id, audit_created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_actor
+  ON admin.audit_log (audit_actor_id, audit_created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_created_at
+  ON admin.audit_log (audit_created_at DESC);
+
+COMMIT;
@@ -0,0 +1,78 @@
+-- backend/migrations/006_order_status_history.sql
+-- Historique des changements de statut de paiement des commandes
+-- (voir lib/orderStatusHistory.js)
+--
+-- Les lignes sont écrites par un trigger sur admin.orders : tout chemin
+-- qui modifie order_payment_status (server action, SQL direct, autre
+-- trigger) laisse une trace. L'auteur et la note sont transmis par la
+-- transaction via set_config('benew.status_actor_id', ...) ; sans eux,
+-- le changement est attribué au système.
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS admin.order_status_history (
+  history_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  history_order_id UUID NOT NULL REFERENCES admin.orders (order_id) ON DELETE CASCADE,
+  history_old_status TEXT,
+  history_new_status TEXT NOT NULL,
+  history_actor_id TEXT REFERENCES admin."user" (id) ON DELETE SET NULL,
+  history_actor_email TEXT,
+  history_note TEXT,
+  history_created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_order_status_history_order
+  ON admin.order_status_history (history_order_id, history_created_at DESC);
+
+CREATE OR REPLACE FUNCTION admin.record_order_status_change()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF TG_OP = 'INSERT'
+     OR NEW.order_payment_status IS DISTINCT FROM OLD.order_payment_status THEN
+    INSERT INTO admin.order_status_history (
+      history_order_id,
+      history_old_status,
+      history_new_status,
+      history_actor_id,
+      history_actor_email,
+      history_note
+    ) VALUES (
+      NEW.order_id,
+      CASE WHEN TG_OP = 'UPDATE' THEN OLD.order_payment_status END,
+      NEW.order_payment_status,
+      NULLIF(current_setting('benew.status_actor_id', true), ''),
+      NULLIF(current_setting('benew.status_actor_email', true), ''),
+      NULLIF(current_setting('benew.status_note', true), '')
+    );
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_order_status_history ON admin.orders;
+
+CREATE TRIGGER trg_order_status_history
+  AFTER INSERT OR UPDATE OF order_payment_status ON admin.orders
+  FOR EACH ROW
+  EXECUTE FUNCTION admin.record_order_status_change();
+
+-- Point de départ pour les commandes existantes : statut courant
+INSERT INTO admin.order_status_history (
+  history_order_id,
+  history_new_status,
+  history_note,
+  history_created_at
+)
+SELECT
+  o.order_id,
+  o.order_payment_status,
+  o.order_cancel_reason,
+  COALESCE(o.order_updated, o.order_created)
+FROM admin.orders o
+WHERE NOT EXISTS (
+  SELECT 1 FROM admin.order_status_history h
+  WHERE h.history_order_id = o.order_id
+);
+
+COMMIT;
@@ -0,0 +1,21 @@
+-- backend/migrations/007_order_source.sql
+-- Origine des commandes : boutique ou saisie manuelle depuis l'admin
+-- (paiement en espèces ou par téléphone, voir /dashboard/orders/add)
+--
+-- Les commandes existantes viennent toutes de la boutique.
+
+BEGIN;
+
+ALTER TABLE admin.orders
+  ADD COLUMN IF NOT EXISTS order_source TEXT NOT NULL DEFAULT 'storefront',
+  ADD COLUMN IF NOT EXISTS order_created_by TEXT
+    REFERENCES admin."user" (id) ON DELETE SET NULL;
+
+ALTER TABLE admin.orders
+  DROP CONSTRAINT IF EXISTS orders_source_check;
+
+ALTER TABLE admin.orders
+  ADD CONSTRAINT orders_source_check
+  CHECK (order_source IN ('storefront', 'admin'));
+
+COMMIT;
@@ -0,0 +1,28 @@
+-- backend/migrations/008_invoices.sql
+-- Factures des commandes payées (voir lib/invoices.js)
+--
+-- Numérotation séquentielle sans trou, par année d'émission : le compteur
+-- est incrémenté dans la même transaction que l'insertion de la facture.
+-- Une facture est émise une seule fois par commande ; invoice_data fige
+-- le client, les lignes et les coordonnées de l'entreprise à l'émission.
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS admin.invoice_counters (
+  counter_year INTEGER PRIMARY KEY,
+  counter_value INTEGER NOT NULL DEFAULT 0
+);
+
+CREATE TABLE IF NOT EXISTS admin.invoices (
+  invoice_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  invoice_number TEXT NOT NULL UNIQUE,
+  invoice_order_id UUID NOT NULL UNIQUE REFERENCES admin.orders (order_id) ON DELETE RESTRICT,
+  invoice_data JSONB NOT NULL,
+  invoice_issued_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  invoice_issued_by TEXT REFERENCES admin."user" (id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_invoices_issued_at
+  ON admin.invoices (invoice_issued_at DESC);
+
+COMMIT;
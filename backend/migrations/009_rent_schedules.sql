@@ -0,0 +1,199 @@
+-- backend/migrations/009_rent_schedules.sql
+-- Échéanciers de location des commandes avec order_rent > 0
+-- (voir lib/rentSchedules.js)
+--
+-- L'échéancier est créé par un trigger quand la commande passe à "paid" :
+-- la première mensualité est réglée avec la commande, les suivantes sont
+-- dues chaque mois à la même date (fin de mois ramenée au dernier jour).
+-- Un remboursement arrête l'échéancier.
+--
+-- Les échéances sont générées jusqu'à un horizon de 30 jours
+-- (admin.extend_rent_periods) : par le trigger à la création de
+-- l'échéancier, puis chaque jour par la route cron /api/cron/rent-periods.
+-- Le statut "overdue" n'est pas stocké, c'est une échéance "due" dont la
+-- date est passée.
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS admin.rent_schedules (
+  schedule_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  schedule_order_id UUID NOT NULL UNIQUE REFERENCES admin.orders (order_id) ON DELETE CASCADE,
+  schedule_amount NUMERIC(10, 2) NOT NULL CHECK (schedule_amount > 0),
+  schedule_start_date DATE NOT NULL,
+  schedule_status TEXT NOT NULL DEFAULT 'active'
+    CHECK (schedule_status IN ('active', 'stopped')),
+  schedule_created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  schedule_stopped_at TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS admin.rent_periods (
+  period_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  period_schedule_id UUID NOT NULL REFERENCES admin.rent_schedules (schedule_id) ON DELETE CASCADE,
+  period_number INTEGER NOT NULL CHECK (period_number > 0),
+  period_due_date DATE NOT NULL,
+  period_amount NUMERIC(10, 2) NOT NULL,
+  period_status TEXT NOT NULL DEFAULT 'due'
+    CHECK (period_status IN ('due', 'paid')),
+  period_paid_at TIMESTAMP,
+  period_paid_by TEXT REFERENCES admin."user" (id) ON DELETE SET NULL,
+  period_note TEXT,
+  UNIQUE (period_schedule_id, period_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_rent_periods_due
+  ON admin.rent_periods (period_due_date)
+  WHERE period_status = 'due';
+
+-- Générer les échéances manquantes des échéanciers actifs jusqu'à p_until
+-- (un seul échéancier si p_schedule_id est fourni)
+DROP FUNCTION IF EXISTS admin.extend_rent_periods(DATE);
+
+CREATE OR REPLACE FUNCTION admin.extend_rent_periods(
+  p_until DATE,
+  p_schedule_id UUID DEFAULT NULL
+)
+RETURNS INTEGER AS $$
+DECLARE
+  inserted INTEGER;
+BEGIN
+  INSERT INTO admin.rent_periods (
+    period_schedule_id,
+    period_number,
+    period_due_date,
+    period_amount
+  )
+  SELECT
+    s.schedule_id,
+    n,
+    (s.schedule_start_date + (n - 1) * INTERVAL '1 month')::date,
+    s.schedule_amount
+  FROM admin.rent_schedules s
+  CROSS JOIN LATERAL generate_series(
+    1,
+    (
+      EXTRACT(YEAR FROM age(p_until, s.schedule_start_date)) * 12
+      + EXTRACT(MONTH FROM age(p_until, s.schedule_start_date))
+    )::integer + 2
+  ) AS n
+  WHERE s.schedule_status = 'active'
+    AND (p_schedule_id IS NULL OR s.schedule_id = p_schedule_id)
+    AND s.schedule_start_date <= p_until
+    AND (s.schedule_start_date + (n - 1) * INTERVAL '1 month')::date <= p_until
+  ON CONFLICT (period_schedule_id, period_number) DO NOTHING;
+
+  GET DIAGNOSTICS inserted = ROW_COUNT;
+  RETURN inserted;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION admin.sync_order_rent_schedule()
+RETURNS TRIGGER AS $$
+DECLARE
+  new_schedule_id UUID;
+  paid_at TIMESTAMP := COALESCE(NEW.order_paid_at, NOW());
+BEGIN
+  IF NEW.order_payment_status = 'paid'
+     AND (TG_OP = 'INSERT' OR OLD.order_payment_status IS DISTINCT FROM 'paid')
+     AND COALESCE(NEW.order_rent, 0) > 0 THEN
+    INSERT INTO admin.rent_schedules (
+      schedule_order_id,
+      schedule_amount,
+      schedule_start_date
+    ) VALUES (
+      NEW.order_id,
+      NEW.order_rent,
+      paid_at::date
+    )
+    ON CONFLICT (schedule_order_id) DO NOTHING
+    RETURNING schedule_id INTO new_schedule_id;
+
+    -- Première mensualité : encaissée avec la commande
+    IF new_schedule_id IS NOT NULL THEN
+      INSERT INTO admin.rent_periods (
+        period_schedule_id,
+        period_number,
+        period_due_date,
+        period_amount,
+        period_status,
+        period_paid_at,
+        period_paid_by,
+        period_note
+      ) VALUES (
+        new_schedule_id,
+        1,
+        paid_at::date,
+        NEW.order_rent,
+        'paid',
+        paid_at,
+        NULLIF(current_setting('benew.status_actor_id', true), ''),
+        'Réglée avec la commande'
+      );
+
+      -- Échéances suivantes jusqu'à l'horizon (RENT_UPCOMING_DAYS)
+      PERFORM admin.extend_rent_periods(
+        (CURRENT_DATE + INTERVAL '30 days')::date,
+        new_schedule_id
+      );
+    END IF;
+  ELSIF TG_OP = 'UPDATE'
+        AND OLD.order_payment_status = 'paid'
+        AND NEW.order_payment_status <> 'paid' THEN
+    UPDATE admin.rent_schedules
+    SET schedule_status = 'stopped',
+        schedule_stopped_at = NOW()
+    WHERE schedule_order_id = NEW.order_id
+      AND schedule_status = 'active';
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_order_rent_schedule ON admin.orders;
+
+CREATE TRIGGER trg_order_rent_schedule
+  AFTER INSERT OR UPDATE OF order_payment_status ON admin.orders
+  FOR EACH ROW
+  EXECUTE FUNCTION admin.sync_order_rent_schedule();
+
+-- Commandes déjà payées : échéancier à partir de la date de paiement.
+-- Les mensualités passées apparaîtront "overdue" tant qu'elles n'auront
+-- pas été enregistrées depuis la page de la commande.
+WITH created AS (
+  INSERT INTO admin.rent_schedules (
+    schedule_order_id,
+    schedule_amount,
+    schedule_start_date
+  )
+  SELECT
+    o.order_id,
+    o.order_rent,
+    COALESCE(o.order_paid_at, o.order_created)::date
+  FROM admin.orders o
+  WHERE o.order_payment_status = 'paid'
+    AND COALESCE(o.order_rent, 0) > 0
+  ON CONFLICT (schedule_order_id) DO NOTHING
+  RETURNING schedule_id, schedule_amount, schedule_start_date
+)
+INSERT INTO admin.rent_periods (
+  period_schedule_id,
+  period_number,
+  period_due_date,
+  period_amount,
+  period_status,
+  period_paid_at,
+  period_note
+)
+SELECT
+  schedule_id,
+  1,
+  schedule_start_date,
+  schedule_amount,
+  'paid',
+  schedule_start_date,
+  'Réglée avec la commande'
+FROM created;
+
+SELECT admin.extend_rent_periods((CURRENT_DATE + INTERVAL '30 days')::date);
+
+COMMIT;
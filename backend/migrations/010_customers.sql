@@ -0,0 +1,211 @@
+-- backend/migrations/010_customers.sql
+-- Annuaire clients construit à partir des commandes (voir lib/customers.js)
+--
+-- Un client est identifié par l'email normalisé (minuscules) ou, à défaut,
+-- le téléphone normalisé (chiffres seuls) de ses commandes. Chaque clé
+-- connue est rattachée à un seul client dans admin.customer_keys ; le
+-- trigger trg_order_customer renseigne order_customer_id à la création
+-- de la commande ou quand l'email / le téléphone change.
+--
+-- La fusion de doublons (fautes de frappe) déplace les clés et les
+-- commandes vers le client conservé : les commandes futures portant
+-- l'ancienne clé sont rattachées au bon client.
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS admin.customers (
+  customer_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  customer_created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS admin.customer_keys (
+  key_type TEXT NOT NULL CHECK (key_type IN ('email', 'phone')),
+  key_value TEXT NOT NULL,
+  key_customer_id UUID NOT NULL REFERENCES admin.customers (customer_id) ON DELETE CASCADE,
+  key_created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (key_type, key_value)
+);
+
+CREATE INDEX IF NOT EXISTS idx_customer_keys_customer
+  ON admin.customer_keys (key_customer_id);
+
+ALTER TABLE admin.orders
+  ADD COLUMN IF NOT EXISTS order_customer_id UUID
+    REFERENCES admin.customers (customer_id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_orders_customer
+  ON admin.orders (order_customer_id, order_created DESC);
+
+CREATE OR REPLACE FUNCTION admin.normalize_customer_email(p_email TEXT)
+RETURNS TEXT AS $$
+  SELECT NULLIF(LOWER(BTRIM(p_email)), '');
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Chiffres seuls, préfixe international 00 retiré (+253 / 00253 → 253)
+CREATE OR REPLACE FUNCTION admin.normalize_customer_phone(p_phone TEXT)
+RETURNS TEXT AS $$
+  SELECT NULLIF(
+    REGEXP_REPLACE(REGEXP_REPLACE(COALESCE(p_phone, ''), '\D', '', 'g'), '^00', ''),
+    ''
+  );
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Client correspondant à un email / téléphone (créé si inconnu)
+-- L'email l'emporte sur le téléphone ; les clés manquantes sont ajoutées
+-- au client trouvé si elles ne sont pas déjà rattachées à un autre.
+CREATE OR REPLACE FUNCTION admin.resolve_customer(p_email TEXT, p_phone TEXT)
+RETURNS UUID AS $$
+DECLARE
+  v_email TEXT := admin.normalize_customer_email(p_email);
+  v_phone TEXT := admin.normalize_customer_phone(p_phone);
+  v_customer_id UUID;
+BEGIN
+  -- Sérialiser les résolutions : deux commandes simultanées du même
+  -- nouveau client ne doivent pas créer deux fiches
+  PERFORM pg_advisory_xact_lock(hashtext('admin.customers'));
+
+  IF v_email IS NOT NULL THEN
+    SELECT key_customer_id INTO v_customer_id
+    FROM admin.customer_keys
+    WHERE key_type = 'email' AND key_value = v_email;
+  END IF;
+
+  IF v_customer_id IS NULL AND v_phone IS NOT NULL THEN
+    SELECT key_customer_id INTO v_customer_id
+    FROM admin.customer_keys
+    WHERE key_type = 'phone' AND key_value = v_phone;
+  END IF;
+
+  IF v_customer_id IS NULL THEN
+    INSERT INTO admin.customers DEFAULT VALUES
+    RETURNING customer_id INTO v_customer_id;
+  END IF;
+
+  IF v_email IS NOT NULL THEN
+    INSERT INTO admin.customer_keys (key_type, key_value, key_customer_id)
+    VALUES ('email', v_email, v_customer_id)
+    ON CONFLICT (key_type, key_value) DO NOTHING;
+  END IF;
+
+  IF v_phone IS NOT NULL THEN
+    INSERT INTO admin.customer_keys (key_type, key_value, key_customer_id)
+    VALUES ('phone', v_phone, v_customer_id)
+    ON CONFLICT (key_type, key_value) DO NOTHING;
+  END IF;
+
+  RETURN v_customer_id;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION admin.assign_order_customer()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF TG_OP = 'INSERT'
+     OR admin.normalize_customer_email(NEW.order_client_email)
+          IS DISTINCT FROM admin.normalize_customer_email(OLD.order_client_email)
+     OR admin.normalize_customer_phone(NEW.order_client_phone)
+          IS DISTINCT FROM admin.normalize_customer_phone(OLD.order_client_phone) THEN
+    NEW.order_customer_id := admin.resolve_customer(
+      NEW.order_client_email,
+      NEW.order_client_phone
+    );
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Rattacher les commandes existantes, de la plus ancienne à la plus récente
+DO $$
+DECLARE
+  r RECORD;
+BEGIN
+  FOR r IN
+    SELECT order_id, order_client_email, order_client_phone
+    FROM admin.orders
+    WHERE order_customer_id IS NULL
+    ORDER BY order_created ASC, order_id ASC
+  LOOP
+    UPDATE admin.orders
+    SET order_customer_id = admin.resolve_customer(
+      r.order_client_email,
+      r.order_client_phone
+    )
+    WHERE order_id = r.order_id;
+  END LOOP;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_order_customer ON admin.orders;
+
+CREATE TRIGGER trg_order_customer
+  BEFORE INSERT OR UPDATE OF order_client_email, order_client_phone
+  ON admin.orders
+  FOR EACH ROW
+  EXECUTE FUNCTION admin.assign_order_customer();
+
+-- Coordonnées (commande la plus récente renseignée) et agrégats par client
+-- Valeur vie client : prix des commandes payées + loyers encaissés
+-- Loyer impayé : échéances en retard des échéanciers actifs
+CREATE OR REPLACE VIEW admin.customer_summaries AS
+SELECT
+  c.customer_id,
+  c.customer_created_at,
+  (
+    SELECT o.order_client_name
+    FROM admin.orders o
+    WHERE o.order_customer_id = c.customer_id
+      AND NULLIF(BTRIM(o.order_client_name), '') IS NOT NULL
+    ORDER BY o.order_created DESC
+    LIMIT 1
+  ) AS customer_name,
+  (
+    SELECT o.order_client_email
+    FROM admin.orders o
+    WHERE o.order_customer_id = c.customer_id
+      AND NULLIF(BTRIM(o.order_client_email), '') IS NOT NULL
+    ORDER BY o.order_created DESC
+    LIMIT 1
+  ) AS customer_email,
+  (
+    SELECT o.order_client_phone
+    FROM admin.orders o
+    WHERE o.order_customer_id = c.customer_id
+      AND NULLIF(BTRIM(o.order_client_phone), '') IS NOT NULL
+    ORDER BY o.order_created DESC
+    LIMIT 1
+  ) AS customer_phone,
+  COALESCE(stats.order_count, 0) AS order_count,
+  COALESCE(stats.paid_order_count, 0) AS paid_order_count,
+  COALESCE(stats.paid_amount, 0) + COALESCE(rent.paid_rent, 0) AS lifetime_value,
+  stats.last_order_at,
+  stats.last_purchase_at,
+  COALESCE(rent.outstanding_rent, 0) AS outstanding_rent
+FROM admin.customers c
+LEFT JOIN LATERAL (
+  SELECT
+    COUNT(*) AS order_count,
+    COUNT(*) FILTER (WHERE o.order_payment_status = 'paid') AS paid_order_count,
+    SUM(o.order_price) FILTER (WHERE o.order_payment_status = 'paid') AS paid_amount,
+    MAX(o.order_created) AS last_order_at,
+    MAX(o.order_paid_at) FILTER (WHERE o.order_payment_status = 'paid') AS last_purchase_at
+  FROM admin.orders o
+  WHERE o.order_customer_id = c.customer_id
+) stats ON TRUE
+LEFT JOIN LATERAL (
+  SELECT
+    SUM(p.period_amount) FILTER (
+      WHERE p.period_status = 'paid' AND o.order_payment_status = 'paid'
+    ) AS paid_rent,
+    SUM(p.period_amount) FILTER (
+      WHERE p.period_status = 'due'
+        AND p.period_due_date < CURRENT_DATE
+        AND s.schedule_status = 'active'
+    ) AS outstanding_rent
+  FROM admin.rent_periods p
+  JOIN admin.rent_schedules s ON p.period_schedule_id = s.schedule_id
+  JOIN admin.orders o ON s.schedule_order_id = o.order_id
+  WHERE o.order_customer_id = c.customer_id
+) rent ON TRUE;
+
+COMMIT;
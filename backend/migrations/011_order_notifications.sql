@@ -0,0 +1,43 @@
+-- backend/migrations/011_order_notifications.sql
+-- Notifications email envoyées aux clients lors des changements de statut
+-- de paiement (voir lib/orderNotifications.js)
+--
+-- Les modèles par défaut (en français) sont définis dans le code ;
+-- admin.notification_templates ne contient que les modèles modifiés
+-- depuis le dashboard. admin.order_notifications est le journal des
+-- envois par commande (envoyé, échec ou non envoyé).
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS admin.notification_templates (
+  template_key TEXT PRIMARY KEY
+    CHECK (template_key IN ('order_paid', 'order_refunded', 'order_failed')),
+  template_subject TEXT NOT NULL,
+  template_body TEXT NOT NULL,
+  template_enabled BOOLEAN NOT NULL DEFAULT true,
+  template_updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  template_updated_by TEXT REFERENCES admin."user" (id) ON DELETE SET NULL
+);
+
+CREATE TABLE IF NOT EXISTS admin.order_notifications (
+  notification_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  notification_order_id UUID NOT NULL REFERENCES admin.orders (order_id) ON DELETE CASCADE,
+  notification_template_key TEXT NOT NULL,
+  notification_recipient TEXT,
+  notification_subject TEXT,
+  notification_status TEXT NOT NULL
+    CHECK (notification_status IN ('sent', 'failed', 'suppressed')),
+  -- Raison du non-envoi ou message d'erreur du transport
+  notification_detail TEXT,
+  notification_transport TEXT,
+  notification_message_id TEXT,
+  notification_is_resend BOOLEAN NOT NULL DEFAULT false,
+  notification_actor_id TEXT REFERENCES admin."user" (id) ON DELETE SET NULL,
+  notification_actor_email TEXT,
+  notification_created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_order_notifications_order
+  ON admin.order_notifications (notification_order_id, notification_created_at DESC);
+
+COMMIT;
@@ -0,0 +1,167 @@
+-- backend/migrations/012_application_publication.sql
+-- Cycle de publication des applications : draft, scheduled, published,
+-- archived (voir lib/applicationPublication.js)
+--
+-- is_active reste la colonne lue par la boutique : le trigger la recalcule
+-- à partir du statut (publiée = active), elle n'est plus modifiée
+-- directement. Les dates saisies dans le dashboard sont des instants :
+-- TIMESTAMPTZ pour ne pas dépendre du fuseau de la session.
+--
+-- publish_at / unpublish_at ne concernent que les transitions à venir :
+-- le trigger les efface quand elles n'ont plus de sens pour le statut.
+-- Les transitions échues sont appliquées par
+-- catalog.apply_application_publications (route cron et script CLI).
+--
+-- Les applications actives existantes sont publiées, les autres passent
+-- en brouillon.
+
+BEGIN;
+
+ALTER TABLE catalog.applications
+  ADD COLUMN IF NOT EXISTS application_status TEXT NOT NULL DEFAULT 'draft',
+  ADD COLUMN IF NOT EXISTS application_publish_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS application_unpublish_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS application_published_at TIMESTAMPTZ;
+
+UPDATE catalog.applications
+SET application_status = 'published',
+    application_published_at = COALESCE(updated_at, created_at, NOW())
+WHERE is_active = true
+  AND application_status = 'draft'
+  AND application_published_at IS NULL;
+
+ALTER TABLE catalog.applications
+  DROP CONSTRAINT IF EXISTS applications_status_check,
+  DROP CONSTRAINT IF EXISTS applications_schedule_check;
+
+ALTER TABLE catalog.applications
+  ADD CONSTRAINT applications_status_check
+  CHECK (application_status IN ('draft', 'scheduled', 'published', 'archived'));
+
+ALTER TABLE catalog.applications
+  ADD CONSTRAINT applications_schedule_check
+  CHECK (
+    (application_status <> 'scheduled' OR application_publish_at IS NOT NULL)
+    AND (
+      application_unpublish_at IS NULL
+      OR application_publish_at IS NULL
+      OR application_unpublish_at > application_publish_at
+    )
+  );
+
+CREATE INDEX IF NOT EXISTS idx_applications_status
+  ON catalog.applications (application_status);
+
+CREATE INDEX IF NOT EXISTS idx_applications_publish_at
+  ON catalog.applications (application_publish_at)
+  WHERE application_status = 'scheduled';
+
+CREATE INDEX IF NOT EXISTS idx_applications_unpublish_at
+  ON catalog.applications (application_unpublish_at)
+  WHERE application_unpublish_at IS NOT NULL;
+
+CREATE OR REPLACE FUNCTION catalog.sync_application_publication()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.is_active := NEW.application_status = 'published';
+
+  IF NEW.application_status <> 'scheduled' THEN
+    NEW.application_publish_at := NULL;
+  END IF;
+
+  IF NEW.application_status NOT IN ('scheduled', 'published') THEN
+    NEW.application_unpublish_at := NULL;
+  END IF;
+
+  IF NEW.application_status = 'published'
+     AND (TG_OP = 'INSERT' OR OLD.application_status <> 'published') THEN
+    NEW.application_published_at := NOW();
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_application_publication ON catalog.applications;
+
+CREATE TRIGGER trg_application_publication
+  BEFORE INSERT OR UPDATE ON catalog.applications
+  FOR EACH ROW
+  EXECUTE FUNCTION catalog.sync_application_publication();
+
+-- Appliquer les transitions échues :
+--   scheduled → published (publish_at passé)
+--   scheduled / published → archived (unpublish_at passé)
+-- Chaque transition est inscrite au journal d'audit (auteur "scheduler").
+CREATE OR REPLACE FUNCTION catalog.apply_application_publications(
+  p_request_id TEXT DEFAULT NULL
+)
+RETURNS TABLE (
+  application_id UUID,
+  application_name TEXT,
+  previous_status TEXT,
+  new_status TEXT
+) AS $$
+#variable_conflict use_column
+BEGIN
+  RETURN QUERY
+  WITH due AS (
+    SELECT
+      a.application_id,
+      a.application_status AS previous_status,
+      CASE
+        WHEN a.application_unpublish_at <= NOW() THEN 'archived'
+        ELSE 'published'
+      END AS new_status
+    FROM catalog.applications a
+    WHERE (a.application_status = 'scheduled' AND a.application_publish_at <= NOW())
+       OR (
+         a.application_status IN ('scheduled', 'published')
+         AND a.application_unpublish_at <= NOW()
+       )
+    FOR UPDATE SKIP LOCKED
+  ),
+  updated AS (
+    UPDATE catalog.applications a
+    SET application_status = due.new_status,
+        updated_at = NOW()
+    FROM due
+    WHERE a.application_id = due.application_id
+    RETURNING
+      a.application_id,
+      a.application_name::TEXT,
+      due.previous_status,
+      due.new_status
+  ),
+  audited AS (
+    INSERT INTO admin.audit_log (
+      audit_actor_email,
+      audit_action,
+      audit_entity_type,
+      audit_entity_id,
+      audit_before,
+      audit_after,
+      audit_request_id
+    )
+    SELECT
+      'scheduler',
+      'update',
+      'application',
+      u.application_id::TEXT,
+      jsonb_build_object(
+        'application_status', u.previous_status,
+        'is_active', u.previous_status = 'published'
+      ),
+      jsonb_build_object(
+        'application_status', u.new_status,
+        'is_active', u.new_status = 'published'
+      ),
+      p_request_id
+    FROM updated u
+  )
+  SELECT u.application_id, u.application_name, u.previous_status, u.new_status
+  FROM updated u;
+END;
+$$ LANGUAGE plpgsql;
+
+COMMIT;
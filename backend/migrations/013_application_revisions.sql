@@ -0,0 +1,33 @@
+-- backend/migrations/013_application_revisions.sql
+-- Révisions des applications (voir lib/applicationRevisions.js)
+--
+-- Chaque modification du contenu d'une application (nom, liens,
+-- description, catégorie, niveau, prix, images) enregistre d'abord l'état
+-- précédent : la révision n°N est la version remplacée par la N-ième
+-- modification. Une restauration est elle-même une modification.
+--
+-- Les images Cloudinary d'une révision ne sont supprimées qu'à l'élagage de
+-- la révision, si plus aucune version ne les utilise.
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS catalog.application_revisions (
+  revision_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  revision_application_id UUID NOT NULL
+    REFERENCES catalog.applications (application_id) ON DELETE CASCADE,
+  revision_number INTEGER NOT NULL CHECK (revision_number > 0),
+  revision_snapshot JSONB NOT NULL,
+  revision_source TEXT NOT NULL DEFAULT 'edit'
+    CHECK (revision_source IN ('edit', 'restore')),
+  revision_restored_from INTEGER,
+  revision_actor_id TEXT REFERENCES admin."user" (id) ON DELETE SET NULL,
+  revision_actor_email TEXT,
+  revision_request_id TEXT,
+  revision_created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  UNIQUE (revision_application_id, revision_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_application_revisions_application
+  ON catalog.application_revisions (revision_application_id, revision_number DESC);
+
+COMMIT;
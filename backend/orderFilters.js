@@ -0,0 +1,187 @@
+// backend/orderFilters.js
+// Filtres de la liste des commandes, partagés par getFilteredOrders
+// (server action) et la route d'export CSV : une même URL de filtres
+// donne exactement les mêmes lignes.
+
+// Filtres texte (ILIKE)
+const TEXT_FILTERS = ['order_client_name', 'order_client_email'];
+
+// Bornes de dates (YYYY-MM-DD, bornes incluses)
+const DATE_FILTERS = {
+  order_created_from: { column: 'o.order_created', bound: 'from' },
+  order_created_to: { column: 'o.order_created', bound: 'to' },
+  order_paid_from: { column: 'o.order_paid_at', bound: 'from' },
+  order_paid_to: { column: 'o.order_paid_at', bound: 'to' },
+};
+
+// Bornes du montant total (acquisition + location)
+const AMOUNT_FILTERS = ['order_total_min', 'order_total_max'];
+
+// Références catalogue (UUID)
+const ID_FILTERS = ['order_application_id', 'order_platform_id'];
+
+const ALLOWED_STATUSES = ['paid', 'unpaid', 'refunded', 'failed'];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const UUID_PATTERN =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+const MAX_AMOUNT = 1_000_000_000;
+
+export const ORDER_FILTER_FIELDS = [
+  ...TEXT_FILTERS,
+  'order_payment_status',
+  ...Object.keys(DATE_FILTERS),
+  ...AMOUNT_FILTERS,
+  ...ID_FILTERS,
+];
+
+function isValidDate(value) {
+  if (typeof value !== 'string' || !DATE_PATTERN.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value);
+}
+
+/**
+ * Valider et nettoyer les filtres de la liste des commandes
+ * Tout champ inconnu ou invalide est ignoré.
+ */
+export function validateAndSanitizeFilters(filters = {}) {
+  const validatedFilters = {};
+  const maxStringLength = 100;
+  const maxArrayLength = 10;
+
+  for (const [key, value] of Object.entries(filters)) {
+    if (!ORDER_FILTER_FIELDS.includes(key)) continue;
+
+    if (TEXT_FILTERS.includes(key)) {
+      if (typeof value === 'string' && value.trim()) {
+        const cleanValue = value.trim().substring(0, maxStringLength);
+        const sanitizedValue = cleanValue.replace(/[<>"'%;()&+]/g, '');
+        if (sanitizedValue.length >= 2) {
+          validatedFilters[key] = sanitizedValue;
+        }
+      }
+    } else if (key === 'order_payment_status') {
+      if (Array.isArray(value)) {
+        validatedFilters[key] = value
+          .filter((v) => typeof v === 'string' && v.trim())
+          .map((v) => v.trim())
+          .slice(0, maxArrayLength)
+          .filter((v) => ALLOWED_STATUSES.includes(v));
+      }
+    } else if (key in DATE_FILTERS) {
+      if (isValidDate(value)) {
+        validatedFilters[key] = value;
+      }
+    } else if (AMOUNT_FILTERS.includes(key)) {
+      const amount =
+        typeof value === 'number' ? value : parseFloat(String(value ?? ''));
+      if (Number.isFinite(amount) && amount >= 0 && amount <= MAX_AMOUNT) {
+        validatedFilters[key] = amount;
+      }
+    } else if (ID_FILTERS.includes(key)) {
+      if (typeof value === 'string' && UUID_PATTERN.test(value.trim())) {
+        validatedFilters[key] = value.trim();
+      }
+    }
+  }
+
+  return validatedFilters;
+}
+
+/**
+ * Lire les filtres depuis une query string (exports)
+ * Les statuts peuvent être répétés : ?order_payment_status=paid&order_payment_status=failed
+ * @param {URLSearchParams} searchParams
+ * @returns {Object} Filtres bruts, à passer à validateAndSanitizeFilters
+ */
+export function readOrderFiltersFromSearchParams(searchParams) {
+  const filters = {};
+
+  for (const key of ORDER_FILTER_FIELDS) {
+    if (key === 'order_payment_status') {
+      const statuses = searchParams.getAll(key);
+      if (statuses.length > 0) filters[key] = statuses;
+    } else {
+      const value = searchParams.get(key);
+      if (value) filters[key] = value;
+    }
+  }
+
+  return filters;
+}
+
+/**
+ * Construire la clause WHERE (alias o = admin.orders)
+ * @returns {{ whereClause: string, values: Array }}
+ */
+export function buildSecureWhereClause(filters) {
+  const conditions = [];
+  const values = [];
+  let paramCount = 1;
+
+  if (filters.order_client_name) {
+    conditions.push(`o.order_client_name ILIKE $${paramCount}`);
+    values.push(`%${filters.order_client_name}%`);
+    paramCount++;
+  }
+
+  if (filters.order_client_email) {
+    conditions.push(`o.order_client_email ILIKE $${paramCount}`);
+    values.push(`%${filters.order_client_email}%`);
+    paramCount++;
+  }
+
+  if (filters.order_payment_status?.length > 0) {
+    const placeholders = filters.order_payment_status
+      .map(() => `$${paramCount++}`)
+      .join(', ');
+    conditions.push(`o.order_payment_status IN (${placeholders})`);
+    values.push(...filters.order_payment_status);
+  }
+
+  // Borne haute incluse : jusqu'à la fin de la journée
+  for (const [key, { column, bound }] of Object.entries(DATE_FILTERS)) {
+    if (!filters[key]) continue;
+
+    conditions.push(
+      bound === 'from'
+        ? `${column} >= $${paramCount}::date`
+        : `${column} < $${paramCount}::date + INTERVAL '1 day'`,
+    );
+    values.push(filters[key]);
+    paramCount++;
+  }
+
+  const totalExpression =
+    '(COALESCE(o.order_price, 0) + COALESCE(o.order_rent, 0))';
+
+  if (filters.order_total_min !== undefined) {
+    conditions.push(`${totalExpression} >= $${paramCount}`);
+    values.push(filters.order_total_min);
+    paramCount++;
+  }
+
+  if (filters.order_total_max !== undefined) {
+    conditions.push(`${totalExpression} <= $${paramCount}`);
+    values.push(filters.order_total_max);
+    paramCount++;
+  }
+
+  if (filters.order_application_id) {
+    conditions.push(`o.order_application_id = $${paramCount}`);
+    values.push(filters.order_application_id);
+    paramCount++;
+  }
+
+  if (filters.order_platform_id) {
+    conditions.push(`$${paramCount} = ANY(o.order_platform_ids)`);
+    values.push(filters.order_platform_id);
+    paramCount++;
+  }
+
+  const whereClause =
+    conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  return { whereClause, values };
+}
@@ -0,0 +1,257 @@
+// backend/pagination.js
+// Pagination par curseur (keyset) et tri sur liste blanche pour les listes
+// du dashboard. Les paramètres sont validés par utils/pagination.js.
+//
+// Le curseur encode [tri, sens, valeur de tri, id] de la première/dernière
+// ligne : la page suivante reprend strictement après ce couple, sans OFFSET.
+import { parseListParams } from '@/utils/pagination';
+
+/**
+ * Expressions SQL triables par liste (clés de LIST_SORTS)
+ * `type` sert à re-typer la valeur du curseur (transmise en texte).
+ * Les COALESCE évitent les NULL, incompatibles avec la comparaison de tuples.
+ */
+const LIST_COLUMNS = {
+  applications: {
+    id: { expression: 'application_id', type: 'uuid' },
+    sorts: {
+      created: { expression: 'created_at', type: 'timestamp' },
+      updated: {
+        expression: 'COALESCE(updated_at, created_at)',
+        type: 'timestamp',
+      },
+      name: {
+        expression: "LOWER(COALESCE(application_name, ''))",
+        type: 'text',
+      },
+      price: { expression: 'COALESCE(application_fee, 0)', type: 'numeric' },
+      sales: { expression: 'COALESCE(sales_count, 0)', type: 'integer' },
+    },
+  },
+  templates: {
+    id: { expression: 'template_id', type: 'uuid' },
+    sorts: {
+      created: { expression: 'template_added', type: 'timestamp' },
+      updated: {
+        expression: 'COALESCE(updated_at, template_added)',
+        type: 'timestamp',
+      },
+      name: { expression: "LOWER(COALESCE(template_name, ''))", type: 'text' },
+      sales: { expression: 'COALESCE(sales_count, 0)', type: 'integer' },
+    },
+  },
+  platforms: {
+    id: { expression: 'platform_id', type: 'uuid' },
+    sorts: {
+      created: { expression: 'created_at', type: 'timestamp' },
+      updated: {
+        expression: 'COALESCE(updated_at, created_at)',
+        type: 'timestamp',
+      },
+      name: { expression: "LOWER(COALESCE(platform_name, ''))", type: 'text' },
+    },
+  },
+  videos: {
+    id: { expression: 'video_id', type: 'uuid' },
+    sorts: {
+      created: { expression: 'created_at', type: 'timestamp' },
+      updated: {
+        expression: 'COALESCE(updated_at, created_at)',
+        type: 'timestamp',
+      },
+      name: { expression: "LOWER(COALESCE(video_title, ''))", type: 'text' },
+    },
+  },
+  orders: {
+    id: { expression: 'o.order_id', type: 'uuid' },
+    sorts: {
+      created: { expression: 'o.order_created', type: 'timestamp' },
+      updated: {
+        expression: 'COALESCE(o.order_updated, o.order_created)',
+        type: 'timestamp',
+      },
+      name: {
+        expression: "LOWER(COALESCE(o.order_client_name, ''))",
+        type: 'text',
+      },
+      price: { expression: 'COALESCE(o.order_price, 0)', type: 'numeric' },
+    },
+  },
+  customers: {
+    id: { expression: 'c.customer_id', type: 'uuid' },
+    sorts: {
+      last: {
+        expression: 'COALESCE(c.last_order_at, c.customer_created_at)',
+        type: 'timestamp',
+      },
+      value: { expression: 'c.lifetime_value', type: 'numeric' },
+      orders: { expression: 'c.order_count', type: 'integer' },
+      outstanding: { expression: 'c.outstanding_rent', type: 'numeric' },
+      name: {
+        expression: "LOWER(COALESCE(c.customer_name, ''))",
+        type: 'text',
+      },
+    },
+  },
+  audit: {
+    id: { expression: 'audit_id', type: 'uuid' },
+    sorts: {
+      created: { expression: 'audit_created_at', type: 'timestamp' },
+    },
+  },
+};
+
+// Forme attendue d'une valeur de curseur selon le type SQL de la colonne :
+// une valeur falsifiée ne doit jamais atteindre le cast ($n::type)
+const CURSOR_VALUE_PATTERNS = {
+  uuid: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i,
+  timestamp:
+    /^\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}:\d{2}(\.\d{1,6})?(Z|[+-]\d{2}(:?\d{2})?)?$/,
+  numeric: /^-?\d{1,20}(\.\d{1,10})?$/,
+  integer: /^-?\d{1,18}$/,
+  text: /^[\s\S]{0,500}$/,
+};
+
+const isValidCursorValue = (value, type) =>
+  CURSOR_VALUE_PATTERNS[type]?.test(value) ?? false;
+
+/**
+ * Encoder le curseur d'une ligne
+ * Le tri et le sens font partie du curseur : il n'est valable que pour
+ * la liste triée qui l'a produit.
+ */
+export function encodeCursor(sort, direction, sortValue, id) {
+  return Buffer.from(JSON.stringify([sort, direction, sortValue, id])).toString(
+    'base64url',
+  );
+}
+
+/**
+ * @returns {{ sort: string, direction: string, value: string, id: string }|null}
+ */
+export function decodeCursor(cursor) {
+  if (!cursor) return null;
+
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+
+    if (
+      !Array.isArray(decoded) ||
+      decoded.length !== 4 ||
+      !decoded.every((value) => typeof value === 'string')
+    ) {
+      return null;
+    }
+
+    const [sort, direction, value, id] = decoded;
+    return { sort, direction, value, id };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Construire tri, condition de curseur et LIMIT d'une requête de liste
+ *
+ * @param {string} listKey - Clé de LIST_COLUMNS / LIST_SORTS
+ * @param {Object} rawParams - Paramètres de liste (URL ou objet)
+ * @param {number} firstParamIndex - Premier $n disponible
+ * @returns {{
+ *   params: Object,
+ *   sortSelect: string,
+ *   condition: string|null,
+ *   orderBy: string,
+ *   limit: number,
+ *   values: Array
+ * }}
+ */
+export function buildKeysetQuery(listKey, rawParams, firstParamIndex = 1) {
+  const params = parseListParams(listKey, rawParams);
+  const { id, sorts } = LIST_COLUMNS[listKey];
+  const sortColumn = sorts[params.sort];
+
+  // Curseur d'un autre tri (URL copiée, tri modifié) ou valeur invalide :
+  // ignoré, on repart de la première page
+  const decoded = decodeCursor(params.after || params.before);
+  const cursor =
+    decoded &&
+    decoded.sort === params.sort &&
+    decoded.direction === params.direction &&
+    isValidCursorValue(decoded.value, sortColumn.type) &&
+    isValidCursorValue(decoded.id, id.type)
+      ? decoded
+      : null;
+
+  // Page précédente : on parcourt dans l'ordre inverse puis on retourne les lignes
+  const isBackward = Boolean(cursor && params.before);
+  const descending = (params.direction === 'desc') !== isBackward;
+  const order = descending ? 'DESC' : 'ASC';
+
+  let condition = null;
+  const values = [];
+
+  if (cursor) {
+    condition = `(${sortColumn.expression}, ${id.expression}) ${descending ? '<' : '>'} ($${firstParamIndex}::${sortColumn.type}, $${firstParamIndex + 1}::${id.type})`;
+    values.push(cursor.value, cursor.id);
+  }
+
+  return {
+    params: { ...params, hasCursor: Boolean(cursor), isBackward },
+    sortSelect: `(${sortColumn.expression})::text AS sort_cursor_value`,
+    condition,
+    orderBy: `ORDER BY ${sortColumn.expression} ${order}, ${id.expression} ${order}`,
+    // Une ligne de plus pour savoir s'il reste une page
+    limit: params.pageSize + 1,
+    values,
+  };
+}
+
+/**
+ * Ajouter une condition à une clause WHERE existante (éventuellement vide)
+ */
+export function appendCondition(whereClause, condition) {
+  if (!condition) return whereClause;
+  return whereClause ? `${whereClause} AND ${condition}` : `WHERE ${condition}`;
+}
+
+/**
+ * Découper les lignes et calculer les curseurs de navigation
+ *
+ * @param {Array} rows - Résultat de la requête (limit = pageSize + 1)
+ * @param {Object} keyset - Résultat de buildKeysetQuery
+ * @param {string} idKey - Colonne identifiant dans les lignes
+ * @param {number} total - Nombre total de lignes (filtres appliqués)
+ * @returns {{ rows: Array, pageInfo: Object }}
+ */
+export function paginateRows(rows, keyset, idKey, total) {
+  const { params } = keyset;
+  const hasMore = rows.length > params.pageSize;
+  const pageRows = rows.slice(0, params.pageSize);
+
+  if (params.isBackward) pageRows.reverse();
+
+  const cursorOf = (row) =>
+    row
+      ? encodeCursor(
+          params.sort,
+          params.direction,
+          row.sort_cursor_value ?? '',
+          String(row[idKey]),
+        )
+      : null;
+
+  const hasNext = params.isBackward || hasMore;
+  const hasPrev = params.isBackward ? hasMore : params.hasCursor;
+
+  return {
+    rows: pageRows,
+    pageInfo: {
+      sort: params.sort,
+      direction: params.direction,
+      pageSize: params.pageSize,
+      total,
+      nextCursor: hasNext ? cursorOf(pageRows.at(-1)) : null,
+      prevCursor: hasPrev ? cursorOf(pageRows[0]) : null,
+    },
+  };
+}
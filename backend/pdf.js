@@ -0,0 +1,251 @@
+// backend/pdf.js
+// Génération de PDF minimaliste, sans dépendance : pages A4, texte en
+// Helvetica / Helvetica-Bold (polices standard, non embarquées), traits
+// et rectangles. Suffisant pour des documents simples comme les factures.
+//
+// Les coordonnées sont exprimées en points depuis le coin HAUT gauche
+// (la conversion vers le repère PDF, origine en bas, est interne).
+
+export const PAGE_WIDTH = 595.28;
+export const PAGE_HEIGHT = 841.89;
+
+// Chasses Helvetica (AFM Adobe, en 1/1000 em) des caractères 32 à 126
+// prettier-ignore
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+];
+
+// prettier-ignore
+const HELVETICA_BOLD_WIDTHS = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+  975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+  333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+  611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584,
+];
+
+// Caractères Unicode hors Latin-1 présents dans WinAnsiEncoding
+const WIN_ANSI_EXTRAS = {
+  '€': 0x80,
+  '…': 0x85,
+  '‘': 0x91,
+  '’': 0x92,
+  '“': 0x93,
+  '”': 0x94,
+  '•': 0x95,
+  '–': 0x96,
+  '—': 0x97,
+  Œ: 0x8c,
+  œ: 0x9c,
+};
+
+// Espaces insécables (Intl.NumberFormat fr-FR) → espace simple
+const SPACE_LIKE = /[\u00a0\u2009\u202f]/g;
+
+/**
+ * Convertir une chaîne en octets WinAnsi (caractère inconnu → '?')
+ */
+function toWinAnsiBytes(text) {
+  const bytes = [];
+
+  for (const char of String(text ?? '').replace(SPACE_LIKE, ' ')) {
+    const code = char.codePointAt(0);
+
+    if (code >= 32 && code <= 126) {
+      bytes.push(code);
+    } else if (code >= 0xa0 && code <= 0xff) {
+      bytes.push(code);
+    } else if (WIN_ANSI_EXTRAS[char]) {
+      bytes.push(WIN_ANSI_EXTRAS[char]);
+    } else {
+      bytes.push(63); // '?'
+    }
+  }
+
+  return bytes;
+}
+
+/**
+ * Chasse d'un octet WinAnsi. Les lettres accentuées ont la chasse de
+ * leur lettre de base dans Helvetica : on retombe sur une moyenne pour
+ * les autres symboles.
+ */
+function glyphWidth(byte, bold) {
+  const widths = bold ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS;
+  if (byte >= 32 && byte <= 126) return widths[byte - 32];
+
+  const base = String.fromCharCode(byte).normalize('NFD').charCodeAt(0);
+  if (base >= 32 && base <= 126) return widths[base - 32];
+
+  return 556;
+}
+
+/**
+ * Largeur d'un texte en points
+ */
+export function measureText(text, size = 10, bold = false) {
+  return toWinAnsiBytes(text).reduce(
+    (total, byte) => total + (glyphWidth(byte, bold) * size) / 1000,
+    0,
+  );
+}
+
+/**
+ * Tronquer un texte pour qu'il tienne dans maxWidth (suffixe "...")
+ */
+export function fitText(text, maxWidth, size = 10, bold = false) {
+  const value = String(text ?? '');
+  if (measureText(value, size, bold) <= maxWidth) return value;
+
+  let truncated = value;
+  while (truncated && measureText(`${truncated}...`, size, bold) > maxWidth) {
+    truncated = truncated.slice(0, -1);
+  }
+  return `${truncated.trimEnd()}...`;
+}
+
+// Chaîne littérale PDF : ( ) \ échappés, octets > 126 en octal
+function pdfString(text) {
+  return (
+    '(' +
+    toWinAnsiBytes(text)
+      .map((byte) => {
+        if (byte === 40 || byte === 41 || byte === 92) {
+          return `\\${String.fromCharCode(byte)}`;
+        }
+        if (byte > 126) return `\\${byte.toString(8).padStart(3, '0')}`;
+        return String.fromCharCode(byte);
+      })
+      .join('') +
+    ')'
+  );
+}
+
+const formatNumber = (value) => Number(value.toFixed(2)).toString();
+
+const colorOperands = ([r, g, b]) =>
+  [r, g, b].map((c) => formatNumber(c / 255)).join(' ');
+
+/**
+ * Créer un document PDF
+ * @param {Object} [options]
+ * @param {string} [options.title] - Titre (métadonnées)
+ */
+export function createPdfDocument({ title = '' } = {}) {
+  const pages = [];
+  let operations = null;
+
+  const currentPage = () => {
+    if (!operations) {
+      throw new Error('addPage() must be called before drawing');
+    }
+    return operations;
+  };
+
+  return {
+    addPage() {
+      operations = [];
+      pages.push(operations);
+    },
+
+    /**
+     * Écrire un texte (y = ligne de base depuis le haut de la page)
+     * @param {Object} [options] - size, bold, color [r,g,b], align left|right|center
+     */
+    text(
+      value,
+      x,
+      y,
+      { size = 10, bold = false, color = [0, 0, 0], align = 'left' } = {},
+    ) {
+      const width = measureText(value, size, bold);
+      const left =
+        align === 'right' ? x - width : align === 'center' ? x - width / 2 : x;
+
+      currentPage().push(
+        `BT ${colorOperands(color)} rg /${bold ? 'F2' : 'F1'} ${size} Tf ` +
+          `${formatNumber(left)} ${formatNumber(PAGE_HEIGHT - y)} Td ` +
+          `${pdfString(value)} Tj ET`,
+      );
+    },
+
+    line(x1, y1, x2, y2, { width = 0.5, color = [0, 0, 0] } = {}) {
+      currentPage().push(
+        `${colorOperands(color)} RG ${formatNumber(width)} w ` +
+          `${formatNumber(x1)} ${formatNumber(PAGE_HEIGHT - y1)} m ` +
+          `${formatNumber(x2)} ${formatNumber(PAGE_HEIGHT - y2)} l S`,
+      );
+    },
+
+    rect(x, y, width, height, { fill = [240, 240, 240] } = {}) {
+      currentPage().push(
+        `${colorOperands(fill)} rg ${formatNumber(x)} ` +
+          `${formatNumber(PAGE_HEIGHT - y - height)} ` +
+          `${formatNumber(width)} ${formatNumber(height)} re f`,
+      );
+    },
+
+    /**
+     * Sérialiser le document
+     * @returns {Buffer}
+     */
+    toBuffer() {
+      if (pages.length === 0) this.addPage();
+
+      // Objets : 1 catalogue, 2 arbre des pages, 3-4 polices, 5 infos,
+      // puis une paire (page, contenu) par page
+      const objects = [];
+      const pageIds = pages.map((_, index) => 6 + index * 2);
+
+      objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+      objects[2] =
+        `<< /Type /Pages /Count ${pages.length} ` +
+        `/Kids [${pageIds.map((id) => `${id} 0 R`).join(' ')}] >>`;
+      objects[3] =
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>';
+      objects[4] =
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>';
+      objects[5] = `<< /Title ${pdfString(title)} /Producer (Benew Admin) >>`;
+
+      pages.forEach((pageOperations, index) => {
+        const pageId = pageIds[index];
+        const content = pageOperations.join('\n');
+
+        objects[pageId] =
+          `<< /Type /Page /Parent 2 0 R ` +
+          `/MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+          `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> ` +
+          `/Contents ${pageId + 1} 0 R >>`;
+        objects[pageId + 1] =
+          `<< /Length ${Buffer.byteLength(content, 'latin1')} >>\n` +
+          `stream\n${content}\nendstream`;
+      });
+
+      // Tout le contenu est ASCII : longueur en caractères = en octets
+      let output = '%PDF-1.4\n';
+      const offsets = [];
+
+      for (let id = 1; id < objects.length; id++) {
+        offsets[id] = Buffer.byteLength(output, 'latin1');
+        output += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+      }
+
+      const xrefOffset = Buffer.byteLength(output, 'latin1');
+      output += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+      for (let id = 1; id < objects.length; id++) {
+        output += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+      }
+      output +=
+        `trailer\n<< /Size ${objects.length} /Root 1 0 R /Info 5 0 R >>\n` +
+        `startxref\n${xrefOffset}\n%%EOF\n`;
+
+      return Buffer.from(output, 'latin1');
+    },
+  };
+}
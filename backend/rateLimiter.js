@@ -41,6 +41,24 @@ export const RATE_LIMIT_PRESETS = {
     skipSuccessfulRequests: true,
   },
 
+  // Mot de passe oublié / réinitialisation (app/api/auth/[...all])
+  // Chaque requête compte : la demande répond toujours 200 (pas de
+  // distinction succès / échec possible)
+  PASSWORD_RESET: {
+    windowMs: 60 * 60 * 1000, // 1 heure
+    max: 10,
+    message:
+      'Trop de demandes de réinitialisation, veuillez réessayer plus tard',
+  },
+
+  // Codes 2FA (vérification, activation, codes de secours)
+  // Chaque requête compte, y compris les codes valides
+  TWO_FACTOR: {
+    windowMs: 15 * 60 * 1000,
+    max: 20,
+    message: 'Trop de tentatives de vérification, veuillez réessayer plus tard',
+  },
+
   // Upload d'images
   IMAGE_UPLOAD: {
     windowMs: 5 * 60 * 1000,
@@ -72,8 +90,9 @@ const IP_WHITELIST = new Set([
 
 /**
  * Extract real IP from request (Vercel/Cloudflare headers)
+ * (exportée pour le journal d'audit, voir lib/audit.js)
  */
-function extractRealIp(req) {
+export function extractRealIp(req) {
   const forwardedFor =
     req.headers.get?.('x-forwarded-for') || req.headers['x-forwarded-for'];
   const realIp = req.headers.get?.('x-real-ip') || req.headers['x-real-ip'];
@@ -104,8 +123,9 @@ function extractRealIp(req) {
 
 /**
  * Anonymize IP for GDPR compliance
+ * (exportée pour l'affichage des sessions dans /dashboard/account)
  */
-function anonymizeIp(ip) {
+export function anonymizeIp(ip) {
   if (!ip || typeof ip !== 'string') return '0.0.0.0';
 
   if (ip.includes('.')) {
@@ -622,6 +642,8 @@ export default {
   addToBlacklist,
   resetAllData,
   getRateLimitStats,
+  anonymizeIp,
+  extractRealIp,
   RATE_LIMIT_PRESETS,
 };
 
@@ -0,0 +1,49 @@
+// lib/applicationPublication.js
+// Publication programmée des applications (voir migration 012)
+//
+// Les transitions échues (scheduled → published, → archived) sont
+// appliquées et journalisées par catalog.apply_application_publications :
+// la route cron et le script scripts/apply-publications.mjs appellent la
+// même fonction SQL.
+import { query } from '@/backend/dbConnect';
+import logger from '@/utils/logger';
+import { trackDatabaseError } from '@/utils/monitoring';
+
+/**
+ * Appliquer les publications et dépublications échues
+ * @param {Object} [options]
+ * @param {string} [options.requestId] - Copié dans le journal d'audit
+ * @returns {Promise<Array<{ application_id: string, application_name: string, previous_status: string, new_status: string }>>}
+ */
+export async function applyDuePublications({ requestId = null } = {}) {
+  try {
+    const result = await query(
+      `SELECT application_id, application_name, previous_status, new_status
+       FROM catalog.apply_application_publications($1)`,
+      [requestId],
+    );
+
+    logger.info('Application publications applied', {
+      requestId,
+      count: result.rows.length,
+      published: result.rows.filter((row) => row.new_status === 'published')
+        .length,
+      archived: result.rows.filter((row) => row.new_status === 'archived')
+        .length,
+    });
+
+    return result.rows;
+  } catch (error) {
+    logger.error('Failed to apply application publications', {
+      requestId,
+      error: error.message,
+    });
+
+    trackDatabaseError(error, 'apply_application_publications', {
+      requestId,
+      critical: 'true',
+    });
+
+    throw error;
+  }
+}
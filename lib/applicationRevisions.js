@@ -0,0 +1,373 @@
+// lib/applicationRevisions.js
+// Révisions des applications (table catalog.application_revisions)
+//
+// Une révision est l'état du contenu d'une application juste avant une
+// modification (route d'édition ou restauration). Les images Cloudinary
+// retirées restent en place tant qu'une révision les utilise ; elles sont
+// supprimées à l'élagage des révisions les plus anciennes.
+import cloudinary from '@/backend/cloudinary';
+import { getClient, query } from '@/backend/dbConnect';
+import { recordAudit } from '@/lib/audit';
+import { getUnreferencedImageIds } from '@/lib/catalogImages';
+import logger from '@/utils/logger';
+import { trackDatabaseError } from '@/utils/monitoring';
+import { sanitizeApplicationUpdateInputsStrict } from '@/utils/sanitizers/sanitizeApplicationUpdateInputs';
+import { applicationUpdateSchema } from '@/utils/schemas/applicationSchema';
+
+// Révisions conservées par application
+export const MAX_APPLICATION_REVISIONS = 20;
+
+// Champ du formulaire d'édition → colonne de catalog.applications
+const REVISION_COLUMNS = {
+  name: 'application_name',
+  link: 'application_link',
+  admin: 'application_admin_link',
+  description: 'application_description',
+  category: 'application_category',
+  level: 'application_level',
+  fee: 'application_fee',
+  rent: 'application_rent',
+  imageUrls: 'application_images',
+  otherVersions: 'application_other_versions',
+};
+
+// Restauration : mêmes règles que la route d'édition, sans la publication
+const revisionContentSchema = applicationUpdateSchema.omit([
+  'status',
+  'publishAt',
+  'unpublishAt',
+]);
+
+/**
+ * Erreur métier (révision introuvable, version identique...)
+ * Le message est destiné à l'utilisateur.
+ */
+export class ApplicationRevisionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ApplicationRevisionError';
+  }
+}
+
+/**
+ * Contenu versionné d'une ligne de catalog.applications
+ * (mêmes clés que le formulaire d'édition)
+ * @param {Object} row
+ * @returns {Object}
+ */
+export function toRevisionSnapshot(row) {
+  return {
+    name: row.application_name || '',
+    link: row.application_link || '',
+    admin: row.application_admin_link || null,
+    description: row.application_description || null,
+    category: row.application_category,
+    level: parseInt(row.application_level, 10) || 1,
+    fee: parseFloat(row.application_fee) || 0,
+    rent: parseFloat(row.application_rent) || 0,
+    imageUrls: row.application_images || [],
+    otherVersions:
+      Array.isArray(row.application_other_versions) &&
+      row.application_other_versions.length > 0
+        ? row.application_other_versions
+        : null,
+  };
+}
+
+const isSameSnapshot = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+const snapshotImages = (snapshot) => [
+  ...(snapshot?.imageUrls || []),
+  ...(snapshot?.otherVersions || []),
+];
+
+function toRevision(row) {
+  return {
+    id: row.revision_id,
+    number: row.revision_number,
+    snapshot: row.revision_snapshot,
+    source: row.revision_source,
+    restored_from: row.revision_restored_from,
+    actor_email: row.revision_actor_email,
+    created_at: row.revision_created_at,
+  };
+}
+
+/**
+ * Enregistrer l'état précédent si le contenu a changé
+ * À appeler dans la transaction de la modification, après l'UPDATE.
+ *
+ * @param {Object} client - Client de la transaction (getClient)
+ * @param {Object} previousRow - Ligne avant modification
+ * @param {Object} updatedRow - Ligne après modification
+ * @param {Object} options
+ * @param {Object} options.actor - session.user
+ * @param {string} [options.requestId]
+ * @param {'edit'|'restore'} [options.source]
+ * @param {number} [options.restoredFrom] - Numéro de la révision restaurée
+ * @returns {Promise<Object|null>} Révision créée, null si rien n'a changé
+ */
+export async function recordApplicationRevision(
+  client,
+  previousRow,
+  updatedRow,
+  { actor, requestId = null, source = 'edit', restoredFrom = null },
+) {
+  const snapshot = toRevisionSnapshot(previousRow);
+
+  // Changement de publication seul : pas de nouvelle version du contenu
+  if (isSameSnapshot(snapshot, toRevisionSnapshot(updatedRow))) return null;
+
+  const result = await client.query(
+    `INSERT INTO catalog.application_revisions (
+       revision_application_id,
+       revision_number,
+       revision_snapshot,
+       revision_source,
+       revision_restored_from,
+       revision_actor_id,
+       revision_actor_email,
+       revision_request_id
+     )
+     SELECT $1, COALESCE(MAX(revision_number), 0) + 1, $2::jsonb, $3, $4, $5, $6, $7
+     FROM catalog.application_revisions
+     WHERE revision_application_id = $1
+     RETURNING *`,
+    [
+      previousRow.application_id,
+      JSON.stringify(snapshot),
+      source,
+      restoredFrom,
+      actor?.id || null,
+      actor?.email || null,
+      requestId,
+    ],
+  );
+
+  return toRevision(result.rows[0]);
+}
+
+/**
+ * Supprimer les révisions au-delà de MAX_APPLICATION_REVISIONS et les
+ * images Cloudinary que plus aucune fiche du catalogue n'utilise
+ * À appeler après le COMMIT ; ne lève jamais d'erreur.
+ *
+ * @param {string} applicationId
+ * @param {Object} [options]
+ * @param {string} [options.requestId]
+ * @returns {Promise<{ pruned: number, deletedImages: number }>}
+ */
+export async function pruneApplicationRevisions(
+  applicationId,
+  { requestId = null } = {},
+) {
+  try {
+    const pruned = await query(
+      `DELETE FROM catalog.application_revisions
+       WHERE revision_application_id = $1
+         AND revision_id NOT IN (
+           SELECT revision_id
+           FROM catalog.application_revisions
+           WHERE revision_application_id = $1
+           ORDER BY revision_number DESC
+           LIMIT $2
+         )
+       RETURNING revision_snapshot`,
+      [applicationId, MAX_APPLICATION_REVISIONS],
+    );
+
+    if (pruned.rowCount === 0) return { pruned: 0, deletedImages: 0 };
+
+    // Images encore utilisées par cette application, ses autres révisions
+    // ou une copie : conservées
+    const orphaned = await getUnreferencedImageIds(
+      pruned.rows.flatMap((row) => snapshotImages(row.revision_snapshot)),
+      { requestId },
+    );
+
+    const results = await Promise.allSettled(
+      orphaned.map((imageId) => cloudinary.uploader.destroy(imageId)),
+    );
+    const deletedImages = results.filter(
+      (result) => result.status === 'fulfilled',
+    ).length;
+
+    logger.info('Application revisions pruned', {
+      applicationId,
+      pruned: pruned.rowCount,
+      deletedImages,
+      failedImages: orphaned.length - deletedImages,
+      requestId,
+    });
+
+    return { pruned: pruned.rowCount, deletedImages };
+  } catch (error) {
+    logger.error('Failed to prune application revisions', {
+      applicationId,
+      error: error.message,
+      requestId,
+    });
+
+    trackDatabaseError(error, 'application_revisions_prune', { requestId });
+    return { pruned: 0, deletedImages: 0 };
+  }
+}
+
+/**
+ * Images Cloudinary utilisées par l'application et ses révisions
+ * (suppression de l'application, élagage)
+ * @param {string} applicationId
+ * @param {Object} [client] - Client d'une transaction en cours
+ * @returns {Promise<string[]>}
+ */
+export async function getApplicationImageIds(applicationId, client = null) {
+  const run = client ? client.query.bind(client) : query;
+
+  const result = await run(
+    `SELECT application_images, application_other_versions
+     FROM catalog.applications
+     WHERE application_id = $1
+     UNION ALL
+     SELECT
+       ARRAY(SELECT jsonb_array_elements_text(COALESCE(revision_snapshot->'imageUrls', '[]'::jsonb))),
+       ARRAY(SELECT jsonb_array_elements_text(COALESCE(NULLIF(revision_snapshot->'otherVersions', 'null'::jsonb), '[]'::jsonb)))
+     FROM catalog.application_revisions
+     WHERE revision_application_id = $1`,
+    [applicationId],
+  );
+
+  return [
+    ...new Set(
+      result.rows.flatMap((row) => [
+        ...(row.application_images || []),
+        ...(row.application_other_versions || []),
+      ]),
+    ),
+  ];
+}
+
+/**
+ * Révisions d'une application (plus récentes d'abord)
+ * @param {string} applicationId - UUID déjà validé
+ * @returns {Promise<Array>}
+ */
+export async function getApplicationRevisions(applicationId) {
+  const result = await query(
+    `SELECT *
+     FROM catalog.application_revisions
+     WHERE revision_application_id = $1
+     ORDER BY revision_number DESC`,
+    [applicationId],
+  );
+
+  return result.rows.map(toRevision);
+}
+
+/**
+ * Restaurer une révision
+ * Le contenu de la révision repasse par la sanitization et le schéma de la
+ * route d'édition ; la version remplacée devient à son tour une révision.
+ * Le statut de publication n'est pas modifié.
+ *
+ * @param {string} applicationId - UUID déjà validé
+ * @param {string} revisionId - UUID déjà validé
+ * @param {Object} options
+ * @param {Object} options.actor - session.user
+ * @param {string} [options.requestId]
+ * @returns {Promise<Object>} Ligne de l'application restaurée
+ */
+export async function restoreApplicationRevision(
+  applicationId,
+  revisionId,
+  { actor, requestId = null },
+) {
+  let client;
+  let previous;
+  let updated;
+  let revision;
+
+  try {
+    client = await getClient();
+    await client.query('BEGIN');
+
+    const current = await client.query(
+      `SELECT * FROM catalog.applications WHERE application_id = $1 FOR UPDATE`,
+      [applicationId],
+    );
+    previous = current.rows[0];
+
+    if (!previous) {
+      throw new ApplicationRevisionError('Application not found');
+    }
+
+    const revisionResult = await client.query(
+      `SELECT *
+       FROM catalog.application_revisions
+       WHERE revision_id = $1 AND revision_application_id = $2`,
+      [revisionId, applicationId],
+    );
+    revision = revisionResult.rows[0] && toRevision(revisionResult.rows[0]);
+
+    if (!revision) {
+      throw new ApplicationRevisionError('Revision not found');
+    }
+
+    if (isSameSnapshot(toRevisionSnapshot(previous), revision.snapshot)) {
+      throw new ApplicationRevisionError(
+        'This revision matches the current version',
+      );
+    }
+
+    // Les règles ont pu changer depuis l'enregistrement de la révision
+    const data = await revisionContentSchema.validate(
+      sanitizeApplicationUpdateInputsStrict(revision.snapshot),
+      { abortEarly: false },
+    );
+
+    const columns = Object.entries(REVISION_COLUMNS);
+    const result = await client.query(
+      `UPDATE catalog.applications
+       SET ${columns.map(([, column], index) => `${column} = $${index + 1}`).join(', ')},
+           updated_at = NOW()
+       WHERE application_id = $${columns.length + 1}
+       RETURNING *`,
+      [...columns.map(([field]) => data[field] ?? null), applicationId],
+    );
+    updated = result.rows[0];
+
+    await recordApplicationRevision(client, previous, updated, {
+      actor,
+      requestId,
+      source: 'restore',
+      restoredFrom: revision.number,
+    });
+
+    await client.query('COMMIT');
+  } catch (error) {
+    if (client) await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    if (client) await client.cleanup();
+  }
+
+  logger.info('Application revision restored', {
+    applicationId,
+    revisionNumber: revision.number,
+    userId: actor?.id,
+    requestId,
+  });
+
+  await recordAudit({
+    actor,
+    action: 'restore',
+    entityType: 'application',
+    entityId: applicationId,
+    before: previous,
+    after: updated,
+    requestId,
+  });
+
+  await pruneApplicationRevisions(applicationId, { requestId });
+
+  return updated;
+}
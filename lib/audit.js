@@ -0,0 +1,256 @@
+// lib/audit.js
+// Journal d'audit persistant des mutations admin (table admin.audit_log)
+//
+// À appeler après une mutation réussie. Un échec d'écriture est journalisé
+// et remonté à Sentry, mais n'annule jamais la mutation elle-même.
+import { headers } from 'next/headers';
+import { query } from '@/backend/dbConnect';
+import {
+  appendCondition,
+  buildKeysetQuery,
+  paginateRows,
+} from '@/backend/pagination';
+import { anonymizeIp, extractRealIp } from '@/backend/rateLimiter';
+import logger from '@/utils/logger';
+import { trackDatabaseError } from '@/utils/monitoring';
+
+// Horodatages techniques : modifiés à chaque écriture, sans intérêt dans un diff
+const IGNORED_FIELDS = new Set(['updated_at', 'order_updated']);
+
+// Valeurs masquées dans le journal (même masque que l'API des plateformes)
+const MASKED_FIELDS = new Set(['account_number']);
+
+const maskValue = (value) =>
+  typeof value === 'string' && value.length > 5
+    ? `${value.slice(0, 3)}***${value.slice(-2)}`
+    : value
+      ? '***'
+      : value;
+
+// Ligne SQL → objet JSON (dates en ISO, numeric en chaîne comme pg)
+const toJson = (row) => JSON.parse(JSON.stringify(row));
+
+function maskFields(values) {
+  if (!values) return null;
+
+  return Object.fromEntries(
+    Object.entries(values)
+      .filter(([key]) => !IGNORED_FIELDS.has(key))
+      .map(([key, value]) => [
+        key,
+        MASKED_FIELDS.has(key) ? maskValue(value) : value,
+      ]),
+  );
+}
+
+/**
+ * Différence avant/après limitée aux champs modifiés
+ * - création : after complet, before null
+ * - suppression : before complet, after null
+ * - modification : seuls les champs présents dans after et différents
+ *
+ * @param {Object|null} before
+ * @param {Object|null} after
+ * @returns {{ before: Object|null, after: Object|null }}
+ */
+export function diffAuditValues(before, after) {
+  if (!before || !after) {
+    return {
+      before: before ? maskFields(toJson(before)) : null,
+      after: after ? maskFields(toJson(after)) : null,
+    };
+  }
+
+  const previous = toJson(before);
+  const next = toJson(after);
+  const changedBefore = {};
+  const changedAfter = {};
+
+  for (const key of Object.keys(next)) {
+    if (JSON.stringify(previous[key]) === JSON.stringify(next[key])) continue;
+
+    changedBefore[key] = previous[key] ?? null;
+    changedAfter[key] = next[key];
+  }
+
+  return { before: maskFields(changedBefore), after: maskFields(changedAfter) };
+}
+
+async function getAnonymizedIp() {
+  try {
+    return anonymizeIp(extractRealIp({ headers: await headers() }));
+  } catch {
+    // Hors contexte de requête (scripts, tâches planifiées)
+    return null;
+  }
+}
+
+/**
+ * Enregistrer une mutation dans le journal d'audit
+ *
+ * @param {Object} entry
+ * @param {Object} entry.actor - session.user (id, email)
+ * @param {string} entry.action - Valeur de AUDIT_ACTIONS
+ * @param {string} entry.entityType - Valeur de AUDIT_ENTITY_TYPES
+ * @param {string} entry.entityId
+ * @param {Object} [entry.before] - État avant la mutation
+ * @param {Object} [entry.after] - État après la mutation
+ * @param {string} [entry.requestId]
+ */
+export async function recordAudit({
+  actor,
+  action,
+  entityType,
+  entityId,
+  before = null,
+  after = null,
+  requestId = null,
+}) {
+  try {
+    const diff = diffAuditValues(before, after);
+    const ipAddress = await getAnonymizedIp();
+
+    await query(
+      `INSERT INTO admin.audit_log (
+         audit_actor_id, audit_actor_email, audit_action,
+         audit_entity_type, audit_entity_id, audit_before, audit_after,
+         audit_request_id, audit_ip_address
+       ) VALUES ($1, $2, $3, $4, $5, $6::jsonb, $7::jsonb, $8, $9)`,
+      [
+        actor?.id || null,
+        actor?.email || null,
+        action,
+        entityType,
+        entityId ? String(entityId) : null,
+        diff.before ? JSON.stringify(diff.before) : null,
+        diff.after ? JSON.stringify(diff.after) : null,
+        requestId,
+        ipAddress,
+      ],
+    );
+  } catch (error) {
+    logger.error('Failed to record audit entry', {
+      error: error.message,
+      requestId,
+      action,
+      entityType,
+      entityId,
+    });
+
+    trackDatabaseError(error, 'audit_log_insert', {
+      requestId,
+      action,
+      entityType,
+      critical: 'true',
+    });
+  }
+}
+
+// ===== LECTURE =====
+
+function buildAuditWhereClause(filters = {}) {
+  const conditions = [];
+  const values = [];
+  let paramCount = 1;
+
+  if (filters.actor) {
+    conditions.push(`audit_actor_email ILIKE $${paramCount++}`);
+    values.push(`%${filters.actor}%`);
+  }
+
+  if (filters.action) {
+    conditions.push(`audit_action = $${paramCount++}`);
+    values.push(filters.action);
+  }
+
+  if (filters.entityType) {
+    conditions.push(`audit_entity_type = $${paramCount++}`);
+    values.push(filters.entityType);
+  }
+
+  if (filters.entityId) {
+    conditions.push(`audit_entity_id = $${paramCount++}`);
+    values.push(filters.entityId);
+  }
+
+  if (filters.dateFrom) {
+    conditions.push(`audit_created_at >= $${paramCount++}`);
+    values.push(filters.dateFrom);
+  }
+
+  if (filters.dateTo) {
+    // Date de fin incluse (jusqu'à la fin de la journée)
+    conditions.push(
+      `audit_created_at < $${paramCount++}::date + INTERVAL '1 day'`,
+    );
+    values.push(filters.dateTo);
+  }
+
+  const whereClause =
+    conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  return { whereClause, values };
+}
+
+/**
+ * Lire une page du journal d'audit (du plus récent au plus ancien par défaut)
+ * Les filtres doivent déjà être validés (auditFiltersSchema).
+ *
+ * @param {Object} [filters] - actor, action, entityType, entityId, dateFrom, dateTo
+ * @param {Object} [listParams] - Tri, taille de page et curseur (utils/pagination.js)
+ * @returns {Promise<{ entries: Array, total: number, pageInfo: Object }>}
+ */
+export async function listAuditEntries(filters = {}, listParams = {}) {
+  const { whereClause, values } = buildAuditWhereClause(filters);
+  const keyset = buildKeysetQuery('audit', listParams, values.length + 1);
+
+  const [entriesResult, countResult] = await Promise.all([
+    query(
+      `SELECT
+         audit_id,
+         audit_actor_id,
+         audit_actor_email,
+         audit_action,
+         audit_entity_type,
+         audit_entity_id,
+         audit_before,
+         audit_after,
+         audit_request_id,
+         audit_ip_address,
+         audit_created_at,
+         ${keyset.sortSelect}
+       FROM admin.audit_log
+       ${appendCondition(whereClause, keyset.condition)}
+       ${keyset.orderBy}
+       LIMIT ${keyset.limit}`,
+      [...values, ...keyset.values],
+    ),
+    query(
+      `SELECT COUNT(*) AS total FROM admin.audit_log ${whereClause}`,
+      values,
+    ),
+  ]);
+
+  const { rows, pageInfo } = paginateRows(
+    entriesResult.rows,
+    keyset,
+    'audit_id',
+    parseInt(countResult.rows[0].total, 10) || 0,
+  );
+
+  const entries = rows.map((entry) => ({
+    id: entry.audit_id,
+    actor_id: entry.audit_actor_id,
+    actor_email: entry.audit_actor_email || '[deleted account]',
+    action: entry.audit_action,
+    entity_type: entry.audit_entity_type,
+    entity_id: entry.audit_entity_id,
+    before: entry.audit_before,
+    after: entry.audit_after,
+    request_id: entry.audit_request_id,
+    ip_address: entry.audit_ip_address,
+    created_at: entry.audit_created_at,
+  }));
+
+  return { entries, total: pageInfo.total, pageInfo };
+}
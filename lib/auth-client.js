@@ -2,12 +2,16 @@
 'use client';
 
 import { createAuthClient } from 'better-auth/react';
+import { twoFactorClient } from 'better-auth/client/plugins';
 import * as Sentry from '@sentry/nextjs';
 
 // ✅ CORRECTION: baseURL doit pointer vers votre domaine, pas bs-client-better-auth
 export const authClient = createAuthClient({
   baseURL: process.env.NEXT_PUBLIC_SITE_URL || 'http://localhost:3000',
 
+  // La redirection vers /two-factor est gérée par LoginForm
+  plugins: [twoFactorClient()],
+
   // ✅ Intercepteurs Sentry (GARDER)
   fetchOptions: {
     onRequest: (context) => {
@@ -36,4 +40,15 @@ export const authClient = createAuthClient({
 });
 
 // ✅ Exporter les méthodes directement
-export const { signIn, signUp, signOut, useSession, updateUser } = authClient;
+export const {
+  signIn,
+  signUp,
+  signOut,
+  useSession,
+  updateUser,
+  requestPasswordReset,
+  resetPassword,
+  changePassword,
+  changeEmail,
+  twoFactor,
+} = authClient;
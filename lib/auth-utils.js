@@ -1,8 +1,15 @@
 // lib/auth-utils.js
 import { cache } from 'react';
 import { headers } from 'next/headers';
+import { redirect } from 'next/navigation';
+import { NextResponse } from 'next/server';
 import { auth } from '@/lib/auth';
+import { hasPermission } from '@/lib/permissions';
+import { isTwoFactorRequired } from '@/lib/settings';
 import logger from '@/utils/logger';
+import { trackAuth } from '@/utils/monitoring';
+
+export const FORBIDDEN_PATH = '/dashboard/forbidden';
 
 /**
  * Récupère l'utilisateur authentifié
@@ -26,3 +33,100 @@ export const getAuthenticatedUser = cache(async () => {
     return null;
   }
 });
+
+/**
+ * Protéger un layout / une page Server Component par permission
+ * - Pas de session → /login
+ * - Permission manquante → page 403 du dashboard
+ *
+ * @param {string} permission - Clé de PERMISSIONS (lib/permissions.js)
+ * @returns {Promise<Object>} User authentifié et autorisé
+ */
+export async function requirePagePermission(permission) {
+  const user = await getAuthenticatedUser();
+
+  if (!user) {
+    redirect('/login');
+  }
+
+  if (!hasPermission(user.role, permission)) {
+    logger.warn('Forbidden page access', {
+      userId: user.id,
+      role: user.role,
+      permission,
+    });
+    trackAuth('forbidden_page_access', { permission }, 'warning');
+    redirect(FORBIDDEN_PATH);
+  }
+
+  return user;
+}
+
+/**
+ * Authentifier et autoriser une Server Action
+ * Lève une erreur si la session est absente ou si le rôle est insuffisant.
+ *
+ * @param {string} permission - Clé de PERMISSIONS (lib/permissions.js)
+ * @returns {Promise<{session: Object, requestId: string}>}
+ */
+export async function authorizeServerAction(permission) {
+  const requestId = crypto.randomUUID();
+
+  const session = await auth.api.getSession({ headers: await headers() });
+
+  if (!session?.user?.id || !session?.user?.email) {
+    logger.warn('Unauthenticated server action attempt', { requestId });
+    throw new Error('Authentication required for this action');
+  }
+
+  if (!hasPermission(session.user.role, permission)) {
+    logger.warn('Forbidden server action attempt', {
+      requestId,
+      userId: session.user.id,
+      role: session.user.role,
+      permission,
+    });
+    trackAuth('forbidden_server_action', { permission }, 'warning');
+    throw new Error('You do not have permission to perform this action');
+  }
+
+  // Même règle que le layout du dashboard : 2FA imposée → enrôlement d'abord
+  if (!session.user.twoFactorEnabled && (await isTwoFactorRequired())) {
+    logger.warn('Server action refused, two-factor enrollment required', {
+      requestId,
+      userId: session.user.id,
+    });
+    throw new Error('Two-factor authentication must be enabled first');
+  }
+
+  return { session, requestId };
+}
+
+/**
+ * Refuser une route API tant que la 2FA imposée n'est pas activée
+ * Même règle que le layout du dashboard et authorizeServerAction : sans elle,
+ * un compte non enrôlé pourrait appeler les routes directement.
+ *
+ * @param {Object} user - session.user, déjà authentifié et autorisé
+ * @param {string} requestId
+ * @returns {Promise<NextResponse|null>} Réponse 403, ou null si la route peut continuer
+ */
+export async function requireTwoFactorForRoute(user, requestId) {
+  if (user.twoFactorEnabled || !(await isTwoFactorRequired())) {
+    return null;
+  }
+
+  logger.warn('API route refused, two-factor enrollment required', {
+    requestId,
+    userId: user.id,
+  });
+  trackAuth('two_factor_enrollment_required', {}, 'warning');
+
+  return NextResponse.json(
+    {
+      success: false,
+      error: 'Two-factor authentication must be enabled first',
+    },
+    { status: 403, headers: { 'X-Request-ID': requestId } },
+  );
+}
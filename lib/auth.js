@@ -1,9 +1,33 @@
 // lib/auth.js - VERSION CORRIGÉE
 import { betterAuth } from 'better-auth';
-import { getPool } from '@/backend/dbConnect';
+import { APIError, createAuthMiddleware } from 'better-auth/api';
+import { twoFactor } from 'better-auth/plugins';
+import { getPool, query } from '@/backend/dbConnect';
+import { sendMail } from '@/backend/mailer';
+import {
+  changeEmailConfirmationEmail,
+  emailVerificationEmail,
+  passwordResetEmail,
+} from '@/backend/mailTemplates';
+import { DEFAULT_ROLE } from '@/lib/permissions';
+import { findPendingInvitation, markInvitationUsed } from '@/lib/invitations';
+import { isTwoFactorRequired } from '@/lib/settings';
 import logger from '@/utils/logger';
 import * as Sentry from '@sentry/nextjs';
 
+const RESET_PASSWORD_TOKEN_EXPIRES_IN = 60 * 60; // 1 heure
+const EMAIL_VERIFICATION_EXPIRES_IN = 60 * 60; // 1 heure
+
+// Les emails ne sont pas attendus : une erreur de transport ne doit pas
+// bloquer le flux Better Auth (elle est remontée à Sentry)
+function sendAuthMail(message, context) {
+  sendMail(message).catch((error) => {
+    Sentry.captureException(error, {
+      tags: { component: 'better-auth', context },
+    });
+  });
+}
+
 export const auth = betterAuth({
   appName: 'Benew Admin',
   database: getPool(),
@@ -16,6 +40,74 @@ export const auth = betterAuth({
     enabled: true,
     minPasswordLength: 8,
     maxPasswordLength: 128,
+    resetPasswordTokenExpiresIn: RESET_PASSWORD_TOKEN_EXPIRES_IN,
+    revokeSessionsOnPasswordReset: true,
+
+    // ✅ Lien envoyé via le transport email (backend/mailer.js)
+    // Non attendu : même temps de réponse que l'email existe ou non
+    sendResetPassword: async ({ user, url }) => {
+      sendAuthMail(
+        {
+          to: user.email,
+          ...passwordResetEmail({
+            name: user.name,
+            url,
+            expiresInMinutes: RESET_PASSWORD_TOKEN_EXPIRES_IN / 60,
+          }),
+        },
+        'send_reset_password',
+      );
+      logger.info('Password reset email queued', { userId: user.id });
+    },
+
+    // ✅ Lever le blocage "réinitialisation forcée" une fois le mot de passe changé
+    onPasswordReset: async ({ user }) => {
+      await query(
+        `UPDATE admin."user" SET "forcePasswordReset" = false WHERE id = $1`,
+        [user.id],
+      );
+      logger.info('Password reset completed', { userId: user.id });
+    },
+  },
+
+  // ✅ Lien de vérification envoyé à la nouvelle adresse (changement d'email)
+  emailVerification: {
+    expiresIn: EMAIL_VERIFICATION_EXPIRES_IN,
+    sendVerificationEmail: async ({ user, url }) => {
+      sendAuthMail(
+        { to: user.email, ...emailVerificationEmail({ name: user.name, url }) },
+        'send_verification_email',
+      );
+      logger.info('Email verification queued', { userId: user.id });
+    },
+  },
+
+  user: {
+    // ✅ Changement d'email depuis /dashboard/account : l'adresse actuelle
+    // (si vérifiée) approuve, puis la nouvelle adresse est vérifiée
+    changeEmail: {
+      enabled: true,
+      sendChangeEmailConfirmation: async ({ user, newEmail, url }) => {
+        sendAuthMail(
+          {
+            to: user.email,
+            ...changeEmailConfirmationEmail({ name: user.name, newEmail, url }),
+          },
+          'send_change_email_confirmation',
+        );
+        logger.info('Email change confirmation queued', { userId: user.id });
+      },
+    },
+    additionalFields: {
+      // Rôle RBAC (lib/permissions.js) : jamais modifiable par l'utilisateur
+      role: { type: 'string', defaultValue: DEFAULT_ROLE, input: false },
+      banned: { type: 'boolean', defaultValue: false, input: false },
+      forcePasswordReset: {
+        type: 'boolean',
+        defaultValue: false,
+        input: false,
+      },
+    },
   },
 
   session: {
@@ -27,6 +119,27 @@ export const auth = betterAuth({
     },
   },
 
+  // ✅ 2FA TOTP + codes de secours (facultative, imposable via lib/settings.js)
+  plugins: [
+    twoFactor({
+      issuer: 'Benew Admin',
+      backupCodeOptions: { amount: 10, length: 10 },
+      twoFactorCookieMaxAge: 10 * 60, // 10 minutes pour saisir le code
+      trustDeviceMaxAge: 30 * 24 * 60 * 60, // 30 jours
+    }),
+  ],
+
+  hooks: {
+    // ✅ 2FA imposée par l'owner : pas de désactivation possible
+    before: createAuthMiddleware(async (ctx) => {
+      if (ctx.path === '/two-factor/disable' && (await isTwoFactorRequired())) {
+        throw new APIError('FORBIDDEN', {
+          message: 'Two-factor authentication is required for all admins',
+        });
+      }
+    }),
+  },
+
   // ❌ DÉSACTIVER rate limiting Better Auth
   rateLimit: {
     enabled: false,
@@ -71,17 +184,90 @@ export const auth = betterAuth({
   databaseHooks: {
     user: {
       create: {
-        before: async (user) => {
-          logger.info('Creating new user', { email: user.email });
-          // Ajouter validation custom ici si nécessaire (blacklist domaines, etc.)
-          return user;
+        // ✅ Inscription sur invitation uniquement : le token (envoyé par
+        // RegistrationForm) doit être valide et lié à l'email. Le rôle du
+        // compte est celui de l'invitation.
+        before: async (user, context) => {
+          const invitationToken = context?.body?.invitationToken;
+          const invitation = await findPendingInvitation(
+            invitationToken,
+            user.email,
+          );
+
+          if (!invitation) {
+            logger.warn('Sign-up refused, invalid invitation', {
+              email: user.email,
+              hasInvitationToken: !!invitationToken,
+            });
+            throw new APIError('FORBIDDEN', {
+              message: 'A valid invitation is required to register',
+            });
+          }
+
+          logger.info('Creating new user', {
+            email: user.email,
+            invitationId: invitation.id,
+            role: invitation.role,
+          });
+
+          return { data: { ...user, role: invitation.role } };
         },
-        after: async (user) => {
+        after: async (user, context) => {
+          const consumed = await markInvitationUsed(
+            context?.body?.invitationToken,
+            user.id,
+          );
+
+          if (!consumed) {
+            logger.warn('Invitation already consumed at user creation', {
+              userId: user.id,
+            });
+          }
+
           logger.info('User created successfully', { userId: user.id });
           return user;
         },
       },
     },
+    session: {
+      create: {
+        // ✅ Refuser la connexion des comptes désactivés ou en attente de reset
+        // (gérés depuis /dashboard/users)
+        before: async (session) => {
+          const result = await query(
+            `SELECT "banned", "forcePasswordReset" FROM admin."user" WHERE id = $1`,
+            [session.userId],
+          );
+          const user = result.rows[0];
+
+          if (user?.banned) {
+            logger.warn('Sign-in refused for banned user', {
+              userId: session.userId,
+            });
+            throw new APIError('FORBIDDEN', {
+              message: 'This account has been deactivated',
+            });
+          }
+
+          if (user?.forcePasswordReset) {
+            logger.warn('Sign-in refused, password reset required', {
+              userId: session.userId,
+            });
+            throw new APIError('FORBIDDEN', {
+              message: 'A password reset is required for this account',
+            });
+          }
+
+          return { data: session };
+        },
+        after: async (session) => {
+          await query(
+            `UPDATE admin."user" SET "lastSignInAt" = NOW() WHERE id = $1`,
+            [session.userId],
+          );
+        },
+      },
+    },
   },
 });
 
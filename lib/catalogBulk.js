@@ -0,0 +1,423 @@
+// lib/catalogBulk.js
+// Actions groupées des listes du catalogue : activation / désactivation et
+// suppression d'applications, templates, plateformes et vidéos
+//
+// Une requête = une transaction, tout ou rien (comme la mise à jour groupée
+// des commandes) : si un élément est introuvable ou bloqué par une règle des
+// routes de suppression unitaires (élément actif, application ou template
+// vendu), rien n'est modifié et le rapport indique les éléments en cause.
+// Les images Cloudinary des éléments supprimés sont détruites après le
+// COMMIT, par lots, sauf celles qu'une autre fiche utilise encore.
+import cloudinary from '@/backend/cloudinary';
+import { getClient } from '@/backend/dbConnect';
+import { getApplicationImageIds } from '@/lib/applicationRevisions';
+import { recordAudit } from '@/lib/audit';
+import { getUnreferencedImageIds } from '@/lib/catalogImages';
+import logger from '@/utils/logger';
+import { trackDatabaseError } from '@/utils/monitoring';
+
+// Limite de l'API Admin Cloudinary (delete_resources)
+const CLOUDINARY_BATCH_SIZE = 100;
+
+/**
+ * Tables du catalogue
+ * - hasSales : suppression refusée si sales_count > 0
+ * - isInState : élément déjà dans l'état demandé (défaut : is_active)
+ * - getAssets : ressources Cloudinary à détruire après la suppression
+ */
+const CATALOG_ENTITIES = {
+  application: {
+    label: 'Application',
+    table: 'catalog.applications',
+    idColumn: 'application_id',
+    nameColumn: 'application_name',
+    hasSales: true,
+    // Le statut de publication pilote is_active (trigger, migration 012)
+    activeAssignment: `application_status = CASE WHEN $1 THEN 'published' ELSE 'archived' END`,
+    // Une application programmée est inactive sans être archivée : on
+    // compare le statut, pas is_active
+    isInState: (row, active) =>
+      row.application_status === (active ? 'published' : 'archived'),
+    // Images de l'application et de ses révisions
+    getAssets: async (row, client) =>
+      (await getApplicationImageIds(row.application_id, client)).map(
+        (publicId) => ({ publicId, resourceType: 'image' }),
+      ),
+  },
+  template: {
+    label: 'Template',
+    table: 'catalog.templates',
+    idColumn: 'template_id',
+    nameColumn: 'template_name',
+    hasSales: true,
+    activeAssignment: 'is_active = $1',
+    getAssets: async (row) =>
+      (row.template_images || []).map((publicId) => ({
+        publicId,
+        resourceType: 'image',
+      })),
+  },
+  platform: {
+    label: 'Platform',
+    table: 'admin.platforms',
+    idColumn: 'platform_id',
+    nameColumn: 'platform_name',
+    hasSales: false,
+    activeAssignment: 'is_active = $1',
+    getAssets: async () => [],
+  },
+  video: {
+    label: 'Video',
+    table: 'catalog.channel_videos',
+    idColumn: 'video_id',
+    nameColumn: 'video_title',
+    hasSales: false,
+    activeAssignment: 'is_active = $1',
+    getAssets: async (row) =>
+      [
+        { publicId: row.video_cloudinary_id, resourceType: 'video' },
+        { publicId: row.video_thumbnail_id, resourceType: 'image' },
+      ].filter((asset) => asset.publicId),
+  },
+};
+
+export const CATALOG_BULK_ENTITY_TYPES = Object.keys(CATALOG_ENTITIES);
+
+/**
+ * Erreur métier (type d'élément inconnu)
+ * Le message est destiné à l'utilisateur.
+ */
+export class CatalogBulkError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CatalogBulkError';
+  }
+}
+
+function getEntity(entityType) {
+  const entity = CATALOG_ENTITIES[entityType];
+  if (!entity) {
+    throw new CatalogBulkError(`Unsupported item type: ${entityType}`);
+  }
+  return entity;
+}
+
+/**
+ * Verrouiller les éléments (ordre stable contre les interblocages) et
+ * construire le rapport
+ * @returns {Promise<{ rows: Map, results: Array }>}
+ */
+async function lockItems(client, entity, ids, check) {
+  const result = await client.query(
+    `SELECT *
+     FROM ${entity.table}
+     WHERE ${entity.idColumn} = ANY($1::uuid[])
+     ORDER BY ${entity.idColumn}
+     FOR UPDATE`,
+    [ids],
+  );
+
+  const rows = new Map(result.rows.map((row) => [row[entity.idColumn], row]));
+
+  const results = ids.map((id) => {
+    const row = rows.get(id);
+
+    if (!row) {
+      return {
+        id,
+        name: null,
+        success: false,
+        error: `${entity.label} not found`,
+      };
+    }
+
+    const error = check(row);
+    return error
+      ? { id, name: row[entity.nameColumn], success: false, error }
+      : { id, name: row[entity.nameColumn], success: true };
+  });
+
+  return { rows, results };
+}
+
+function rejectionMessage(failures, total, entity, verb) {
+  return `${failures.length} of ${total} ${entity.label.toLowerCase()}(s) cannot be ${verb}. Nothing was changed.`;
+}
+
+/**
+ * Détruire des ressources Cloudinary par lots (une requête par type et par
+ * tranche de CLOUDINARY_BATCH_SIZE) ; ne lève jamais d'erreur.
+ *
+ * @param {Array<{ publicId: string, resourceType: string }>} assets
+ * @param {string} [requestId]
+ * @returns {Promise<{ deleted: number, failed: number }>}
+ */
+async function destroyAssets(assets, requestId) {
+  const byType = new Map();
+  for (const { publicId, resourceType } of assets) {
+    if (!byType.has(resourceType)) byType.set(resourceType, new Set());
+    byType.get(resourceType).add(publicId);
+  }
+
+  let deleted = 0;
+  let failed = 0;
+
+  for (const [resourceType, publicIds] of byType) {
+    const ids = [...publicIds];
+
+    for (let i = 0; i < ids.length; i += CLOUDINARY_BATCH_SIZE) {
+      const batch = ids.slice(i, i + CLOUDINARY_BATCH_SIZE);
+
+      try {
+        const response = await cloudinary.api.delete_resources(batch, {
+          resource_type: resourceType,
+        });
+        const statuses = Object.values(response.deleted || {});
+        const batchDeleted = statuses.filter(
+          (status) => status === 'deleted' || status === 'not_found',
+        ).length;
+
+        deleted += batchDeleted;
+        failed += batch.length - batchDeleted;
+      } catch (error) {
+        failed += batch.length;
+
+        logger.warn('Failed to delete Cloudinary batch', {
+          resourceType,
+          count: batch.length,
+          error: error.message,
+          requestId,
+        });
+
+        trackDatabaseError(error, 'cloudinary_bulk_delete', {
+          requestId,
+          resourceType,
+        });
+      }
+    }
+  }
+
+  return { deleted, failed };
+}
+
+/**
+ * Activer ou désactiver plusieurs éléments
+ * Applications : activer = publier, désactiver = archiver.
+ *
+ * @param {string} entityType - application | template | platform | video
+ * @param {string[]} ids - UUID déjà validés (minuscules, sans doublon)
+ * @param {boolean} active
+ * @param {Object} options
+ * @param {Object} options.actor - session.user
+ * @param {string} [options.requestId]
+ * @returns {Promise<{ success: boolean, error?: string, results: Array<{ id: string, name: string|null, success: boolean, error?: string }> }>}
+ */
+export async function setCatalogItemsActive(
+  entityType,
+  ids,
+  active,
+  { actor, requestId = null },
+) {
+  const entity = getEntity(entityType);
+  let client;
+  let rows;
+  let results;
+  let updated;
+
+  try {
+    client = await getClient();
+    await client.query('BEGIN');
+
+    ({ rows, results } = await lockItems(client, entity, ids, () => null));
+
+    const failures = results.filter((result) => !result.success);
+    if (failures.length > 0) {
+      await client.query('ROLLBACK');
+
+      return {
+        success: false,
+        error: rejectionMessage(
+          failures,
+          ids.length,
+          entity,
+          active ? 'activated' : 'deactivated',
+        ),
+        results,
+      };
+    }
+
+    // Éléments déjà dans l'état demandé : laissés tels quels
+    const isInState =
+      entity.isInState || ((row, target) => row.is_active === target);
+    const toUpdate = ids.filter((id) => !isInState(rows.get(id), active));
+
+    updated =
+      toUpdate.length > 0
+        ? (
+            await client.query(
+              `UPDATE ${entity.table}
+               SET ${entity.activeAssignment},
+                   updated_at = NOW()
+               WHERE ${entity.idColumn} = ANY($2::uuid[])
+               RETURNING *`,
+              [active, toUpdate],
+            )
+          ).rows
+        : [];
+
+    await client.query('COMMIT');
+  } catch (error) {
+    if (client) await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    if (client) await client.cleanup();
+  }
+
+  logger.info('Catalog items bulk updated', {
+    entityType,
+    active,
+    requested: ids.length,
+    updated: updated.length,
+    userId: actor?.id,
+    requestId,
+  });
+
+  for (const row of updated) {
+    await recordAudit({
+      actor,
+      action: 'update',
+      entityType,
+      entityId: row[entity.idColumn],
+      before: rows.get(row[entity.idColumn]),
+      after: row,
+      requestId,
+    });
+  }
+
+  return { success: true, results };
+}
+
+/**
+ * Supprimer plusieurs éléments
+ * Mêmes règles que les routes /api/dashboard/{type}/[id]/delete : élément
+ * inactif et, pour les applications et templates, sans vente.
+ *
+ * @param {string} entityType - application | template | platform | video
+ * @param {string[]} ids - UUID déjà validés (minuscules, sans doublon)
+ * @param {Object} options
+ * @param {Object} options.actor - session.user
+ * @param {string} [options.requestId]
+ * @returns {Promise<{ success: boolean, error?: string, results: Array, deletedAssets?: number, failedAssets?: number }>}
+ */
+export async function deleteCatalogItems(
+  entityType,
+  ids,
+  { actor, requestId = null },
+) {
+  const entity = getEntity(entityType);
+  let client;
+  let rows;
+  let results;
+  let deleted;
+  const assets = [];
+
+  try {
+    client = await getClient();
+    await client.query('BEGIN');
+
+    ({ rows, results } = await lockItems(client, entity, ids, (row) => {
+      if (row.is_active) {
+        return `Active ${entity.label.toLowerCase()}, deactivate it first`;
+      }
+
+      const salesCount = parseInt(row.sales_count, 10) || 0;
+      if (entity.hasSales && salesCount > 0) {
+        return `Has ${salesCount} sale(s)`;
+      }
+
+      return null;
+    }));
+
+    const failures = results.filter((result) => !result.success);
+    if (failures.length > 0) {
+      await client.query('ROLLBACK');
+
+      return {
+        success: false,
+        error: rejectionMessage(failures, ids.length, entity, 'deleted'),
+        results,
+      };
+    }
+
+    // Avant le DELETE : les révisions des applications sont supprimées en
+    // cascade avec elles
+    for (const id of ids) {
+      assets.push(...(await entity.getAssets(rows.get(id), client)));
+    }
+
+    // Conditions répétées dans le DELETE, comme les routes unitaires
+    const deleteResult = await client.query(
+      `DELETE FROM ${entity.table}
+       WHERE ${entity.idColumn} = ANY($1::uuid[])
+         AND is_active = false
+         ${entity.hasSales ? 'AND (sales_count = 0 OR sales_count IS NULL)' : ''}
+       RETURNING *`,
+      [ids],
+    );
+
+    if (deleteResult.rowCount !== ids.length) {
+      throw new Error(
+        `Bulk delete affected ${deleteResult.rowCount} of ${ids.length} rows`,
+      );
+    }
+
+    deleted = deleteResult.rows;
+    await client.query('COMMIT');
+  } catch (error) {
+    if (client) await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    if (client) await client.cleanup();
+  }
+
+  for (const row of deleted) {
+    await recordAudit({
+      actor,
+      action: 'delete',
+      entityType,
+      entityId: row[entity.idColumn],
+      before: row,
+      requestId,
+    });
+  }
+
+  // Images encore utilisées par une copie (duplication sans recopie) :
+  // conservées
+  const freeImages = new Set(
+    await getUnreferencedImageIds(
+      assets
+        .filter((asset) => asset.resourceType === 'image')
+        .map((asset) => asset.publicId),
+      { requestId },
+    ),
+  );
+
+  const { deleted: deletedAssets, failed: failedAssets } = await destroyAssets(
+    assets.filter(
+      (asset) =>
+        asset.resourceType !== 'image' || freeImages.has(asset.publicId),
+    ),
+    requestId,
+  );
+
+  logger.info('Catalog items bulk deleted', {
+    entityType,
+    deleted: deleted.length,
+    deletedAssets,
+    failedAssets,
+    userId: actor?.id,
+    requestId,
+  });
+
+  return { success: true, results, deletedAssets, failedAssets };
+}
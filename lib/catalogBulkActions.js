@@ -0,0 +1,142 @@
+// lib/catalogBulkActions.js
+// Partie commune des actions serveur groupées du catalogue : autorisation,
+// validation, suivi et gestion d'erreur. Les actions exportées par
+// app/dashboard/{applications,templates,platforms,channel}/actions.js ne font
+// que déléguer ici avec leur type d'élément.
+import { authorizeServerAction } from '@/lib/auth-utils';
+import { deleteCatalogItems, setCatalogItemsActive } from '@/lib/catalogBulk';
+import {
+  catalogBulkActiveSchema,
+  catalogBulkDeleteSchema,
+} from '@/utils/schemas/catalogBulkSchema';
+import logger from '@/utils/logger';
+import { trackDatabase, trackDatabaseError } from '@/utils/monitoring';
+
+// Pluriels utilisés dans les événements de suivi et les messages d'erreur
+const PLURALS = {
+  application: 'applications',
+  template: 'templates',
+  platform: 'platforms',
+  video: 'videos',
+};
+
+function handleBulkError(error, { entityType, operation, ids, requestId }) {
+  if (error.name === 'ValidationError') {
+    return {
+      success: false,
+      error: error.errors?.[0] || error.message,
+      results: [],
+    };
+  }
+
+  const plural = PLURALS[entityType];
+
+  logger.error(`Error during bulk catalog ${operation}`, {
+    error: error.message,
+    entityType,
+    requestId: requestId || 'unknown',
+    count: Array.isArray(ids) ? ids.length : 0,
+  });
+
+  trackDatabaseError(error, `bulk_${operation}_${plural}`, {
+    requestId: requestId || 'unknown',
+  });
+
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error(
+      `An error occurred while ${operation === 'delete' ? 'deleting' : 'updating'} the ${plural}. Please try again.`,
+    );
+  }
+  throw error;
+}
+
+/**
+ * Activer ou désactiver plusieurs éléments (permission catalog:update)
+ *
+ * @param {string} entityType - application | template | platform | video
+ * @param {string[]} ids
+ * @param {boolean} active
+ * @returns {Promise<{ success: boolean, error?: string, results: Array }>}
+ */
+export async function runCatalogBulkActive(entityType, ids, active) {
+  const startTime = Date.now();
+  let requestId;
+
+  try {
+    const { session, requestId: authRequestId } =
+      await authorizeServerAction('catalog:update');
+    requestId = authRequestId;
+
+    const validated = await catalogBulkActiveSchema.validate(
+      { ids, active },
+      { stripUnknown: true },
+    );
+
+    const result = await setCatalogItemsActive(
+      entityType,
+      validated.ids,
+      validated.active,
+      { actor: session.user, requestId },
+    );
+
+    trackDatabase(`${PLURALS[entityType]}_bulk_active_updated`, {
+      active: validated.active,
+      count: validated.ids.length,
+      success: result.success,
+      durationMs: Date.now() - startTime,
+    });
+
+    return result;
+  } catch (error) {
+    return handleBulkError(error, {
+      entityType,
+      operation: 'status_update',
+      ids,
+      requestId,
+    });
+  }
+}
+
+/**
+ * Supprimer plusieurs éléments (permission catalog:delete)
+ *
+ * @param {string} entityType - application | template | platform | video
+ * @param {string[]} ids
+ * @returns {Promise<{ success: boolean, error?: string, results: Array, deletedAssets?: number, failedAssets?: number }>}
+ */
+export async function runCatalogBulkDelete(entityType, ids) {
+  const startTime = Date.now();
+  let requestId;
+
+  try {
+    const { session, requestId: authRequestId } =
+      await authorizeServerAction('catalog:delete');
+    requestId = authRequestId;
+
+    const validated = await catalogBulkDeleteSchema.validate(
+      { ids },
+      { stripUnknown: true },
+    );
+
+    const result = await deleteCatalogItems(entityType, validated.ids, {
+      actor: session.user,
+      requestId,
+    });
+
+    trackDatabase(`${PLURALS[entityType]}_bulk_deleted`, {
+      count: validated.ids.length,
+      success: result.success,
+      deletedAssets: result.deletedAssets || 0,
+      durationMs: Date.now() - startTime,
+    });
+
+    return result;
+  } catch (error) {
+    return handleBulkError(error, {
+      entityType,
+      operation: 'delete',
+      ids,
+      requestId,
+    });
+  }
+}
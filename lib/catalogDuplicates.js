@@ -0,0 +1,274 @@
+// lib/catalogDuplicates.js
+// Duplication des applications et des templates
+//
+// La copie est créée inactive (brouillon pour une application) avec le
+// suffixe "(copy)". Les images peuvent être partagées avec l'original ou
+// recopiées sur Cloudinary sous de nouveaux public IDs. Une image partagée
+// n'est détruite que lorsque plus aucune fiche ne l'utilise
+// (lib/catalogImages.js).
+import cloudinary from '@/backend/cloudinary';
+import { query } from '@/backend/dbConnect';
+import { recordAudit } from '@/lib/audit';
+import logger from '@/utils/logger';
+
+const COPY_SUFFIX = ' (copy)';
+
+// Longueur maximale des noms (applicationSchema / templateSchema)
+const MAX_NAME_LENGTH = 100;
+
+/**
+ * Erreur métier (original introuvable, copie des images impossible...)
+ * Le message est destiné à l'utilisateur.
+ */
+export class CatalogDuplicateError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CatalogDuplicateError';
+  }
+}
+
+function copyName(name) {
+  return `${name.slice(0, MAX_NAME_LENGTH - COPY_SUFFIX.length).trim()}${COPY_SUFFIX}`;
+}
+
+async function destroyImages(imageIds, requestId) {
+  const results = await Promise.allSettled(
+    imageIds.map((imageId) => cloudinary.uploader.destroy(imageId)),
+  );
+
+  const failed = results.filter((result) => result.status === 'rejected');
+  if (failed.length > 0) {
+    logger.warn('Failed to delete copied images', {
+      failed: failed.length,
+      requestId,
+    });
+  }
+}
+
+/**
+ * Copier des images Cloudinary sous de nouveaux public IDs
+ * Tout ou rien : les copies déjà faites sont supprimées en cas d'échec.
+ *
+ * @param {string[]} imageIds
+ * @param {string} folder - Dossier des uploads signés (applications, templates)
+ * @param {string} [requestId]
+ * @returns {Promise<string[]>} Nouveaux public IDs, dans le même ordre
+ */
+async function copyImages(imageIds, folder, requestId) {
+  const results = await Promise.allSettled(
+    imageIds.map((imageId) =>
+      cloudinary.uploader.upload(cloudinary.url(imageId, { secure: true }), {
+        folder,
+      }),
+    ),
+  );
+
+  const copied = results
+    .filter((result) => result.status === 'fulfilled')
+    .map((result) => result.value.public_id);
+
+  if (copied.length < imageIds.length) {
+    const failure = results.find((result) => result.status === 'rejected');
+
+    logger.error('Failed to copy catalog images', {
+      folder,
+      failed: imageIds.length - copied.length,
+      error: failure.reason?.message,
+      requestId,
+    });
+
+    await destroyImages(copied, requestId);
+    throw new CatalogDuplicateError(
+      'Failed to copy the images, please try again or duplicate without copying them',
+    );
+  }
+
+  return copied;
+}
+
+/**
+ * Insérer la copie ; les images recopiées sont supprimées si l'insertion
+ * échoue.
+ */
+async function insertCopy(insert, copiedImages, requestId) {
+  try {
+    return await insert();
+  } catch (error) {
+    await destroyImages(copiedImages, requestId);
+    throw error;
+  }
+}
+
+/**
+ * Dupliquer une application en brouillon
+ * Le template lié, le contenu, le niveau et les prix sont conservés.
+ *
+ * @param {string} applicationId - UUID déjà validé
+ * @param {Object} options
+ * @param {boolean} [options.copyImages] - Recopier les images sur Cloudinary
+ * @param {Object} options.actor - session.user
+ * @param {string} [options.requestId]
+ * @returns {Promise<Object>} Ligne de la copie
+ */
+export async function duplicateApplication(
+  applicationId,
+  { copyImages: shouldCopyImages = false, actor, requestId = null },
+) {
+  const result = await query(
+    `SELECT * FROM catalog.applications WHERE application_id = $1`,
+    [applicationId],
+  );
+  const original = result.rows[0];
+
+  if (!original) {
+    throw new CatalogDuplicateError('Application not found');
+  }
+
+  const originalImages = original.application_images || [];
+  const originalVersions = original.application_other_versions || [];
+  let images = originalImages;
+  let otherVersions = original.application_other_versions || null;
+  let copiedImages = [];
+
+  if (shouldCopyImages) {
+    copiedImages = await copyImages(
+      [...originalImages, ...originalVersions],
+      'applications',
+      requestId,
+    );
+    images = copiedImages.slice(0, originalImages.length);
+    otherVersions =
+      originalVersions.length > 0
+        ? copiedImages.slice(originalImages.length)
+        : otherVersions;
+  }
+
+  // Statut par défaut : brouillon (is_active recalculé par le trigger)
+  const inserted = await insertCopy(
+    () =>
+      query(
+        `INSERT INTO catalog.applications (
+           application_name,
+           application_link,
+           application_admin_link,
+           application_description,
+           application_category,
+           application_fee,
+           application_rent,
+           application_images,
+           application_other_versions,
+           application_template_id,
+           application_level,
+           application_status
+         ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, 'draft')
+         RETURNING *`,
+        [
+          copyName(original.application_name),
+          original.application_link,
+          original.application_admin_link,
+          original.application_description,
+          original.application_category,
+          original.application_fee,
+          original.application_rent,
+          images,
+          otherVersions,
+          original.application_template_id,
+          original.application_level,
+        ],
+      ),
+    copiedImages,
+    requestId,
+  );
+  const copy = inserted.rows[0];
+
+  logger.info('Application duplicated', {
+    applicationId,
+    copyId: copy.application_id,
+    copiedImages: copiedImages.length,
+    userId: actor?.id,
+    requestId,
+  });
+
+  await recordAudit({
+    actor,
+    action: 'create',
+    entityType: 'application',
+    entityId: copy.application_id,
+    after: { ...copy, duplicated_from: applicationId },
+    requestId,
+  });
+
+  return copy;
+}
+
+/**
+ * Dupliquer un template (inactif)
+ *
+ * @param {string} templateId - UUID déjà validé
+ * @param {Object} options
+ * @param {boolean} [options.copyImages] - Recopier les images sur Cloudinary
+ * @param {Object} options.actor - session.user
+ * @param {string} [options.requestId]
+ * @returns {Promise<Object>} Ligne de la copie
+ */
+export async function duplicateTemplate(
+  templateId,
+  { copyImages: shouldCopyImages = false, actor, requestId = null },
+) {
+  const result = await query(
+    `SELECT * FROM catalog.templates WHERE template_id = $1`,
+    [templateId],
+  );
+  const original = result.rows[0];
+
+  if (!original) {
+    throw new CatalogDuplicateError('Template not found');
+  }
+
+  let images = original.template_images || [];
+  if (shouldCopyImages) {
+    images = await copyImages(images, 'templates', requestId);
+  }
+
+  const inserted = await insertCopy(
+    () =>
+      query(
+        `INSERT INTO catalog.templates (
+           template_name,
+           template_images,
+           template_has_web,
+           template_has_mobile,
+           is_active
+         ) VALUES ($1, $2, $3, $4, false)
+         RETURNING *`,
+        [
+          copyName(original.template_name),
+          images,
+          original.template_has_web,
+          original.template_has_mobile,
+        ],
+      ),
+    shouldCopyImages ? images : [],
+    requestId,
+  );
+  const copy = inserted.rows[0];
+
+  logger.info('Template duplicated', {
+    templateId,
+    copyId: copy.template_id,
+    copiedImages: shouldCopyImages ? images.length : 0,
+    userId: actor?.id,
+    requestId,
+  });
+
+  await recordAudit({
+    actor,
+    action: 'create',
+    entityType: 'template',
+    entityId: copy.template_id,
+    after: { ...copy, duplicated_from: templateId },
+    requestId,
+  });
+
+  return copy;
+}
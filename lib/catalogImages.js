@@ -0,0 +1,66 @@
+// lib/catalogImages.js
+// Références aux images Cloudinary du catalogue
+//
+// Une copie faite sans recopier les images (lib/catalogDuplicates.js)
+// partage les public IDs de l'original. Avant de détruire une image, on
+// vérifie donc qu'aucune application, révision ou template ne l'utilise
+// encore.
+import { query } from '@/backend/dbConnect';
+import logger from '@/utils/logger';
+import { trackDatabaseError } from '@/utils/monitoring';
+
+/**
+ * Images que plus aucune fiche du catalogue ne référence
+ * À appeler une fois les lignes concernées supprimées ou mises à jour ;
+ * ne lève jamais d'erreur : en cas d'échec, aucune image n'est détruite.
+ *
+ * @param {string[]} imageIds
+ * @param {Object} [options]
+ * @param {Object} [options.client] - Client d'une transaction en cours
+ * @param {string} [options.exceptTemplateId] - Template ignoré (édition en cours)
+ * @param {string} [options.requestId]
+ * @returns {Promise<string[]>}
+ */
+export async function getUnreferencedImageIds(
+  imageIds,
+  { client = null, exceptTemplateId = null, requestId = null } = {},
+) {
+  const ids = [...new Set(imageIds.filter(Boolean))];
+  if (ids.length === 0) return [];
+
+  const run = client ? client.query.bind(client) : query;
+
+  try {
+    const result = await run(
+      `SELECT image_id
+       FROM unnest($1::text[]) AS image_id
+       WHERE NOT EXISTS (
+           SELECT 1 FROM catalog.applications
+           WHERE image_id = ANY(application_images)
+              OR image_id = ANY(application_other_versions)
+         )
+         AND NOT EXISTS (
+           SELECT 1 FROM catalog.templates
+           WHERE image_id = ANY(template_images)
+             AND template_id IS DISTINCT FROM $2::uuid
+         )
+         AND NOT EXISTS (
+           SELECT 1 FROM catalog.application_revisions
+           WHERE revision_snapshot->'imageUrls' ? image_id
+              OR revision_snapshot->'otherVersions' ? image_id
+         )`,
+      [ids, exceptTemplateId],
+    );
+
+    return result.rows.map((row) => row.image_id);
+  } catch (error) {
+    logger.error('Failed to check Cloudinary image references', {
+      count: ids.length,
+      error: error.message,
+      requestId,
+    });
+
+    trackDatabaseError(error, 'catalog_image_references', { requestId });
+    return [];
+  }
+}
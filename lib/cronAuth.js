@@ -0,0 +1,18 @@
+// lib/cronAuth.js
+// Authentification des routes cron (app/api/cron/*) : en-tête
+// Authorization: Bearer <CRON_SECRET>, comparé en temps constant.
+// Ces routes n'ont pas de session (exclues de la vérification du cookie
+// dans proxy.js).
+import { timingSafeEqual } from 'crypto';
+
+export function isAuthorizedCronRequest(request) {
+  const secret = process.env.CRON_SECRET;
+  if (!secret) return false;
+
+  const expected = Buffer.from(`Bearer ${secret}`);
+  const provided = Buffer.from(request.headers.get('authorization') || '');
+
+  return (
+    provided.length === expected.length && timingSafeEqual(provided, expected)
+  );
+}
@@ -0,0 +1,371 @@
+// lib/customers.js
+// Annuaire clients (admin.customers, admin.customer_keys, vue
+// admin.customer_summaries)
+//
+// Les clients sont créés par le trigger trg_order_customer à partir de
+// l'email / du téléphone des commandes ; ce module lit l'annuaire et
+// fusionne les doublons.
+import { getClient, query } from '@/backend/dbConnect';
+import {
+  appendCondition,
+  buildKeysetQuery,
+  paginateRows,
+} from '@/backend/pagination';
+import { recordAudit } from '@/lib/audit';
+import logger from '@/utils/logger';
+
+// Suggestions de doublons affichées sur la fiche client
+const MAX_DUPLICATE_SUGGESTIONS = 10;
+
+// Chiffres comparés pour rapprocher deux téléphones (sans indicatif)
+const PHONE_SUFFIX_LENGTH = 8;
+
+const SUMMARY_COLUMNS = `
+  c.customer_id,
+  c.customer_created_at,
+  c.customer_name,
+  c.customer_email,
+  c.customer_phone,
+  c.order_count,
+  c.paid_order_count,
+  c.lifetime_value,
+  c.last_order_at,
+  c.last_purchase_at,
+  c.outstanding_rent`;
+
+/**
+ * Erreur métier (client introuvable, fusion invalide...)
+ * Le message est destiné à l'utilisateur.
+ */
+export class CustomerError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CustomerError';
+  }
+}
+
+function toCustomer(row) {
+  return {
+    id: row.customer_id,
+    name: row.customer_name || 'N/A',
+    email: row.customer_email || null,
+    phone: row.customer_phone || null,
+    order_count: parseInt(row.order_count, 10) || 0,
+    paid_order_count: parseInt(row.paid_order_count, 10) || 0,
+    lifetime_value: parseFloat(row.lifetime_value) || 0,
+    last_order_at: row.last_order_at,
+    last_purchase_at: row.last_purchase_at,
+    outstanding_rent: parseFloat(row.outstanding_rent) || 0,
+    created_at: row.customer_created_at,
+  };
+}
+
+/**
+ * Lister les clients (avec au moins une commande)
+ * @param {Object} filters - Filtres déjà validés (customerFiltersSchema)
+ * @param {string} [filters.search] - Nom, email ou téléphone
+ * @param {Object} listParams - Tri, taille de page et curseur (utils/pagination)
+ * @returns {Promise<{ customers: Array, total: number, pageInfo: Object }>}
+ */
+export async function listCustomers(filters = {}, listParams = {}) {
+  const values = [];
+  let whereClause = 'WHERE c.order_count > 0';
+
+  if (filters.search) {
+    values.push(`%${filters.search}%`);
+    whereClause = appendCondition(
+      whereClause,
+      `(c.customer_name ILIKE $1
+        OR c.customer_email ILIKE $1
+        OR c.customer_phone ILIKE $1
+        OR EXISTS (
+          SELECT 1 FROM admin.customer_keys k
+          WHERE k.key_customer_id = c.customer_id AND k.key_value ILIKE $1
+        ))`,
+    );
+  }
+
+  const keyset = buildKeysetQuery('customers', listParams, values.length + 1);
+
+  const [customersResult, countResult] = await Promise.all([
+    query(
+      `SELECT ${SUMMARY_COLUMNS}, ${keyset.sortSelect}
+       FROM admin.customer_summaries c
+       ${appendCondition(whereClause, keyset.condition)}
+       ${keyset.orderBy}
+       LIMIT ${keyset.limit}`,
+      [...values, ...keyset.values],
+    ),
+    query(
+      `SELECT COUNT(*) AS total
+       FROM admin.customer_summaries c
+       ${whereClause}`,
+      values,
+    ),
+  ]);
+
+  const total = parseInt(countResult.rows[0].total, 10) || 0;
+  const { rows, pageInfo } = paginateRows(
+    customersResult.rows,
+    keyset,
+    'customer_id',
+    total,
+  );
+
+  return { customers: rows.map(toCustomer), total, pageInfo };
+}
+
+/**
+ * Fiche client : agrégats, clés connues et commandes (plus récentes d'abord)
+ * @param {string} customerId - UUID déjà validé
+ * @returns {Promise<Object|null>}
+ */
+export async function getCustomer(customerId) {
+  const customerResult = await query(
+    `SELECT ${SUMMARY_COLUMNS}
+     FROM admin.customer_summaries c
+     WHERE c.customer_id = $1`,
+    [customerId],
+  );
+
+  const row = customerResult.rows[0];
+  if (!row) return null;
+
+  const [keysResult, ordersResult] = await Promise.all([
+    query(
+      `SELECT key_type, key_value
+       FROM admin.customer_keys
+       WHERE key_customer_id = $1
+       ORDER BY key_type ASC, key_created_at ASC`,
+      [customerId],
+    ),
+    query(
+      `SELECT
+         o.order_id,
+         o.order_client_name,
+         o.order_client_email,
+         o.order_client_phone,
+         o.order_payment_status,
+         o.order_price,
+         o.order_rent,
+         o.order_created,
+         o.order_paid_at,
+         a.application_name,
+         (
+           SELECT COALESCE(SUM(p.period_amount), 0)
+           FROM admin.rent_periods p
+           JOIN admin.rent_schedules s ON p.period_schedule_id = s.schedule_id
+           WHERE s.schedule_order_id = o.order_id
+             AND s.schedule_status = 'active'
+             AND p.period_status = 'due'
+             AND p.period_due_date < CURRENT_DATE
+         ) AS outstanding_rent
+       FROM admin.orders o
+       JOIN catalog.applications a ON o.order_application_id = a.application_id
+       WHERE o.order_customer_id = $1
+       ORDER BY o.order_created DESC`,
+      [customerId],
+    ),
+  ]);
+
+  return {
+    ...toCustomer(row),
+    emails: keysResult.rows
+      .filter((key) => key.key_type === 'email')
+      .map((key) => key.key_value),
+    phones: keysResult.rows
+      .filter((key) => key.key_type === 'phone')
+      .map((key) => key.key_value),
+    orders: ordersResult.rows.map((order) => ({
+      order_id: order.order_id,
+      client_name: order.order_client_name || '',
+      client_email: order.order_client_email || '',
+      client_phone: order.order_client_phone || '',
+      payment_status: order.order_payment_status,
+      price: parseFloat(order.order_price) || 0,
+      rent: parseFloat(order.order_rent) || 0,
+      created_at: order.order_created,
+      paid_at: order.order_paid_at,
+      application_name: order.application_name || '[No Name]',
+      outstanding_rent: parseFloat(order.outstanding_rent) || 0,
+    })),
+  };
+}
+
+/**
+ * Doublons probables d'un client : même nom, même début d'email
+ * (domaine mal saisi) ou mêmes derniers chiffres de téléphone
+ * (indicatif manquant)
+ * @param {string} customerId - UUID déjà validé
+ * @returns {Promise<Array>}
+ */
+export async function findDuplicateCandidates(customerId) {
+  const result = await query(
+    `WITH target AS (
+       SELECT customer_id, LOWER(BTRIM(customer_name)) AS name
+       FROM admin.customer_summaries
+       WHERE customer_id = $1
+     ),
+     target_keys AS (
+       SELECT key_type, key_value
+       FROM admin.customer_keys
+       WHERE key_customer_id = $1
+     )
+     SELECT ${SUMMARY_COLUMNS}
+     FROM admin.customer_summaries c, target t
+     WHERE c.customer_id <> t.customer_id
+       AND c.order_count > 0
+       AND (
+         LOWER(BTRIM(c.customer_name)) = t.name
+         OR EXISTS (
+           SELECT 1
+           FROM admin.customer_keys k
+           JOIN target_keys tk ON tk.key_type = k.key_type
+           WHERE k.key_customer_id = c.customer_id
+             AND (
+               (k.key_type = 'email'
+                 AND SPLIT_PART(k.key_value, '@', 1) = SPLIT_PART(tk.key_value, '@', 1))
+               OR (k.key_type = 'phone'
+                 AND LENGTH(k.key_value) >= $2
+                 AND LENGTH(tk.key_value) >= $2
+                 AND RIGHT(k.key_value, $2) = RIGHT(tk.key_value, $2))
+             )
+         )
+       )
+     ORDER BY c.last_order_at DESC NULLS LAST
+     LIMIT ${MAX_DUPLICATE_SUGGESTIONS}`,
+    [customerId, PHONE_SUFFIX_LENGTH],
+  );
+
+  return result.rows.map(toCustomer);
+}
+
+/**
+ * Rechercher des clients à fusionner (hors client courant)
+ * @param {string} search - Terme déjà validé
+ * @param {string} excludeId - UUID du client conservé
+ * @returns {Promise<Array>}
+ */
+export async function searchCustomers(search, excludeId) {
+  const result = await query(
+    `SELECT ${SUMMARY_COLUMNS}
+     FROM admin.customer_summaries c
+     WHERE c.customer_id <> $2
+       AND c.order_count > 0
+       AND (c.customer_name ILIKE $1
+         OR c.customer_email ILIKE $1
+         OR c.customer_phone ILIKE $1)
+     ORDER BY c.last_order_at DESC NULLS LAST
+     LIMIT ${MAX_DUPLICATE_SUGGESTIONS}`,
+    [`%${search}%`, excludeId],
+  );
+
+  return result.rows.map(toCustomer);
+}
+
+/**
+ * Fusionner des doublons dans un client : clés et commandes sont
+ * rattachées au client conservé, les fiches fusionnées sont supprimées.
+ *
+ * @param {string} targetId - Client conservé (UUID déjà validé)
+ * @param {string[]} sourceIds - Doublons (UUID déjà validés)
+ * @param {Object} options
+ * @param {Object} options.actor - session.user
+ * @param {string} [options.requestId]
+ * @returns {Promise<{ movedOrders: number }>}
+ */
+export async function mergeCustomers(
+  targetId,
+  sourceIds,
+  { actor, requestId = null },
+) {
+  if (sourceIds.includes(targetId)) {
+    throw new CustomerError('A customer cannot be merged into itself');
+  }
+
+  let client;
+  let sources;
+  let movedOrders;
+
+  try {
+    client = await getClient();
+    await client.query('BEGIN');
+
+    // Même verrou que admin.resolve_customer : pas de commande rattachée
+    // à un doublon pendant la fusion
+    await client.query(
+      `SELECT pg_advisory_xact_lock(hashtext('admin.customers'))`,
+    );
+
+    const existing = await client.query(
+      `SELECT customer_id, customer_name, customer_email, customer_phone, order_count
+       FROM admin.customer_summaries
+       WHERE customer_id = ANY($1::uuid[])`,
+      [[targetId, ...sourceIds]],
+    );
+
+    if (!existing.rows.some((row) => row.customer_id === targetId)) {
+      throw new CustomerError('Customer not found');
+    }
+
+    sources = existing.rows.filter((row) => row.customer_id !== targetId);
+    if (sources.length !== sourceIds.length) {
+      throw new CustomerError('Some customers to merge no longer exist');
+    }
+
+    await client.query(
+      `UPDATE admin.customer_keys
+       SET key_customer_id = $1
+       WHERE key_customer_id = ANY($2::uuid[])`,
+      [targetId, sourceIds],
+    );
+
+    const ordersResult = await client.query(
+      `UPDATE admin.orders
+       SET order_customer_id = $1
+       WHERE order_customer_id = ANY($2::uuid[])`,
+      [targetId, sourceIds],
+    );
+    movedOrders = ordersResult.rowCount;
+
+    await client.query(
+      `DELETE FROM admin.customers WHERE customer_id = ANY($1::uuid[])`,
+      [sourceIds],
+    );
+
+    await client.query('COMMIT');
+  } catch (error) {
+    if (client) await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    if (client) await client.cleanup();
+  }
+
+  logger.info('Customers merged', {
+    targetId,
+    mergedCount: sources.length,
+    movedOrders,
+    userId: actor?.id,
+    requestId,
+  });
+
+  await recordAudit({
+    actor,
+    action: 'merge',
+    entityType: 'customer',
+    entityId: targetId,
+    after: {
+      merged_customers: sources.map((source) => ({
+        customer_id: source.customer_id,
+        name: source.customer_name,
+        email: source.customer_email,
+        phone: source.customer_phone,
+        order_count: parseInt(source.order_count, 10) || 0,
+      })),
+      moved_orders: movedOrders,
+    },
+    requestId,
+  });
+
+  return { movedOrders };
+}
@@ -0,0 +1,99 @@
+// lib/invitations.js
+// Inscription sur invitation uniquement
+//
+// Le token n'est transmis qu'une seule fois (lien /register?token=...) :
+// seule son empreinte SHA-256 est stockée en base.
+import { createHash, randomBytes } from 'crypto';
+import { query } from '@/backend/dbConnect';
+
+export const INVITATION_STATUS = {
+  PENDING: 'pending',
+  USED: 'used',
+  EXPIRED: 'expired',
+  REVOKED: 'revoked',
+};
+
+// Token base64url (43 caractères pour 32 octets)
+const INVITATION_TOKEN_REGEX = /^[A-Za-z0-9_-]{43}$/;
+
+export function generateInvitationToken() {
+  return randomBytes(32).toString('base64url');
+}
+
+export function hashInvitationToken(token) {
+  return createHash('sha256').update(token).digest('hex');
+}
+
+export function isWellFormedInvitationToken(token) {
+  return typeof token === 'string' && INVITATION_TOKEN_REGEX.test(token);
+}
+
+/**
+ * Statut d'une invitation à partir de ses colonnes
+ * @param {Object} invitation - Ligne admin.invitations
+ * @returns {string} Valeur de INVITATION_STATUS
+ */
+export function getInvitationStatus(invitation, now = new Date()) {
+  if (invitation.invitation_revoked_at) return INVITATION_STATUS.REVOKED;
+  if (invitation.invitation_used_at) return INVITATION_STATUS.USED;
+  if (new Date(invitation.invitation_expires_at) <= now) {
+    return INVITATION_STATUS.EXPIRED;
+  }
+  return INVITATION_STATUS.PENDING;
+}
+
+/**
+ * Rechercher une invitation encore utilisable (ni utilisée, ni révoquée,
+ * ni expirée). Si un email est fourni, il doit correspondre.
+ *
+ * @param {string} token - Token en clair
+ * @param {string} [email]
+ * @returns {Promise<Object|null>} { id, email, role, expiresAt } ou null
+ */
+export async function findPendingInvitation(token, email) {
+  if (!isWellFormedInvitationToken(token)) return null;
+
+  const result = await query(
+    `SELECT invitation_id, invitation_email, invitation_role, invitation_expires_at
+     FROM admin.invitations
+     WHERE invitation_token_hash = $1
+       AND invitation_used_at IS NULL
+       AND invitation_revoked_at IS NULL
+       AND invitation_expires_at > NOW()
+       AND ($2::text IS NULL OR LOWER(invitation_email) = LOWER($2::text))`,
+    [hashInvitationToken(token), email ?? null],
+  );
+
+  const invitation = result.rows[0];
+  if (!invitation) return null;
+
+  return {
+    id: invitation.invitation_id,
+    email: invitation.invitation_email,
+    role: invitation.invitation_role,
+    expiresAt: invitation.invitation_expires_at,
+  };
+}
+
+/**
+ * Marquer une invitation comme utilisée (usage unique)
+ * La condition sur invitation_used_at rend l'opération atomique.
+ *
+ * @param {string} token - Token en clair
+ * @param {string} userId - Compte créé avec cette invitation
+ * @returns {Promise<boolean>} false si l'invitation n'était plus utilisable
+ */
+export async function markInvitationUsed(token, userId) {
+  if (!isWellFormedInvitationToken(token)) return false;
+
+  const result = await query(
+    `UPDATE admin.invitations
+     SET invitation_used_at = NOW(), invitation_used_by = $2
+     WHERE invitation_token_hash = $1
+       AND invitation_used_at IS NULL
+       AND invitation_revoked_at IS NULL`,
+    [hashInvitationToken(token), userId],
+  );
+
+  return result.rowCount > 0;
+}
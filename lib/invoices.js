@@ -0,0 +1,411 @@
+// lib/invoices.js
+// Factures des commandes payées (tables admin.invoices / admin.invoice_counters)
+//
+// La facture est émise explicitement (actions serveur de
+// app/dashboard/orders/actions.js) : numéro séquentiel sans trou (compteur
+// annuel incrémenté dans la même transaction) et instantané des données,
+// pour qu'une facture reste identique même si la commande, l'application ou
+// les coordonnées de l'entreprise changent. Les routes de téléchargement ne
+// font que relire les factures déjà émises.
+import { getClient, query } from '@/backend/dbConnect';
+import {
+  buildSecureWhereClause,
+  validateAndSanitizeFilters,
+} from '@/backend/orderFilters';
+import { appendCondition } from '@/backend/pagination';
+import { recordAudit } from '@/lib/audit';
+import logger from '@/utils/logger';
+
+export const MAX_BULK_INVOICES = 200;
+
+const DEFAULT_CURRENCY = 'USD';
+
+/**
+ * Erreur métier (commande introuvable, non payée, plage invalide...)
+ * Le message est destiné à l'utilisateur.
+ */
+export class InvoiceError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'InvoiceError';
+    this.status = status;
+  }
+}
+
+/**
+ * Coordonnées de l'entreprise émettrice (variables d'environnement)
+ * - INVOICE_COMPANY_NAME, INVOICE_COMPANY_ADDRESS (lignes séparées par "|")
+ * - INVOICE_COMPANY_EMAIL, INVOICE_COMPANY_PHONE, INVOICE_COMPANY_TAX_ID
+ * - INVOICE_CURRENCY (code ISO 4217, USD par défaut)
+ * - INVOICE_NUMBER_PREFIX (FAC par défaut)
+ */
+export function getCompanyDetails() {
+  return {
+    name: process.env.INVOICE_COMPANY_NAME || 'Benew',
+    addressLines: (process.env.INVOICE_COMPANY_ADDRESS || '')
+      .split('|')
+      .map((line) => line.trim())
+      .filter(Boolean),
+    email: process.env.INVOICE_COMPANY_EMAIL || null,
+    phone: process.env.INVOICE_COMPANY_PHONE || null,
+    taxId: process.env.INVOICE_COMPANY_TAX_ID || null,
+  };
+}
+
+export function getInvoiceCurrency() {
+  return (process.env.INVOICE_CURRENCY || DEFAULT_CURRENCY).toUpperCase();
+}
+
+function formatInvoiceNumber(year, sequence) {
+  const prefix = process.env.INVOICE_NUMBER_PREFIX || 'FAC';
+  return `${prefix}-${year}-${String(sequence).padStart(5, '0')}`;
+}
+
+function toInvoice(row) {
+  return {
+    id: row.invoice_id,
+    number: row.invoice_number,
+    issuedAt: row.invoice_issued_at,
+    ...row.invoice_data,
+  };
+}
+
+/**
+ * Émettre (ou relire) la facture d'une commande, dans une transaction
+ * ouverte sur client. La commande est verrouillée : deux émissions
+ * simultanées ne peuvent pas consommer deux numéros.
+ *
+ * @returns {Promise<{invoice: Object, created: boolean}>}
+ */
+async function issueInvoiceInTransaction(client, orderId, actor) {
+  const orderResult = await client.query(
+    `SELECT
+       o.order_id,
+       o.order_client_name,
+       o.order_client_email,
+       o.order_client_phone,
+       o.order_price,
+       o.order_rent,
+       o.order_payment_status,
+       o.order_paid_at,
+       o.order_created,
+       a.application_name,
+       (
+         SELECT COALESCE(array_agg(p.platform_name ORDER BY p.platform_name), '{}')
+         FROM admin.platforms p
+         WHERE p.platform_id = ANY(o.order_platform_ids)
+       ) AS platform_names
+     FROM admin.orders o
+     JOIN catalog.applications a ON o.order_application_id = a.application_id
+     WHERE o.order_id = $1
+     FOR UPDATE OF o`,
+    [orderId],
+  );
+
+  const order = orderResult.rows[0];
+  if (!order) {
+    throw new InvoiceError('Order not found', 404);
+  }
+
+  const existing = await client.query(
+    `SELECT invoice_id, invoice_number, invoice_data, invoice_issued_at
+     FROM admin.invoices
+     WHERE invoice_order_id = $1`,
+    [orderId],
+  );
+
+  // Une facture déjà émise reste disponible (même après remboursement)
+  if (existing.rows.length > 0) {
+    return { invoice: toInvoice(existing.rows[0]), created: false };
+  }
+
+  if (order.order_payment_status !== 'paid') {
+    throw new InvoiceError('Only paid orders can be invoiced');
+  }
+
+  const year = new Date().getFullYear();
+  const counterResult = await client.query(
+    `INSERT INTO admin.invoice_counters (counter_year, counter_value)
+     VALUES ($1, 1)
+     ON CONFLICT (counter_year) DO UPDATE
+     SET counter_value = admin.invoice_counters.counter_value + 1
+     RETURNING counter_value`,
+    [year],
+  );
+
+  const price = parseFloat(order.order_price) || 0;
+  const rent = parseFloat(order.order_rent) || 0;
+  const applicationName = order.application_name || '[No Name]';
+
+  const lines = [{ label: `Acquisition - ${applicationName}`, amount: price }];
+  if (rent > 0) {
+    lines.push({
+      label: `Location mensuelle - ${applicationName}`,
+      amount: rent,
+    });
+  }
+
+  const invoiceData = {
+    company: getCompanyDetails(),
+    currency: getInvoiceCurrency(),
+    client: {
+      name: order.order_client_name || '',
+      email: order.order_client_email || '',
+      phone: order.order_client_phone || '',
+    },
+    order: {
+      id: order.order_id,
+      createdAt: order.order_created,
+      paidAt: order.order_paid_at,
+    },
+    application: { name: applicationName },
+    platforms: order.platform_names || [],
+    lines,
+    total: Math.round((price + rent) * 100) / 100,
+  };
+
+  const insertResult = await client.query(
+    `INSERT INTO admin.invoices (
+       invoice_number, invoice_order_id, invoice_data, invoice_issued_by
+     ) VALUES ($1, $2, $3::jsonb, $4)
+     RETURNING invoice_id, invoice_number, invoice_data, invoice_issued_at`,
+    [
+      formatInvoiceNumber(year, counterResult.rows[0].counter_value),
+      orderId,
+      JSON.stringify(invoiceData),
+      actor?.id || null,
+    ],
+  );
+
+  return { invoice: toInvoice(insertResult.rows[0]), created: true };
+}
+
+// Journaliser les factures nouvellement émises (après COMMIT)
+async function auditIssuedInvoices(issued, actor, requestId) {
+  for (const { invoice, created } of issued) {
+    if (!created) continue;
+
+    await recordAudit({
+      actor,
+      action: 'create',
+      entityType: 'invoice',
+      entityId: invoice.id,
+      after: {
+        invoice_number: invoice.number,
+        order_id: invoice.order.id,
+        total: invoice.total,
+        currency: invoice.currency,
+      },
+      requestId,
+    });
+  }
+}
+
+// Période de paiement validée, avec la clause WHERE correspondante
+function buildPaidRangeQuery(from, to) {
+  const filters = validateAndSanitizeFilters({
+    order_paid_from: from,
+    order_paid_to: to,
+  });
+
+  if (!filters.order_paid_from || !filters.order_paid_to) {
+    throw new InvoiceError('A valid date range (from, to) is required');
+  }
+  if (filters.order_paid_from > filters.order_paid_to) {
+    throw new InvoiceError('The start date must be before the end date');
+  }
+
+  return { filters, ...buildSecureWhereClause(filters) };
+}
+
+function assertBulkInvoiceLimit(rows) {
+  if (rows.length > MAX_BULK_INVOICES) {
+    throw new InvoiceError(
+      `More than ${MAX_BULK_INVOICES} invoices in this range, please narrow it`,
+    );
+  }
+}
+
+/**
+ * Émettre la facture d'une commande payée (sans effet si elle existe déjà)
+ * @param {string} orderId - UUID déjà validé
+ * @param {Object} options
+ * @param {Object} options.actor - session.user
+ * @param {string} [options.requestId]
+ * @returns {Promise<{invoice: Object, created: boolean}>}
+ */
+export async function issueInvoice(orderId, { actor, requestId = null }) {
+  let client;
+  let issued;
+
+  try {
+    client = await getClient();
+    await client.query('BEGIN');
+    issued = await issueInvoiceInTransaction(client, orderId, actor);
+    await client.query('COMMIT');
+  } catch (error) {
+    if (client) await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    if (client) await client.cleanup();
+  }
+
+  if (issued.created) {
+    logger.info('Invoice issued', {
+      invoiceNumber: issued.invoice.number,
+      orderId,
+      userId: actor?.id,
+      requestId,
+    });
+  }
+
+  await auditIssuedInvoices([issued], actor, requestId);
+
+  return issued;
+}
+
+/**
+ * Émettre les factures manquantes des commandes payées sur une période
+ * (date de paiement), dans l'ordre chronologique des paiements pour que la
+ * numérotation suive les encaissements.
+ *
+ * @param {Object} options
+ * @param {string} options.from - YYYY-MM-DD (inclus)
+ * @param {string} options.to - YYYY-MM-DD (inclus)
+ * @param {Object} options.actor - session.user
+ * @param {string} [options.requestId]
+ * @returns {Promise<{invoiceCount: number, createdCount: number}>}
+ */
+export async function issueInvoicesForPaidRange({
+  from,
+  to,
+  actor,
+  requestId = null,
+}) {
+  const { filters, whereClause, values } = buildPaidRangeQuery(from, to);
+  const rangeWhere = appendCondition(
+    whereClause,
+    `(o.order_payment_status = 'paid'
+      OR EXISTS (SELECT 1 FROM admin.invoices i WHERE i.invoice_order_id = o.order_id))`,
+  );
+
+  let client;
+  const issued = [];
+
+  try {
+    client = await getClient();
+    await client.query('BEGIN');
+
+    // Verrous pris dans l'ordre des order_id, comme
+    // bulkUpdateOrderPaymentStatus : pas d'interblocage entre les deux, et
+    // aucune commande ne change de statut avant l'émission
+    const ordersResult = await client.query(
+      `SELECT o.order_id, o.order_paid_at
+       FROM admin.orders o
+       ${rangeWhere}
+       ORDER BY o.order_id
+       LIMIT ${MAX_BULK_INVOICES + 1}
+       FOR UPDATE OF o`,
+      values,
+    );
+
+    assertBulkInvoiceLimit(ordersResult.rows);
+
+    // Numérotation dans l'ordre chronologique des paiements
+    const orders = [...ordersResult.rows].sort(
+      (a, b) =>
+        new Date(a.order_paid_at) - new Date(b.order_paid_at) ||
+        a.order_id.localeCompare(b.order_id),
+    );
+
+    for (const { order_id: orderId } of orders) {
+      issued.push(await issueInvoiceInTransaction(client, orderId, actor));
+    }
+
+    await client.query('COMMIT');
+  } catch (error) {
+    if (client) await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    if (client) await client.cleanup();
+  }
+
+  const createdCount = issued.filter((entry) => entry.created).length;
+  logger.info('Invoices issued for range', {
+    from: filters.order_paid_from,
+    to: filters.order_paid_to,
+    invoiceCount: issued.length,
+    createdCount,
+    userId: actor?.id,
+    requestId,
+  });
+
+  await auditIssuedInvoices(issued, actor, requestId);
+
+  return { invoiceCount: issued.length, createdCount };
+}
+
+/**
+ * Facture déjà émise d'une commande (lecture seule)
+ * @param {string} orderId - UUID déjà validé
+ * @returns {Promise<Object>} Facture
+ */
+export async function getIssuedInvoice(orderId) {
+  const result = await query(
+    `SELECT invoice_id, invoice_number, invoice_data, invoice_issued_at
+     FROM admin.invoices
+     WHERE invoice_order_id = $1`,
+    [orderId],
+  );
+
+  if (result.rows.length === 0) {
+    throw new InvoiceError('No invoice has been issued for this order', 404);
+  }
+
+  return toInvoice(result.rows[0]);
+}
+
+/**
+ * Factures déjà émises des commandes payées sur une période (lecture seule)
+ *
+ * @param {Object} options
+ * @param {string} options.from - YYYY-MM-DD (inclus)
+ * @param {string} options.to - YYYY-MM-DD (inclus)
+ * @returns {Promise<Array>} Factures, de la plus ancienne à la plus récente
+ */
+export async function getIssuedInvoicesForPaidRange({ from, to }) {
+  const { whereClause, values } = buildPaidRangeQuery(from, to);
+
+  const result = await query(
+    `SELECT i.invoice_id, i.invoice_number, i.invoice_data, i.invoice_issued_at
+     FROM admin.orders o
+     JOIN admin.invoices i ON i.invoice_order_id = o.order_id
+     ${whereClause}
+     ORDER BY o.order_paid_at ASC, o.order_id ASC
+     LIMIT ${MAX_BULK_INVOICES + 1}`,
+    values,
+  );
+
+  assertBulkInvoiceLimit(result.rows);
+
+  return result.rows.map(toInvoice);
+}
+
+/**
+ * Numéro et date de la facture d'une commande (page détail)
+ * @param {string} orderId - UUID déjà validé
+ * @returns {Promise<{number: string, issued_at: Date}|null>}
+ */
+export async function getInvoiceSummary(orderId) {
+  const result = await query(
+    `SELECT invoice_number, invoice_issued_at
+     FROM admin.invoices
+     WHERE invoice_order_id = $1`,
+    [orderId],
+  );
+
+  const row = result.rows[0];
+  return row
+    ? { number: row.invoice_number, issued_at: row.invoice_issued_at }
+    : null;
+}
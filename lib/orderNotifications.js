@@ -0,0 +1,402 @@
+// lib/orderNotifications.js
+// Notifications email des clients sur les changements de statut de paiement
+// (tables admin.notification_templates et admin.order_notifications)
+//
+// Les modèles par défaut sont ci-dessous ; une version modifiée depuis le
+// dashboard les remplace. Chaque tentative (envoyée, en échec ou non
+// envoyée) est journalisée sur la commande. Un échec d'envoi n'annule
+// jamais le changement de statut.
+import { query } from '@/backend/dbConnect';
+import { getMailTransport, sendMail } from '@/backend/mailer';
+import { clientNotificationEmail } from '@/backend/mailTemplates';
+import {
+  formatInvoiceAmount,
+  formatInvoiceDate,
+} from '@/backend/invoiceTemplates';
+import { recordAudit } from '@/lib/audit';
+import { getCompanyDetails, getInvoiceCurrency } from '@/lib/invoices';
+import logger from '@/utils/logger';
+import { trackDatabaseError } from '@/utils/monitoring';
+import { NOTIFICATION_TEMPLATE_KEYS } from '@/utils/schemas/notificationSchema';
+
+const DEFAULT_TEMPLATES = {
+  order_paid: {
+    subject: 'Votre commande {{order_number}} est confirmée',
+    body: `Bonjour {{client_name}},
+
+Nous avons bien reçu votre paiement de {{amount}} pour {{application_name}} (commande {{order_number}}) le {{status_date}}.
+
+Merci pour votre confiance !
+
+L'équipe {{company_name}}`,
+  },
+  order_refunded: {
+    subject: 'Remboursement de votre commande {{order_number}}',
+    body: `Bonjour {{client_name}},
+
+Votre commande {{order_number}} ({{application_name}}) a été remboursée le {{status_date}}.
+
+Motif : {{reason}}
+
+Pour toute question, répondez simplement à cet email.
+
+L'équipe {{company_name}}`,
+  },
+  order_failed: {
+    subject: 'Échec du paiement de votre commande {{order_number}}',
+    body: `Bonjour {{client_name}},
+
+Le paiement de votre commande {{order_number}} ({{application_name}}, {{amount}}) n'a pas pu être finalisé.
+
+Motif : {{reason}}
+
+N'hésitez pas à nous contacter pour effectuer une nouvelle tentative.
+
+L'équipe {{company_name}}`,
+  },
+};
+
+/**
+ * Erreur métier (commande introuvable, statut sans notification...)
+ * Le message est destiné à l'utilisateur.
+ */
+export class OrderNotificationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'OrderNotificationError';
+  }
+}
+
+// {{variable}} → valeur ; une variable inconnue est laissée telle quelle
+function renderTemplate(text, variables) {
+  return text.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) =>
+    name in variables ? variables[name] : match,
+  );
+}
+
+function toTemplate(key, row) {
+  return {
+    key,
+    subject: row?.template_subject ?? DEFAULT_TEMPLATES[key].subject,
+    body: row?.template_body ?? DEFAULT_TEMPLATES[key].body,
+    enabled: row ? row.template_enabled : true,
+    customized: Boolean(row),
+    updated_at: row?.template_updated_at || null,
+    defaults: DEFAULT_TEMPLATES[key],
+  };
+}
+
+function toNotification(row) {
+  return {
+    id: row.notification_id,
+    template_key: row.notification_template_key,
+    recipient: row.notification_recipient,
+    subject: row.notification_subject,
+    status: row.notification_status,
+    detail: row.notification_detail,
+    transport: row.notification_transport,
+    is_resend: row.notification_is_resend,
+    actor_email: row.notification_actor_email,
+    created_at: row.notification_created_at,
+  };
+}
+
+/**
+ * Modèles de notification (version modifiée ou modèle par défaut)
+ * @returns {Promise<Array>}
+ */
+export async function getNotificationTemplates() {
+  const result = await query(
+    `SELECT template_key, template_subject, template_body, template_enabled, template_updated_at
+     FROM admin.notification_templates`,
+  );
+
+  const rows = new Map(result.rows.map((row) => [row.template_key, row]));
+
+  return Object.values(NOTIFICATION_TEMPLATE_KEYS).map((key) =>
+    toTemplate(key, rows.get(key)),
+  );
+}
+
+async function getNotificationTemplate(key) {
+  const result = await query(
+    `SELECT template_key, template_subject, template_body, template_enabled, template_updated_at
+     FROM admin.notification_templates
+     WHERE template_key = $1`,
+    [key],
+  );
+
+  return toTemplate(key, result.rows[0]);
+}
+
+/**
+ * Enregistrer un modèle modifié depuis le dashboard
+ * @param {Object} template - Déjà validé (notificationTemplateSchema)
+ * @param {Object} options
+ * @param {Object} options.actor - session.user
+ * @param {string} [options.requestId]
+ * @returns {Promise<Object>} Modèle enregistré
+ */
+export async function saveNotificationTemplate(
+  { key, subject, body, enabled },
+  { actor, requestId = null },
+) {
+  const previous = await getNotificationTemplate(key);
+
+  const result = await query(
+    `INSERT INTO admin.notification_templates
+       (template_key, template_subject, template_body, template_enabled, template_updated_at, template_updated_by)
+     VALUES ($1, $2, $3, $4, NOW(), $5)
+     ON CONFLICT (template_key) DO UPDATE
+     SET template_subject = EXCLUDED.template_subject,
+         template_body = EXCLUDED.template_body,
+         template_enabled = EXCLUDED.template_enabled,
+         template_updated_at = NOW(),
+         template_updated_by = EXCLUDED.template_updated_by
+     RETURNING template_key, template_subject, template_body, template_enabled, template_updated_at`,
+    [key, subject, body, enabled, actor?.id || null],
+  );
+
+  await recordAudit({
+    actor,
+    action: 'update',
+    entityType: 'notification_template',
+    entityId: key,
+    before: {
+      subject: previous.subject,
+      body: previous.body,
+      enabled: previous.enabled,
+    },
+    after: { subject, body, enabled },
+    requestId,
+  });
+
+  return toTemplate(key, result.rows[0]);
+}
+
+/**
+ * Journal des notifications d'une commande (plus récentes d'abord)
+ * @param {string} orderId - UUID déjà validé
+ * @returns {Promise<Array>}
+ */
+export async function getOrderNotifications(orderId) {
+  const result = await query(
+    `SELECT
+       notification_id,
+       notification_template_key,
+       notification_recipient,
+       notification_subject,
+       notification_status,
+       notification_detail,
+       notification_transport,
+       notification_is_resend,
+       notification_actor_email,
+       notification_created_at
+     FROM admin.order_notifications
+     WHERE notification_order_id = $1
+     ORDER BY notification_created_at DESC`,
+    [orderId],
+  );
+
+  return result.rows.map(toNotification);
+}
+
+async function getOrderVariables(orderId) {
+  const result = await query(
+    `SELECT
+       o.order_id,
+       o.order_client_name,
+       o.order_client_email,
+       o.order_payment_status,
+       o.order_price,
+       o.order_rent,
+       o.order_cancel_reason,
+       o.order_paid_at,
+       o.order_cancelled_at,
+       a.application_name
+     FROM admin.orders o
+     JOIN catalog.applications a ON o.order_application_id = a.application_id
+     WHERE o.order_id = $1`,
+    [orderId],
+  );
+
+  const order = result.rows[0];
+  if (!order) return null;
+
+  const currency = getInvoiceCurrency();
+  const rent = parseFloat(order.order_rent) || 0;
+
+  return {
+    email: order.order_client_email || null,
+    status: order.order_payment_status,
+    variables: {
+      client_name: order.order_client_name || '',
+      order_number: `#${order.order_id.substring(0, 8)}`,
+      application_name: order.application_name || '',
+      amount: formatInvoiceAmount(parseFloat(order.order_price), currency),
+      rent: rent > 0 ? formatInvoiceAmount(rent, currency) : '',
+      status_date: formatInvoiceDate(
+        order.order_payment_status === 'paid'
+          ? order.order_paid_at
+          : order.order_cancelled_at,
+      ),
+      reason: order.order_cancel_reason || '',
+      company_name: getCompanyDetails().name,
+    },
+  };
+}
+
+async function recordNotification(orderId, entry) {
+  const result = await query(
+    `INSERT INTO admin.order_notifications (
+       notification_order_id,
+       notification_template_key,
+       notification_recipient,
+       notification_subject,
+       notification_status,
+       notification_detail,
+       notification_transport,
+       notification_message_id,
+       notification_is_resend,
+       notification_actor_id,
+       notification_actor_email
+     )
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+     RETURNING *`,
+    [
+      orderId,
+      entry.templateKey,
+      entry.recipient,
+      entry.subject,
+      entry.status,
+      entry.detail || null,
+      entry.transport || null,
+      entry.messageId || null,
+      entry.isResend,
+      entry.actor?.id || null,
+      entry.actor?.email || null,
+    ],
+  );
+
+  return toNotification(result.rows[0]);
+}
+
+/**
+ * Notifier le client du statut de paiement courant de sa commande
+ * À appeler après le COMMIT du changement de statut. Ne lève jamais
+ * d'erreur : l'échec est journalisé sur la commande.
+ *
+ * @param {string} orderId - UUID déjà validé
+ * @param {Object} [options]
+ * @param {Object} [options.actor] - session.user
+ * @param {boolean} [options.suppress] - Journaliser sans envoyer
+ * @param {boolean} [options.isResend] - Nouvel envoi demandé depuis la commande
+ * @returns {Promise<Object|null>} Entrée du journal, null si le statut ne notifie pas
+ */
+export async function notifyOrderStatus(
+  orderId,
+  { actor = null, suppress = false, isResend = false } = {},
+) {
+  try {
+    const order = await getOrderVariables(orderId);
+    const templateKey = order && NOTIFICATION_TEMPLATE_KEYS[order.status];
+    if (!templateKey) return null;
+
+    const template = await getNotificationTemplate(templateKey);
+    const entry = {
+      templateKey,
+      recipient: order.email,
+      subject: renderTemplate(template.subject, order.variables),
+      status: 'suppressed',
+      isResend,
+      actor,
+    };
+
+    if (suppress) {
+      entry.detail = 'Non envoyée à la demande de l’administrateur';
+    } else if (!template.enabled) {
+      entry.detail = 'Modèle désactivé';
+    } else if (!order.email) {
+      entry.detail = 'Aucun email client sur la commande';
+    } else {
+      try {
+        entry.transport = getMailTransport().name;
+
+        const { messageId } = await sendMail({
+          to: order.email,
+          ...clientNotificationEmail({
+            subject: entry.subject,
+            body: renderTemplate(template.body, order.variables),
+            companyName: order.variables.company_name,
+          }),
+        });
+
+        entry.status = 'sent';
+        entry.messageId = messageId;
+      } catch (error) {
+        entry.status = 'failed';
+        entry.detail = error.message;
+      }
+    }
+
+    const notification = await recordNotification(orderId, entry);
+
+    logger.info('Order notification processed', {
+      orderId,
+      templateKey,
+      status: notification.status,
+      isResend,
+      userId: actor?.id,
+    });
+
+    return notification;
+  } catch (error) {
+    logger.error('Order notification failed', {
+      orderId,
+      error: error.message,
+    });
+
+    trackDatabaseError(error, 'order_notification', { orderId });
+    return null;
+  }
+}
+
+/**
+ * Renvoyer la notification du statut courant (ou envoyer une
+ * notification qui avait été retenue)
+ * @param {string} orderId - UUID déjà validé
+ * @param {Object} options
+ * @param {Object} options.actor - session.user
+ * @returns {Promise<Object>} Entrée du journal
+ */
+export async function resendOrderNotification(orderId, { actor }) {
+  const result = await query(
+    `SELECT order_payment_status FROM admin.orders WHERE order_id = $1`,
+    [orderId],
+  );
+
+  const status = result.rows[0]?.order_payment_status;
+
+  if (!status) {
+    throw new OrderNotificationError('Order not found');
+  }
+
+  if (!NOTIFICATION_TEMPLATE_KEYS[status]) {
+    throw new OrderNotificationError(
+      `No client notification for ${status} orders`,
+    );
+  }
+
+  const notification = await notifyOrderStatus(orderId, {
+    actor,
+    isResend: true,
+  });
+
+  if (!notification) {
+    throw new OrderNotificationError(
+      'The notification could not be processed, please try again',
+    );
+  }
+
+  return notification;
+}
@@ -0,0 +1,57 @@
+// lib/orderStatusHistory.js
+// Historique des statuts de paiement (table admin.order_status_history)
+//
+// Les lignes sont écrites par le trigger trg_order_status_history. Le code
+// applicatif se contente de transmettre l'auteur et la note à la
+// transaction avant de modifier order_payment_status.
+import { query } from '@/backend/dbConnect';
+
+/**
+ * Attribuer les changements de statut de la transaction courante
+ * À appeler sur un client après BEGIN : set_config(..., true) ne vaut
+ * que pour la transaction en cours.
+ *
+ * @param {Object} client - Client pg (getClient) en transaction
+ * @param {Object} options
+ * @param {Object} options.actor - session.user (id, email)
+ * @param {string} [options.note] - Raison / commentaire du changement
+ */
+export async function setOrderStatusContext(client, { actor, note = null }) {
+  await client.query(
+    `SELECT
+       set_config('benew.status_actor_id', $1, true),
+       set_config('benew.status_actor_email', $2, true),
+       set_config('benew.status_note', $3, true)`,
+    [actor?.id || '', actor?.email || '', note || ''],
+  );
+}
+
+/**
+ * Lire l'historique des statuts d'une commande (du plus ancien au plus récent)
+ * @param {string} orderId - UUID déjà validé
+ * @returns {Promise<Array>}
+ */
+export async function getOrderStatusHistory(orderId) {
+  const result = await query(
+    `SELECT
+       history_id,
+       history_old_status,
+       history_new_status,
+       history_actor_email,
+       history_note,
+       history_created_at
+     FROM admin.order_status_history
+     WHERE history_order_id = $1
+     ORDER BY history_created_at ASC, history_id ASC`,
+    [orderId],
+  );
+
+  return result.rows.map((row) => ({
+    id: row.history_id,
+    old_status: row.history_old_status,
+    new_status: row.history_new_status,
+    actor_email: row.history_actor_email,
+    note: row.history_note,
+    created_at: row.history_created_at,
+  }));
+}
@@ -0,0 +1,102 @@
+// lib/permissions.js
+// Carte centrale des rôles et permissions (RBAC)
+//
+// Module sans dépendance serveur : utilisable aussi bien dans les layouts,
+// route handlers et server actions que dans les Client Components (sidebar).
+
+export const ROLES = {
+  OWNER: 'owner',
+  EDITOR: 'editor',
+  FINANCE: 'finance',
+  VIEWER: 'viewer',
+};
+
+export const ALL_ROLES = Object.values(ROLES);
+
+// Rôle attribué par défaut à un nouveau compte (lecture seule)
+export const DEFAULT_ROLE = ROLES.VIEWER;
+
+export const ROLE_LABELS = {
+  owner: 'Owner',
+  editor: 'Editor',
+  finance: 'Finance',
+  viewer: 'Viewer',
+};
+
+const { OWNER, EDITOR, FINANCE, VIEWER } = ROLES;
+
+/**
+ * permission → rôles autorisés
+ * Toute permission absente de cette carte est refusée.
+ */
+export const PERMISSIONS = {
+  'dashboard:view': [OWNER, EDITOR, FINANCE, VIEWER],
+
+  // Catalogue : applications, templates, plateformes, vidéos
+  'catalog:view': [OWNER, EDITOR, FINANCE, VIEWER],
+  'catalog:create': [OWNER, EDITOR],
+  'catalog:update': [OWNER, EDITOR],
+  'catalog:delete': [OWNER, EDITOR],
+
+  // Commandes
+  'orders:view': [OWNER, EDITOR, FINANCE, VIEWER],
+  'orders:create': [OWNER, FINANCE],
+  'orders:update_status': [OWNER, FINANCE],
+  'orders:export': [OWNER, FINANCE],
+  'orders:invoice': [OWNER, FINANCE],
+  // Modèles des emails envoyés aux clients
+  'orders:notifications': [OWNER, FINANCE],
+
+  // Clients (annuaire construit à partir des commandes)
+  'customers:view': [OWNER, EDITOR, FINANCE, VIEWER],
+  'customers:merge': [OWNER, FINANCE],
+
+  // Comptes admin
+  'users:manage': [OWNER],
+
+  // Journal d'audit
+  'audit:view': [OWNER],
+};
+
+/**
+ * Permission requise pour chaque section du dashboard
+ * (utilisée par les layouts et pour masquer les entrées de la sidebar)
+ */
+export const SECTION_PERMISSIONS = {
+  '/dashboard': 'dashboard:view',
+  '/dashboard/platforms': 'catalog:view',
+  '/dashboard/templates': 'catalog:view',
+  '/dashboard/applications': 'catalog:view',
+  '/dashboard/channel': 'catalog:view',
+  '/dashboard/orders': 'orders:view',
+  '/dashboard/rents': 'orders:view',
+  '/dashboard/customers': 'customers:view',
+  '/dashboard/users': 'users:manage',
+  '/dashboard/audit': 'audit:view',
+};
+
+export function isValidRole(role) {
+  return ALL_ROLES.includes(role);
+}
+
+/**
+ * Vérifier si un rôle possède une permission
+ * @param {string} role - Rôle de l'utilisateur (session.user.role)
+ * @param {string} permission - Clé de PERMISSIONS
+ * @returns {boolean}
+ */
+export function hasPermission(role, permission) {
+  if (!isValidRole(role)) return false;
+  return PERMISSIONS[permission]?.includes(role) ?? false;
+}
+
+/**
+ * Vérifier l'accès à une section du dashboard à partir de son chemin
+ * @param {string} role
+ * @param {string} path - ex: '/dashboard/orders'
+ * @returns {boolean}
+ */
+export function canAccessSection(role, path) {
+  const permission = SECTION_PERMISSIONS[path];
+  return permission ? hasPermission(role, permission) : false;
+}
@@ -0,0 +1,325 @@
+// lib/rentSchedules.js
+// Échéanciers de location (tables admin.rent_schedules / admin.rent_periods)
+//
+// Les échéanciers sont créés et arrêtés par le trigger
+// trg_order_rent_schedule, qui génère aussi leurs premières échéances.
+// Les suivantes sont ajoutées chaque jour par la route cron
+// app/api/cron/rent-periods (ou scripts/extend-rent-periods.mjs) : les
+// lectures de ce module n'écrivent jamais en base.
+import { getClient, query } from '@/backend/dbConnect';
+import { recordAudit } from '@/lib/audit';
+import logger from '@/utils/logger';
+import { trackDatabaseError } from '@/utils/monitoring';
+
+// Échéances visibles à l'avance (et réglables par anticipation)
+// Même horizon que le trigger trg_order_rent_schedule (migration 009)
+// et scripts/extend-rent-periods.mjs
+export const RENT_UPCOMING_DAYS = 30;
+
+// Nombre maximal de lignes par liste du tableau de bord des loyers
+export const MAX_RENT_ROWS = 200;
+
+// overdue = échéance due dont la date est passée (non stocké)
+const PERIOD_STATE_SQL = `CASE
+    WHEN p.period_status = 'paid' THEN 'paid'
+    WHEN p.period_due_date < CURRENT_DATE THEN 'overdue'
+    ELSE 'due'
+  END`;
+
+/**
+ * Erreur métier (échéance introuvable, déjà réglée, échéancier arrêté)
+ * Le message est destiné à l'utilisateur.
+ */
+export class RentScheduleError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RentScheduleError';
+  }
+}
+
+/**
+ * Générer les échéances manquantes jusqu'à l'horizon (idempotent)
+ * Appelée par la route cron app/api/cron/rent-periods.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.requestId]
+ * @returns {Promise<number>} Nombre d'échéances créées
+ */
+export async function extendRentPeriods({ requestId = null } = {}) {
+  try {
+    const result = await query(
+      `SELECT admin.extend_rent_periods(
+         (CURRENT_DATE + $1 * INTERVAL '1 day')::date
+       ) AS inserted`,
+      [RENT_UPCOMING_DAYS],
+    );
+
+    const inserted = result.rows[0]?.inserted || 0;
+    logger.info('Rent periods extended', { requestId, inserted });
+
+    return inserted;
+  } catch (error) {
+    logger.error('Failed to extend rent periods', {
+      requestId,
+      error: error.message,
+    });
+
+    trackDatabaseError(error, 'extend_rent_periods', {
+      requestId,
+      critical: 'true',
+    });
+
+    throw error;
+  }
+}
+
+// Dates d'échéance lues en 'YYYY-MM-DD' (to_char) : pas de décalage de
+// fuseau entre le serveur et le navigateur
+function toPeriod(row) {
+  return {
+    id: row.period_id,
+    number: row.period_number,
+    due_date: row.period_due_date,
+    amount: parseFloat(row.period_amount) || 0,
+    status: row.period_state,
+    paid_at: row.period_paid_at,
+    paid_by_email: row.paid_by_email || null,
+    note: row.period_note || null,
+  };
+}
+
+/**
+ * Échéancier d'une commande et ses échéances (de la plus ancienne à la
+ * plus récente)
+ * @param {string} orderId - UUID déjà validé
+ * @returns {Promise<Object|null>} null si la commande n'a pas de loyer
+ */
+export async function getOrderRentSchedule(orderId) {
+  const scheduleResult = await query(
+    `SELECT
+       schedule_id,
+       schedule_amount,
+       to_char(schedule_start_date, 'YYYY-MM-DD') AS schedule_start_date,
+       schedule_status,
+       schedule_stopped_at
+     FROM admin.rent_schedules
+     WHERE schedule_order_id = $1`,
+    [orderId],
+  );
+
+  const schedule = scheduleResult.rows[0];
+  if (!schedule) return null;
+
+  const periodsResult = await query(
+    `SELECT
+       p.period_id,
+       p.period_number,
+       to_char(p.period_due_date, 'YYYY-MM-DD') AS period_due_date,
+       p.period_amount,
+       p.period_paid_at,
+       p.period_note,
+       u.email AS paid_by_email,
+       ${PERIOD_STATE_SQL} AS period_state
+     FROM admin.rent_periods p
+     LEFT JOIN admin."user" u ON p.period_paid_by = u.id
+     WHERE p.period_schedule_id = $1
+     ORDER BY p.period_number ASC`,
+    [schedule.schedule_id],
+  );
+
+  return {
+    id: schedule.schedule_id,
+    amount: parseFloat(schedule.schedule_amount) || 0,
+    start_date: schedule.schedule_start_date,
+    status: schedule.schedule_status,
+    stopped_at: schedule.schedule_stopped_at,
+    periods: periodsResult.rows.map(toPeriod),
+  };
+}
+
+/**
+ * Loyers en retard et à venir, toutes commandes confondues
+ * (échéanciers actifs uniquement)
+ *
+ * @returns {Promise<{overdue: Array, upcoming: Array, totals: Object}>}
+ */
+export async function listRentPeriods() {
+  const rowsQuery = (condition, order) =>
+    query(
+      `SELECT
+         p.period_id,
+         p.period_number,
+         to_char(p.period_due_date, 'YYYY-MM-DD') AS period_due_date,
+         p.period_amount,
+         p.period_paid_at,
+         p.period_note,
+         NULL AS paid_by_email,
+         ${PERIOD_STATE_SQL} AS period_state,
+         o.order_id,
+         o.order_client_name,
+         o.order_client_email,
+         a.application_name
+       FROM admin.rent_periods p
+       JOIN admin.rent_schedules s ON p.period_schedule_id = s.schedule_id
+       JOIN admin.orders o ON s.schedule_order_id = o.order_id
+       JOIN catalog.applications a ON o.order_application_id = a.application_id
+       WHERE s.schedule_status = 'active'
+         AND p.period_status = 'due'
+         AND ${condition}
+       ORDER BY p.period_due_date ${order}, o.order_client_name ASC
+       LIMIT ${MAX_RENT_ROWS}`,
+    );
+
+  const [overdueResult, upcomingResult, totalsResult] = await Promise.all([
+    rowsQuery('p.period_due_date < CURRENT_DATE', 'ASC'),
+    rowsQuery(
+      `p.period_due_date >= CURRENT_DATE
+       AND p.period_due_date <= CURRENT_DATE + ${RENT_UPCOMING_DAYS}`,
+      'ASC',
+    ),
+    query(
+      `SELECT
+         COUNT(*) FILTER (WHERE p.period_due_date < CURRENT_DATE) AS overdue_count,
+         COALESCE(SUM(p.period_amount) FILTER (WHERE p.period_due_date < CURRENT_DATE), 0) AS overdue_amount,
+         COUNT(*) FILTER (WHERE p.period_due_date >= CURRENT_DATE) AS upcoming_count,
+         COALESCE(SUM(p.period_amount) FILTER (WHERE p.period_due_date >= CURRENT_DATE), 0) AS upcoming_amount,
+         (SELECT COUNT(*) FROM admin.rent_schedules WHERE schedule_status = 'active') AS active_schedules
+       FROM admin.rent_periods p
+       JOIN admin.rent_schedules s ON p.period_schedule_id = s.schedule_id
+       WHERE s.schedule_status = 'active'
+         AND p.period_status = 'due'`,
+    ),
+  ]);
+
+  const toRow = (row) => ({
+    ...toPeriod(row),
+    order_id: row.order_id,
+    client_name: row.order_client_name || 'N/A',
+    client_email: row.order_client_email || null,
+    application_name: row.application_name || '[No Name]',
+  });
+
+  const totals = totalsResult.rows[0];
+
+  return {
+    overdue: overdueResult.rows.map(toRow),
+    upcoming: upcomingResult.rows.map(toRow),
+    totals: {
+      overdue_count: parseInt(totals.overdue_count, 10) || 0,
+      overdue_amount: parseFloat(totals.overdue_amount) || 0,
+      upcoming_count: parseInt(totals.upcoming_count, 10) || 0,
+      upcoming_amount: parseFloat(totals.upcoming_amount) || 0,
+      active_schedules: parseInt(totals.active_schedules, 10) || 0,
+    },
+  };
+}
+
+/**
+ * Enregistrer le paiement d'une échéance
+ * @param {string} periodId - UUID déjà validé
+ * @param {Object} options
+ * @param {Object} options.actor - session.user
+ * @param {string} [options.note]
+ * @param {string} [options.requestId]
+ * @returns {Promise<{orderId: string, period: Object}>}
+ */
+export async function markRentPeriodPaid(
+  periodId,
+  { actor, note = null, requestId = null },
+) {
+  let client;
+  let before;
+  let updated;
+
+  try {
+    client = await getClient();
+    await client.query('BEGIN');
+
+    const periodResult = await client.query(
+      `SELECT
+         p.period_id,
+         p.period_number,
+         p.period_amount,
+         p.period_status,
+         s.schedule_status,
+         s.schedule_order_id
+       FROM admin.rent_periods p
+       JOIN admin.rent_schedules s ON p.period_schedule_id = s.schedule_id
+       WHERE p.period_id = $1
+       FOR UPDATE OF p`,
+      [periodId],
+    );
+
+    before = periodResult.rows[0];
+    if (!before) {
+      throw new RentScheduleError('Rent period not found');
+    }
+    if (before.period_status === 'paid') {
+      throw new RentScheduleError('This rent period is already paid');
+    }
+    if (before.schedule_status !== 'active') {
+      throw new RentScheduleError('The rent schedule of this order is stopped');
+    }
+
+    const updateResult = await client.query(
+      `UPDATE admin.rent_periods p
+       SET period_status = 'paid',
+           period_paid_at = NOW(),
+           period_paid_by = $2,
+           period_note = $3
+       WHERE p.period_id = $1
+       RETURNING
+         p.period_id,
+         p.period_number,
+         to_char(p.period_due_date, 'YYYY-MM-DD') AS period_due_date,
+         p.period_amount,
+         p.period_paid_at,
+         p.period_note,
+         'paid' AS period_state`,
+      [periodId, actor?.id || null, note || null],
+    );
+
+    await client.query('COMMIT');
+    updated = updateResult.rows[0];
+  } catch (error) {
+    if (client) await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    if (client) await client.cleanup();
+  }
+
+  const orderId = before.schedule_order_id;
+
+  logger.info('Rent period marked as paid', {
+    periodId,
+    orderId,
+    periodNumber: before.period_number,
+    userId: actor?.id,
+    requestId,
+  });
+
+  await recordAudit({
+    actor,
+    action: 'update_status',
+    entityType: 'rent_period',
+    entityId: periodId,
+    before: {
+      order_id: orderId,
+      period_number: before.period_number,
+      period_status: before.period_status,
+    },
+    after: {
+      order_id: orderId,
+      period_number: updated.period_number,
+      period_status: 'paid',
+      period_amount: updated.period_amount,
+      period_note: updated.period_note,
+    },
+    requestId,
+  });
+
+  return {
+    orderId,
+    period: toPeriod({ ...updated, paid_by_email: actor?.email }),
+  };
+}
@@ -0,0 +1,63 @@
+// lib/settings.js
+// Réglages globaux de l'admin (table admin.app_settings, valeurs JSONB)
+import { cache } from 'react';
+import { query } from '@/backend/dbConnect';
+import logger from '@/utils/logger';
+
+export const SETTINGS = {
+  REQUIRE_TWO_FACTOR: 'require_two_factor',
+};
+
+// Valeurs utilisées si le réglage est absent ou illisible
+const SETTING_DEFAULTS = {
+  [SETTINGS.REQUIRE_TWO_FACTOR]: false,
+};
+
+/**
+ * Lire un réglage (mis en cache pour la durée de la requête)
+ * @param {string} key - Valeur de SETTINGS
+ * @returns {Promise<any>}
+ */
+export const getAppSetting = cache(async (key) => {
+  try {
+    const result = await query(
+      `SELECT setting_value FROM admin.app_settings WHERE setting_key = $1`,
+      [key],
+    );
+
+    return result.rows[0]?.setting_value ?? SETTING_DEFAULTS[key];
+  } catch (error) {
+    logger.error('Failed to read app setting', {
+      key,
+      error: error.message,
+    });
+    return SETTING_DEFAULTS[key];
+  }
+});
+
+/**
+ * Enregistrer un réglage
+ * @param {string} key - Valeur de SETTINGS
+ * @param {any} value - Valeur sérialisable en JSON
+ * @param {string} userId - Compte à l'origine du changement
+ */
+export async function setAppSetting(key, value, userId) {
+  if (!(key in SETTING_DEFAULTS)) {
+    throw new Error(`Unknown setting: ${key}`);
+  }
+
+  await query(
+    `INSERT INTO admin.app_settings
+       (setting_key, setting_value, setting_updated_at, setting_updated_by)
+     VALUES ($1, $2::jsonb, NOW(), $3)
+     ON CONFLICT (setting_key) DO UPDATE
+     SET setting_value = EXCLUDED.setting_value,
+         setting_updated_at = NOW(),
+         setting_updated_by = EXCLUDED.setting_updated_by`,
+    [key, JSON.stringify(value), userId],
+  );
+}
+
+export async function isTwoFactorRequired() {
+  return (await getAppSetting(SETTINGS.REQUIRE_TWO_FACTOR)) === true;
+}
@@ -177,7 +177,7 @@ const nextConfig = {
       // Pattern 1: Actions "add"
       {
         source:
-          '/api/dashboard/:entity(templates|applications|platforms|blog)/add',
+          '/api/dashboard/:entity(templates|applications|platforms|blog|orders)/add',
         headers: getMutationHeaders(),
       },
       // Pattern 2: Actions "edit"
@@ -4,12 +4,26 @@ import { NextResponse } from 'next/server';
 // ===== CONFIGURATION =====
 
 // Routes publiques (pas de vérification auth)
-const PUBLIC_PATHS = ['/login', '/register', '/forgot-password', '/'];
+const PUBLIC_PATHS = [
+  '/login',
+  '/register',
+  '/forgot-password',
+  '/reset-password',
+  '/two-factor',
+  '/',
+];
 
 // ✅ CORRECTION: Nom du cookie basé sur la config Better Auth
 // Better Auth utilise par défaut "better-auth.session_token" sans prefix
 const SESSION_COOKIE = '__Secure-better-auth.session_token';
 
+// Cookie posé par le plugin twoFactor entre le mot de passe et le code TOTP
+// (session "à moitié authentifiée" : pas encore de cookie de session)
+const TWO_FACTOR_COOKIES = [
+  '__Secure-better-auth.two_factor',
+  'better-auth.two_factor',
+];
+
 // Logs debug (désactivé en production)
 const IS_PRODUCTION = process.env.NODE_ENV === 'production';
 const DEBUG = process.env.NEXT_PUBLIC_DEBUG === 'true';
@@ -38,6 +52,11 @@ export async function proxy(request) {
     return NextResponse.next();
   }
 
+  // Routes cron : authentifiées par CRON_SECRET, sans cookie de session
+  if (pathname.startsWith('/api/cron/')) {
+    return NextResponse.next();
+  }
+
   // 3. Vérification rapide avec cache
   if (pathCache.has(pathname)) {
     const cached = pathCache.get(pathname);
@@ -68,6 +87,17 @@ export async function proxy(request) {
   }
 
   if (!sessionCookie) {
+    // Connexion en attente du second facteur - rediriger vers /two-factor
+    const hasTwoFactorCookie = TWO_FACTOR_COOKIES.some((name) =>
+      request.cookies.has(name),
+    );
+
+    if (hasTwoFactorCookie) {
+      const twoFactorUrl = new URL('/two-factor', request.url);
+      twoFactorUrl.searchParams.set('callbackUrl', pathname);
+      return NextResponse.redirect(twoFactorUrl);
+    }
+
     // Pas de cookie - rediriger vers login
     const loginUrl = new URL('/login', request.url);
     loginUrl.searchParams.set('callbackUrl', pathname);
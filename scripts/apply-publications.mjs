@@ -0,0 +1,34 @@
+#!/usr/bin/env node
+// scripts/apply-publications.mjs
+// Appliquer les publications / dépublications programmées des applications
+// depuis un cron système, sans passer par la route HTTP :
+//
+//   node --env-file=.env scripts/apply-publications.mjs
+//
+// Mêmes variables de connexion que l'application (backend/dbConnect.js).
+// Équivalent HTTP : GET /api/cron/publications
+import { randomUUID } from 'node:crypto';
+import { closePool, query } from '../backend/dbConnect.js';
+
+const requestId = `cli-${randomUUID()}`;
+
+try {
+  const result = await query(
+    `SELECT application_id, application_name, previous_status, new_status
+     FROM catalog.apply_application_publications($1)`,
+    [requestId],
+  );
+
+  for (const row of result.rows) {
+    console.log(
+      `${row.application_name} (${row.application_id}): ${row.previous_status} → ${row.new_status}`,
+    );
+  }
+
+  console.log(`${result.rows.length} transition(s) applied [${requestId}]`);
+} catch (error) {
+  console.error('Failed to apply scheduled publications:', error.message);
+  process.exitCode = 1;
+} finally {
+  await closePool();
+}
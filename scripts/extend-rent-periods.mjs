@@ -0,0 +1,29 @@
+#!/usr/bin/env node
+// scripts/extend-rent-periods.mjs
+// Générer les échéances de loyer jusqu'à l'horizon depuis un cron système,
+// sans passer par la route HTTP :
+//
+//   node --env-file=.env scripts/extend-rent-periods.mjs
+//
+// Mêmes variables de connexion que l'application (backend/dbConnect.js).
+// Équivalent HTTP : GET /api/cron/rent-periods
+import { closePool, query } from '../backend/dbConnect.js';
+
+// Même horizon que RENT_UPCOMING_DAYS (lib/rentSchedules.js)
+const RENT_UPCOMING_DAYS = 30;
+
+try {
+  const result = await query(
+    `SELECT admin.extend_rent_periods(
+       (CURRENT_DATE + $1 * INTERVAL '1 day')::date
+     ) AS inserted`,
+    [RENT_UPCOMING_DAYS],
+  );
+
+  console.log(`${result.rows[0].inserted} rent period(s) created`);
+} catch (error) {
+  console.error('Failed to extend rent periods:', error.message);
+  process.exitCode = 1;
+} finally {
+  await closePool();
+}
@@ -10,6 +10,10 @@ import {
   MdPhoneIphone,
   MdMonitor,
 } from 'react-icons/md';
+import {
+  APPLICATION_STATUSES,
+  APPLICATION_STATUS_LABELS,
+} from '@/utils/schemas/applicationSchema';
 import styles from './appFilters.module.css';
 
 const AppFilters = ({ onFilterChange, currentFilters = {} }) => {
@@ -35,10 +39,10 @@ const AppFilters = ({ onFilterChange, currentFilters = {} }) => {
       { value: '4', label: 'Level 4' },
       { value: '5', label: 'Level 5' }, // ✅ AJOUTÉ
     ],
-    status: [
-      { value: 'true', label: 'Active' },
-      { value: 'false', label: 'Inactive' },
-    ],
+    status: APPLICATION_STATUSES.map((value) => ({
+      value,
+      label: APPLICATION_STATUS_LABELS[value],
+    })),
   };
 
   // Initialiser les filtres depuis les filtres actuels
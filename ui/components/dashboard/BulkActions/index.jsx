@@ -0,0 +1,234 @@
+// ui/components/dashboard/BulkActions/index.jsx
+'use client';
+
+import { useState, useTransition } from 'react';
+import {
+  MdCheckCircle,
+  MdClose,
+  MdDelete,
+  MdVisibility,
+  MdVisibilityOff,
+  MdWarning,
+} from 'react-icons/md';
+import { trackUI, trackDatabaseError } from '@/utils/monitoring';
+import styles from './bulkActions.module.css';
+
+/**
+ * Case de sélection d'un élément des listes du catalogue
+ * Par défaut superposée en haut à gauche de la carte (parent positionné) ;
+ * `inline` pour l'insérer dans un en-tête.
+ */
+export function BulkSelectCheckbox({ checked, onChange, label, inline }) {
+  return (
+    <label
+      className={inline ? styles.itemCheckboxInline : styles.itemCheckbox}
+      title={label}
+    >
+      <input
+        type="checkbox"
+        checked={checked}
+        onChange={onChange}
+        aria-label={label}
+      />
+    </label>
+  );
+}
+
+/**
+ * Barre d'actions groupées des listes du catalogue
+ *
+ * Sélection de la page courante, activation / désactivation et suppression
+ * via les actions serveur (lib/catalogBulk.js), puis rapport par élément.
+ * Tout ou rien : en cas de refus, le rapport liste les éléments bloquants.
+ *
+ * @param {string[]} pageIds - Identifiants des éléments affichés
+ * @param {string[]} selectedIds
+ * @param {Function} onSelectionChange - (ids) => void
+ * @param {string} entityName - Nom au pluriel ("applications", "videos"...)
+ * @param {Function} onBulkActive - (ids, active) => Promise<{ success, error?, results }>
+ * @param {Function} onBulkDelete - (ids) => Promise<{ success, error?, results }>
+ * @param {Function} onComplete - Rechargement de la liste après succès
+ */
+export default function BulkActions({
+  pageIds,
+  selectedIds,
+  onSelectionChange,
+  entityName,
+  onBulkActive,
+  onBulkDelete,
+  onComplete,
+  activateLabel = 'Activate',
+  deactivateLabel = 'Deactivate',
+}) {
+  const [report, setReport] = useState(null);
+  const [isPending, startTransition] = useTransition();
+
+  const count = selectedIds.length;
+  const allSelected =
+    pageIds.length > 0 && pageIds.every((id) => selectedIds.includes(id));
+
+  const run = (operation, label, successText) => {
+    setReport(null);
+    trackUI('bulk_action_started', { entityName, operation, count });
+
+    startTransition(async () => {
+      try {
+        const result =
+          operation === 'delete'
+            ? await onBulkDelete(selectedIds)
+            : await onBulkActive(selectedIds, operation === 'activate');
+
+        if (!result.success) {
+          setReport({
+            type: 'error',
+            text: result.error,
+            failures: result.results.filter((item) => !item.success),
+          });
+          return;
+        }
+
+        trackUI('bulk_action_successful', { entityName, operation, count });
+        setReport({
+          type: 'success',
+          text:
+            result.failedAssets > 0
+              ? `${successText} ${result.failedAssets} file(s) could not be removed from Cloudinary.`
+              : successText,
+          failures: [],
+        });
+        onSelectionChange([]);
+        onComplete();
+      } catch (error) {
+        setReport({
+          type: 'error',
+          text: `${label} failed. ${error.message}`,
+          failures: [],
+        });
+        trackDatabaseError(error, 'bulk_action_client', {
+          entityName,
+          operation,
+        });
+      }
+    });
+  };
+
+  const handleActive = (active) => {
+    const label = active ? activateLabel : deactivateLabel;
+    if (!confirm(`${label} ${count} ${entityName}?`)) return;
+
+    run(
+      active ? 'activate' : 'deactivate',
+      label,
+      `${count} ${entityName} updated.`,
+    );
+  };
+
+  const handleDelete = () => {
+    if (
+      !confirm(
+        `Permanently delete ${count} ${entityName}? Their files will be removed from Cloudinary.`,
+      )
+    ) {
+      return;
+    }
+
+    run('delete', 'Delete', `${count} ${entityName} deleted.`);
+  };
+
+  return (
+    <div className={styles.bulkContainer}>
+      <div className={styles.toolbar}>
+        <label className={styles.selectAll}>
+          <input
+            type="checkbox"
+            checked={allSelected}
+            onChange={() =>
+              onSelectionChange(
+                allSelected
+                  ? selectedIds.filter((id) => !pageIds.includes(id))
+                  : [...new Set([...selectedIds, ...pageIds])],
+              )
+            }
+            disabled={isPending || pageIds.length === 0}
+          />
+          Select all
+        </label>
+
+        {count > 0 && (
+          <div className={styles.actions}>
+            <span className={styles.count}>{count} selected</span>
+            <button
+              type="button"
+              onClick={() => handleActive(true)}
+              disabled={isPending}
+              className={`${styles.actionButton} ${styles.activateButton}`}
+            >
+              <MdVisibility /> {activateLabel}
+            </button>
+            <button
+              type="button"
+              onClick={() => handleActive(false)}
+              disabled={isPending}
+              className={`${styles.actionButton} ${styles.deactivateButton}`}
+            >
+              <MdVisibilityOff /> {deactivateLabel}
+            </button>
+            <button
+              type="button"
+              onClick={handleDelete}
+              disabled={isPending}
+              className={`${styles.actionButton} ${styles.deleteButton}`}
+            >
+              <MdDelete /> Delete
+            </button>
+            <button
+              type="button"
+              onClick={() => onSelectionChange([])}
+              disabled={isPending}
+              className={styles.clearButton}
+            >
+              Clear
+            </button>
+          </div>
+        )}
+
+        {isPending && <span className={styles.pending}>Working...</span>}
+      </div>
+
+      {report && (
+        <div
+          className={
+            report.type === 'success'
+              ? styles.successReport
+              : styles.errorReport
+          }
+        >
+          {report.type === 'success' ? <MdCheckCircle /> : <MdWarning />}
+          <div className={styles.reportBody}>
+            <span>{report.text}</span>
+            {report.failures.length > 0 && (
+              <ul className={styles.failures}>
+                {report.failures.map((failure) => (
+                  <li key={failure.id}>
+                    <strong>
+                      {failure.name || `#${failure.id.substring(0, 8)}`}
+                    </strong>
+                    : {failure.error}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+          <button
+            type="button"
+            onClick={() => setReport(null)}
+            className={styles.dismiss}
+            aria-label="Dismiss"
+          >
+            <MdClose />
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,109 @@
+// ui/components/dashboard/DuplicateButton/index.jsx
+'use client';
+
+import { useState, useTransition } from 'react';
+import { useRouter } from 'next/navigation';
+import { MdContentCopy } from 'react-icons/md';
+import { trackUI, trackDatabaseError } from '@/utils/monitoring';
+import styles from './duplicateButton.module.css';
+
+/**
+ * Bouton "Duplicate" des pages de détail du catalogue
+ *
+ * Demande s'il faut recopier les images sur Cloudinary, appelle l'action
+ * serveur puis ouvre la page d'édition de la copie.
+ *
+ * @param {Function} duplicate - (copyImages) => Promise<{ success, error? }>
+ * @param {Function} editHref - (result) => URL de la page d'édition de la copie
+ * @param {string} entityType - Pour le suivi ("application", "template")
+ */
+export default function DuplicateButton({
+  duplicate,
+  editHref,
+  entityType,
+  className = '',
+}) {
+  const router = useRouter();
+  const [isOpen, setIsOpen] = useState(false);
+  const [copyImages, setCopyImages] = useState(true);
+  const [error, setError] = useState(null);
+  const [isPending, startTransition] = useTransition();
+
+  const handleDuplicate = () => {
+    setError(null);
+    trackUI('duplicate_started', { entityType, copyImages });
+
+    startTransition(async () => {
+      try {
+        const result = await duplicate(copyImages);
+
+        if (!result.success) {
+          setError(result.error);
+          return;
+        }
+
+        trackUI('duplicate_successful', { entityType, copyImages });
+        router.push(editHref(result));
+      } catch (duplicateError) {
+        setError(duplicateError.message || 'Failed to duplicate');
+        trackDatabaseError(duplicateError, 'duplicate_client', { entityType });
+      }
+    });
+  };
+
+  if (!isOpen) {
+    return (
+      <button
+        type="button"
+        className={`${styles.duplicateButton} ${className}`}
+        onClick={() => setIsOpen(true)}
+      >
+        <MdContentCopy /> Duplicate
+      </button>
+    );
+  }
+
+  return (
+    <div className={styles.panel}>
+      <p className={styles.hint}>
+        The copy is created inactive with a &quot;(copy)&quot; suffix and opens
+        in the edit page.
+      </p>
+
+      <label className={styles.option}>
+        <input
+          type="checkbox"
+          checked={copyImages}
+          onChange={(e) => setCopyImages(e.target.checked)}
+          disabled={isPending}
+        />
+        Copy images to new files instead of sharing the original&apos;s
+      </label>
+
+      {error && <p className={styles.error}>{error}</p>}
+
+      <div className={styles.actions}>
+        <button
+          type="button"
+          className={styles.cancelButton}
+          onClick={() => {
+            setIsOpen(false);
+            setError(null);
+          }}
+          disabled={isPending}
+        >
+          Cancel
+        </button>
+        <button
+          type="button"
+          className={styles.duplicateButton}
+          onClick={handleDuplicate}
+          disabled={isPending}
+        >
+          <MdContentCopy />
+          {isPending ? 'Duplicating...' : 'Duplicate'}
+        </button>
+      </div>
+    </div>
+  );
+}
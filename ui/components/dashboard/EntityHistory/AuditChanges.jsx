@@ -0,0 +1,53 @@
+// ui/components/dashboard/EntityHistory/AuditChanges.jsx
+import styles from './entityHistory.module.css';
+
+const MAX_VALUE_LENGTH = 120;
+
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') return '—';
+
+  const text =
+    typeof value === 'object' ? JSON.stringify(value) : String(value);
+
+  return text.length > MAX_VALUE_LENGTH
+    ? `${text.slice(0, MAX_VALUE_LENGTH)}…`
+    : text;
+};
+
+/**
+ * Différence avant/après d'une entrée du journal d'audit
+ * (création : after seul, suppression : before seul)
+ */
+export default function AuditChanges({ before, after }) {
+  const fields = [
+    ...new Set([...Object.keys(before || {}), ...Object.keys(after || {})]),
+  ];
+
+  if (fields.length === 0) {
+    return <span className={styles.muted}>No field changes</span>;
+  }
+
+  return (
+    <details className={styles.changes}>
+      <summary>
+        {fields.length} field{fields.length > 1 ? 's' : ''}
+      </summary>
+      <ul>
+        {fields.map((field) => (
+          <li key={field}>
+            <span className={styles.field}>{field}</span>
+            {before && (
+              <span className={styles.before}>
+                {formatValue(before[field])}
+              </span>
+            )}
+            {before && after && <span className={styles.arrow}>→</span>}
+            {after && (
+              <span className={styles.after}>{formatValue(after[field])}</span>
+            )}
+          </li>
+        ))}
+      </ul>
+    </details>
+  );
+}
@@ -0,0 +1,121 @@
+// ui/components/dashboard/EntityHistory/index.jsx
+'use client';
+
+import { useState } from 'react';
+import Link from 'next/link';
+import { getEntityAuditHistory } from '@/app/dashboard/audit/actions';
+import { trackUI } from '@/utils/monitoring';
+import AuditChanges from './AuditChanges';
+import styles from './entityHistory.module.css';
+
+const formatDate = (date) =>
+  new Date(date).toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+
+/**
+ * Onglets Details / History des pages de détail
+ *
+ * L'historique (journal d'audit de l'entité) est chargé à la première
+ * ouverture de l'onglet. Sans la permission audit:view, seuls les
+ * détails sont affichés.
+ */
+export default function EntityHistory({
+  entityType,
+  entityId,
+  canViewHistory = false,
+  children,
+}) {
+  const [activeTab, setActiveTab] = useState('details');
+  const [entries, setEntries] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  if (!canViewHistory) return children;
+
+  const openHistory = async () => {
+    setActiveTab('history');
+    if (entries !== null || isLoading) return;
+
+    setIsLoading(true);
+    setError(null);
+    trackUI('entity_history_opened', { entityType });
+
+    try {
+      const result = await getEntityAuditHistory(entityType, entityId);
+      setEntries(result?.entries || []);
+    } catch (err) {
+      console.error('Entity history error:', err);
+      setError(err.message || 'Failed to load the history.');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <div>
+      <div className={styles.tabs} role="tablist">
+        <button
+          type="button"
+          role="tab"
+          aria-selected={activeTab === 'details'}
+          className={`${styles.tab} ${activeTab === 'details' ? styles.activeTab : ''}`}
+          onClick={() => setActiveTab('details')}
+        >
+          Details
+        </button>
+        <button
+          type="button"
+          role="tab"
+          aria-selected={activeTab === 'history'}
+          className={`${styles.tab} ${activeTab === 'history' ? styles.activeTab : ''}`}
+          onClick={openHistory}
+        >
+          History
+        </button>
+      </div>
+
+      {activeTab === 'details' ? (
+        children
+      ) : (
+        <div className={styles.history}>
+          {isLoading && <p className={styles.muted}>Loading history...</p>}
+          {error && <div className={styles.error}>{error}</div>}
+
+          {entries?.length === 0 && (
+            <p className={styles.muted}>No recorded changes yet.</p>
+          )}
+
+          {entries?.length > 0 && (
+            <>
+              <ul className={styles.timeline}>
+                {entries.map((entry) => (
+                  <li key={entry.id}>
+                    <div className={styles.entryHeader}>
+                      <span className={styles.action}>{entry.action}</span>
+                      <span>{entry.actor_email}</span>
+                      <span className={styles.muted}>
+                        {formatDate(entry.created_at)}
+                      </span>
+                    </div>
+                    <AuditChanges before={entry.before} after={entry.after} />
+                  </li>
+                ))}
+              </ul>
+              <Link
+                href={`/dashboard/audit?entityType=${entityType}&entityId=${entityId}`}
+                className={styles.viewAll}
+              >
+                View in audit log
+              </Link>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,50 @@
+// ui/components/dashboard/ListPagination/SortControl.jsx
+'use client';
+
+import { MdArrowDownward, MdArrowUpward } from 'react-icons/md';
+import { LIST_SORTS } from '@/utils/pagination';
+import styles from './listPagination.module.css';
+
+/**
+ * Choix de la colonne de tri (liste blanche LIST_SORTS) et du sens
+ * Tout changement de tri repart de la première page.
+ */
+export default function SortControl({
+  listKey,
+  pageInfo,
+  onChange,
+  disabled = false,
+}) {
+  const { defaultSort, options } = LIST_SORTS[listKey];
+  const sort = pageInfo?.sort || defaultSort;
+  const direction = pageInfo?.direction || 'desc';
+
+  return (
+    <div className={styles.sort}>
+      <select
+        value={sort}
+        onChange={(e) => onChange({ sort: e.target.value })}
+        disabled={disabled}
+        className={styles.select}
+        aria-label="Sort by"
+      >
+        {Object.entries(options).map(([value, label]) => (
+          <option key={value} value={value}>
+            Sort: {label}
+          </option>
+        ))}
+      </select>
+      <button
+        type="button"
+        className={styles.directionButton}
+        onClick={() =>
+          onChange({ direction: direction === 'desc' ? 'asc' : 'desc' })
+        }
+        disabled={disabled}
+        title={direction === 'desc' ? 'Descending' : 'Ascending'}
+      >
+        {direction === 'desc' ? <MdArrowDownward /> : <MdArrowUpward />}
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,83 @@
+// ui/components/dashboard/ListPagination/index.jsx
+'use client';
+
+import { MdChevronLeft, MdChevronRight } from 'react-icons/md';
+import { PAGE_SIZE_OPTIONS, toListQueryString } from '@/utils/pagination';
+import styles from './listPagination.module.css';
+
+export { default as SortControl } from './SortControl';
+
+/**
+ * Reporter tri, taille de page, curseur et filtres dans l'URL
+ * replaceState : pas de nouvel aller-retour serveur ni d'entrée d'historique
+ * Un curseur n'a de sens qu'avec les filtres qui l'ont produit : les deux
+ * sont toujours écrits ensemble.
+ */
+export function syncListUrl(listKey, listParams, filters = {}) {
+  const queryString = toListQueryString(listKey, listParams, filters);
+  window.history.replaceState(
+    null,
+    '',
+    `${window.location.pathname}${queryString ? `?${queryString}` : ''}`,
+  );
+}
+
+/**
+ * Navigation Previous / Next par curseur et choix de la taille de page
+ *
+ * onChange reçoit les paramètres à modifier : { after }, { before } ou
+ * { pageSize } (retour en première page).
+ */
+export default function ListPagination({
+  pageInfo,
+  count = 0,
+  onChange,
+  disabled = false,
+}) {
+  if (!pageInfo) return null;
+
+  const { pageSize, total, nextCursor, prevCursor } = pageInfo;
+
+  return (
+    <div className={styles.pagination}>
+      <span className={styles.summary}>
+        Showing {count} of {total}
+      </span>
+
+      <div className={styles.controls}>
+        <label className={styles.pageSize}>
+          Per page
+          <select
+            value={pageSize}
+            onChange={(e) => onChange({ pageSize: Number(e.target.value) })}
+            disabled={disabled}
+            className={styles.select}
+          >
+            {PAGE_SIZE_OPTIONS.map((size) => (
+              <option key={size} value={size}>
+                {size}
+              </option>
+            ))}
+          </select>
+        </label>
+
+        <button
+          type="button"
+          className={styles.button}
+          onClick={() => onChange({ before: prevCursor })}
+          disabled={disabled || !prevCursor}
+        >
+          <MdChevronLeft /> Previous
+        </button>
+        <button
+          type="button"
+          className={styles.button}
+          onClick={() => onChange({ after: nextCursor })}
+          disabled={disabled || !nextCursor}
+        >
+          Next <MdChevronRight />
+        </button>
+      </div>
+    </div>
+  );
+}
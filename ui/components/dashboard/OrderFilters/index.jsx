@@ -14,10 +14,35 @@ import {
 } from 'react-icons/md';
 import styles from './orderFilters.module.css';
 
-const OrderFilters = ({ onFilterChange, currentFilters = {} }) => {
+// Filtres à valeur unique (dates, montants, références catalogue)
+const VALUE_FILTERS = [
+  'order_created_from',
+  'order_created_to',
+  'order_paid_from',
+  'order_paid_to',
+  'order_total_min',
+  'order_total_max',
+  'order_application_id',
+  'order_platform_id',
+];
+
+const EMPTY_FILTERS = {
+  order_payment_status: [],
+  ...Object.fromEntries(VALUE_FILTERS.map((key) => [key, ''])),
+};
+
+const OrderFilters = ({
+  onFilterChange,
+  currentFilters = {},
+  applications = [],
+  platforms = [],
+}) => {
   const [isOpen, setIsOpen] = useState(false);
-  const [activeFilters, setActiveFilters] = useState({
-    order_payment_status: [],
+  const [activeFilters, setActiveFilters] = useState(EMPTY_FILTERS);
+  // Montants saisis, appliqués à la validation (blur / Entrée)
+  const [amountDrafts, setAmountDrafts] = useState({
+    order_total_min: '',
+    order_total_max: '',
   });
 
   const filterRef = useRef(null);
@@ -36,10 +61,19 @@ const OrderFilters = ({ onFilterChange, currentFilters = {} }) => {
   useEffect(() => {
     const orderPaymentStatus = currentFilters.order_payment_status || [];
 
-    setActiveFilters({
+    const nextFilters = {
       order_payment_status: Array.isArray(orderPaymentStatus)
         ? orderPaymentStatus
         : [orderPaymentStatus].filter(Boolean),
+    };
+    VALUE_FILTERS.forEach((key) => {
+      nextFilters[key] = currentFilters[key] ? String(currentFilters[key]) : '';
+    });
+
+    setActiveFilters(nextFilters);
+    setAmountDrafts({
+      order_total_min: nextFilters.order_total_min,
+      order_total_max: nextFilters.order_total_max,
     });
   }, [currentFilters]);
 
@@ -56,7 +90,9 @@ const OrderFilters = ({ onFilterChange, currentFilters = {} }) => {
   }, []);
 
   // Compter le nombre total de filtres actifs
-  const totalActiveFilters = Object.values(activeFilters).flat().length;
+  const totalActiveFilters =
+    activeFilters.order_payment_status.length +
+    VALUE_FILTERS.filter((key) => activeFilters[key]).length;
 
   // Fonction pour notifier le changement de filtre
   const notifyFilterChange = (filters) => {
@@ -78,6 +114,14 @@ const OrderFilters = ({ onFilterChange, currentFilters = {} }) => {
         delete serverFilters.order_payment_status;
       }
 
+      VALUE_FILTERS.forEach((key) => {
+        if (filters[key]) {
+          serverFilters[key] = filters[key];
+        } else {
+          delete serverFilters[key];
+        }
+      });
+
       console.log('🔍 [DEBUG] OrderFilters sending filters:', serverFilters);
       onFilterChange(serverFilters);
     } else {
@@ -107,16 +151,64 @@ const OrderFilters = ({ onFilterChange, currentFilters = {} }) => {
     notifyFilterChange(newActiveFilters);
   };
 
-  // Réinitialiser tous les filtres
-  const clearAllFilters = () => {
-    const emptyFilters = {
-      order_payment_status: [],
+  // Modifier un filtre à valeur unique ('' = retirer le filtre)
+  const handleValueChange = (filterType, value) => {
+    if (activeFilters[filterType] === value) return;
+
+    const newActiveFilters = {
+      ...activeFilters,
+      [filterType]: value,
     };
 
-    setActiveFilters(emptyFilters);
-    notifyFilterChange(emptyFilters);
+    setActiveFilters(newActiveFilters);
+    notifyFilterChange(newActiveFilters);
+  };
+
+  const applyAmount = (filterType) => {
+    const draft = amountDrafts[filterType].trim();
+    const amount = parseFloat(draft.replace(',', '.'));
+
+    handleValueChange(
+      filterType,
+      draft && Number.isFinite(amount) && amount >= 0 ? String(amount) : '',
+    );
   };
 
+  // Réinitialiser tous les filtres
+  const clearAllFilters = () => {
+    setActiveFilters(EMPTY_FILTERS);
+    setAmountDrafts({ order_total_min: '', order_total_max: '' });
+    notifyFilterChange(EMPTY_FILTERS);
+  };
+
+  const renderDateRange = (title, fromKey, toKey) => (
+    <div className={styles.filterSection}>
+      <h4 className={styles.filterTitle}>{title}</h4>
+      <div className={styles.rangeInputs}>
+        <label className={styles.rangeField}>
+          <span>Du</span>
+          <input
+            type="date"
+            className={styles.rangeInput}
+            value={activeFilters[fromKey]}
+            max={activeFilters[toKey] || undefined}
+            onChange={(e) => handleValueChange(fromKey, e.target.value)}
+          />
+        </label>
+        <label className={styles.rangeField}>
+          <span>Au</span>
+          <input
+            type="date"
+            className={styles.rangeInput}
+            value={activeFilters[toKey]}
+            min={activeFilters[fromKey] || undefined}
+            onChange={(e) => handleValueChange(toKey, e.target.value)}
+          />
+        </label>
+      </div>
+    </div>
+  );
+
   // Vérifier si un filtre est actif
   const isFilterActive = (filterType, value) => {
     return activeFilters[filterType].includes(value);
@@ -194,6 +286,82 @@ const OrderFilters = ({ onFilterChange, currentFilters = {} }) => {
                 ))}
               </div>
             </div>
+
+            {renderDateRange(
+              'Created',
+              'order_created_from',
+              'order_created_to',
+            )}
+            {renderDateRange('Paid', 'order_paid_from', 'order_paid_to')}
+
+            {/* Montant total : acquisition + location */}
+            <div className={styles.filterSection}>
+              <h4 className={styles.filterTitle}>Total Amount</h4>
+              <div className={styles.rangeInputs}>
+                {[
+                  ['order_total_min', 'Min'],
+                  ['order_total_max', 'Max'],
+                ].map(([key, label]) => (
+                  <label key={key} className={styles.rangeField}>
+                    <span>{label}</span>
+                    <input
+                      type="number"
+                      min="0"
+                      step="0.01"
+                      inputMode="decimal"
+                      className={styles.rangeInput}
+                      value={amountDrafts[key]}
+                      onChange={(e) =>
+                        setAmountDrafts((prev) => ({
+                          ...prev,
+                          [key]: e.target.value,
+                        }))
+                      }
+                      onBlur={() => applyAmount(key)}
+                      onKeyDown={(e) => {
+                        if (e.key === 'Enter') applyAmount(key);
+                      }}
+                    />
+                  </label>
+                ))}
+              </div>
+            </div>
+
+            <div className={styles.filterSection}>
+              <h4 className={styles.filterTitle}>Application</h4>
+              <select
+                className={styles.filterSelect}
+                value={activeFilters.order_application_id}
+                onChange={(e) =>
+                  handleValueChange('order_application_id', e.target.value)
+                }
+              >
+                <option value="">Toutes les applications</option>
+                {applications.map((application) => (
+                  <option key={application.id} value={application.id}>
+                    {application.name}
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            <div className={styles.filterSection}>
+              <h4 className={styles.filterTitle}>Platform</h4>
+              <select
+                className={styles.filterSelect}
+                value={activeFilters.order_platform_id}
+                onChange={(e) =>
+                  handleValueChange('order_platform_id', e.target.value)
+                }
+              >
+                <option value="">Toutes les plateformes</option>
+                {platforms.map((platform) => (
+                  <option key={platform.id} value={platform.id}>
+                    {platform.name}
+                  </option>
+                ))}
+              </select>
+            </div>
           </div>
         </div>
       )}
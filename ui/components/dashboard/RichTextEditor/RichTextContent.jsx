@@ -0,0 +1,34 @@
+// ui/components/dashboard/RichTextEditor/RichTextContent.jsx
+import parse from 'html-react-parser';
+import { sanitizeRichText } from '@/utils/sanitizers/sanitizeRichText';
+import styles from './richTextEditor.module.css';
+
+// Descriptions saisies avant l'éditeur : texte brut, une ligne par paragraphe
+const isPlainText = (value) => !/<[a-z][^>]*>/i.test(value);
+
+const plainTextToParagraphs = (value) =>
+  value
+    .split(/\n+/)
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .map((line) => `<p>${line.replace(/</g, '&lt;')}</p>`)
+    .join('');
+
+/**
+ * Affichage d'une description en texte riche
+ *
+ * Le HTML est nettoyé à nouveau avant le rendu : une description modifiée
+ * directement en base reste sûre.
+ */
+export default function RichTextContent({ html, className = '' }) {
+  if (typeof html !== 'string') return null;
+
+  const sanitized = sanitizeRichText(
+    isPlainText(html) ? plainTextToParagraphs(html) : html,
+  );
+  if (!sanitized) return null;
+
+  return (
+    <div className={`${styles.richText} ${className}`}>{parse(sanitized)}</div>
+  );
+}
@@ -0,0 +1,297 @@
+// ui/components/dashboard/RichTextEditor/index.jsx
+'use client';
+
+import { useEffect } from 'react';
+import { EditorContent, useEditor, useEditorState } from '@tiptap/react';
+import StarterKit from '@tiptap/starter-kit';
+import Image from '@tiptap/extension-image';
+import { CldUploadWidget } from 'next-cloudinary';
+import {
+  MdCode,
+  MdFormatBold,
+  MdFormatItalic,
+  MdFormatListBulleted,
+  MdFormatListNumbered,
+  MdFormatQuote,
+  MdFormatStrikethrough,
+  MdFormatUnderlined,
+  MdHorizontalRule,
+  MdImage,
+  MdLink,
+  MdLinkOff,
+  MdRedo,
+  MdUndo,
+} from 'react-icons/md';
+import { richTextToPlainText } from '@/utils/sanitizers/sanitizeRichText';
+import styles from './richTextEditor.module.css';
+
+// HTML renvoyé au formulaire : chaîne vide plutôt qu'un paragraphe vide
+const getEditorHtml = (editor) => (editor.isEmpty ? '' : editor.getHTML());
+
+const ToolbarButton = ({ onClick, isActive, disabled, title, children }) => (
+  <button
+    type="button"
+    onClick={onClick}
+    disabled={disabled}
+    title={title}
+    aria-label={title}
+    aria-pressed={isActive}
+    className={`${styles.toolbarButton} ${isActive ? styles.active : ''}`}
+  >
+    {children}
+  </button>
+);
+
+/**
+ * Éditeur de description en texte riche (Tiptap)
+ *
+ * Produit du HTML nettoyé ensuite côté serveur (sanitizeRichText). Le
+ * bouton image n'apparaît que si une route de signature Cloudinary est
+ * fournie : les images passent par l'upload signé existant.
+ */
+export default function RichTextEditor({
+  value = '',
+  onChange,
+  disabled = false,
+  hasError = false,
+  maxLength,
+  signatureEndpoint,
+  uploadFolder,
+}) {
+  const editor = useEditor({
+    extensions: [
+      StarterKit.configure({
+        heading: { levels: [2, 3] },
+        link: { openOnClick: false, autolink: true },
+      }),
+      Image,
+    ],
+    content: value || '',
+    editable: !disabled,
+    immediatelyRender: false,
+    onUpdate: ({ editor }) => onChange(getEditorHtml(editor)),
+  });
+
+  const state = useEditorState({
+    editor,
+    selector: ({ editor }) =>
+      editor && {
+        bold: editor.isActive('bold'),
+        italic: editor.isActive('italic'),
+        underline: editor.isActive('underline'),
+        strike: editor.isActive('strike'),
+        code: editor.isActive('code'),
+        h2: editor.isActive('heading', { level: 2 }),
+        h3: editor.isActive('heading', { level: 3 }),
+        bulletList: editor.isActive('bulletList'),
+        orderedList: editor.isActive('orderedList'),
+        blockquote: editor.isActive('blockquote'),
+        link: editor.isActive('link'),
+        canUndo: editor.can().undo(),
+        canRedo: editor.can().redo(),
+      },
+  });
+
+  // Valeur modifiée hors de l'éditeur (réinitialisation du formulaire...)
+  useEffect(() => {
+    if (editor && (value || '') !== getEditorHtml(editor)) {
+      editor.commands.setContent(value || '', { emitUpdate: false });
+    }
+  }, [editor, value]);
+
+  useEffect(() => {
+    editor?.setEditable(!disabled);
+  }, [editor, disabled]);
+
+  const handleLink = () => {
+    if (state?.link) {
+      editor.chain().focus().unsetLink().run();
+      return;
+    }
+
+    const href = window.prompt('Adresse du lien (https://...)');
+    if (!href) return;
+
+    editor
+      .chain()
+      .focus()
+      .extendMarkRange('link')
+      .setLink({ href: href.trim() })
+      .run();
+  };
+
+  const textLength = maxLength ? richTextToPlainText(value).length : 0;
+  const isDisabled = disabled || !editor;
+
+  return (
+    <div
+      className={`${styles.editor} ${hasError ? styles.error : ''} ${
+        disabled ? styles.disabled : ''
+      }`}
+    >
+      <div className={styles.toolbar}>
+        <ToolbarButton
+          title="Gras"
+          onClick={() => editor.chain().focus().toggleBold().run()}
+          isActive={state?.bold}
+          disabled={isDisabled}
+        >
+          <MdFormatBold />
+        </ToolbarButton>
+        <ToolbarButton
+          title="Italique"
+          onClick={() => editor.chain().focus().toggleItalic().run()}
+          isActive={state?.italic}
+          disabled={isDisabled}
+        >
+          <MdFormatItalic />
+        </ToolbarButton>
+        <ToolbarButton
+          title="Souligné"
+          onClick={() => editor.chain().focus().toggleUnderline().run()}
+          isActive={state?.underline}
+          disabled={isDisabled}
+        >
+          <MdFormatUnderlined />
+        </ToolbarButton>
+        <ToolbarButton
+          title="Barré"
+          onClick={() => editor.chain().focus().toggleStrike().run()}
+          isActive={state?.strike}
+          disabled={isDisabled}
+        >
+          <MdFormatStrikethrough />
+        </ToolbarButton>
+        <ToolbarButton
+          title="Code"
+          onClick={() => editor.chain().focus().toggleCode().run()}
+          isActive={state?.code}
+          disabled={isDisabled}
+        >
+          <MdCode />
+        </ToolbarButton>
+
+        <span className={styles.separator} />
+
+        <ToolbarButton
+          title="Titre"
+          onClick={() =>
+            editor.chain().focus().toggleHeading({ level: 2 }).run()
+          }
+          isActive={state?.h2}
+          disabled={isDisabled}
+        >
+          H2
+        </ToolbarButton>
+        <ToolbarButton
+          title="Sous-titre"
+          onClick={() =>
+            editor.chain().focus().toggleHeading({ level: 3 }).run()
+          }
+          isActive={state?.h3}
+          disabled={isDisabled}
+        >
+          H3
+        </ToolbarButton>
+        <ToolbarButton
+          title="Liste à puces"
+          onClick={() => editor.chain().focus().toggleBulletList().run()}
+          isActive={state?.bulletList}
+          disabled={isDisabled}
+        >
+          <MdFormatListBulleted />
+        </ToolbarButton>
+        <ToolbarButton
+          title="Liste numérotée"
+          onClick={() => editor.chain().focus().toggleOrderedList().run()}
+          isActive={state?.orderedList}
+          disabled={isDisabled}
+        >
+          <MdFormatListNumbered />
+        </ToolbarButton>
+        <ToolbarButton
+          title="Citation"
+          onClick={() => editor.chain().focus().toggleBlockquote().run()}
+          isActive={state?.blockquote}
+          disabled={isDisabled}
+        >
+          <MdFormatQuote />
+        </ToolbarButton>
+        <ToolbarButton
+          title="Séparateur"
+          onClick={() => editor.chain().focus().setHorizontalRule().run()}
+          disabled={isDisabled}
+        >
+          <MdHorizontalRule />
+        </ToolbarButton>
+
+        <span className={styles.separator} />
+
+        <ToolbarButton
+          title={state?.link ? 'Retirer le lien' : 'Ajouter un lien'}
+          onClick={handleLink}
+          isActive={state?.link}
+          disabled={isDisabled}
+        >
+          {state?.link ? <MdLinkOff /> : <MdLink />}
+        </ToolbarButton>
+
+        {signatureEndpoint && (
+          <CldUploadWidget
+            signatureEndpoint={signatureEndpoint}
+            onSuccess={(result) => {
+              const src = result?.info?.secure_url;
+              if (src) editor?.chain().focus().setImage({ src }).run();
+            }}
+            options={{
+              folder: uploadFolder,
+              multiple: false,
+              sources: ['local', 'url'],
+              clientAllowedFormats: ['jpg', 'jpeg', 'png', 'webp'],
+              maxImageFileSize: 5000000,
+            }}
+          >
+            {({ open }) => (
+              <ToolbarButton
+                title="Insérer une image"
+                onClick={() => open()}
+                disabled={isDisabled}
+              >
+                <MdImage />
+              </ToolbarButton>
+            )}
+          </CldUploadWidget>
+        )}
+
+        <span className={styles.separator} />
+
+        <ToolbarButton
+          title="Annuler"
+          onClick={() => editor.chain().focus().undo().run()}
+          disabled={isDisabled || !state?.canUndo}
+        >
+          <MdUndo />
+        </ToolbarButton>
+        <ToolbarButton
+          title="Rétablir"
+          onClick={() => editor.chain().focus().redo().run()}
+          disabled={isDisabled || !state?.canRedo}
+        >
+          <MdRedo />
+        </ToolbarButton>
+      </div>
+
+      <EditorContent editor={editor} className={styles.content} />
+
+      {maxLength && (
+        <div
+          className={`${styles.counter} ${
+            textLength > maxLength ? styles.counterExceeded : ''
+          }`}
+        >
+          {textLength}/{maxLength}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -5,6 +5,7 @@ import { useEffect, useRef } from 'react';
 import { MdClose } from 'react-icons/md';
 import { CldVideoPlayer } from 'next-cloudinary';
 import 'next-cloudinary/dist/cld-video-player.css';
+import RichTextContent from '../RichTextEditor/RichTextContent';
 import styles from './videoPlayerModal.module.css';
 
 /**
@@ -94,7 +95,10 @@ export default function VideoPlayerModal({ video, onClose }) {
         {/* Footer optionnel */}
         {video.video_description && (
           <div className={styles.modalFooter}>
-            <p className={styles.description}>{video.video_description}</p>
+            <RichTextContent
+              html={video.video_description}
+              className={styles.description}
+            />
           </div>
         )}
       </div>
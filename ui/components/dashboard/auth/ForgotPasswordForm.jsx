@@ -0,0 +1,147 @@
+// ui/components/dashboard/auth/ForgotPasswordForm.jsx - CLIENT COMPONENT
+'use client';
+
+import { useState } from 'react';
+import Link from 'next/link';
+import { requestPasswordReset } from '@/lib/auth-client';
+import { forgotPasswordSchema } from '@/utils/schemas/authSchema';
+import { sanitizeLoginInputs } from '@/utils/sanitizers/sanitizeLoginInputs';
+import { trackAuth, trackAuthError } from '@/utils/monitoring';
+
+/**
+ * FORGOT PASSWORD FORM - Client Component
+ *
+ * - Better Auth requestPasswordReset (link redirects to /reset-password)
+ * - Same confirmation whether the account exists or not (no email enumeration)
+ */
+export default function ForgotPasswordForm() {
+  const [email, setEmail] = useState('');
+  const [errors, setErrors] = useState({});
+  const [isLoading, setIsLoading] = useState(false);
+  const [submitted, setSubmitted] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsLoading(true);
+    setErrors({});
+
+    trackAuth('forgot_password_attempt_started');
+
+    try {
+      const sanitized = sanitizeLoginInputs({ email });
+
+      await forgotPasswordSchema.validate(
+        { email: sanitized.email },
+        { abortEarly: false },
+      );
+
+      const { error } = await requestPasswordReset({
+        email: sanitized.email,
+        redirectTo: '/reset-password',
+      });
+
+      if (error) {
+        const errorMessages = {
+          429: 'Too many attempts. Please wait a few minutes.',
+          500: 'Server error. Try again later.',
+        };
+
+        setErrors({
+          submit:
+            errorMessages[error.status] ||
+            'Unable to send the reset link. Try again.',
+        });
+
+        if (error.status === 429) {
+          trackAuth('rate_limit_exceeded', {}, 'warning');
+        }
+
+        setIsLoading(false);
+        return;
+      }
+
+      trackAuth('forgot_password_link_requested');
+      setSubmitted(true);
+      setIsLoading(false);
+    } catch (validationError) {
+      if (validationError.inner) {
+        const newErrors = {};
+        validationError.inner.forEach((err) => {
+          newErrors[err.path] = err.message;
+        });
+        setErrors(newErrors);
+      } else {
+        console.error(
+          '[ForgotPasswordForm] Unexpected error:',
+          validationError,
+        );
+        trackAuthError(validationError, 'forgot_password');
+        setErrors({
+          submit: 'An unexpected error occurred. Please try again.',
+        });
+      }
+      setIsLoading(false);
+    }
+  };
+
+  if (submitted) {
+    return (
+      <div className="form">
+        <p role="status" style={{ textAlign: 'center' }}>
+          If an account exists for this email, a reset link has been sent. It
+          expires in 1 hour.
+        </p>
+        <div className="form-footer">
+          <Link href="/login">Back to login</Link>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="form" noValidate>
+      <div className="form-group">
+        <label htmlFor="email">Email</label>
+        <input
+          id="email"
+          name="email"
+          type="email"
+          autoComplete="email"
+          onChange={(e) => {
+            setEmail(e.target.value);
+            if (errors.email) setErrors({});
+          }}
+          value={email}
+          disabled={isLoading}
+          aria-invalid={!!errors.email}
+          aria-describedby={errors.email ? 'email-error' : undefined}
+          placeholder="admin@benew.com"
+        />
+        {errors.email && (
+          <div id="email-error" className="error" role="alert">
+            {errors.email}
+          </div>
+        )}
+      </div>
+
+      {errors.submit && (
+        <div className="error submit-error" role="alert">
+          {errors.submit}
+        </div>
+      )}
+
+      <button
+        type="submit"
+        className="submit-button"
+        disabled={isLoading}
+        aria-busy={isLoading}
+      >
+        {isLoading ? 'Sending...' : 'Send reset link'}
+      </button>
+
+      <div className="form-footer">
+        <Link href="/login">Back to login</Link>
+      </div>
+    </form>
+  );
+}
@@ -120,7 +120,15 @@ export default function LoginForm({ callbackUrl = '/dashboard' }) {
         return;
       }
 
-      // 5️⃣ Success - HARD REDIRECT pour éviter problème de cache
+      // 5️⃣ 2FA activée : le mot de passe est validé, le code TOTP est requis
+      if (data?.twoFactorRedirect) {
+        trackAuth('login_two_factor_required');
+
+        window.location.href = `/two-factor?callbackUrl=${encodeURIComponent(callbackUrl)}`;
+        return;
+      }
+
+      // 6️⃣ Success - HARD REDIRECT pour éviter problème de cache
       if (data) {
         console.log(
           '[LoginForm] Login successful, redirecting with hard reload...',
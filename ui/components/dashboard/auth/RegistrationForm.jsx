@@ -18,12 +18,13 @@ import { trackAuth, trackAuthError } from '@/utils/monitoring';
  * - Rate limiting via Better Auth (default for /sign-up/email)
  * - Sentry tracking for all registration attempts
  * - Optional email domain whitelist for company emails only
+ * - Invitation-only: email locked to the invitation, token sent with sign up
  */
-export default function RegistrationForm({ invitationToken }) {
+export default function RegistrationForm({ invitationToken, invitationEmail }) {
   const router = useRouter();
   const [formData, setFormData] = useState({
     username: '',
-    email: '',
+    email: invitationEmail || '',
     phone: '',
     password: '',
     confirmPassword: '',
@@ -111,6 +112,8 @@ export default function RegistrationForm({ invitationToken }) {
           password: sanitized.password,
           phone: sanitized.phone,
           birthdate: sanitized.dateOfBirth,
+          // Vérifié et consommé par databaseHooks.user.create (lib/auth.js)
+          invitationToken,
         },
         {
           onRequest: (context) => {
@@ -131,6 +134,7 @@ export default function RegistrationForm({ invitationToken }) {
       if (error) {
         const errorMessages = {
           400: 'Invalid registration data. Please check your inputs.',
+          403: 'This invitation is invalid, has expired or has already been used.',
           409: 'An account with this email already exists.',
           429: 'Too many registration attempts. Please wait a few minutes.',
           500: 'Server error. Please try again later.',
@@ -227,6 +231,7 @@ export default function RegistrationForm({ invitationToken }) {
           onChange={handleChange}
           value={formData.email}
           disabled={loading}
+          readOnly={!!invitationEmail}
           aria-invalid={!!errors.email}
           aria-describedby={errors.email ? 'email-error' : undefined}
         />
@@ -0,0 +1,170 @@
+// ui/components/dashboard/auth/ResetPasswordForm.jsx - CLIENT COMPONENT
+'use client';
+
+import { useState, useTransition } from 'react';
+import Link from 'next/link';
+import { useRouter } from 'next/navigation';
+import { resetPassword } from '@/lib/auth-client';
+import { resetPasswordSchema } from '@/utils/schemas/authSchema';
+import { trackAuth, trackAuthError } from '@/utils/monitoring';
+
+/**
+ * RESET PASSWORD FORM - Client Component
+ *
+ * - Better Auth resetPassword with the token from the reset link
+ * - All sessions are revoked on success (revokeSessionsOnPasswordReset)
+ */
+export default function ResetPasswordForm({ token }) {
+  const router = useRouter();
+  const [formData, setFormData] = useState({
+    newPassword: '',
+    confirmPassword: '',
+  });
+  const [errors, setErrors] = useState({});
+  const [isPending, startTransition] = useTransition();
+  const [isLoading, setIsLoading] = useState(false);
+
+  const loading = isPending || isLoading;
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+
+    setFormData((prev) => ({
+      ...prev,
+      [name]: value,
+    }));
+
+    if (errors[name]) {
+      setErrors((prev) => {
+        const newErrors = { ...prev };
+        delete newErrors[name];
+        return newErrors;
+      });
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsLoading(true);
+    setErrors({});
+
+    trackAuth('reset_password_attempt_started');
+
+    try {
+      await resetPasswordSchema.validate(formData, { abortEarly: false });
+
+      const { error } = await resetPassword({
+        newPassword: formData.newPassword,
+        token,
+      });
+
+      if (error) {
+        const errorMessages = {
+          400: 'This reset link is invalid or has expired.',
+          429: 'Too many attempts. Please wait a few minutes.',
+          500: 'Server error. Try again later.',
+        };
+
+        setErrors({
+          submit:
+            errorMessages[error.status] ||
+            error.message ||
+            'Password reset failed. Try again.',
+        });
+
+        if (error.status === 429) {
+          trackAuth('rate_limit_exceeded', {}, 'warning');
+        }
+
+        setIsLoading(false);
+        return;
+      }
+
+      trackAuth('reset_password_successful');
+
+      startTransition(() => {
+        router.push('/login?reset=true');
+      });
+    } catch (validationError) {
+      if (validationError.inner) {
+        const newErrors = {};
+        validationError.inner.forEach((err) => {
+          newErrors[err.path] = err.message;
+        });
+        setErrors(newErrors);
+      } else {
+        console.error('[ResetPasswordForm] Unexpected error:', validationError);
+        trackAuthError(validationError, 'reset_password');
+        setErrors({
+          submit: 'An unexpected error occurred. Please try again.',
+        });
+      }
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="form" noValidate>
+      <div className="form-group">
+        <label htmlFor="newPassword">New Password</label>
+        <input
+          id="newPassword"
+          name="newPassword"
+          type="password"
+          autoComplete="new-password"
+          onChange={handleChange}
+          value={formData.newPassword}
+          disabled={loading}
+          aria-invalid={!!errors.newPassword}
+          aria-describedby={errors.newPassword ? 'password-error' : undefined}
+        />
+        {errors.newPassword && (
+          <div id="password-error" className="error" role="alert">
+            {errors.newPassword}
+          </div>
+        )}
+      </div>
+
+      <div className="form-group">
+        <label htmlFor="confirmPassword">Confirm Password</label>
+        <input
+          id="confirmPassword"
+          name="confirmPassword"
+          type="password"
+          autoComplete="new-password"
+          onChange={handleChange}
+          value={formData.confirmPassword}
+          disabled={loading}
+          aria-invalid={!!errors.confirmPassword}
+          aria-describedby={
+            errors.confirmPassword ? 'confirm-error' : undefined
+          }
+        />
+        {errors.confirmPassword && (
+          <div id="confirm-error" className="error" role="alert">
+            {errors.confirmPassword}
+          </div>
+        )}
+      </div>
+
+      {errors.submit && (
+        <div className="error submit-error" role="alert">
+          {errors.submit}
+        </div>
+      )}
+
+      <button
+        type="submit"
+        className="submit-button"
+        disabled={loading}
+        aria-busy={loading}
+      >
+        {loading ? 'Saving...' : 'Set new password'}
+      </button>
+
+      <div className="form-footer">
+        <Link href="/login">Back to login</Link>
+      </div>
+    </form>
+  );
+}
@@ -0,0 +1,166 @@
+// ui/components/dashboard/auth/TwoFactorForm.jsx - CLIENT COMPONENT
+'use client';
+
+import { useState } from 'react';
+import Link from 'next/link';
+import { twoFactor } from '@/lib/auth-client';
+import { trackAuth, trackAuthError } from '@/utils/monitoring';
+
+const TOTP_CODE_REGEX = /^\d{6}$/;
+const BACKUP_CODE_REGEX = /^[A-Za-z0-9]{5}-?[A-Za-z0-9]{5}$/;
+
+/**
+ * TWO-FACTOR FORM - Client Component
+ *
+ * - TOTP code from the authenticator app, or a one-time backup code
+ * - Optional "trust this device" (30 days, see lib/auth.js)
+ * - Hard redirect on success (same reason as LoginForm)
+ */
+export default function TwoFactorForm({ callbackUrl = '/dashboard' }) {
+  const [code, setCode] = useState('');
+  const [useBackupCode, setUseBackupCode] = useState(false);
+  const [trustDevice, setTrustDevice] = useState(false);
+  const [error, setError] = useState(null);
+  const [expired, setExpired] = useState(false);
+  const [isLoading, setIsLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+
+    const cleanCode = code.trim().replace(/\s/g, '');
+    const isValidFormat = useBackupCode
+      ? BACKUP_CODE_REGEX.test(cleanCode)
+      : TOTP_CODE_REGEX.test(cleanCode);
+
+    if (!isValidFormat) {
+      setError(
+        useBackupCode
+          ? 'Enter one of your backup codes (e.g. AbC12-dEf34).'
+          : 'Enter the 6-digit code from your authenticator app.',
+      );
+      return;
+    }
+
+    setIsLoading(true);
+    trackAuth('two_factor_attempt_started', { useBackupCode });
+
+    try {
+      const verify = useBackupCode
+        ? twoFactor.verifyBackupCode
+        : twoFactor.verifyTotp;
+      const { error: verifyError } = await verify({
+        code: cleanCode,
+        trustDevice,
+      });
+
+      if (verifyError) {
+        // Cookie "two_factor" absent ou expiré : reprendre la connexion
+        if (verifyError.code === 'INVALID_TWO_FACTOR_COOKIE') {
+          setExpired(true);
+        } else if (verifyError.status === 429) {
+          setError('Too many attempts. Please wait a few minutes.');
+          trackAuth('rate_limit_exceeded', {}, 'warning');
+        } else {
+          setError('Invalid code. Please try again.');
+        }
+
+        trackAuth('two_factor_failed', { useBackupCode }, 'warning');
+        setIsLoading(false);
+        return;
+      }
+
+      trackAuth('two_factor_successful', { useBackupCode });
+      window.location.href = callbackUrl;
+    } catch (err) {
+      console.error('[TwoFactorForm] Unexpected error:', err);
+      trackAuthError(err, 'two_factor');
+      setError('An unexpected error occurred. Please try again.');
+      setIsLoading(false);
+    }
+  };
+
+  if (expired) {
+    return (
+      <div className="form">
+        <div className="error submit-error" role="alert">
+          Your login session has expired. Please log in again.
+        </div>
+        <div className="form-footer">
+          <Link href="/login">Back to login</Link>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="form" noValidate>
+      <div className="form-group">
+        <label htmlFor="code">
+          {useBackupCode ? 'Backup code' : 'Authentication code'}
+        </label>
+        <input
+          id="code"
+          name="code"
+          type="text"
+          inputMode={useBackupCode ? 'text' : 'numeric'}
+          autoComplete="one-time-code"
+          autoFocus
+          onChange={(e) => setCode(e.target.value)}
+          value={code}
+          disabled={isLoading}
+          aria-invalid={!!error}
+          aria-describedby={error ? 'code-error' : undefined}
+          placeholder={useBackupCode ? 'AbC12-dEf34' : '123456'}
+        />
+      </div>
+
+      <div className="form-group checkbox">
+        <label>
+          <input
+            type="checkbox"
+            name="trustDevice"
+            checked={trustDevice}
+            onChange={(e) => setTrustDevice(e.target.checked)}
+            disabled={isLoading}
+          />
+          Trust this device for 30 days
+        </label>
+      </div>
+
+      {error && (
+        <div id="code-error" className="error submit-error" role="alert">
+          {error}
+        </div>
+      )}
+
+      <button
+        type="submit"
+        className="submit-button"
+        disabled={isLoading}
+        aria-busy={isLoading}
+      >
+        {isLoading ? 'Verifying...' : 'Verify'}
+      </button>
+
+      <div className="form-footer">
+        <button
+          type="button"
+          className="link-button"
+          onClick={() => {
+            setUseBackupCode((prev) => !prev);
+            setCode('');
+            setError(null);
+          }}
+          disabled={isLoading}
+        >
+          {useBackupCode
+            ? 'Use your authenticator app'
+            : 'Use a backup code instead'}
+        </button>
+        <span className="divider">|</span>
+        <Link href="/login">Back to login</Link>
+      </div>
+    </form>
+  );
+}
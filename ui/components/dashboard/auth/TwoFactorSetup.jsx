@@ -0,0 +1,295 @@
+// ui/components/dashboard/auth/TwoFactorSetup.jsx - CLIENT COMPONENT
+'use client';
+
+import { useState } from 'react';
+import Link from 'next/link';
+import QRCode from 'react-qr-code';
+import { twoFactor } from '@/lib/auth-client';
+import { trackAuth, trackAuthError } from '@/utils/monitoring';
+
+const TOTP_CODE_REGEX = /^\d{6}$/;
+
+// Secret en clair pour la saisie manuelle dans l'application
+const getSecretFromUri = (totpURI) => {
+  try {
+    return new URL(totpURI).searchParams.get('secret') || '';
+  } catch {
+    return '';
+  }
+};
+
+/**
+ * TWO-FACTOR SETUP - Client Component
+ *
+ * Enrollment: password → QR code + backup codes → first TOTP code.
+ * Once enabled: regenerate backup codes, or disable (unless required).
+ * Backup codes are only ever displayed once.
+ */
+export default function TwoFactorSetup({ enabled, required }) {
+  const [step, setStep] = useState(enabled ? 'enabled' : 'password');
+  const [password, setPassword] = useState('');
+  const [code, setCode] = useState('');
+  const [totpURI, setTotpURI] = useState(null);
+  const [backupCodes, setBackupCodes] = useState([]);
+  const [error, setError] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+
+  const run = async (action, execute) => {
+    setIsLoading(true);
+    setError(null);
+    trackAuth(`two_factor_${action}_started`);
+
+    try {
+      const { data, error: actionError } = await execute();
+
+      if (actionError) {
+        const errorMessages = {
+          400: 'Invalid password.',
+          401: 'Invalid code. Please try again.',
+          429: 'Too many attempts. Please wait a few minutes.',
+        };
+
+        setError(
+          errorMessages[actionError.status] ||
+            actionError.message ||
+            'Action failed. Please try again.',
+        );
+        trackAuth(`two_factor_${action}_failed`, {}, 'warning');
+        return null;
+      }
+
+      trackAuth(`two_factor_${action}_successful`);
+      return data;
+    } catch (err) {
+      console.error(`[TwoFactorSetup] ${action} error:`, err);
+      trackAuthError(err, `two_factor_${action}`);
+      setError('An unexpected error occurred. Please try again.');
+      return null;
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleEnable = async (e) => {
+    e.preventDefault();
+
+    const data = await run('enable', () => twoFactor.enable({ password }));
+
+    if (data) {
+      setTotpURI(data.totpURI);
+      setBackupCodes(data.backupCodes);
+      setPassword('');
+      setStep('verify');
+    }
+  };
+
+  const handleVerify = async (e) => {
+    e.preventDefault();
+
+    const cleanCode = code.trim().replace(/\s/g, '');
+    if (!TOTP_CODE_REGEX.test(cleanCode)) {
+      setError('Enter the 6-digit code from your authenticator app.');
+      return;
+    }
+
+    const data = await run('verify', () =>
+      twoFactor.verifyTotp({ code: cleanCode }),
+    );
+
+    if (data) {
+      setCode('');
+      setStep('done');
+    }
+  };
+
+  const handleRegenerate = async (e) => {
+    e.preventDefault();
+
+    const data = await run('regenerate_codes', () =>
+      twoFactor.generateBackupCodes({ password }),
+    );
+
+    if (data) {
+      setBackupCodes(data.backupCodes);
+      setPassword('');
+    }
+  };
+
+  const handleDisable = async () => {
+    if (!password) {
+      setError('Enter your password to disable two-factor authentication.');
+      return;
+    }
+    if (!confirm('Disable two-factor authentication for your account?')) {
+      return;
+    }
+
+    const data = await run('disable', () => twoFactor.disable({ password }));
+
+    if (data) {
+      setPassword('');
+      setBackupCodes([]);
+      setStep('password');
+    }
+  };
+
+  const passwordField = (
+    <div className="form-group">
+      <label htmlFor="password">Current password</label>
+      <input
+        id="password"
+        name="password"
+        type="password"
+        autoComplete="current-password"
+        onChange={(e) => setPassword(e.target.value)}
+        value={password}
+        disabled={isLoading}
+      />
+    </div>
+  );
+
+  const backupCodesList = backupCodes.length > 0 && (
+    <>
+      <p className="two-factor-info">
+        Save these backup codes somewhere safe. Each one can be used once if you
+        lose access to your authenticator app. They won&apos;t be shown again.
+      </p>
+      <ul className="backup-codes">
+        {backupCodes.map((backupCode) => (
+          <li key={backupCode}>{backupCode}</li>
+        ))}
+      </ul>
+    </>
+  );
+
+  const errorMessage = error && (
+    <div className="error submit-error" role="alert">
+      {error}
+    </div>
+  );
+
+  if (step === 'verify') {
+    return (
+      <form onSubmit={handleVerify} className="form" noValidate>
+        <p className="two-factor-info">
+          Scan this QR code with your authenticator app, then enter the 6-digit
+          code it shows.
+        </p>
+        <div className="qr-code">
+          <QRCode value={totpURI} size={180} />
+        </div>
+        <p className="secret">{getSecretFromUri(totpURI)}</p>
+
+        {backupCodesList}
+
+        <div className="form-group">
+          <label htmlFor="code">Authentication code</label>
+          <input
+            id="code"
+            name="code"
+            type="text"
+            inputMode="numeric"
+            autoComplete="one-time-code"
+            onChange={(e) => setCode(e.target.value)}
+            value={code}
+            disabled={isLoading}
+            placeholder="123456"
+          />
+        </div>
+
+        {errorMessage}
+
+        <button
+          type="submit"
+          className="submit-button"
+          disabled={isLoading}
+          aria-busy={isLoading}
+        >
+          {isLoading ? 'Verifying...' : 'Activate'}
+        </button>
+      </form>
+    );
+  }
+
+  if (step === 'done') {
+    return (
+      <div className="form">
+        <p className="two-factor-info">
+          Two-factor authentication is now enabled. You will be asked for a code
+          at your next login.
+        </p>
+        {/* Rechargement complet : le cookie de session a été renouvelé */}
+        <a href="/dashboard" className="submit-button">
+          Continue to the dashboard
+        </a>
+      </div>
+    );
+  }
+
+  if (step === 'enabled') {
+    return (
+      <form onSubmit={handleRegenerate} className="form" noValidate>
+        <p className="two-factor-info">
+          Two-factor authentication is enabled for your account.
+        </p>
+
+        {backupCodesList}
+        {passwordField}
+        {errorMessage}
+
+        <button
+          type="submit"
+          className="submit-button"
+          disabled={isLoading || !password}
+          aria-busy={isLoading}
+        >
+          {isLoading ? 'Please wait...' : 'Generate new backup codes'}
+        </button>
+
+        <div className="form-footer">
+          {!required && (
+            <>
+              <button
+                type="button"
+                className="link-button"
+                onClick={handleDisable}
+                disabled={isLoading}
+              >
+                Disable two-factor authentication
+              </button>
+              <span className="divider">|</span>
+            </>
+          )}
+          <Link href="/dashboard">Back to dashboard</Link>
+        </div>
+      </form>
+    );
+  }
+
+  return (
+    <form onSubmit={handleEnable} className="form" noValidate>
+      <p className="two-factor-info">
+        Protect your account with a code from an authenticator app (Google
+        Authenticator, 1Password, Authy...). Confirm your password to start.
+      </p>
+
+      {passwordField}
+      {errorMessage}
+
+      <button
+        type="submit"
+        className="submit-button"
+        disabled={isLoading || !password}
+        aria-busy={isLoading}
+      >
+        {isLoading ? 'Please wait...' : 'Set up two-factor authentication'}
+      </button>
+
+      {!required && (
+        <div className="form-footer">
+          <Link href="/dashboard">Back to dashboard</Link>
+        </div>
+      )}
+    </form>
+  );
+}
@@ -1,18 +1,52 @@
-'use client';
-
 import { MdSupervisedUserCircle } from 'react-icons/md';
 import styles from './card.module.css';
 
-function Card() {
+/**
+ * Carte KPI du tableau de bord
+ *
+ * @param {string} title - Libellé de l'indicateur
+ * @param {string|number} value - Valeur déjà formatée
+ * @param {number|null} change - Variation en % vs période précédente
+ * @param {string} detail - Texte affiché après la variation
+ * @param {Array<{label: string, value: string|number}>} breakdown - Détail
+ */
+function Card({
+  icon: Icon = MdSupervisedUserCircle,
+  title,
+  value,
+  change,
+  detail,
+  breakdown = [],
+}) {
+  const hasChange = typeof change === 'number';
+
   return (
     <div className={styles.container}>
-      <MdSupervisedUserCircle size={24} />
+      <Icon size={24} />
       <div className={styles.texts}>
-        <span className={styles.title}>Total Users</span>
-        <span className={styles.number}>10.928</span>
-        <span className={styles.detail}>
-          <span className={styles.positive}>12%</span> more than previous week
-        </span>
+        <span className={styles.title}>{title}</span>
+        <span className={styles.number}>{value}</span>
+        {breakdown.length > 0 && (
+          <ul className={styles.breakdown}>
+            {breakdown.map((item) => (
+              <li key={item.label} className={styles.breakdownItem}>
+                <span>{item.label}</span>
+                <span>{item.value}</span>
+              </li>
+            ))}
+          </ul>
+        )}
+        {detail && (
+          <span className={styles.detail}>
+            {hasChange && (
+              <span className={change >= 0 ? styles.positive : styles.negative}>
+                {change >= 0 ? '+' : ''}
+                {change}%
+              </span>
+            )}{' '}
+            {detail}
+          </span>
+        )}
       </div>
     </div>
   );
@@ -1,89 +1,63 @@
 'use client';
 
 import {
-  LineChart,
-  Line,
+  BarChart,
+  Bar,
   XAxis,
   YAxis,
   Tooltip,
   Legend,
   ResponsiveContainer,
+  CartesianGrid,
 } from 'recharts';
 
 import styles from './chart.module.css';
 
-const data = [
-  {
-    name: 'Sun',
-    visit: 4000,
-    click: 2400,
-  },
-  {
-    name: 'Mon',
-    visit: 3000,
-    click: 1398,
-  },
-  {
-    name: 'Tue',
-    visit: 2000,
-    click: 3800,
-  },
-  {
-    name: 'Wed',
-    visit: 2780,
-    click: 3908,
-  },
-  {
-    name: 'Thu',
-    visit: 1890,
-    click: 4800,
-  },
-  {
-    name: 'Fri',
-    visit: 2390,
-    click: 3800,
-  },
-  {
-    name: 'Sat',
-    visit: 3490,
-    click: 4300,
-  },
-];
-
-function Chart() {
+/**
+ * Graphique en barres générique du tableau de bord
+ *
+ * @param {string} title - Titre du graphique
+ * @param {Array<Object>} data - Lignes à afficher
+ * @param {string} xKey - Clé utilisée pour l'axe X
+ * @param {Array<{dataKey: string, name: string, color: string}>} bars
+ */
+function Chart({ title, data = [], xKey = 'name', bars = [], emptyMessage }) {
   return (
     <div className={styles.container}>
-      <h2 className={styles.title}>Weekly Recap</h2>
-      <ResponsiveContainer width="100%" height="90%">
-        <LineChart
-          width={500}
-          height={300}
-          data={data}
-          margin={{
-            top: 5,
-            right: 30,
-            left: 20,
-            bottom: 5,
-          }}
-        >
-          <XAxis dataKey="name" />
-          <YAxis />
-          <Tooltip contentStyle={{ background: '#151c2c', border: 'none' }} />
-          <Legend />
-          <Line
-            type="monotone"
-            dataKey="visit"
-            stroke="#8884d8"
-            strokeDasharray="5 5"
-          />
-          <Line
-            type="monotone"
-            dataKey="click"
-            stroke="#82ca9d"
-            strokeDasharray="3 4 5 2"
-          />
-        </LineChart>
-      </ResponsiveContainer>
+      <h2 className={styles.title}>{title}</h2>
+      {data.length === 0 ? (
+        <p className={styles.empty}>{emptyMessage || 'No data available'}</p>
+      ) : (
+        <ResponsiveContainer width="100%" height="90%">
+          <BarChart
+            data={data}
+            margin={{
+              top: 5,
+              right: 30,
+              left: 20,
+              bottom: 5,
+            }}
+          >
+            <CartesianGrid strokeDasharray="3 3" stroke="#2e374a" />
+            <XAxis dataKey={xKey} />
+            <YAxis allowDecimals={false} />
+            <Tooltip
+              contentStyle={{ background: '#151c2c', border: 'none' }}
+              cursor={{ fill: '#2e374a' }}
+            />
+            <Legend />
+            {bars.map((bar) => (
+              <Bar
+                key={bar.dataKey}
+                dataKey={bar.dataKey}
+                name={bar.name}
+                fill={bar.color}
+                radius={[4, 4, 0, 0]}
+              />
+            ))}
+          </BarChart>
+        </ResponsiveContainer>
+      )}
     </div>
   );
 }
@@ -0,0 +1,118 @@
+'use client';
+
+import { useState, useTransition } from 'react';
+import { usePathname, useRouter, useSearchParams } from 'next/navigation';
+import { MdDateRange } from 'react-icons/md';
+import styles from './periodSelector.module.css';
+
+const PRESETS = [
+  { value: '7d', label: '7 days' },
+  { value: '30d', label: '30 days' },
+  { value: '90d', label: '90 days' },
+];
+
+/**
+ * Sélecteur de période du tableau de bord.
+ * La période est portée par l'URL (?period=30d ou ?period=custom&from=&to=)
+ * afin que le Server Component recalcule les métriques.
+ */
+function PeriodSelector({ period }) {
+  const router = useRouter();
+  const pathname = usePathname();
+  const searchParams = useSearchParams();
+  const [isPending, startTransition] = useTransition();
+  const [showCustom, setShowCustom] = useState(period.key === 'custom');
+  const [from, setFrom] = useState(period.from);
+  const [to, setTo] = useState(period.to);
+
+  const navigate = (updates) => {
+    const params = new URLSearchParams(searchParams.toString());
+
+    Object.entries(updates).forEach(([key, value]) => {
+      if (value) {
+        params.set(key, value);
+      } else {
+        params.delete(key);
+      }
+    });
+
+    startTransition(() => {
+      router.push(`${pathname}?${params.toString()}`);
+    });
+  };
+
+  const handlePreset = (value) => {
+    setShowCustom(false);
+    navigate({ period: value, from: null, to: null });
+  };
+
+  const handleCustomSubmit = (event) => {
+    event.preventDefault();
+    if (!from || !to || from > to) return;
+    navigate({ period: 'custom', from, to });
+  };
+
+  return (
+    <div className={`${styles.container} ${isPending ? styles.pending : ''}`}>
+      <div className={styles.presets}>
+        {PRESETS.map((preset) => (
+          <button
+            key={preset.value}
+            type="button"
+            className={`${styles.button} ${
+              period.key === preset.value ? styles.active : ''
+            }`}
+            onClick={() => handlePreset(preset.value)}
+            disabled={isPending}
+          >
+            {preset.label}
+          </button>
+        ))}
+        <button
+          type="button"
+          className={`${styles.button} ${
+            period.key === 'custom' ? styles.active : ''
+          }`}
+          onClick={() => setShowCustom((value) => !value)}
+          disabled={isPending}
+        >
+          <MdDateRange />
+          Custom
+        </button>
+      </div>
+
+      {showCustom && (
+        <form className={styles.customForm} onSubmit={handleCustomSubmit}>
+          <input
+            type="date"
+            className={styles.dateInput}
+            value={from}
+            max={to}
+            onChange={(event) => setFrom(event.target.value)}
+            required
+          />
+          <span>→</span>
+          <input
+            type="date"
+            className={styles.dateInput}
+            value={to}
+            min={from}
+            onChange={(event) => setTo(event.target.value)}
+            required
+          />
+          <button
+            type="submit"
+            className={styles.apply}
+            disabled={isPending || !from || !to || from > to}
+          >
+            Apply
+          </button>
+        </form>
+      )}
+
+      <span className={styles.label}>{period.label}</span>
+    </div>
+  );
+}
+
+export default PeriodSelector;
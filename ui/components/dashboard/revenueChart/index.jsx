@@ -0,0 +1,197 @@
+'use client';
+
+import { useState, useTransition } from 'react';
+import { usePathname, useRouter, useSearchParams } from 'next/navigation';
+import {
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  Tooltip,
+  Legend,
+  ResponsiveContainer,
+  CartesianGrid,
+} from 'recharts';
+
+import styles from './revenueChart.module.css';
+
+const GRANULARITIES = [
+  { value: 'day', label: 'Daily' },
+  { value: 'week', label: 'Weekly' },
+  { value: 'month', label: 'Monthly' },
+];
+
+const METRICS = {
+  revenue: { label: 'Revenue', previousKey: 'previous_revenue' },
+  orders: { label: 'Orders', previousKey: 'previous_orders' },
+};
+
+const formatPrice = (price) =>
+  new Intl.NumberFormat('fr-FR', {
+    style: 'currency',
+    currency: 'USD',
+    minimumFractionDigits: 0,
+    maximumFractionDigits: 0,
+  }).format(price);
+
+const formatBucket = (bucket, granularity) => {
+  const date = new Date(`${bucket}T00:00:00Z`);
+  const options =
+    granularity === 'month'
+      ? { month: 'short', year: '2-digit', timeZone: 'UTC' }
+      : { day: '2-digit', month: 'short', timeZone: 'UTC' };
+
+  return new Intl.DateTimeFormat('fr-FR', options).format(date);
+};
+
+/**
+ * Série revenu / commandes du tableau de bord.
+ * La granularité est portée par l'URL (recalcul SQL côté serveur) ;
+ * la métrique, la ventilation web/mobile et la comparaison sont
+ * de simples options d'affichage.
+ */
+function RevenueChart({ series = [], granularity }) {
+  const router = useRouter();
+  const pathname = usePathname();
+  const searchParams = useSearchParams();
+  const [isPending, startTransition] = useTransition();
+  const [metric, setMetric] = useState('revenue');
+  const [splitByCategory, setSplitByCategory] = useState(false);
+  const [showPrevious, setShowPrevious] = useState(true);
+
+  const handleGranularityChange = (value) => {
+    const params = new URLSearchParams(searchParams.toString());
+    params.set('granularity', value);
+
+    startTransition(() => {
+      router.push(`${pathname}?${params.toString()}`);
+    });
+  };
+
+  const data = series.map((point) => ({
+    ...point,
+    label: formatBucket(point.bucket, granularity),
+  }));
+
+  const valueFormatter = (value) =>
+    metric === 'revenue' ? formatPrice(value) : value;
+
+  return (
+    <div className={`${styles.container} ${isPending ? styles.pending : ''}`}>
+      <div className={styles.header}>
+        <h2 className={styles.title}>{METRICS[metric].label} over time</h2>
+        <div className={styles.controls}>
+          <div className={styles.group}>
+            {Object.entries(METRICS).map(([key, { label }]) => (
+              <button
+                key={key}
+                type="button"
+                className={`${styles.toggle} ${metric === key ? styles.active : ''}`}
+                onClick={() => setMetric(key)}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+          <div className={styles.group}>
+            {GRANULARITIES.map((option) => (
+              <button
+                key={option.value}
+                type="button"
+                className={`${styles.toggle} ${
+                  granularity === option.value ? styles.active : ''
+                }`}
+                onClick={() => handleGranularityChange(option.value)}
+                disabled={isPending}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+          <label className={styles.checkbox}>
+            <input
+              type="checkbox"
+              checked={splitByCategory}
+              onChange={(event) => setSplitByCategory(event.target.checked)}
+            />
+            Web / Mobile
+          </label>
+          <label className={styles.checkbox}>
+            <input
+              type="checkbox"
+              checked={showPrevious}
+              onChange={(event) => setShowPrevious(event.target.checked)}
+            />
+            Previous period
+          </label>
+        </div>
+      </div>
+
+      {data.length === 0 ? (
+        <p className={styles.empty}>No data available</p>
+      ) : (
+        <ResponsiveContainer width="100%" height="85%">
+          <LineChart
+            data={data}
+            margin={{
+              top: 5,
+              right: 30,
+              left: 20,
+              bottom: 5,
+            }}
+          >
+            <CartesianGrid strokeDasharray="3 3" stroke="#2e374a" />
+            <XAxis dataKey="label" />
+            <YAxis
+              allowDecimals={metric === 'revenue'}
+              tickFormatter={valueFormatter}
+            />
+            <Tooltip
+              contentStyle={{ background: '#151c2c', border: 'none' }}
+              formatter={valueFormatter}
+            />
+            <Legend />
+            {splitByCategory ? (
+              <>
+                <Line
+                  type="monotone"
+                  dataKey={`${metric}_web`}
+                  name="Web"
+                  stroke="#8884d8"
+                  dot={false}
+                />
+                <Line
+                  type="monotone"
+                  dataKey={`${metric}_mobile`}
+                  name="Mobile"
+                  stroke="#82ca9d"
+                  dot={false}
+                />
+              </>
+            ) : (
+              <Line
+                type="monotone"
+                dataKey={metric}
+                name="Current period"
+                stroke="#8884d8"
+                dot={false}
+              />
+            )}
+            {showPrevious && (
+              <Line
+                type="monotone"
+                dataKey={METRICS[metric].previousKey}
+                name="Previous period"
+                stroke="#b7b7b7"
+                strokeDasharray="5 5"
+                dot={false}
+              />
+            )}
+          </LineChart>
+        </ResponsiveContainer>
+      )}
+    </div>
+  );
+}
+
+export default RevenueChart;
@@ -0,0 +1,49 @@
+'use client';
+
+import { useState, useEffect, useRef } from 'react';
+import { MdSearch } from 'react-icons/md';
+import styles from './search.module.css';
+
+// Recherche par nom, email ou téléphone (debounce 300 ms)
+function CustomerSearch({ placeholder, onSearchChange, initialValue = '' }) {
+  const [searchTerm, setSearchTerm] = useState(initialValue);
+  const debounceRef = useRef(null);
+
+  const handleSearchChange = (e) => {
+    const value = e.target.value;
+    setSearchTerm(value);
+
+    if (debounceRef.current) {
+      clearTimeout(debounceRef.current);
+    }
+
+    debounceRef.current = setTimeout(() => {
+      onSearchChange(value.trim());
+    }, 300);
+  };
+
+  // Nettoyer le timeout au démontage du composant
+  useEffect(() => {
+    return () => {
+      if (debounceRef.current) {
+        clearTimeout(debounceRef.current);
+      }
+    };
+  }, []);
+
+  return (
+    <div className={styles.container}>
+      <MdSearch alt="search icon" />
+      <input
+        id="searchCustomer"
+        type="text"
+        placeholder={placeholder}
+        className={styles.input}
+        value={searchTerm}
+        onChange={handleSearchChange}
+      />
+    </div>
+  );
+}
+
+export default CustomerSearch;
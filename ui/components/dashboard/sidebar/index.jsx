@@ -8,12 +8,17 @@ import {
   MdLogout,
   MdCreditCard,
   MdTv,
+  MdHistory,
+  MdEventRepeat,
+  MdPeople,
 } from 'react-icons/md';
 import Image from 'next/image';
+import Link from 'next/link';
 import { useState } from 'react';
 import MenuLink from './menuLink';
 import styles from './sidebar.module.css';
 import { signOut } from '@/lib/auth-client';
+import { canAccessSection, ROLE_LABELS } from '@/lib/permissions';
 
 const menuItems = [
   {
@@ -49,18 +54,41 @@ const menuItems = [
         path: '/dashboard/orders',
         icon: <MdAttachMoney />,
       },
+      {
+        title: 'Customers',
+        path: '/dashboard/customers',
+        icon: <MdPeople />,
+      },
+      {
+        title: 'Rents',
+        path: '/dashboard/rents',
+        icon: <MdEventRepeat />,
+      },
       {
         title: 'Users',
         path: '/dashboard/users',
         icon: <MdSupervisedUserCircle />,
       },
+      {
+        title: 'Audit log',
+        path: '/dashboard/audit',
+        icon: <MdHistory />,
+      },
     ],
   },
 ];
 
-function Sidebar() {
+function Sidebar({ user }) {
   const [isLoggingOut, setIsLoggingOut] = useState(false);
 
+  // ✅ Masquer les sections non autorisées pour le rôle courant
+  const visibleMenuItems = menuItems
+    .map((cat) => ({
+      ...cat,
+      list: cat.list.filter((item) => canAccessSection(user?.role, item.path)),
+    }))
+    .filter((cat) => cat.list.length > 0);
+
   /**
    * 🔥 SOLUTION: Hard redirect après signOut
    * Inspiré de bs-client-better-auth/components/layouts/Header.jsx
@@ -88,21 +116,24 @@ function Sidebar() {
 
   return (
     <div className={styles.container}>
-      <div className={styles.user}>
+      {/* ✅ Accès aux paramètres du compte (tous les rôles) */}
+      <Link href="/dashboard/account" className={styles.user}>
         <Image
           className={styles.userImage}
-          src="/noavatar.png"
+          src={user?.image || '/noavatar.png'}
           alt=""
           width="50"
           height="50"
         />
         <div className={styles.userDetail}>
-          <span className={styles.username}>Fathi Ahmed</span>
-          <span className={styles.userTitle}>Benew founder</span>
+          <span className={styles.username}>{user?.name || user?.email}</span>
+          <span className={styles.userTitle}>
+            {ROLE_LABELS[user?.role] || 'No role'}
+          </span>
         </div>
-      </div>
+      </Link>
       <ul className={styles.list}>
-        {menuItems.map((cat) => (
+        {visibleMenuItems.map((cat) => (
           <li key={cat.title}>
             <span className={styles.cat}>{cat.title}</span>
             {cat.list.map((item) => (
@@ -1,104 +1,75 @@
-import Image from 'next/image';
+import Link from 'next/link';
 import styles from './transactions.module.css';
 
-function Transactions() {
+const STATUS_DISPLAY = {
+  paid: { label: 'Paid', className: styles.done },
+  unpaid: { label: 'Pending', className: styles.pending },
+  refunded: { label: 'Refunded', className: styles.refunded },
+  failed: { label: 'Failed', className: styles.cancelled },
+};
+
+const formatPrice = (price) =>
+  new Intl.NumberFormat('fr-FR', {
+    style: 'currency',
+    currency: 'USD',
+    minimumFractionDigits: 0,
+    maximumFractionDigits: 2,
+  }).format(price);
+
+const formatDate = (date) =>
+  new Intl.DateTimeFormat('fr-FR', {
+    day: '2-digit',
+    month: '2-digit',
+    year: 'numeric',
+  }).format(new Date(date));
+
+function Transactions({ orders = [] }) {
   return (
     <div className={styles.container}>
       <h2 className={styles.title}>Latest Transactions</h2>
-      <table className={styles.table}>
-        <thead>
-          <tr>
-            <td>Name</td>
-            <td>Status</td>
-            <td>Date</td>
-            <td>Amount</td>
-          </tr>
-        </thead>
-        <tbody>
-          <tr>
-            <td>
-              <div className={styles.user}>
-                <Image
-                  src="/noavatar.png"
-                  alt=""
-                  width={40}
-                  height={40}
-                  className={styles.userImage}
-                />
-                John Doe
-              </div>
-            </td>
-            <td>
-              <span className={`${styles.status} ${styles.pending}`}>
-                Pending
-              </span>
-            </td>
-            <td>14.02.2024</td>
-            <td>$3.200</td>
-          </tr>
-          <tr>
-            <td>
-              <div className={styles.user}>
-                <Image
-                  src="/noavatar.png"
-                  alt=""
-                  width={40}
-                  height={40}
-                  className={styles.userImage}
-                />
-                John Doe
-              </div>
-            </td>
-            <td>
-              <span className={`${styles.status} ${styles.done}`}>Done</span>
-            </td>
-            <td>14.02.2024</td>
-            <td>$3.200</td>
-          </tr>
-          <tr>
-            <td>
-              <div className={styles.user}>
-                <Image
-                  src="/noavatar.png"
-                  alt=""
-                  width={40}
-                  height={40}
-                  className={styles.userImage}
-                />
-                John Doe
-              </div>
-            </td>
-            <td>
-              <span className={`${styles.status} ${styles.cancelled}`}>
-                Cancelled
-              </span>
-            </td>
-            <td>14.02.2024</td>
-            <td>$3.200</td>
-          </tr>
-          <tr>
-            <td>
-              <div className={styles.user}>
-                <Image
-                  src="/noavatar.png"
-                  alt=""
-                  width={40}
-                  height={40}
-                  className={styles.userImage}
-                />
-                John Doe
-              </div>
-            </td>
-            <td>
-              <span className={`${styles.status} ${styles.pending}`}>
-                Pending
-              </span>
-            </td>
-            <td>14.02.2024</td>
-            <td>$3.200</td>
-          </tr>
-        </tbody>
-      </table>
+      {orders.length === 0 ? (
+        <p className={styles.empty}>No orders in this period</p>
+      ) : (
+        <table className={styles.table}>
+          <thead>
+            <tr>
+              <td>Client</td>
+              <td>Application</td>
+              <td>Status</td>
+              <td>Date</td>
+              <td>Amount</td>
+            </tr>
+          </thead>
+          <tbody>
+            {orders.map((order) => {
+              const status =
+                STATUS_DISPLAY[order.order_payment_status] ||
+                STATUS_DISPLAY.unpaid;
+
+              return (
+                <tr key={order.order_id}>
+                  <td>
+                    <Link
+                      href={`/dashboard/orders/${order.order_id}`}
+                      className={styles.user}
+                    >
+                      {order.order_client_name || '—'}
+                    </Link>
+                  </td>
+                  <td>{order.application_name}</td>
+                  <td>
+                    <span className={`${styles.status} ${status.className}`}>
+                      {status.label}
+                    </span>
+                  </td>
+                  <td>{formatDate(order.order_created)}</td>
+                  <td>{formatPrice(order.order_total)}</td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      )}
     </div>
   );
 }
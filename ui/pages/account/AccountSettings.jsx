@@ -0,0 +1,515 @@
+// ui/pages/account/AccountSettings.jsx
+'use client';
+
+import { useState } from 'react';
+import Image from 'next/image';
+import Link from 'next/link';
+import { useRouter } from 'next/navigation';
+import { CldUploadWidget } from 'next-cloudinary';
+import { MdLogout, MdSecurity } from 'react-icons/md';
+import styles from '@/ui/styling/dashboard/account/account.module.css';
+import { changeEmail, changePassword, updateUser } from '@/lib/auth-client';
+import {
+  revokeAccountSession,
+  revokeOtherAccountSessions,
+} from '@/app/dashboard/account/actions';
+import {
+  changeEmailSchema,
+  changePasswordSchema,
+  profileSchema,
+} from '@/utils/schemas/authSchema';
+import { trackUI, trackAuthError } from '@/utils/monitoring';
+
+const formatDate = (date) => {
+  if (!date) return '—';
+
+  return new Date(date).toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+};
+
+// Erreurs Yup → { champ: message }
+const toFieldErrors = (validationError) => {
+  const fieldErrors = {};
+  validationError.inner?.forEach((err) => {
+    if (!fieldErrors[err.path]) fieldErrors[err.path] = err.message;
+  });
+  return fieldErrors;
+};
+
+function Feedback({ error, notice }) {
+  return (
+    <>
+      {error && <div className={styles.error}>{error}</div>}
+      {notice && <div className={styles.notice}>{notice}</div>}
+    </>
+  );
+}
+
+function ProfileSection({ user }) {
+  const router = useRouter();
+  const [name, setName] = useState(user.name);
+  const [image, setImage] = useState(user.image);
+  const [errors, setErrors] = useState({});
+  const [notice, setNotice] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setErrors({});
+    setNotice(null);
+
+    try {
+      const values = await profileSchema.validate(
+        { name: name.trim(), image: image || null },
+        { abortEarly: false },
+      );
+
+      setIsSaving(true);
+      const { error } = await updateUser({
+        name: values.name,
+        image: values.image,
+      });
+
+      if (error) {
+        setErrors({ submit: error.message || 'Failed to update the profile.' });
+        return;
+      }
+
+      setNotice('Profile updated.');
+      trackUI('account_profile_updated');
+      router.refresh();
+    } catch (err) {
+      if (err.name === 'ValidationError') {
+        setErrors(toFieldErrors(err));
+      } else {
+        trackAuthError(err, 'account_profile');
+        setErrors({ submit: 'An unexpected error occurred.' });
+      }
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className={styles.section} noValidate>
+      <h2>Profile</h2>
+
+      <div className={styles.avatarRow}>
+        <Image
+          src={image || '/noavatar.png'}
+          alt=""
+          width={64}
+          height={64}
+          className={styles.avatar}
+        />
+        <CldUploadWidget
+          signatureEndpoint="/api/dashboard/account/sign-image"
+          onSuccess={(result) => {
+            setImage(result?.info?.secure_url || '');
+            trackUI('account_avatar_uploaded');
+          }}
+          options={{
+            folder: 'avatars',
+            multiple: false,
+            sources: ['local'],
+            resourceType: 'image',
+            clientAllowedFormats: ['jpg', 'jpeg', 'png', 'webp'],
+            maxImageFileSize: 2000000,
+            cropping: true,
+            croppingAspectRatio: 1,
+          }}
+        >
+          {({ open }) => (
+            <button
+              type="button"
+              className={styles.secondaryButton}
+              onClick={() => open()}
+              disabled={isSaving}
+            >
+              Change avatar
+            </button>
+          )}
+        </CldUploadWidget>
+        {image && (
+          <button
+            type="button"
+            className={styles.secondaryButton}
+            onClick={() => setImage('')}
+            disabled={isSaving}
+          >
+            Remove
+          </button>
+        )}
+      </div>
+      {errors.image && <div className={styles.fieldError}>{errors.image}</div>}
+
+      <label className={styles.field}>
+        Name
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          className={styles.input}
+          autoComplete="name"
+          disabled={isSaving}
+        />
+      </label>
+      {errors.name && <div className={styles.fieldError}>{errors.name}</div>}
+
+      <Feedback error={errors.submit} notice={notice} />
+
+      <button type="submit" className={styles.button} disabled={isSaving}>
+        {isSaving ? 'Saving...' : 'Save profile'}
+      </button>
+    </form>
+  );
+}
+
+function PasswordSection() {
+  const [formData, setFormData] = useState({
+    currentPassword: '',
+    newPassword: '',
+    confirmPassword: '',
+  });
+  const [errors, setErrors] = useState({});
+  const [notice, setNotice] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const handleChange = (e) =>
+    setFormData((prev) => ({ ...prev, [e.target.name]: e.target.value }));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setErrors({});
+    setNotice(null);
+
+    try {
+      await changePasswordSchema.validate(formData, { abortEarly: false });
+
+      setIsSaving(true);
+      const { error } = await changePassword({
+        currentPassword: formData.currentPassword,
+        newPassword: formData.newPassword,
+        revokeOtherSessions: true,
+      });
+
+      if (error) {
+        setErrors({
+          submit:
+            error.status === 400
+              ? 'Current password is incorrect.'
+              : error.message || 'Failed to change the password.',
+        });
+        return;
+      }
+
+      setFormData({
+        currentPassword: '',
+        newPassword: '',
+        confirmPassword: '',
+      });
+      setNotice('Password changed. Your other sessions have been signed out.');
+      trackUI('account_password_changed');
+    } catch (err) {
+      if (err.name === 'ValidationError') {
+        setErrors(toFieldErrors(err));
+      } else {
+        trackAuthError(err, 'account_password');
+        setErrors({ submit: 'An unexpected error occurred.' });
+      }
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className={styles.section} noValidate>
+      <h2>Password</h2>
+
+      {[
+        ['currentPassword', 'Current password', 'current-password'],
+        ['newPassword', 'New password', 'new-password'],
+        ['confirmPassword', 'Confirm new password', 'new-password'],
+      ].map(([field, label, autoComplete]) => (
+        <div key={field}>
+          <label className={styles.field}>
+            {label}
+            <input
+              type="password"
+              name={field}
+              value={formData[field]}
+              onChange={handleChange}
+              className={styles.input}
+              autoComplete={autoComplete}
+              disabled={isSaving}
+            />
+          </label>
+          {errors[field] && (
+            <div className={styles.fieldError}>{errors[field]}</div>
+          )}
+        </div>
+      ))}
+
+      <Feedback error={errors.submit} notice={notice} />
+
+      <button type="submit" className={styles.button} disabled={isSaving}>
+        {isSaving ? 'Saving...' : 'Change password'}
+      </button>
+    </form>
+  );
+}
+
+function EmailSection({ user, emailChangeError }) {
+  const [formData, setFormData] = useState({ newEmail: '', confirmEmail: '' });
+  const [errors, setErrors] = useState(
+    emailChangeError
+      ? { submit: 'The verification link is invalid or has expired.' }
+      : {},
+  );
+  const [notice, setNotice] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const handleChange = (e) =>
+    setFormData((prev) => ({ ...prev, [e.target.name]: e.target.value }));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setErrors({});
+    setNotice(null);
+
+    try {
+      const values = await changeEmailSchema.validate(
+        {
+          newEmail: formData.newEmail.trim().toLowerCase(),
+          confirmEmail: formData.confirmEmail.trim().toLowerCase(),
+        },
+        { abortEarly: false },
+      );
+
+      setIsSaving(true);
+      const { error } = await changeEmail({
+        newEmail: values.newEmail,
+        callbackURL: '/dashboard/account',
+      });
+
+      if (error) {
+        setErrors({ submit: error.message || 'Failed to change the email.' });
+        return;
+      }
+
+      setFormData({ newEmail: '', confirmEmail: '' });
+      setNotice(
+        user.email_verified
+          ? `A confirmation link has been sent to ${user.email}. Your email changes once the new address is verified too.`
+          : `A verification link has been sent to ${values.newEmail}. Your email changes once it is verified.`,
+      );
+      trackUI('account_email_change_requested');
+    } catch (err) {
+      if (err.name === 'ValidationError') {
+        setErrors(toFieldErrors(err));
+      } else {
+        trackAuthError(err, 'account_email');
+        setErrors({ submit: 'An unexpected error occurred.' });
+      }
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className={styles.section} noValidate>
+      <h2>Email</h2>
+      <p className={styles.hint}>
+        Current email: <strong>{user.email}</strong>
+        {user.email_verified ? ' (verified)' : ' (not verified)'}
+      </p>
+
+      <label className={styles.field}>
+        New email
+        <input
+          type="email"
+          name="newEmail"
+          value={formData.newEmail}
+          onChange={handleChange}
+          className={styles.input}
+          autoComplete="email"
+          disabled={isSaving}
+        />
+      </label>
+      {errors.newEmail && (
+        <div className={styles.fieldError}>{errors.newEmail}</div>
+      )}
+
+      <label className={styles.field}>
+        Confirm new email
+        <input
+          type="email"
+          name="confirmEmail"
+          value={formData.confirmEmail}
+          onChange={handleChange}
+          className={styles.input}
+          disabled={isSaving}
+        />
+      </label>
+      {errors.confirmEmail && (
+        <div className={styles.fieldError}>{errors.confirmEmail}</div>
+      )}
+
+      <Feedback error={errors.submit} notice={notice} />
+
+      <button type="submit" className={styles.button} disabled={isSaving}>
+        {isSaving ? 'Sending...' : 'Change email'}
+      </button>
+    </form>
+  );
+}
+
+function SessionsSection({ sessions, currentSessionId }) {
+  const router = useRouter();
+  const [pendingId, setPendingId] = useState(null);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+
+  const run = async (id, execute, successMessage) => {
+    setPendingId(id);
+    setError(null);
+    setNotice(null);
+
+    try {
+      const result = await execute();
+
+      if (!result?.success) {
+        throw new Error('Action failed');
+      }
+
+      setNotice(successMessage(result));
+      trackUI('account_session_revoked');
+      router.refresh();
+    } catch (err) {
+      console.error('Account session error:', err);
+      setError(err.message || 'Action failed. Please try again.');
+    } finally {
+      setPendingId(null);
+    }
+  };
+
+  const otherSessions = sessions.filter(
+    (session) => session.id !== currentSessionId,
+  );
+
+  return (
+    <div className={styles.section}>
+      <div className={styles.sectionTop}>
+        <h2>Active sessions</h2>
+        <button
+          type="button"
+          className={styles.secondaryButton}
+          onClick={() =>
+            run(
+              'all',
+              () => revokeOtherAccountSessions(),
+              (result) => `${result.revokedSessions} session(s) signed out.`,
+            )
+          }
+          disabled={otherSessions.length === 0 || pendingId !== null}
+        >
+          <MdLogout /> Sign out other sessions
+        </button>
+      </div>
+
+      <Feedback error={error} notice={notice} />
+
+      <table className={styles.table}>
+        <thead>
+          <tr>
+            <td>Device</td>
+            <td>IP address</td>
+            <td>Signed in</td>
+            <td>Last active</td>
+            <td></td>
+          </tr>
+        </thead>
+        <tbody>
+          {sessions.map((session) => {
+            const isCurrent = session.id === currentSessionId;
+
+            return (
+              <tr key={session.id}>
+                <td>
+                  {session.device}
+                  {isCurrent && (
+                    <span className={styles.current}>This device</span>
+                  )}
+                </td>
+                <td>{session.ip_address}</td>
+                <td>{formatDate(session.created_at)}</td>
+                <td>{formatDate(session.last_active)}</td>
+                <td>
+                  {!isCurrent && (
+                    <button
+                      type="button"
+                      className={styles.secondaryButton}
+                      onClick={() =>
+                        run(
+                          session.id,
+                          () => revokeAccountSession(session.id),
+                          () => `${session.device} signed out.`,
+                        )
+                      }
+                      disabled={pendingId !== null}
+                    >
+                      Revoke
+                    </button>
+                  )}
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+export default function AccountSettings({
+  user,
+  sessions = [],
+  currentSessionId,
+  emailChangeError,
+}) {
+  return (
+    <div className={styles.container}>
+      <div className={styles.top}>
+        <h1>My Account</h1>
+      </div>
+
+      <div className={styles.grid}>
+        <ProfileSection user={user} />
+        <EmailSection user={user} emailChangeError={emailChangeError} />
+        <PasswordSection />
+
+        <div className={styles.section}>
+          <h2>Two-factor authentication</h2>
+          <p className={styles.hint}>
+            {user.two_factor_enabled
+              ? 'Enabled: a code from your authenticator app is required at login.'
+              : 'Not enabled: add a second step to your login.'}
+          </p>
+          <Link href="/two-factor/setup" className={styles.secondaryButton}>
+            <MdSecurity /> Manage two-factor authentication
+          </Link>
+        </div>
+      </div>
+
+      <SessionsSection
+        sessions={sessions}
+        currentSessionId={currentSessionId}
+      />
+    </div>
+  );
+}
@@ -7,6 +7,7 @@ import Image from 'next/image';
 import { CldUploadWidget } from 'next-cloudinary';
 import styles from '@/ui/styling/dashboard/applications/add/addApplication.module.css';
 import { applicationAddingSchema } from '@/utils/schemas/applicationSchema';
+import RichTextEditor from '@/ui/components/dashboard/RichTextEditor';
 import {
   trackForm,
   trackUpload,
@@ -354,18 +355,13 @@ export default function AddApplication({ templates }) {
 
         {/* Description */}
         <div className={styles.inputGroup}>
-          <label htmlFor="description" className={styles.label}>
-            Description (optionnel)
-          </label>
-          <textarea
-            id="description"
-            name="description"
-            placeholder="Décrivez les fonctionnalités principales de l'application..."
-            cols="30"
-            rows="4"
+          <label className={styles.label}>Description (optionnel)</label>
+          <RichTextEditor
             value={description}
-            onChange={(e) => setDescription(e.target.value)}
-            className={styles.textarea}
+            onChange={setDescription}
+            maxLength={1000}
+            signatureEndpoint="/api/dashboard/applications/add/sign-image"
+            uploadFolder="applications"
           />
         </div>
 
@@ -482,6 +478,10 @@ export default function AddApplication({ templates }) {
         )}
 
         {/* Submit */}
+        <p className={styles.uploadHint}>
+          L&apos;application est créée en brouillon : publiez-la ou programmez
+          sa publication depuis sa page de modification.
+        </p>
         <button
           type="submit"
           className={`${styles.addButton} ${isLoading ? styles.loading : ''}`}
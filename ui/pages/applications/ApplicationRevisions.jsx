@@ -0,0 +1,250 @@
+// ui/pages/applications/ApplicationRevisions.jsx
+'use client';
+
+import { useState, useTransition } from 'react';
+import Image from 'next/image';
+import { useRouter } from 'next/navigation';
+import { MdHistory, MdRestore } from 'react-icons/md';
+import styles from '@/ui/styling/dashboard/applications/applicationRevisions.module.css';
+import RichTextContent from '@/ui/components/dashboard/RichTextEditor/RichTextContent';
+import { rollbackApplication } from '@/app/dashboard/applications/actions';
+import { trackUI, trackDatabaseError } from '@/utils/monitoring';
+
+// Champs comparés (clés des révisions, voir lib/applicationRevisions.js)
+const FIELDS = [
+  { key: 'name', label: 'Name' },
+  { key: 'link', label: 'Link' },
+  { key: 'admin', label: 'Admin Link' },
+  { key: 'description', label: 'Description', type: 'richText' },
+  { key: 'category', label: 'Category' },
+  { key: 'level', label: 'Level' },
+  { key: 'fee', label: 'Fee', suffix: ' Fdj' },
+  { key: 'rent', label: 'Rent', suffix: ' Fdj/month' },
+  { key: 'imageUrls', label: 'Images', type: 'images' },
+  { key: 'otherVersions', label: 'Other Versions', type: 'images' },
+];
+
+// Version actuelle au format des révisions
+function toSnapshot(application) {
+  const otherVersions = application.application_other_versions;
+
+  return {
+    name: application.application_name,
+    link: application.application_link,
+    admin: application.application_admin_link || null,
+    description: application.application_description || null,
+    category: application.application_category,
+    level: parseInt(application.application_level, 10) || 1,
+    fee: application.application_fee,
+    rent: application.application_rent,
+    imageUrls: application.application_images || [],
+    otherVersions:
+      Array.isArray(otherVersions) && otherVersions.length > 0
+        ? otherVersions
+        : null,
+  };
+}
+
+const isSameValue = (a, b) =>
+  JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+const formatDate = (dateString) =>
+  new Date(dateString).toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+
+function FieldValue({ field, value }) {
+  if (value === null || value === undefined || value === '') {
+    return <span className={styles.empty}>—</span>;
+  }
+
+  if (field.type === 'richText') {
+    return <RichTextContent html={value} className={styles.richText} />;
+  }
+
+  if (field.type === 'images') {
+    return (
+      <div className={styles.thumbnails}>
+        {value.map((imageId) => (
+          <Image
+            key={imageId}
+            src={`https://res.cloudinary.com/${process.env.NEXT_PUBLIC_CLOUDINARY_CLOUD_NAME}/image/upload/c_fill,w_120,h_90/${imageId}`}
+            alt={imageId}
+            width={120}
+            height={90}
+            className={styles.thumbnail}
+          />
+        ))}
+      </div>
+    );
+  }
+
+  return (
+    <span>
+      {value}
+      {field.suffix}
+    </span>
+  );
+}
+
+export default function ApplicationRevisions({
+  application,
+  revisions = [],
+  canRestore = false,
+}) {
+  const router = useRouter();
+  const [selectedId, setSelectedId] = useState(revisions[0]?.id || null);
+  const [error, setError] = useState(null);
+  const [isPending, startTransition] = useTransition();
+
+  if (revisions.length === 0) return null;
+
+  const selected =
+    revisions.find((revision) => revision.id === selectedId) || revisions[0];
+  const current = toSnapshot(application);
+  const changedFields = FIELDS.filter(
+    (field) => !isSameValue(selected.snapshot[field.key], current[field.key]),
+  );
+
+  const handleRestore = () => {
+    if (
+      !confirm(
+        `Restore revision #${selected.number}? The current version will be saved as a new revision.`,
+      )
+    ) {
+      return;
+    }
+
+    setError(null);
+    trackUI('application_revision_restore_started', {
+      applicationId: application.application_id,
+      revisionNumber: selected.number,
+    });
+
+    startTransition(async () => {
+      try {
+        const result = await rollbackApplication(
+          application.application_id,
+          selected.id,
+        );
+
+        if (!result.success) {
+          setError(result.error);
+          return;
+        }
+
+        trackUI('application_revision_restored', {
+          applicationId: application.application_id,
+          revisionNumber: selected.number,
+        });
+        router.refresh();
+      } catch (restoreError) {
+        setError(restoreError.message || 'Failed to restore the revision');
+        trackDatabaseError(
+          restoreError,
+          'restore_application_revision_client',
+          {
+            applicationId: application.application_id,
+          },
+        );
+      }
+    });
+  };
+
+  return (
+    <section className={styles.revisionsSection}>
+      <h2 className={styles.title}>
+        <MdHistory /> Revision History ({revisions.length})
+      </h2>
+
+      <div className={styles.layout}>
+        <ul className={styles.revisionList}>
+          {revisions.map((revision) => (
+            <li key={revision.id}>
+              <button
+                type="button"
+                className={`${styles.revisionItem} ${revision.id === selected.id ? styles.selected : ''}`}
+                onClick={() => {
+                  setSelectedId(revision.id);
+                  setError(null);
+                }}
+              >
+                <span className={styles.revisionNumber}>
+                  #{revision.number}
+                  {revision.source === 'restore' && (
+                    <span className={styles.restoreBadge}>
+                      before restoring #{revision.restored_from}
+                    </span>
+                  )}
+                </span>
+                <span className={styles.revisionMeta}>
+                  {formatDate(revision.created_at)}
+                  {revision.actor_email && ` · ${revision.actor_email}`}
+                </span>
+              </button>
+            </li>
+          ))}
+        </ul>
+
+        <div className={styles.diff}>
+          <p className={styles.diffSummary}>
+            {changedFields.length === 0
+              ? 'This revision matches the current version.'
+              : `${changedFields.length} field(s) differ from the current version.`}
+          </p>
+
+          <table className={styles.diffTable}>
+            <thead>
+              <tr>
+                <th>Field</th>
+                <th>Revision #{selected.number}</th>
+                <th>Current</th>
+              </tr>
+            </thead>
+            <tbody>
+              {FIELDS.map((field) => (
+                <tr
+                  key={field.key}
+                  className={
+                    changedFields.includes(field) ? styles.changed : undefined
+                  }
+                >
+                  <th scope="row">{field.label}</th>
+                  <td>
+                    <FieldValue
+                      field={field}
+                      value={selected.snapshot[field.key]}
+                    />
+                  </td>
+                  <td>
+                    <FieldValue field={field} value={current[field.key]} />
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          {error && <p className={styles.error}>{error}</p>}
+
+          {canRestore && (
+            <div className={styles.actions}>
+              <button
+                type="button"
+                className={styles.restoreButton}
+                onClick={handleRestore}
+                disabled={isPending || changedFields.length === 0}
+              >
+                <MdRestore />
+                {isPending ? 'Restoring...' : `Restore #${selected.number}`}
+              </button>
+            </div>
+          )}
+        </div>
+      </div>
+    </section>
+  );
+}
@@ -9,45 +9,80 @@ import { MdAdd, MdMonitor, MdPhoneIphone } from 'react-icons/md';
 import styles from '@/ui/styling/dashboard/applications/applicationsList.module.css';
 import AppFilters from '@/ui/components/dashboard/AppFilters';
 import AppSearch from '@/ui/components/dashboard/search/AppSearch';
-import { getFilteredApplications } from '@/app/dashboard/applications/actions';
+import ListPagination, {
+  SortControl,
+  syncListUrl,
+} from '@/ui/components/dashboard/ListPagination';
+import BulkActions, {
+  BulkSelectCheckbox,
+} from '@/ui/components/dashboard/BulkActions';
+import {
+  getFilteredApplications,
+  bulkUpdateApplicationsActive,
+  bulkDeleteApplications,
+} from '@/app/dashboard/applications/actions';
+import { APPLICATION_STATUS_LABELS } from '@/utils/schemas/applicationSchema';
 import {
   trackUI,
   trackNavigation,
   trackDatabaseError,
 } from '@/utils/monitoring';
 
-export default function ApplicationsList({ data }) {
+const STATUS_CARD_CLASSES = {
+  published: 'activeCard',
+  scheduled: 'scheduledCard',
+};
+
+const formatScheduleDate = (date) =>
+  new Date(date).toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+
+export default function ApplicationsList({
+  data,
+  pageInfo: initialPageInfo,
+  filters: initialFilters,
+}) {
   const router = useRouter();
   const [applications, setApplications] = useState(data);
+  const [pageInfo, setPageInfo] = useState(initialPageInfo);
   const [isPending, startTransition] = useTransition();
-  const [currentFilters, setCurrentFilters] = useState({});
+  const [currentFilters, setCurrentFilters] = useState(initialFilters || {});
   const [error, setError] = useState(null);
   const [isDeleting, setIsDeleting] = useState(false);
   const [deleteId, setDeleteId] = useState(null);
+  const [selectedIds, setSelectedIds] = useState([]);
 
   useEffect(() => {
     setApplications(data);
+    setPageInfo(initialPageInfo);
     trackUI('applications_list_mounted', {
       count: data.length,
     });
-  }, [data]);
+  }, [data, initialPageInfo]);
 
-  // Gestion des filtres
-  const handleFilterChange = (newFilters) => {
-    setCurrentFilters(newFilters);
-    setError(null);
-
-    trackUI('filter_changed', {
-      filtersCount: Object.keys(newFilters).length,
-    });
+  // Chargement d'une page (filtres, tri, taille de page, curseur)
+  // Sans curseur explicite, on repart de la première page.
+  const loadApplications = (filters, listChanges = {}) => {
+    const listParams = {
+      sort: pageInfo?.sort,
+      direction: pageInfo?.direction,
+      pageSize: pageInfo?.pageSize,
+      ...listChanges,
+    };
 
     startTransition(async () => {
       try {
-        const filteredData = await getFilteredApplications(newFilters);
-        setApplications(filteredData);
+        const result = await getFilteredApplications(filters, listParams);
+        setApplications(result.applications);
+        setPageInfo(result.pageInfo);
+        syncListUrl('applications', listParams, filters);
 
         trackUI('filter_applied_successfully', {
-          resultsCount: filteredData.length,
+          resultsCount: result.applications.length,
         });
       } catch (error) {
         console.error('Filter error:', error);
@@ -57,6 +92,25 @@ export default function ApplicationsList({ data }) {
     });
   };
 
+  // Gestion des filtres
+  const handleFilterChange = (newFilters) => {
+    setCurrentFilters(newFilters);
+    setError(null);
+
+    trackUI('filter_changed', {
+      filtersCount: Object.keys(newFilters).length,
+    });
+
+    loadApplications(newFilters);
+  };
+
+  // Tri et pagination
+  const handleListChange = (listChanges) => {
+    setError(null);
+    trackUI('applications_list_params_changed', listChanges);
+    loadApplications(currentFilters, listChanges);
+  };
+
   // Effacer tous les filtres
   const clearAllFilters = () => {
     setCurrentFilters({});
@@ -64,16 +118,7 @@ export default function ApplicationsList({ data }) {
 
     trackUI('filters_cleared');
 
-    startTransition(async () => {
-      try {
-        const allData = await getFilteredApplications({});
-        setApplications(allData);
-      } catch (error) {
-        console.error('Clear filters error:', error);
-        setError('Failed to clear filters. Please refresh the page.');
-        trackDatabaseError(error, 'clear_filters_client');
-      }
-    });
+    loadApplications({});
   };
 
   // Suppression d'une application
@@ -117,6 +162,14 @@ export default function ApplicationsList({ data }) {
     }
   };
 
+  const toggleSelected = (applicationId) => {
+    setSelectedIds((prev) =>
+      prev.includes(applicationId)
+        ? prev.filter((id) => id !== applicationId)
+        : [...prev, applicationId],
+    );
+  };
+
   // Navigation
   const handleNavigate = (path, applicationId) => {
     trackNavigation('application_navigation', {
@@ -141,6 +194,12 @@ export default function ApplicationsList({ data }) {
           onFilterChange={handleFilterChange}
           currentFilters={currentFilters}
         />
+        <SortControl
+          listKey="applications"
+          pageInfo={pageInfo}
+          onChange={handleListChange}
+          disabled={isPending}
+        />
         <button
           onClick={() => handleNavigate('/dashboard/applications/add', null)}
           className={styles.addButton}
@@ -165,28 +224,48 @@ export default function ApplicationsList({ data }) {
           {error}
           <button
             className={styles.retryButton}
-            onClick={() => handleFilterChange(currentFilters)}
+            onClick={() => loadApplications(currentFilters)}
           >
             Retry
           </button>
         </div>
       )}
 
+      {/* Actions groupées (publier = activer, archiver = désactiver) */}
+      <BulkActions
+        pageIds={(applications || []).map((app) => app.application_id)}
+        selectedIds={selectedIds}
+        onSelectionChange={setSelectedIds}
+        entityName="applications"
+        onBulkActive={bulkUpdateApplicationsActive}
+        onBulkDelete={bulkDeleteApplications}
+        onComplete={() => loadApplications(currentFilters)}
+        activateLabel="Publish"
+        deactivateLabel="Archive"
+      />
+
       {/* Grid des applications */}
       <div className={styles.applicationsGrid}>
         {applications && applications.length > 0 ? (
           applications.map((app) => (
             <div
               key={app.application_id}
-              className={`${styles.applicationCard} ${app.is_active ? styles.activeCard : styles.inactiveCard}`}
+              className={`${styles.applicationCard} ${styles[STATUS_CARD_CLASSES[app.application_status] || 'inactiveCard']}`}
             >
+              <BulkSelectCheckbox
+                checked={selectedIds.includes(app.application_id)}
+                onChange={() => toggleSelected(app.application_id)}
+                label={`Select ${app.application_name}`}
+              />
+
               {/* Status indicator */}
               <div
-                className={`${styles.statusIndicator} ${app.is_active ? styles.activeIndicator : styles.inactiveIndicator}`}
+                className={`${styles.statusIndicator} ${styles[`${app.application_status}Indicator`] || ''}`}
               >
                 <span className={styles.statusDot}></span>
                 <span className={styles.statusText}>
-                  {app.is_active ? 'Active' : 'Inactive'}
+                  {APPLICATION_STATUS_LABELS[app.application_status] ||
+                    app.application_status}
                 </span>
               </div>
 
@@ -225,6 +304,17 @@ export default function ApplicationsList({ data }) {
                 <p>Fee: {app.application_fee} Fdj</p>
                 <p>Rent: {app.application_rent} Fdj/month</p>
                 {app.sales_count > 0 && <p>Sales: {app.sales_count}</p>}
+                {app.application_publish_at && (
+                  <p className={styles.schedule}>
+                    Publishes {formatScheduleDate(app.application_publish_at)}
+                  </p>
+                )}
+                {app.application_unpublish_at && (
+                  <p className={styles.schedule}>
+                    Unpublishes{' '}
+                    {formatScheduleDate(app.application_unpublish_at)}
+                  </p>
+                )}
                 <a
                   href={app.application_link}
                   target="_blank"
@@ -257,7 +347,7 @@ export default function ApplicationsList({ data }) {
                   }
                   title={
                     app.is_active
-                      ? 'Deactivate before deleting'
+                      ? 'Unpublish before deleting'
                       : 'Delete application'
                   }
                 >
@@ -288,6 +378,13 @@ export default function ApplicationsList({ data }) {
           </div>
         )}
       </div>
+
+      <ListPagination
+        pageInfo={pageInfo}
+        count={applications.length}
+        onChange={handleListChange}
+        disabled={isPending}
+      />
     </div>
   );
 }
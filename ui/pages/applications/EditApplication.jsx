@@ -8,7 +8,12 @@ import Link from 'next/link';
 import { CldUploadWidget } from 'next-cloudinary';
 import { MdArrowBack, MdInfo, MdCheck, MdClose, MdError } from 'react-icons/md';
 import styles from '@/ui/styling/dashboard/applications/edit/editApplication.module.css';
-import { applicationUpdateSchema } from '@/utils/schemas/applicationSchema';
+import {
+  APPLICATION_STATUSES,
+  APPLICATION_STATUS_LABELS,
+  applicationUpdateSchema,
+} from '@/utils/schemas/applicationSchema';
+import RichTextEditor from '@/ui/components/dashboard/RichTextEditor';
 import {
   trackForm,
   trackUpload,
@@ -17,6 +22,21 @@ import {
   trackNavigation,
 } from '@/utils/monitoring';
 
+// Date → valeur d'un <input type="datetime-local"> (heure locale)
+const toDateTimeLocal = (date) => {
+  if (!date) return '';
+  const value = new Date(date);
+  value.setMinutes(value.getMinutes() - value.getTimezoneOffset());
+  return value.toISOString().slice(0, 16);
+};
+
+const STATUS_HINTS = {
+  draft: 'Hidden from the store',
+  scheduled: 'Published automatically at the chosen date',
+  published: 'Visible on the store',
+  archived: 'Withdrawn from the store',
+};
+
 export default function EditApplication({ application }) {
   const router = useRouter();
 
@@ -42,7 +62,16 @@ export default function EditApplication({ application }) {
       : [],
   );
 
-  const [isActive, setIsActive] = useState(application.is_active);
+  const [status, setStatus] = useState(
+    application.application_status || 'draft',
+  );
+  const [publishAt, setPublishAt] = useState(
+    toDateTimeLocal(application.application_publish_at),
+  );
+  const [unpublishAt, setUnpublishAt] = useState(
+    toDateTimeLocal(application.application_unpublish_at),
+  );
+  const isPublished = status === 'published';
 
   // Read-only fields
   const salesCount = application.sales_count || 0;
@@ -92,8 +121,16 @@ export default function EditApplication({ application }) {
       imageUrls,
       // ✅ MODIFIÉ: Envoyer otherVersions comme array
       otherVersions: otherVersions.length > 0 ? otherVersions : null,
-      isActive,
-      oldImageUrls: application.application_images,
+      status,
+      // Heure locale du navigateur → instant ISO
+      publishAt:
+        status === 'scheduled' && publishAt
+          ? new Date(publishAt).toISOString()
+          : null,
+      unpublishAt:
+        ['scheduled', 'published'].includes(status) && unpublishAt
+          ? new Date(unpublishAt).toISOString()
+          : null,
     };
 
     try {
@@ -169,7 +206,7 @@ export default function EditApplication({ application }) {
 
   return (
     <div
-      className={`${styles.editApplicationContainer} ${isActive ? styles.activeContainer : styles.inactiveContainer}`}
+      className={`${styles.editApplicationContainer} ${isPublished ? styles.activeContainer : styles.inactiveContainer}`}
     >
       <Link
         href="/dashboard/applications"
@@ -182,19 +219,14 @@ export default function EditApplication({ application }) {
       <div className={styles.header}>
         <h1>Edit Application</h1>
         <div
-          className={`${styles.statusIndicator} ${isActive ? styles.active : styles.inactive}`}
+          className={`${styles.statusIndicator} ${isPublished ? styles.active : styles.inactive}`}
         >
-          {isActive ? (
-            <>
-              <MdCheck className={styles.statusIcon} />
-              <span>Active Application</span>
-            </>
+          {isPublished ? (
+            <MdCheck className={styles.statusIcon} />
           ) : (
-            <>
-              <MdClose className={styles.statusIcon} />
-              <span>Inactive Application</span>
-            </>
+            <MdClose className={styles.statusIcon} />
           )}
+          <span>{APPLICATION_STATUS_LABELS[status]} Application</span>
         </div>
       </div>
 
@@ -217,6 +249,14 @@ export default function EditApplication({ application }) {
             <strong>Last Updated:</strong>
             <span className={styles.dateValue}>{formatDate(updatedAt)}</span>
           </div>
+          {application.application_published_at && (
+            <div className={styles.readOnlyItem}>
+              <strong>Last Published:</strong>
+              <span className={styles.dateValue}>
+                {formatDate(application.application_published_at)}
+              </span>
+            </div>
+          )}
         </div>
       </div>
 
@@ -348,13 +388,13 @@ export default function EditApplication({ application }) {
 
         {/* Description */}
         <div className={styles.inputGroup}>
-          <textarea
-            name="description"
-            className={`${styles.description} ${hasFieldError('description') ? styles.inputError : ''}`}
-            placeholder="Application Description"
+          <RichTextEditor
             value={description}
-            onChange={(e) => setDescription(e.target.value)}
-            rows="5"
+            onChange={setDescription}
+            hasError={hasFieldError('description')}
+            maxLength={1000}
+            signatureEndpoint="/api/dashboard/applications/add/sign-image"
+            uploadFolder="applications"
           />
           {hasFieldError('description') && (
             <div className={styles.fieldError}>
@@ -404,34 +444,77 @@ export default function EditApplication({ application }) {
             )}
           </div>
 
-          {/* Active Toggle */}
+          {/* Publication */}
           <div className={styles.activeToggle}>
-            <h4>Application Status</h4>
+            <h4>Publication *</h4>
             <div
-              className={
-                hasFieldError('isActive') ? styles.checkboxGroupError : ''
-              }
+              className={hasFieldError('status') ? styles.radioGroupError : ''}
             >
-              <label className={styles.checkboxLabel}>
-                <input
-                  type="checkbox"
-                  checked={isActive}
-                  onChange={(e) => setIsActive(e.target.checked)}
-                  className={styles.activeCheckbox}
-                />
-                <span
-                  className={`${styles.checkboxText} ${isActive ? styles.activeText : styles.inactiveText}`}
-                >
-                  {isActive
-                    ? 'Application is Active'
-                    : 'Application is Inactive'}
-                </span>
-              </label>
+              {APPLICATION_STATUSES.map((value) => (
+                <label key={value} className={styles.radioLabel}>
+                  <input
+                    type="radio"
+                    name="status"
+                    value={value}
+                    checked={status === value}
+                    onChange={(e) => setStatus(e.target.value)}
+                  />
+                  <span>
+                    {APPLICATION_STATUS_LABELS[value]}
+                    <small className={styles.statusHint}>
+                      {STATUS_HINTS[value]}
+                    </small>
+                  </span>
+                </label>
+              ))}
             </div>
-            {hasFieldError('isActive') && (
+            {hasFieldError('status') && (
               <div className={styles.fieldError}>
                 <MdError className={styles.errorIcon} />
-                <span>{getFieldError('isActive')}</span>
+                <span>{getFieldError('status')}</span>
+              </div>
+            )}
+
+            {status === 'scheduled' && (
+              <div className={styles.inputGroup}>
+                <label htmlFor="publishAt" className={styles.scheduleLabel}>
+                  Publish on *
+                </label>
+                <input
+                  id="publishAt"
+                  type="datetime-local"
+                  value={publishAt}
+                  onChange={(e) => setPublishAt(e.target.value)}
+                  className={`${styles.levelSelect} ${hasFieldError('publishAt') ? styles.inputError : ''}`}
+                  required
+                />
+                {hasFieldError('publishAt') && (
+                  <div className={styles.fieldError}>
+                    <MdError className={styles.errorIcon} />
+                    <span>{getFieldError('publishAt')}</span>
+                  </div>
+                )}
+              </div>
+            )}
+
+            {['scheduled', 'published'].includes(status) && (
+              <div className={styles.inputGroup}>
+                <label htmlFor="unpublishAt" className={styles.scheduleLabel}>
+                  Archive on (optional)
+                </label>
+                <input
+                  id="unpublishAt"
+                  type="datetime-local"
+                  value={unpublishAt}
+                  onChange={(e) => setUnpublishAt(e.target.value)}
+                  className={`${styles.levelSelect} ${hasFieldError('unpublishAt') ? styles.inputError : ''}`}
+                />
+                {hasFieldError('unpublishAt') && (
+                  <div className={styles.fieldError}>
+                    <MdError className={styles.errorIcon} />
+                    <span>{getFieldError('unpublishAt')}</span>
+                  </div>
+                )}
               </div>
             )}
           </div>
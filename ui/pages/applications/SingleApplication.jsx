@@ -7,13 +7,23 @@ import Link from 'next/link';
 import { useRouter } from 'next/navigation';
 import { MdArrowBack, MdCheck, MdClose } from 'react-icons/md';
 import styles from '@/ui/styling/dashboard/applications/singleApplication.module.css';
+import RichTextContent from '@/ui/components/dashboard/RichTextEditor/RichTextContent';
+import ApplicationRevisions from '@/ui/pages/applications/ApplicationRevisions';
+import DuplicateButton from '@/ui/components/dashboard/DuplicateButton';
+import { createApplicationCopy } from '@/app/dashboard/applications/actions';
+import { APPLICATION_STATUS_LABELS } from '@/utils/schemas/applicationSchema';
 import {
   trackUI,
   trackNavigation,
   trackDatabaseError,
 } from '@/utils/monitoring';
 
-export default function SingleApplication({ data }) {
+export default function SingleApplication({
+  data,
+  revisions = [],
+  canRestore = false,
+  canDuplicate = false,
+}) {
   const router = useRouter();
   const [application, setApplication] = useState(data);
   const [isDeleting, setIsDeleting] = useState(false);
@@ -114,16 +124,14 @@ export default function SingleApplication({ data }) {
         className={`${styles.statusIndicator} ${application.is_active ? styles.active : styles.inactive}`}
       >
         {application.is_active ? (
-          <>
-            <MdCheck className={styles.statusIcon} />
-            <span>Active Application</span>
-          </>
+          <MdCheck className={styles.statusIcon} />
         ) : (
-          <>
-            <MdClose className={styles.statusIcon} />
-            <span>Inactive Application</span>
-          </>
+          <MdClose className={styles.statusIcon} />
         )}
+        <span>
+          {APPLICATION_STATUS_LABELS[application.application_status]}{' '}
+          Application
+        </span>
       </div>
 
       <div className={styles.applicationDetails}>
@@ -176,10 +184,10 @@ export default function SingleApplication({ data }) {
           )}
 
           {application.application_description && (
-            <p>
-              <strong>Description:</strong>{' '}
-              {application.application_description}
-            </p>
+            <div className={styles.description}>
+              <strong>Description:</strong>
+              <RichTextContent html={application.application_description} />
+            </div>
           )}
 
           <p>
@@ -208,7 +216,7 @@ export default function SingleApplication({ data }) {
               <span
                 className={`${styles.statusBadge} ${application.is_active ? styles.activeBadge : styles.inactiveBadge}`}
               >
-                {application.is_active ? 'Active' : 'Inactive'}
+                {APPLICATION_STATUS_LABELS[application.application_status]}
               </span>
             </div>
           </div>
@@ -228,6 +236,33 @@ export default function SingleApplication({ data }) {
                 {formatDate(application.updated_at)}
               </span>
             </p>
+
+            {application.application_published_at && (
+              <p>
+                <strong>Last Published:</strong>
+                <span className={styles.dateValue}>
+                  {formatDate(application.application_published_at)}
+                </span>
+              </p>
+            )}
+
+            {application.application_publish_at && (
+              <p>
+                <strong>Publishes On:</strong>
+                <span className={styles.dateValue}>
+                  {formatDate(application.application_publish_at)}
+                </span>
+              </p>
+            )}
+
+            {application.application_unpublish_at && (
+              <p>
+                <strong>Archives On:</strong>
+                <span className={styles.dateValue}>
+                  {formatDate(application.application_unpublish_at)}
+                </span>
+              </p>
+            )}
           </div>
         </div>
       </div>
@@ -261,6 +296,13 @@ export default function SingleApplication({ data }) {
           </div>
         )}
 
+      {/* Historique des révisions */}
+      <ApplicationRevisions
+        application={application}
+        revisions={revisions}
+        canRestore={canRestore}
+      />
+
       {/* Actions */}
       <div className={styles.applicationActions}>
         <Link
@@ -274,6 +316,17 @@ export default function SingleApplication({ data }) {
         >
           Edit
         </Link>
+        {canDuplicate && (
+          <DuplicateButton
+            entityType="application"
+            duplicate={(copyImages) =>
+              createApplicationCopy(application.application_id, copyImages)
+            }
+            editHref={({ applicationId }) =>
+              `/dashboard/applications/${applicationId}/edit`
+            }
+          />
+        )}
         <button
           className={`${styles.actionButton} ${styles.deleteButton} ${
             application.is_active || isDeleting ? styles.disabled : ''
@@ -284,7 +337,7 @@ export default function SingleApplication({ data }) {
           disabled={application.is_active || isDeleting}
           title={
             application.is_active
-              ? 'Cannot delete active application. Please deactivate first.'
+              ? 'Cannot delete a published application. Please unpublish it first.'
               : 'Delete application'
           }
         >
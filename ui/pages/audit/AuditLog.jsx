@@ -0,0 +1,315 @@
+// ui/pages/audit/AuditLog.jsx
+'use client';
+
+import { useState } from 'react';
+import Link from 'next/link';
+import { MdFilterList, MdRefresh } from 'react-icons/md';
+import styles from '@/ui/styling/dashboard/audit/audit.module.css';
+import AuditChanges from '@/ui/components/dashboard/EntityHistory/AuditChanges';
+import ListPagination, {
+  SortControl,
+  syncListUrl,
+} from '@/ui/components/dashboard/ListPagination';
+import { getFilteredAuditLog } from '@/app/dashboard/audit/actions';
+import {
+  AUDIT_ACTIONS,
+  AUDIT_ENTITY_LABELS,
+  AUDIT_ENTITY_TYPES,
+} from '@/utils/schemas/auditSchema';
+import { trackUI, trackDatabaseError } from '@/utils/monitoring';
+
+// Pages de détail par type d'entité
+const ENTITY_PATHS = {
+  application: (id) => `/dashboard/applications/${id}`,
+  template: (id) => `/dashboard/templates/${id}`,
+  platform: (id) => `/dashboard/platforms/edit/${id}`,
+  video: (id) => `/dashboard/channel/${id}`,
+  order: (id) => `/dashboard/orders/${id}`,
+  user: () => '/dashboard/users',
+  invitation: () => '/dashboard/users/invitations',
+};
+
+const EMPTY_FILTERS = {
+  actor: '',
+  action: '',
+  entityType: '',
+  entityId: '',
+  dateFrom: '',
+  dateTo: '',
+};
+
+const formatDate = (date) =>
+  new Date(date).toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+  });
+
+// Champs vides retirés avant l'appel de la server action
+const compactFilters = (filters) =>
+  Object.fromEntries(Object.entries(filters).filter(([, value]) => value));
+
+export default function AuditLog({
+  data = [],
+  totalEntries = 0,
+  pageInfo: initialPageInfo = null,
+  initialFilters = {},
+}) {
+  const [entries, setEntries] = useState(data);
+  const [total, setTotal] = useState(totalEntries);
+  const [pageInfo, setPageInfo] = useState(initialPageInfo);
+  const [filters, setFilters] = useState({
+    ...EMPTY_FILTERS,
+    ...initialFilters,
+  });
+  // Filtres de la page affichée (le formulaire peut être modifié sans être appliqué)
+  const [appliedFilters, setAppliedFilters] = useState({
+    ...EMPTY_FILTERS,
+    ...initialFilters,
+  });
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleChange = (e) =>
+    setFilters((prev) => ({ ...prev, [e.target.name]: e.target.value }));
+
+  // Chargement d'une page (filtres, tri, taille de page, curseur)
+  // Sans curseur explicite, on repart de la première page.
+  const loadEntries = async (nextFilters, listChanges = {}) => {
+    const listParams = {
+      sort: pageInfo?.sort,
+      direction: pageInfo?.direction,
+      pageSize: pageInfo?.pageSize,
+      ...listChanges,
+    };
+
+    setIsLoading(true);
+    setError(null);
+    trackUI('audit_log_filtered', compactFilters(nextFilters));
+
+    try {
+      const result = await getFilteredAuditLog(
+        compactFilters(nextFilters),
+        listParams,
+      );
+
+      if (result?.error) {
+        setError(result.error);
+        return;
+      }
+
+      setEntries(result.entries);
+      setTotal(result.total);
+      setPageInfo(result.pageInfo);
+      setAppliedFilters(nextFilters);
+      syncListUrl('audit', listParams, compactFilters(nextFilters));
+    } catch (err) {
+      console.error('Audit log filter error:', err);
+      setError(err.message || 'Failed to load the audit log.');
+      trackDatabaseError(err, 'audit_log_filter_client');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    loadEntries(filters);
+  };
+
+  const handleReset = () => {
+    setFilters(EMPTY_FILTERS);
+    loadEntries(EMPTY_FILTERS);
+  };
+
+  // Tri et pagination
+  const handleListChange = (listChanges) =>
+    loadEntries(appliedFilters, listChanges);
+
+  return (
+    <div className={styles.container}>
+      <div className={styles.top}>
+        <h1>Audit Log</h1>
+        <span className={styles.count}>
+          {`${total} entr${total === 1 ? 'y' : 'ies'}`}
+        </span>
+      </div>
+
+      <form onSubmit={handleSubmit} className={styles.filters}>
+        <label className={styles.field}>
+          Actor
+          <input
+            type="text"
+            name="actor"
+            value={filters.actor}
+            onChange={handleChange}
+            className={styles.input}
+            placeholder="Email"
+          />
+        </label>
+        <label className={styles.field}>
+          Action
+          <select
+            name="action"
+            value={filters.action}
+            onChange={handleChange}
+            className={styles.input}
+          >
+            <option value="">All</option>
+            {AUDIT_ACTIONS.map((action) => (
+              <option key={action} value={action}>
+                {action}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className={styles.field}>
+          Entity
+          <select
+            name="entityType"
+            value={filters.entityType}
+            onChange={handleChange}
+            className={styles.input}
+          >
+            <option value="">All</option>
+            {AUDIT_ENTITY_TYPES.map((type) => (
+              <option key={type} value={type}>
+                {AUDIT_ENTITY_LABELS[type]}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className={styles.field}>
+          Entity ID
+          <input
+            type="text"
+            name="entityId"
+            value={filters.entityId}
+            onChange={handleChange}
+            className={styles.input}
+          />
+        </label>
+        <label className={styles.field}>
+          From
+          <input
+            type="date"
+            name="dateFrom"
+            value={filters.dateFrom}
+            onChange={handleChange}
+            className={styles.input}
+          />
+        </label>
+        <label className={styles.field}>
+          To
+          <input
+            type="date"
+            name="dateTo"
+            value={filters.dateTo}
+            onChange={handleChange}
+            className={styles.input}
+          />
+        </label>
+        <button type="submit" className={styles.button} disabled={isLoading}>
+          <MdFilterList /> {isLoading ? 'Loading...' : 'Apply'}
+        </button>
+        <button
+          type="button"
+          className={styles.secondaryButton}
+          onClick={handleReset}
+          disabled={isLoading}
+        >
+          <MdRefresh /> Reset
+        </button>
+        <SortControl
+          listKey="audit"
+          pageInfo={pageInfo}
+          onChange={handleListChange}
+          disabled={isLoading}
+        />
+      </form>
+
+      {error && (
+        <div className={styles.error}>
+          <span className={styles.errorIcon}>⚠️</span>
+          {error}
+        </div>
+      )}
+
+      {entries.length === 0 ? (
+        <p className={styles.empty}>No audit entries found.</p>
+      ) : (
+        <table className={styles.table}>
+          <thead>
+            <tr>
+              <td>Date</td>
+              <td>Actor</td>
+              <td>Action</td>
+              <td>Entity</td>
+              <td>Changes</td>
+              <td>IP / Request</td>
+            </tr>
+          </thead>
+          <tbody>
+            {entries.map((entry) => {
+              const entityPath = ENTITY_PATHS[entry.entity_type];
+
+              return (
+                <tr key={entry.id}>
+                  <td className={styles.nowrap}>
+                    {formatDate(entry.created_at)}
+                  </td>
+                  <td>{entry.actor_email}</td>
+                  <td>
+                    <span className={styles.action}>{entry.action}</span>
+                  </td>
+                  <td>
+                    <div className={styles.entity}>
+                      <span>
+                        {AUDIT_ENTITY_LABELS[entry.entity_type] ||
+                          entry.entity_type}
+                      </span>
+                      {entry.entity_id &&
+                        (entityPath && entry.action !== 'delete' ? (
+                          <Link
+                            href={entityPath(entry.entity_id)}
+                            className={styles.entityId}
+                          >
+                            {entry.entity_id}
+                          </Link>
+                        ) : (
+                          <span className={styles.entityId}>
+                            {entry.entity_id}
+                          </span>
+                        ))}
+                    </div>
+                  </td>
+                  <td>
+                    <AuditChanges before={entry.before} after={entry.after} />
+                  </td>
+                  <td>
+                    <div className={styles.entity}>
+                      <span>{entry.ip_address || '—'}</span>
+                      <span className={styles.entityId}>
+                        {entry.request_id || '—'}
+                      </span>
+                    </div>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      )}
+
+      <ListPagination
+        pageInfo={pageInfo}
+        count={entries.length}
+        onChange={handleListChange}
+        disabled={isLoading}
+      />
+    </div>
+  );
+}
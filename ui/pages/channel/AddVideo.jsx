@@ -7,6 +7,7 @@ import Image from 'next/image';
 import { CldUploadWidget } from 'next-cloudinary';
 import styles from '@/ui/styling/dashboard/channel/add/addVideo.module.css';
 import { videoAddingSchema } from '@/utils/schemas/videoSchema';
+import RichTextEditor from '@/ui/components/dashboard/RichTextEditor';
 import {
   trackForm,
   trackUpload,
@@ -198,16 +199,11 @@ export default function AddVideo({ existingCategories = [] }) {
         <div className={styles.section}>
           <h3 className={styles.sectionTitle}>Description</h3>
           <div className={styles.inputGroup}>
-            <label htmlFor="description" className={styles.label}>
-              Description (optionnel)
-            </label>
-            <textarea
-              id="description"
-              placeholder="Décrivez le contenu de la vidéo..."
-              rows="4"
+            <label className={styles.label}>Description (optionnel)</label>
+            <RichTextEditor
               value={description}
-              onChange={(e) => setDescription(e.target.value)}
-              className={styles.textarea}
+              onChange={setDescription}
+              maxLength={5000}
             />
           </div>
         </div>
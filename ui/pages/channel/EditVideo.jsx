@@ -8,6 +8,7 @@ import { CldUploadWidget } from 'next-cloudinary';
 import { MdArrowBack, MdInfo, MdCheck, MdClose, MdError } from 'react-icons/md';
 import styles from '@/ui/styling/dashboard/channel/edit/editVideo.module.css';
 import { videoUpdateSchema } from '@/utils/schemas/videoSchema';
+import RichTextEditor from '@/ui/components/dashboard/RichTextEditor';
 import {
   trackForm,
   trackUpload,
@@ -274,12 +275,11 @@ export default function EditVideo({ video, existingCategories = [] }) {
 
         {/* Description */}
         <div className={styles.inputGroup}>
-          <textarea
-            className={`${styles.description} ${hasFieldError('description') ? styles.inputError : ''}`}
-            placeholder="Video Description (optional)"
+          <RichTextEditor
             value={description}
-            onChange={(e) => setDescription(e.target.value)}
-            rows="4"
+            onChange={setDescription}
+            hasError={hasFieldError('description')}
+            maxLength={5000}
           />
           {hasFieldError('description') && (
             <div className={styles.fieldError}>
@@ -7,6 +7,7 @@ import { useRouter } from 'next/navigation';
 import { MdArrowBack, MdCheck, MdClose, MdPlayCircle } from 'react-icons/md';
 import styles from '@/ui/styling/dashboard/channel/singleVideo.module.css';
 import VideoPlayerModal from '@/ui/components/dashboard/VideoPlayerModal';
+import RichTextContent from '@/ui/components/dashboard/RichTextEditor/RichTextContent';
 import {
   trackUI,
   trackNavigation,
@@ -194,7 +195,10 @@ export default function SingleVideo({ data }) {
           {video.video_description && (
             <div className={styles.descriptionBlock}>
               <strong>Description</strong>
-              <p>{video.video_description}</p>
+              <RichTextContent
+                html={video.video_description}
+                className={styles.descriptionText}
+              />
             </div>
           )}
 
@@ -10,7 +10,18 @@ import styles from '@/ui/styling/dashboard/channel/videosList.module.css';
 import VideoFilters from '@/ui/components/dashboard/VideoFilters';
 import VideoSearch from '@/ui/components/dashboard/search/VideoSearch';
 import VideoPlayerModal from '@/ui/components/dashboard/VideoPlayerModal';
-import { getFilteredVideos } from '@/app/dashboard/channel/actions';
+import ListPagination, {
+  SortControl,
+  syncListUrl,
+} from '@/ui/components/dashboard/ListPagination';
+import BulkActions, {
+  BulkSelectCheckbox,
+} from '@/ui/components/dashboard/BulkActions';
+import {
+  getFilteredVideos,
+  bulkUpdateVideosActive,
+  bulkDeleteVideos,
+} from '@/app/dashboard/channel/actions';
 import {
   trackUI,
   trackNavigation,
@@ -25,38 +36,49 @@ function formatDuration(seconds) {
   return `${m}:${s.toString().padStart(2, '0')}`;
 }
 
-export default function VideosList({ data }) {
+export default function VideosList({
+  data,
+  pageInfo: initialPageInfo,
+  filters: initialFilters,
+}) {
   const router = useRouter();
   const [videos, setVideos] = useState(data);
+  const [pageInfo, setPageInfo] = useState(initialPageInfo);
   const [isPending, startTransition] = useTransition();
-  const [currentFilters, setCurrentFilters] = useState({});
+  const [currentFilters, setCurrentFilters] = useState(initialFilters || {});
   const [error, setError] = useState(null);
   const [isDeleting, setIsDeleting] = useState(false);
   const [deleteId, setDeleteId] = useState(null);
+  const [selectedIds, setSelectedIds] = useState([]);
 
   // État du modal vidéo
   const [activeVideo, setActiveVideo] = useState(null);
 
   useEffect(() => {
     setVideos(data);
+    setPageInfo(initialPageInfo);
     trackUI('videos_list_mounted', { count: data.length });
-  }, [data]);
-
-  const handleFilterChange = (newFilters) => {
-    setCurrentFilters(newFilters);
-    setError(null);
-
-    trackUI('video_filter_changed', {
-      filtersCount: Object.keys(newFilters).length,
-    });
+  }, [data, initialPageInfo]);
+
+  // Chargement d'une page (filtres, tri, taille de page, curseur)
+  // Sans curseur explicite, on repart de la première page.
+  const loadVideos = (filters, listChanges = {}) => {
+    const listParams = {
+      sort: pageInfo?.sort,
+      direction: pageInfo?.direction,
+      pageSize: pageInfo?.pageSize,
+      ...listChanges,
+    };
 
     startTransition(async () => {
       try {
-        const filteredData = await getFilteredVideos(newFilters);
-        setVideos(filteredData);
+        const result = await getFilteredVideos(filters, listParams);
+        setVideos(result.videos);
+        setPageInfo(result.pageInfo);
+        syncListUrl('videos', listParams, filters);
 
         trackUI('video_filter_applied_successfully', {
-          resultsCount: filteredData.length,
+          resultsCount: result.videos.length,
         });
       } catch (error) {
         console.error('Filter error:', error);
@@ -66,22 +88,31 @@ export default function VideosList({ data }) {
     });
   };
 
+  const handleFilterChange = (newFilters) => {
+    setCurrentFilters(newFilters);
+    setError(null);
+
+    trackUI('video_filter_changed', {
+      filtersCount: Object.keys(newFilters).length,
+    });
+
+    loadVideos(newFilters);
+  };
+
   const clearAllFilters = () => {
     setCurrentFilters({});
     setError(null);
 
     trackUI('video_filters_cleared');
 
-    startTransition(async () => {
-      try {
-        const allData = await getFilteredVideos({});
-        setVideos(allData);
-      } catch (error) {
-        console.error('Clear filters error:', error);
-        setError('Failed to clear filters. Please refresh the page.');
-        trackDatabaseError(error, 'clear_video_filters_client');
-      }
-    });
+    loadVideos({});
+  };
+
+  // Tri et pagination
+  const handleListChange = (listChanges) => {
+    setError(null);
+    trackUI('videos_list_params_changed', listChanges);
+    loadVideos(currentFilters, listChanges);
   };
 
   const handleDelete = async (id) => {
@@ -139,6 +170,14 @@ export default function VideosList({ data }) {
     setActiveVideo(null);
   };
 
+  const toggleSelected = (videoId) => {
+    setSelectedIds((prev) =>
+      prev.includes(videoId)
+        ? prev.filter((id) => id !== videoId)
+        : [...prev, videoId],
+    );
+  };
+
   const hasActiveFilters = Object.keys(currentFilters).length > 0;
 
   return (
@@ -159,6 +198,12 @@ export default function VideosList({ data }) {
           onFilterChange={handleFilterChange}
           currentFilters={currentFilters}
         />
+        <SortControl
+          listKey="videos"
+          pageInfo={pageInfo}
+          onChange={handleListChange}
+          disabled={isPending}
+        />
         <button
           onClick={() => handleNavigate('/dashboard/channel/add', null)}
           className={styles.addButton}
@@ -183,13 +228,24 @@ export default function VideosList({ data }) {
           {error}
           <button
             className={styles.retryButton}
-            onClick={() => handleFilterChange(currentFilters)}
+            onClick={() => loadVideos(currentFilters)}
           >
             Retry
           </button>
         </div>
       )}
 
+      {/* Actions groupées */}
+      <BulkActions
+        pageIds={(videos || []).map((v) => v.video_id)}
+        selectedIds={selectedIds}
+        onSelectionChange={setSelectedIds}
+        entityName="videos"
+        onBulkActive={bulkUpdateVideosActive}
+        onBulkDelete={bulkDeleteVideos}
+        onComplete={() => loadVideos(currentFilters)}
+      />
+
       {/* Grid */}
       <div className={styles.videosGrid}>
         {videos && videos.length > 0 ? (
@@ -198,6 +254,12 @@ export default function VideosList({ data }) {
               key={video.video_id}
               className={`${styles.videoCard} ${video.is_active ? styles.activeCard : styles.inactiveCard}`}
             >
+              <BulkSelectCheckbox
+                checked={selectedIds.includes(video.video_id)}
+                onChange={() => toggleSelected(video.video_id)}
+                label={`Select ${video.video_title}`}
+              />
+
               {/* Status indicator */}
               <div
                 className={`${styles.statusIndicator} ${video.is_active ? styles.activeIndicator : styles.inactiveIndicator}`}
@@ -325,6 +387,13 @@ export default function VideosList({ data }) {
           </div>
         )}
       </div>
+
+      <ListPagination
+        pageInfo={pageInfo}
+        count={videos.length}
+        onChange={handleListChange}
+        disabled={isPending}
+      />
     </div>
   );
 }
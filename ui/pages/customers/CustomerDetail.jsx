@@ -0,0 +1,362 @@
+'use client';
+
+import { useState } from 'react';
+import { useRouter } from 'next/navigation';
+import Link from 'next/link';
+import {
+  MdArrowBack,
+  MdArrowForward,
+  MdCallMerge,
+  MdRefresh,
+  MdSearch,
+} from 'react-icons/md';
+import styles from '@/ui/styling/dashboard/customers/customers.module.css';
+import {
+  mergeCustomerDuplicates,
+  searchMergeCandidates,
+} from '@/app/dashboard/customers/actions';
+import { MAX_MERGE_CUSTOMERS } from '@/utils/schemas/customerSchema';
+
+const formatPrice = (price) =>
+  new Intl.NumberFormat('fr-FR', {
+    style: 'currency',
+    currency: 'USD',
+    minimumFractionDigits: 0,
+    maximumFractionDigits: 2,
+  }).format(price);
+
+const formatDate = (dateString) => {
+  if (!dateString) return '-';
+  return new Intl.DateTimeFormat('fr-FR', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+  }).format(new Date(dateString));
+};
+
+const PAYMENT_STATUS_LABELS = {
+  paid: 'Payée',
+  unpaid: 'En attente',
+  refunded: 'Remboursée',
+  failed: 'Échouée',
+};
+
+const CustomerDetail = ({ customer, duplicates = [], canMerge = false }) => {
+  const router = useRouter();
+  const [searchTerm, setSearchTerm] = useState('');
+  const [searchResults, setSearchResults] = useState(null);
+  const [isSearching, setIsSearching] = useState(false);
+  const [selected, setSelected] = useState([]);
+  const [isMerging, setIsMerging] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  // Suggestions puis résultats de recherche, sans doublon
+  const candidates = [
+    ...duplicates,
+    ...(searchResults || []).filter(
+      (result) => !duplicates.some((duplicate) => duplicate.id === result.id),
+    ),
+  ];
+
+  const toggleSelected = (candidateId) => {
+    setSelected((current) =>
+      current.includes(candidateId)
+        ? current.filter((id) => id !== candidateId)
+        : current.length < MAX_MERGE_CUSTOMERS
+          ? [...current, candidateId]
+          : current,
+    );
+  };
+
+  const handleSearch = async (e) => {
+    e.preventDefault();
+    if (searchTerm.trim().length < 2) return;
+
+    setIsSearching(true);
+    setMessage(null);
+
+    try {
+      const result = await searchMergeCandidates(customer.id, searchTerm);
+
+      if (!result.success) throw new Error(result.error);
+      setSearchResults(result.customers);
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message });
+    } finally {
+      setIsSearching(false);
+    }
+  };
+
+  const handleMerge = async () => {
+    const names = candidates
+      .filter((candidate) => selected.includes(candidate.id))
+      .map((candidate) => candidate.name)
+      .join(', ');
+
+    if (
+      !confirm(
+        `Fusionner ${names} dans ${customer.name} ? Leurs commandes seront rattachées à ce client et leurs fiches supprimées.`,
+      )
+    ) {
+      return;
+    }
+
+    setIsMerging(true);
+    setMessage(null);
+
+    try {
+      const result = await mergeCustomerDuplicates(customer.id, selected);
+
+      if (!result.success) throw new Error(result.error);
+
+      setMessage({
+        type: 'success',
+        text: `${selected.length} fiche(s) fusionnée(s), ${result.movedOrders} commande(s) rattachée(s)`,
+      });
+      setSelected([]);
+      setSearchResults(null);
+      router.refresh();
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message });
+    } finally {
+      setIsMerging(false);
+    }
+  };
+
+  return (
+    <div className={styles.container}>
+      {message && (
+        <div className={`${styles.message} ${styles[message.type]}`}>
+          {message.text}
+        </div>
+      )}
+
+      <div className={styles.top}>
+        <div className={styles.identity}>
+          <Link href="/dashboard/customers" className={styles.backLink}>
+            <MdArrowBack /> Clients
+          </Link>
+          <h1>{customer.name}</h1>
+          <span className={styles.muted}>
+            Client depuis le {formatDate(customer.created_at)}
+          </span>
+        </div>
+      </div>
+
+      <div className={styles.statsGrid}>
+        <div className={styles.statCard}>
+          <span className={styles.statValue}>
+            {formatPrice(customer.lifetime_value)}
+          </span>
+          <span className={styles.statLabel}>Valeur vie client</span>
+        </div>
+        <div className={styles.statCard}>
+          <span className={styles.statValue}>
+            {customer.paid_order_count} / {customer.order_count}
+          </span>
+          <span className={styles.statLabel}>Commandes payées</span>
+        </div>
+        <div className={styles.statCard}>
+          <span className={styles.statValue}>
+            {formatDate(customer.last_purchase_at)}
+          </span>
+          <span className={styles.statLabel}>Dernier achat</span>
+        </div>
+        <div className={styles.statCard}>
+          <span
+            className={`${styles.statValue} ${customer.outstanding_rent > 0 ? styles.outstanding : ''}`}
+          >
+            {formatPrice(customer.outstanding_rent)}
+          </span>
+          <span className={styles.statLabel}>Loyer impayé</span>
+        </div>
+      </div>
+
+      <section className={styles.section}>
+        <h2>Coordonnées connues</h2>
+        <div className={styles.keys}>
+          {customer.emails.map((email) => (
+            <span key={email} className={styles.key}>
+              {email}
+            </span>
+          ))}
+          {customer.phones.map((phone) => (
+            <span key={phone} className={styles.key}>
+              {phone}
+            </span>
+          ))}
+          {customer.emails.length + customer.phones.length === 0 && (
+            <span className={styles.muted}>
+              Aucun email ni téléphone sur les commandes.
+            </span>
+          )}
+        </div>
+      </section>
+
+      <section className={styles.section}>
+        <h2>Commandes</h2>
+        <div className={styles.tableWrapper}>
+          <table className={styles.table}>
+            <thead>
+              <tr>
+                <td>Commande</td>
+                <td>Application</td>
+                <td>Statut</td>
+                <td>Montant</td>
+                <td>Loyer impayé</td>
+                <td></td>
+              </tr>
+            </thead>
+            <tbody>
+              {customer.orders.map((order) => (
+                <tr key={order.order_id}>
+                  <td>
+                    <div className={styles.identity}>
+                      <span className={styles.nowrap}>
+                        #{order.order_id.substring(0, 8)} ·{' '}
+                        {formatDate(order.created_at)}
+                      </span>
+                      <span className={styles.muted}>
+                        {[order.client_name, order.client_email]
+                          .filter(Boolean)
+                          .join(' · ')}
+                      </span>
+                    </div>
+                  </td>
+                  <td>{order.application_name}</td>
+                  <td className={styles.nowrap}>
+                    {PAYMENT_STATUS_LABELS[order.payment_status] ||
+                      order.payment_status}
+                  </td>
+                  <td className={styles.nowrap}>
+                    {formatPrice(order.price)}
+                    {order.rent > 0 && (
+                      <span className={styles.muted}>
+                        {' '}
+                        + {formatPrice(order.rent)}/mois
+                      </span>
+                    )}
+                  </td>
+                  <td className={styles.nowrap}>
+                    {order.outstanding_rent > 0 ? (
+                      <span className={styles.outstanding}>
+                        {formatPrice(order.outstanding_rent)}
+                      </span>
+                    ) : (
+                      '-'
+                    )}
+                  </td>
+                  <td>
+                    <Link
+                      href={`/dashboard/orders/${order.order_id}`}
+                      className={styles.rowLink}
+                      title="Voir la commande"
+                    >
+                      <MdArrowForward />
+                    </Link>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </section>
+
+      {canMerge && (
+        <section className={styles.section}>
+          <h2>Fusionner des doublons</h2>
+          <p className={styles.muted}>
+            Rattachez à ce client les fiches créées par une faute de frappe dans
+            l&apos;email ou le téléphone. Les commandes futures avec ces
+            coordonnées seront aussi rattachées ici.
+          </p>
+
+          <form onSubmit={handleSearch} className={styles.mergeSearch}>
+            <input
+              type="text"
+              value={searchTerm}
+              onChange={(e) => setSearchTerm(e.target.value)}
+              placeholder="Nom, email ou téléphone..."
+              className={styles.input}
+              maxLength={100}
+            />
+            <button
+              type="submit"
+              className={styles.secondaryButton}
+              disabled={isSearching || searchTerm.trim().length < 2}
+            >
+              {isSearching ? (
+                <MdRefresh className={styles.loadingIcon} />
+              ) : (
+                <MdSearch />
+              )}
+              Rechercher
+            </button>
+          </form>
+
+          {candidates.length > 0 ? (
+            <ul className={styles.candidates}>
+              {candidates.map((candidate) => (
+                <li key={candidate.id} className={styles.candidate}>
+                  <label className={styles.candidateLabel}>
+                    <input
+                      type="checkbox"
+                      checked={selected.includes(candidate.id)}
+                      onChange={() => toggleSelected(candidate.id)}
+                      disabled={isMerging}
+                    />
+                    <div className={styles.identity}>
+                      <span>
+                        {candidate.name}
+                        {duplicates.some(
+                          (duplicate) => duplicate.id === candidate.id,
+                        ) && <span className={styles.suggested}>suggéré</span>}
+                      </span>
+                      <span className={styles.muted}>
+                        {[candidate.email, candidate.phone]
+                          .filter(Boolean)
+                          .join(' · ')}{' '}
+                        · {candidate.order_count} commande(s)
+                      </span>
+                    </div>
+                  </label>
+                  <Link
+                    href={`/dashboard/customers/${candidate.id}`}
+                    className={styles.rowLink}
+                    title="Voir la fiche"
+                    target="_blank"
+                  >
+                    <MdArrowForward />
+                  </Link>
+                </li>
+              ))}
+            </ul>
+          ) : (
+            <p className={styles.muted}>
+              {searchResults
+                ? 'Aucun client trouvé.'
+                : 'Aucun doublon probable détecté.'}
+            </p>
+          )}
+
+          <button
+            type="button"
+            className={styles.mergeButton}
+            onClick={handleMerge}
+            disabled={isMerging || selected.length === 0}
+          >
+            {isMerging ? (
+              <MdRefresh className={styles.loadingIcon} />
+            ) : (
+              <MdCallMerge />
+            )}
+            Fusionner dans ce client
+            {selected.length > 0 && ` (${selected.length})`}
+          </button>
+        </section>
+      )}
+    </div>
+  );
+};
+
+export default CustomerDetail;
@@ -0,0 +1,202 @@
+'use client';
+
+import { useState, useTransition } from 'react';
+import Link from 'next/link';
+import { MdArrowForward, MdRefresh, MdWarning } from 'react-icons/md';
+import styles from '@/ui/styling/dashboard/customers/customers.module.css';
+import CustomerSearch from '@/ui/components/dashboard/search/CustomerSearch';
+import ListPagination, {
+  SortControl,
+  syncListUrl,
+} from '@/ui/components/dashboard/ListPagination';
+import { getFilteredCustomers } from '@/app/dashboard/customers/actions';
+
+const formatPrice = (price) =>
+  new Intl.NumberFormat('fr-FR', {
+    style: 'currency',
+    currency: 'USD',
+    minimumFractionDigits: 0,
+    maximumFractionDigits: 2,
+  }).format(price);
+
+const formatDate = (dateString) => {
+  if (!dateString) return '-';
+  return new Intl.DateTimeFormat('fr-FR', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+  }).format(new Date(dateString));
+};
+
+const CustomersList = ({
+  data,
+  totalCustomers,
+  pageInfo: initialPageInfo,
+  filters: initialFilters,
+}) => {
+  const [customers, setCustomers] = useState(data);
+  const [pageInfo, setPageInfo] = useState(initialPageInfo);
+  const [search, setSearch] = useState(initialFilters?.search || '');
+  const [error, setError] = useState(null);
+  const [isPending, startTransition] = useTransition();
+
+  const loadCustomers = (searchTerm, listChanges = {}) => {
+    const listParams = {
+      sort: pageInfo?.sort,
+      direction: pageInfo?.direction,
+      pageSize: pageInfo?.pageSize,
+      ...listChanges,
+    };
+
+    startTransition(async () => {
+      try {
+        const result = await getFilteredCustomers(
+          { search: searchTerm },
+          listParams,
+        );
+
+        setCustomers(result.customers);
+        setPageInfo(result.pageInfo);
+        setError(null);
+        syncListUrl('customers', listParams, { search: searchTerm });
+      } catch {
+        setError(
+          'Une erreur est survenue lors du chargement des clients. Veuillez réessayer.',
+        );
+      }
+    });
+  };
+
+  const handleSearchChange = (term) => {
+    setSearch(term);
+    loadCustomers(term);
+  };
+
+  // Tri et pagination
+  const handleListChange = (listChanges) => {
+    loadCustomers(search, listChanges);
+  };
+
+  return (
+    <div className={styles.container}>
+      {error && (
+        <div className={styles.errorNotification}>
+          <MdWarning />
+          <span>{error}</span>
+        </div>
+      )}
+
+      <div className={styles.top}>
+        <h1>Clients</h1>
+        <span className={styles.count}>
+          {pageInfo?.total ?? totalCustomers} clients
+        </span>
+      </div>
+
+      <div className={styles.toolbar}>
+        <CustomerSearch
+          placeholder="Rechercher par nom, email ou téléphone..."
+          onSearchChange={handleSearchChange}
+          initialValue={search}
+        />
+        <SortControl
+          listKey="customers"
+          pageInfo={pageInfo}
+          onChange={handleListChange}
+          disabled={isPending}
+        />
+      </div>
+
+      {isPending && (
+        <div className={styles.loadingIndicator}>
+          <MdRefresh className={styles.loadingIcon} />
+          <span>Chargement...</span>
+        </div>
+      )}
+
+      {customers.length === 0 ? (
+        <p className={styles.empty}>
+          {search ? 'Aucun client ne correspond.' : 'Aucun client.'}
+        </p>
+      ) : (
+        <div className={styles.tableWrapper}>
+          <table className={styles.table}>
+            <thead>
+              <tr>
+                <td>Client</td>
+                <td>Commandes</td>
+                <td>Valeur vie client</td>
+                <td>Dernier achat</td>
+                <td>Loyer impayé</td>
+                <td></td>
+              </tr>
+            </thead>
+            <tbody>
+              {customers.map((customer) => (
+                <tr key={customer.id}>
+                  <td>
+                    <div className={styles.identity}>
+                      <Link
+                        href={`/dashboard/customers/${customer.id}`}
+                        className={styles.name}
+                      >
+                        {customer.name}
+                      </Link>
+                      <span className={styles.muted}>
+                        {[customer.email, customer.phone]
+                          .filter(Boolean)
+                          .join(' · ') || '-'}
+                      </span>
+                    </div>
+                  </td>
+                  <td className={styles.nowrap}>
+                    {customer.order_count}
+                    {customer.paid_order_count !== customer.order_count && (
+                      <span className={styles.muted}>
+                        {' '}
+                        ({customer.paid_order_count} payées)
+                      </span>
+                    )}
+                  </td>
+                  <td className={styles.nowrap}>
+                    {formatPrice(customer.lifetime_value)}
+                  </td>
+                  <td className={styles.nowrap}>
+                    {formatDate(customer.last_purchase_at)}
+                  </td>
+                  <td className={styles.nowrap}>
+                    {customer.outstanding_rent > 0 ? (
+                      <span className={styles.outstanding}>
+                        {formatPrice(customer.outstanding_rent)}
+                      </span>
+                    ) : (
+                      '-'
+                    )}
+                  </td>
+                  <td>
+                    <Link
+                      href={`/dashboard/customers/${customer.id}`}
+                      className={styles.rowLink}
+                      title="Voir la fiche client"
+                    >
+                      <MdArrowForward />
+                    </Link>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <ListPagination
+        pageInfo={pageInfo}
+        count={customers.length}
+        onChange={handleListChange}
+        disabled={isPending}
+      />
+    </div>
+  );
+};
+
+export default CustomersList;
@@ -0,0 +1,281 @@
+// ui/pages/orders/AddOrder.jsx
+'use client';
+
+import { useState } from 'react';
+import { useRouter } from 'next/navigation';
+import Link from 'next/link';
+import { MdArrowBack } from 'react-icons/md';
+import styles from '@/ui/styling/dashboard/orders/addOrder.module.css';
+import { orderAddingSchema } from '@/utils/schemas/orderSchema';
+import {
+  trackForm,
+  trackValidation,
+  trackDatabaseError,
+} from '@/utils/monitoring';
+
+export default function AddOrder({ applications = [], platforms = [] }) {
+  const router = useRouter();
+
+  const [applicationId, setApplicationId] = useState('');
+  const [platformIds, setPlatformIds] = useState([]);
+  const [clientName, setClientName] = useState('');
+  const [clientEmail, setClientEmail] = useState('');
+  const [clientPhone, setClientPhone] = useState('');
+  const [price, setPrice] = useState('');
+  const [rent, setRent] = useState('');
+  const [markAsPaid, setMarkAsPaid] = useState(false);
+  const [errorMessage, setErrorMessage] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  // Pré-remplir prix et loyer depuis l'application choisie
+  const handleApplicationChange = (e) => {
+    const id = e.target.value;
+    setApplicationId(id);
+
+    const application = applications.find((a) => a.application_id === id);
+    if (application) {
+      setPrice(String(application.application_fee));
+      setRent(String(application.application_rent));
+    }
+  };
+
+  const togglePlatform = (id) => {
+    setPlatformIds((prev) =>
+      prev.includes(id) ? prev.filter((p) => p !== id) : [...prev, id],
+    );
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    setErrorMessage('');
+
+    trackForm('add_order_submit_started', { markAsPaid });
+
+    const formData = {
+      applicationId,
+      platformIds,
+      clientName,
+      clientEmail,
+      clientPhone,
+      price: price.replace(',', '.'),
+      rent: rent.replace(',', '.'),
+      markAsPaid,
+    };
+
+    try {
+      // Validation Yup
+      await orderAddingSchema.validate(formData, { abortEarly: false });
+
+      const response = await fetch('/api/dashboard/orders/add', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(formData),
+      });
+
+      const data = await response.json().catch(() => ({}));
+
+      if (response.ok && data.order) {
+        trackForm('add_order_successful', {
+          orderId: data.order.id,
+          markAsPaid,
+        });
+
+        router.push(`/dashboard/orders/${data.order.id}`);
+        return;
+      }
+
+      // Erreurs de validation serveur : premier message
+      const serverError =
+        (data.errors && Object.values(data.errors)[0]) ||
+        data.error ||
+        data.message;
+
+      if (response.status >= 500 || !serverError) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+
+      setErrorMessage(serverError);
+      trackValidation('add_order_failed', {}, 'warning');
+    } catch (validationError) {
+      if (validationError.name === 'ValidationError') {
+        setErrorMessage(validationError.errors[0] || 'Validation failed');
+
+        trackValidation(
+          'add_order_validation_failed',
+          {
+            errors: validationError.errors,
+          },
+          'warning',
+        );
+      } else if (validationError.message?.includes('HTTP error')) {
+        setErrorMessage('Erreur serveur. Veuillez réessayer.');
+        trackDatabaseError(validationError, 'add_order_http');
+      } else {
+        setErrorMessage(
+          validationError.message ||
+            "Une erreur est survenue lors de l'ajout de la commande",
+        );
+        trackDatabaseError(validationError, 'add_order');
+      }
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className={styles.addOrderContainer}>
+      <Link href="/dashboard/orders" className={styles.backButton}>
+        <MdArrowBack /> Retour aux commandes
+      </Link>
+
+      <h1>Nouvelle commande</h1>
+      <p className={styles.subtitle}>
+        Enregistrer une vente conclue hors boutique (espèces, téléphone).
+      </p>
+
+      <form className={styles.addOrderForm} onSubmit={handleSubmit}>
+        {errorMessage && <p className={styles.errorMessage}>{errorMessage}</p>}
+
+        <section className={styles.section}>
+          <h2 className={styles.sectionTitle}>Application</h2>
+          <select
+            name="applicationId"
+            value={applicationId}
+            onChange={handleApplicationChange}
+            className={styles.select}
+            required
+            disabled={isSubmitting}
+          >
+            <option value="">Choisir une application active</option>
+            {applications.map((application) => (
+              <option
+                key={application.application_id}
+                value={application.application_id}
+              >
+                {application.application_name}
+              </option>
+            ))}
+          </select>
+
+          <div className={styles.amounts}>
+            <label className={styles.field}>
+              <span>Prix d&apos;acquisition</span>
+              <input
+                type="text"
+                inputMode="decimal"
+                name="price"
+                value={price}
+                onChange={(e) => setPrice(e.target.value)}
+                required
+                disabled={isSubmitting}
+              />
+            </label>
+            <label className={styles.field}>
+              <span>Location mensuelle</span>
+              <input
+                type="text"
+                inputMode="decimal"
+                name="rent"
+                value={rent}
+                onChange={(e) => setRent(e.target.value)}
+                required
+                disabled={isSubmitting}
+              />
+            </label>
+          </div>
+        </section>
+
+        <section className={styles.section}>
+          <h2 className={styles.sectionTitle}>Plateformes de paiement</h2>
+          {platforms.length === 0 ? (
+            <p className={styles.emptyHint}>Aucune plateforme active.</p>
+          ) : (
+            <div className={styles.platforms}>
+              {platforms.map((platform) => (
+                <label
+                  key={platform.platform_id}
+                  className={`${styles.platformOption} ${
+                    platformIds.includes(platform.platform_id)
+                      ? styles.platformSelected
+                      : ''
+                  }`}
+                >
+                  <input
+                    type="checkbox"
+                    checked={platformIds.includes(platform.platform_id)}
+                    onChange={() => togglePlatform(platform.platform_id)}
+                    disabled={isSubmitting}
+                  />
+                  {platform.platform_name}
+                  {platform.is_cash_payment && (
+                    <span className={styles.cashBadge}>Espèces</span>
+                  )}
+                </label>
+              ))}
+            </div>
+          )}
+        </section>
+
+        <section className={styles.section}>
+          <h2 className={styles.sectionTitle}>Client</h2>
+          <div className={styles.inputs}>
+            <input
+              type="text"
+              name="clientName"
+              placeholder="Nom du client"
+              value={clientName}
+              onChange={(e) => setClientName(e.target.value)}
+              maxLength="100"
+              required
+              disabled={isSubmitting}
+            />
+            <input
+              type="email"
+              name="clientEmail"
+              placeholder="Email du client"
+              value={clientEmail}
+              onChange={(e) => setClientEmail(e.target.value)}
+              maxLength="255"
+              required
+              disabled={isSubmitting}
+            />
+            <input
+              type="tel"
+              name="clientPhone"
+              placeholder="Téléphone du client (ex. 77 12 34 56)"
+              value={clientPhone}
+              onChange={(e) => setClientPhone(e.target.value)}
+              maxLength="30"
+              required
+              disabled={isSubmitting}
+            />
+          </div>
+        </section>
+
+        <div className={styles.checkboxContainer}>
+          <input
+            type="checkbox"
+            id="markAsPaid"
+            name="markAsPaid"
+            checked={markAsPaid}
+            onChange={(e) => setMarkAsPaid(e.target.checked)}
+            disabled={isSubmitting}
+            className={styles.checkbox}
+          />
+          <label htmlFor="markAsPaid" className={styles.checkboxLabel}>
+            Paiement déjà reçu : enregistrer la commande comme payée
+          </label>
+        </div>
+
+        <button
+          type="submit"
+          className={styles.addButton}
+          disabled={isSubmitting}
+        >
+          {isSubmitting ? 'Enregistrement...' : 'Enregistrer la commande'}
+        </button>
+      </form>
+    </div>
+  );
+}
@@ -1,6 +1,8 @@
 'use client';
 
 import { useState } from 'react';
+import { useRouter } from 'next/navigation';
+import Link from 'next/link';
 import { CldImage } from 'next-cloudinary';
 import {
   MdCheckCircle,
@@ -20,17 +22,45 @@ import {
   MdStar,
   MdAttachMoney,
   MdCreditCard,
+  MdHistory,
+  MdReceipt,
+  MdPictureAsPdf,
+  MdPrint,
+  MdEventRepeat,
+  MdMail,
+  MdSend,
 } from 'react-icons/md';
 import styles from '@/ui/styling/dashboard/orders/editOrder.module.css';
-import { updateOrderPaymentStatus } from '@/app/dashboard/orders/actions';
+import { richTextToPlainText } from '@/utils/sanitizers/sanitizeRichText';
+import {
+  issueOrderInvoice,
+  payRentPeriod,
+  resendOrderStatusNotification,
+  updateOrderPaymentStatus,
+} from '@/app/dashboard/orders/actions';
+import {
+  MAX_CANCEL_REASON_LENGTH,
+  STATUSES_REQUIRING_REASON,
+  getAllowedOrderTransitions,
+} from '@/utils/schemas/orderSchema';
+import {
+  NOTIFICATION_TEMPLATE_KEYS,
+  NOTIFICATION_TEMPLATE_LABELS,
+} from '@/utils/schemas/notificationSchema';
 
-const EditOrder = ({ order }) => {
+const EditOrder = ({ order, canUpdateStatus = false, canInvoice = false }) => {
+  const router = useRouter();
   const [currentStatus, setCurrentStatus] = useState(
     order.order_payment_status,
   );
   const [isEditing, setIsEditing] = useState(false);
+  const [reason, setReason] = useState('');
+  const [notifyClient, setNotifyClient] = useState(true);
+  const [resending, setResending] = useState(false);
+  const [issuingInvoice, setIssuingInvoice] = useState(false);
   const [loading, setLoading] = useState(false);
   const [message, setMessage] = useState(null);
+  const [payingPeriodId, setPayingPeriodId] = useState(null);
 
   const statusOptions = [
     { value: 'unpaid', label: 'En attente', icon: MdPending, color: '#f59e0b' },
@@ -39,12 +69,32 @@ const EditOrder = ({ order }) => {
     { value: 'failed', label: 'Échouée', icon: MdError, color: '#ef4444' },
   ];
 
+  // Statut actuel + transitions autorisées uniquement
+  const allowedTransitions = getAllowedOrderTransitions(
+    order.order_payment_status,
+  );
+  const editableOptions = statusOptions.filter(
+    (option) =>
+      option.value === order.order_payment_status ||
+      allowedTransitions.includes(option.value),
+  );
+  const reasonRequired = STATUSES_REQUIRING_REASON.includes(currentStatus);
+  const notifiesClient = Boolean(NOTIFICATION_TEMPLATE_KEYS[currentStatus]);
+
   const handleStatusUpdate = async () => {
     if (currentStatus === order.order_payment_status) {
       setIsEditing(false);
       return;
     }
 
+    if (reasonRequired && !reason.trim()) {
+      setMessage({
+        type: 'error',
+        text: 'Veuillez indiquer une raison pour ce statut',
+      });
+      return;
+    }
+
     setLoading(true);
     setMessage(null);
 
@@ -52,27 +102,35 @@ const EditOrder = ({ order }) => {
       const result = await updateOrderPaymentStatus(
         order.order_id,
         currentStatus,
+        reasonRequired ? reason : undefined,
+        notifyClient,
       );
 
       if (result.success) {
         setMessage({
-          type: 'success',
-          text: 'Statut mis à jour avec succès !',
+          type: result.notification?.status === 'failed' ? 'error' : 'success',
+          text: `Statut mis à jour avec succès !${notificationOutcomes[result.notification?.status] || ''}`,
         });
         setIsEditing(false);
+        setReason('');
+        setNotifyClient(true);
         order.order_payment_status = currentStatus;
+        order.order_cancel_reason = result.order.cancel_reason;
+
+        // Recharger l'historique des statuts écrit par le trigger
+        router.refresh();
 
         if (result.order.paid_at) order.order_paid_at = result.order.paid_at;
         if (result.order.cancelled_at)
           order.order_cancelled_at = result.order.cancelled_at;
       } else {
-        throw new Error('Échec de la mise à jour');
+        throw new Error(result.error || 'Échec de la mise à jour');
       }
     } catch (error) {
       console.error('Erreur lors de la mise à jour:', error);
       setMessage({
         type: 'error',
-        text: 'Erreur lors de la mise à jour du statut',
+        text: `Erreur lors de la mise à jour du statut : ${error.message}`,
       });
       setCurrentStatus(order.order_payment_status);
     } finally {
@@ -81,8 +139,115 @@ const EditOrder = ({ order }) => {
     }
   };
 
+  const handlePayRent = async (period) => {
+    if (
+      !confirm(
+        `Enregistrer le paiement de l'échéance n°${period.number} (${formatPrice(period.amount)}) ?`,
+      )
+    ) {
+      return;
+    }
+
+    setPayingPeriodId(period.id);
+    setMessage(null);
+
+    try {
+      const result = await payRentPeriod(period.id);
+
+      if (!result.success) {
+        throw new Error(result.error || 'Échec de l’enregistrement');
+      }
+
+      setMessage({
+        type: 'success',
+        text: `Échéance n°${period.number} marquée comme payée`,
+      });
+      router.refresh();
+    } catch (error) {
+      console.error('Erreur lors du paiement du loyer:', error);
+      setMessage({
+        type: 'error',
+        text: `Erreur lors de l'enregistrement du paiement : ${error.message}`,
+      });
+    } finally {
+      setPayingPeriodId(null);
+      setTimeout(() => setMessage(null), 5000);
+    }
+  };
+
+  const handleResendNotification = async () => {
+    if (
+      !confirm(`Envoyer à nouveau l'email au client (${order.client.email}) ?`)
+    ) {
+      return;
+    }
+
+    setResending(true);
+    setMessage(null);
+
+    try {
+      const result = await resendOrderStatusNotification(order.order_id);
+
+      if (!result.success) {
+        throw new Error(result.error || 'Échec de l’envoi');
+      }
+
+      const state = notificationStates[result.notification.status];
+      setMessage({
+        type: result.notification.status === 'sent' ? 'success' : 'error',
+        text: `Email : ${state.label.toLowerCase()}${result.notification.detail ? ` (${result.notification.detail})` : ''}`,
+      });
+      router.refresh();
+    } catch (error) {
+      console.error('Erreur lors de l’envoi de l’email:', error);
+      setMessage({
+        type: 'error',
+        text: `Erreur lors de l'envoi de l'email : ${error.message}`,
+      });
+    } finally {
+      setResending(false);
+      setTimeout(() => setMessage(null), 5000);
+    }
+  };
+
+  const handleIssueInvoice = async () => {
+    if (
+      !confirm('Émettre la facture ? Un numéro définitif lui sera attribué.')
+    ) {
+      return;
+    }
+
+    setIssuingInvoice(true);
+    setMessage(null);
+
+    try {
+      const result = await issueOrderInvoice(order.order_id);
+
+      if (!result.success) {
+        throw new Error(result.error || 'Échec de l’émission');
+      }
+
+      setMessage({
+        type: 'success',
+        text: `Facture ${result.invoice.number} émise`,
+      });
+      router.refresh();
+    } catch (error) {
+      console.error('Erreur lors de l’émission de la facture:', error);
+      setMessage({
+        type: 'error',
+        text: `Erreur lors de l'émission de la facture : ${error.message}`,
+      });
+    } finally {
+      setIssuingInvoice(false);
+      setTimeout(() => setMessage(null), 5000);
+    }
+  };
+
   const handleCancel = () => {
     setCurrentStatus(order.order_payment_status);
+    setReason('');
+    setNotifyClient(true);
     setIsEditing(false);
     setMessage(null);
   };
@@ -109,6 +274,33 @@ const EditOrder = ({ order }) => {
     }).format(new Date(dateString));
   };
 
+  // Dates d'échéance 'YYYY-MM-DD' (sans heure ni fuseau)
+  const formatDay = (dateString) =>
+    new Intl.DateTimeFormat('fr-FR', {
+      year: 'numeric',
+      month: 'long',
+      day: 'numeric',
+      timeZone: 'UTC',
+    }).format(new Date(dateString));
+
+  const rentPeriodStates = {
+    paid: { label: 'Payée', color: '#10b981' },
+    due: { label: 'À venir', color: '#f59e0b' },
+    overdue: { label: 'En retard', color: '#ef4444' },
+  };
+
+  const notificationStates = {
+    sent: { label: 'Envoyé', color: '#10b981' },
+    failed: { label: 'Échec', color: '#ef4444' },
+    suppressed: { label: 'Non envoyé', color: '#6b7280' },
+  };
+
+  // Complément du message de succès selon le sort de l'email
+  const notificationOutcomes = {
+    sent: ' Email envoyé au client.',
+    failed: " L'email au client n'a pas pu être envoyé.",
+  };
+
   const currentStatusInfo = getStatusInfo(currentStatus);
   const StatusIcon = currentStatusInfo.icon;
   const totalAmount = order.order_price + order.order_rent;
@@ -133,6 +325,7 @@ const EditOrder = ({ order }) => {
               </h1>
               <p className={styles.orderDate}>
                 Créée le {formatDate(order.order_created)}
+                {order.order_source === 'admin' && ' · saisie manuelle'}
               </p>
             </div>
           </div>
@@ -163,7 +356,7 @@ const EditOrder = ({ order }) => {
         <div className={styles.statusSection}>
           <div className={styles.statusHeader}>
             <h3>Statut de paiement</h3>
-            {!isEditing && (
+            {!isEditing && canUpdateStatus && allowedTransitions.length > 0 && (
               <button
                 onClick={() => setIsEditing(true)}
                 className={styles.editButton}
@@ -175,10 +368,10 @@ const EditOrder = ({ order }) => {
             )}
           </div>
 
-          {isEditing ? (
+          {isEditing && canUpdateStatus ? (
             <div className={styles.statusEditor}>
               <div className={styles.statusOptions}>
-                {statusOptions.map((option) => {
+                {editableOptions.map((option) => {
                   const OptionIcon = option.icon;
                   return (
                     <label
@@ -207,11 +400,41 @@ const EditOrder = ({ order }) => {
                 })}
               </div>
 
+              {reasonRequired && (
+                <label className={styles.reasonField}>
+                  <span className={styles.fieldLabel}>
+                    Raison (obligatoire)
+                  </span>
+                  <textarea
+                    value={reason}
+                    onChange={(e) => setReason(e.target.value)}
+                    maxLength={MAX_CANCEL_REASON_LENGTH}
+                    rows={3}
+                    className={styles.reasonInput}
+                    placeholder="Ex : remboursement demandé par le client"
+                  />
+                </label>
+              )}
+
+              {notifiesClient &&
+                currentStatus !== order.order_payment_status && (
+                  <label className={styles.notifyField}>
+                    <input
+                      type="checkbox"
+                      checked={notifyClient}
+                      onChange={(e) => setNotifyClient(e.target.checked)}
+                    />
+                    Notifier le client par email
+                  </label>
+                )}
+
               <div className={styles.statusActions}>
                 <button
                   onClick={handleStatusUpdate}
                   disabled={
-                    loading || currentStatus === order.order_payment_status
+                    loading ||
+                    currentStatus === order.order_payment_status ||
+                    (reasonRequired && !reason.trim())
                   }
                   className={styles.saveButton}
                 >
@@ -306,7 +529,7 @@ const EditOrder = ({ order }) => {
 
               {order.application.description && (
                 <p className={styles.productDescription}>
-                  {order.application.description}
+                  {richTextToPlainText(order.application.description)}
                 </p>
               )}
 
@@ -360,6 +583,17 @@ const EditOrder = ({ order }) => {
               <span className={styles.fieldLabel}>Téléphone :</span>
               <span className={styles.fieldValue}>{order.client.phone}</span>
             </div>
+            {order.client.customerId && (
+              <div className={styles.clientField}>
+                <span className={styles.fieldLabel}>Fiche client :</span>
+                <Link
+                  href={`/dashboard/customers/${order.client.customerId}`}
+                  className={styles.customerLink}
+                >
+                  Voir toutes ses commandes
+                </Link>
+              </div>
+            )}
           </div>
         </div>
 
@@ -396,7 +630,7 @@ const EditOrder = ({ order }) => {
                   <div className={styles.paymentField}>
                     <span className={styles.fieldLabel}>Description :</span>
                     <span className={styles.fieldValue}>
-                      {platform.description}
+                      {richTextToPlainText(platform.description)}
                     </span>
                   </div>
                 )}
@@ -483,6 +717,250 @@ const EditOrder = ({ order }) => {
             )}
           </div>
         </div>
+
+        {/* Section Facture : émise explicitement, puis téléchargeable */}
+        {canInvoice &&
+          (order.invoice || order.order_payment_status === 'paid') && (
+            <div className={styles.section}>
+              <div className={styles.sectionHeader}>
+                <MdReceipt className={styles.sectionIcon} />
+                <h2>Facture</h2>
+              </div>
+
+              <p className={styles.invoiceMeta}>
+                {order.invoice
+                  ? `Facture ${order.invoice.number} émise le ${formatDate(order.invoice.issued_at)}`
+                  : 'Aucune facture émise : un numéro définitif sera attribué à l’émission.'}
+              </p>
+
+              <div className={styles.invoiceActions}>
+                {order.invoice ? (
+                  <>
+                    <a
+                      href={`/api/dashboard/orders/${order.order_id}/invoice`}
+                      className={styles.editButton}
+                    >
+                      <MdPictureAsPdf />
+                      Télécharger (PDF)
+                    </a>
+                    <a
+                      href={`/api/dashboard/orders/${order.order_id}/invoice?format=html`}
+                      className={styles.editButton}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                    >
+                      <MdPrint />
+                      Version imprimable
+                    </a>
+                  </>
+                ) : (
+                  <button
+                    type="button"
+                    onClick={handleIssueInvoice}
+                    disabled={issuingInvoice}
+                    className={styles.editButton}
+                  >
+                    {issuingInvoice ? (
+                      <MdRefresh className={styles.loadingIcon} />
+                    ) : (
+                      <MdReceipt />
+                    )}
+                    Émettre la facture
+                  </button>
+                )}
+              </div>
+            </div>
+          )}
+
+        {/* Section Loyers : échéancier créé au paiement de la commande */}
+        {order.rentSchedule && (
+          <div className={styles.section}>
+            <div className={styles.sectionHeader}>
+              <MdEventRepeat className={styles.sectionIcon} />
+              <h2>Loyers</h2>
+            </div>
+
+            <p className={styles.invoiceMeta}>
+              {formatPrice(order.rentSchedule.amount)} par mois depuis le{' '}
+              {formatDay(order.rentSchedule.start_date)}
+              {order.rentSchedule.status === 'stopped' &&
+                ` · arrêté le ${formatDate(order.rentSchedule.stopped_at)}`}
+            </p>
+
+            <ul className={styles.rentPeriods}>
+              {order.rentSchedule.periods.map((period) => {
+                const state = rentPeriodStates[period.status];
+
+                return (
+                  <li key={period.id} className={styles.rentPeriod}>
+                    <div className={styles.rentPeriodInfo}>
+                      <span className={styles.rentPeriodTitle}>
+                        Échéance n°{period.number} ·{' '}
+                        {formatDay(period.due_date)}
+                      </span>
+                      {period.status === 'paid' && (
+                        <span className={styles.timelineActor}>
+                          Payée le {formatDate(period.paid_at)}
+                          {period.paid_by_email &&
+                            ` par ${period.paid_by_email}`}
+                          {period.note && ` · ${period.note}`}
+                        </span>
+                      )}
+                    </div>
+                    <span className={styles.rentPeriodAmount}>
+                      {formatPrice(period.amount)}
+                    </span>
+                    <span
+                      className={styles.rentPeriodBadge}
+                      style={{ '--status-color': state.color }}
+                    >
+                      {state.label}
+                    </span>
+                    {canUpdateStatus &&
+                      period.status !== 'paid' &&
+                      order.rentSchedule.status === 'active' && (
+                        <button
+                          type="button"
+                          onClick={() => handlePayRent(period)}
+                          disabled={payingPeriodId !== null}
+                          className={styles.rentPayButton}
+                        >
+                          {payingPeriodId === period.id ? (
+                            <MdRefresh className={styles.loadingIcon} />
+                          ) : (
+                            <MdCheckCircle />
+                          )}
+                          Marquer payée
+                        </button>
+                      )}
+                  </li>
+                );
+              })}
+            </ul>
+          </div>
+        )}
+
+        {/* Section Emails : notifications des changements de statut */}
+        {(order.notifications?.length > 0 ||
+          NOTIFICATION_TEMPLATE_KEYS[order.order_payment_status]) && (
+          <div className={styles.section}>
+            <div className={styles.sectionHeader}>
+              <MdMail className={styles.sectionIcon} />
+              <h2>Emails au client</h2>
+            </div>
+
+            {order.notifications?.length > 0 ? (
+              <ul className={styles.notifications}>
+                {order.notifications.map((notification) => {
+                  const state = notificationStates[notification.status];
+
+                  return (
+                    <li key={notification.id} className={styles.notification}>
+                      <div className={styles.notificationInfo}>
+                        <span className={styles.notificationTitle}>
+                          {NOTIFICATION_TEMPLATE_LABELS[
+                            notification.template_key
+                          ] || notification.template_key}
+                          {notification.is_resend && ' · renvoi'}
+                        </span>
+                        <span className={styles.timelineActor}>
+                          {formatDate(notification.created_at)}
+                          {notification.recipient &&
+                            ` · ${notification.recipient}`}
+                          {notification.actor_email &&
+                            ` · par ${notification.actor_email}`}
+                        </span>
+                        {notification.detail && (
+                          <span className={styles.timelineActor}>
+                            {notification.detail}
+                          </span>
+                        )}
+                      </div>
+                      <span
+                        className={styles.notificationBadge}
+                        style={{ '--status-color': state.color }}
+                      >
+                        {state.label}
+                      </span>
+                    </li>
+                  );
+                })}
+              </ul>
+            ) : (
+              <p className={styles.timelineEmpty}>
+                Aucun email envoyé pour cette commande.
+              </p>
+            )}
+
+            {canUpdateStatus &&
+              NOTIFICATION_TEMPLATE_KEYS[order.order_payment_status] && (
+                <div className={styles.invoiceActions}>
+                  <button
+                    type="button"
+                    onClick={handleResendNotification}
+                    disabled={resending}
+                    className={styles.editButton}
+                  >
+                    {resending ? (
+                      <MdRefresh className={styles.loadingIcon} />
+                    ) : (
+                      <MdSend />
+                    )}
+                    {order.notifications?.some(
+                      (notification) => notification.status === 'sent',
+                    )
+                      ? "Renvoyer l'email"
+                      : "Envoyer l'email"}
+                  </button>
+                </div>
+              )}
+          </div>
+        )}
+
+        {/* Section Historique des statuts */}
+        <div className={styles.section}>
+          <div className={styles.sectionHeader}>
+            <MdHistory className={styles.sectionIcon} />
+            <h2>Historique des statuts</h2>
+          </div>
+
+          {order.statusHistory?.length > 0 ? (
+            <ol className={styles.timeline}>
+              {order.statusHistory.map((entry) => (
+                <li key={entry.id} className={styles.timelineItem}>
+                  <span
+                    className={styles.timelineDot}
+                    style={{
+                      '--status-color': getStatusInfo(entry.new_status).color,
+                    }}
+                  />
+                  <div className={styles.timelineContent}>
+                    <div className={styles.timelineHeader}>
+                      <span className={styles.timelineStatus}>
+                        {entry.old_status
+                          ? `${getStatusInfo(entry.old_status).label} → ${getStatusInfo(entry.new_status).label}`
+                          : `Créée : ${getStatusInfo(entry.new_status).label}`}
+                      </span>
+                      <span className={styles.timelineDate}>
+                        {formatDate(entry.created_at)}
+                      </span>
+                    </div>
+                    <span className={styles.timelineActor}>
+                      Par {entry.actor_email || 'le système'}
+                    </span>
+                    {entry.note && (
+                      <p className={styles.timelineNote}>{entry.note}</p>
+                    )}
+                  </div>
+                </li>
+              ))}
+            </ol>
+          ) : (
+            <p className={styles.timelineEmpty}>
+              Aucun changement de statut enregistré.
+            </p>
+          )}
+        </div>
       </div>
     </div>
   );
@@ -0,0 +1,195 @@
+'use client';
+
+import { useState } from 'react';
+import Link from 'next/link';
+import { MdArrowBack, MdRefresh, MdRestore, MdSave } from 'react-icons/md';
+import styles from '@/ui/styling/dashboard/orders/notificationTemplates.module.css';
+import { updateNotificationTemplate } from '@/app/dashboard/orders/actions';
+import {
+  MAX_TEMPLATE_BODY_LENGTH,
+  MAX_TEMPLATE_SUBJECT_LENGTH,
+  NOTIFICATION_TEMPLATE_LABELS,
+  NOTIFICATION_VARIABLES,
+} from '@/utils/schemas/notificationSchema';
+
+const formatDate = (dateString) =>
+  new Intl.DateTimeFormat('fr-FR', {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+  }).format(new Date(dateString));
+
+const TemplateEditor = ({ template: initialTemplate }) => {
+  const [template, setTemplate] = useState(initialTemplate);
+  const [form, setForm] = useState({
+    subject: initialTemplate.subject,
+    body: initialTemplate.body,
+    enabled: initialTemplate.enabled,
+  });
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const isDirty =
+    form.subject !== template.subject ||
+    form.body !== template.body ||
+    form.enabled !== template.enabled;
+  const isDefault =
+    form.subject === template.defaults.subject &&
+    form.body === template.defaults.body;
+
+  const updateField = (field, value) =>
+    setForm((current) => ({ ...current, [field]: value }));
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setMessage(null);
+
+    try {
+      const result = await updateNotificationTemplate({
+        key: template.key,
+        ...form,
+      });
+
+      if (!result.success) throw new Error(result.error);
+
+      setTemplate(result.template);
+      setForm({
+        subject: result.template.subject,
+        body: result.template.body,
+        enabled: result.template.enabled,
+      });
+      setMessage({ type: 'success', text: 'Modèle enregistré' });
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSave} className={styles.card}>
+      <div className={styles.cardHeader}>
+        <h2>{NOTIFICATION_TEMPLATE_LABELS[template.key]}</h2>
+        {template.customized && template.updated_at && (
+          <span className={styles.muted}>
+            Modifié le {formatDate(template.updated_at)}
+          </span>
+        )}
+      </div>
+
+      <label className={styles.toggle}>
+        <input
+          type="checkbox"
+          checked={form.enabled}
+          onChange={(e) => updateField('enabled', e.target.checked)}
+          disabled={saving}
+        />
+        Envoyer cet email automatiquement
+      </label>
+
+      <label className={styles.field}>
+        <span className={styles.label}>Sujet</span>
+        <input
+          type="text"
+          value={form.subject}
+          onChange={(e) => updateField('subject', e.target.value)}
+          maxLength={MAX_TEMPLATE_SUBJECT_LENGTH}
+          className={styles.input}
+          disabled={saving}
+          required
+        />
+      </label>
+
+      <label className={styles.field}>
+        <span className={styles.label}>Message</span>
+        <textarea
+          value={form.body}
+          onChange={(e) => updateField('body', e.target.value)}
+          maxLength={MAX_TEMPLATE_BODY_LENGTH}
+          rows={12}
+          className={styles.textarea}
+          disabled={saving}
+          required
+        />
+      </label>
+
+      {message && (
+        <div className={`${styles.message} ${styles[message.type]}`}>
+          {message.text}
+        </div>
+      )}
+
+      <div className={styles.actions}>
+        <button
+          type="submit"
+          className={styles.saveButton}
+          disabled={saving || !isDirty}
+        >
+          {saving ? <MdRefresh className={styles.loadingIcon} /> : <MdSave />}
+          Enregistrer
+        </button>
+        <button
+          type="button"
+          className={styles.secondaryButton}
+          onClick={() =>
+            setForm((current) => ({ ...current, ...template.defaults }))
+          }
+          disabled={saving || isDefault}
+        >
+          <MdRestore />
+          Modèle par défaut
+        </button>
+      </div>
+    </form>
+  );
+};
+
+const NotificationTemplates = ({ templates }) => {
+  return (
+    <div className={styles.container}>
+      <div className={styles.top}>
+        <Link href="/dashboard/orders" className={styles.backLink}>
+          <MdArrowBack /> Commandes
+        </Link>
+        <h1>Emails clients</h1>
+        <p className={styles.muted}>
+          Envoyés au client quand sa commande passe à payée, remboursée ou
+          échouée. Une ligne vide sépare deux paragraphes.
+        </p>
+      </div>
+
+      <div className={styles.layout}>
+        <div className={styles.templates}>
+          {templates.length > 0 ? (
+            templates.map((template) => (
+              <TemplateEditor key={template.key} template={template} />
+            ))
+          ) : (
+            <div className={`${styles.message} ${styles.error}`}>
+              Impossible de charger les modèles. Veuillez réessayer.
+            </div>
+          )}
+        </div>
+
+        <aside className={styles.variables}>
+          <h3>Variables</h3>
+          <ul>
+            {Object.entries(NOTIFICATION_VARIABLES).map(
+              ([name, description]) => (
+                <li key={name}>
+                  <code>{`{{${name}}}`}</code>
+                  <span className={styles.muted}>{description}</span>
+                </li>
+              ),
+            )}
+          </ul>
+        </aside>
+      </div>
+    </div>
+  );
+};
+
+export default NotificationTemplates;
@@ -17,20 +17,54 @@ import {
   MdClose,
   MdPayment,
   MdAttachMoney,
+  MdFileDownload,
+  MdAdd,
+  MdReceipt,
+  MdMail,
 } from 'react-icons/md';
 import styles from '@/ui/styling/dashboard/orders/orders.module.css';
 import OrderSearch from '@/ui/components/dashboard/search/OrderSearch';
 import OrderFilters from '@/ui/components/dashboard/OrderFilters';
+import ListPagination, {
+  SortControl,
+  syncListUrl,
+} from '@/ui/components/dashboard/ListPagination';
 import { getFilteredOrders } from '@/app/dashboard/orders/actions';
-import { updateOrderPaymentStatus } from '@/app/dashboard/orders/actions';
-
-const OrdersList = ({ data, totalOrders }) => {
+import {
+  bulkUpdateOrderPaymentStatus,
+  issuePaidRangeInvoices,
+  updateOrderPaymentStatus,
+} from '@/app/dashboard/orders/actions';
+import {
+  STATUSES_REQUIRING_REASON,
+  getAllowedOrderTransitions,
+} from '@/utils/schemas/orderSchema';
+
+const OrdersList = ({
+  data,
+  totalOrders,
+  pageInfo: initialPageInfo,
+  filters: initialFilters,
+  filterOptions,
+  canUpdateStatus = false,
+  canExport = false,
+  canCreate = false,
+  canInvoice = false,
+  canManageNotifications = false,
+}) => {
   const [orders, setOrders] = useState(data);
+  const [pageInfo, setPageInfo] = useState(initialPageInfo);
   const [statusUpdateLoading, setStatusUpdateLoading] = useState(false);
   const [isPending, startTransition] = useTransition();
-  const [currentFilters, setCurrentFilters] = useState({});
+  const [currentFilters, setCurrentFilters] = useState(initialFilters || {});
   const [error, setError] = useState(null);
   const [statusUpdateError, setStatusUpdateError] = useState(null);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [bulkResult, setBulkResult] = useState(null);
+  const [showInvoicePanel, setShowInvoicePanel] = useState(false);
+  const [invoiceRange, setInvoiceRange] = useState({ from: '', to: '' });
+  const [issuingInvoices, setIssuingInvoices] = useState(false);
+  const [invoiceError, setInvoiceError] = useState(null);
 
   // Statistiques calculées avec order_price + order_rent
   const stats = useMemo(() => {
@@ -69,6 +103,16 @@ const OrdersList = ({ data, totalOrders }) => {
   const dismissStatusError = () => setStatusUpdateError(null);
 
   const handleStatusChange = async (orderId, newStatus) => {
+    let reason;
+
+    // Remboursement / échec : raison obligatoire
+    if (STATUSES_REQUIRING_REASON.includes(newStatus)) {
+      reason = window.prompt(
+        `Raison (obligatoire) pour passer la commande #${orderId.substring(0, 8)} en « ${getStatusText(newStatus)} » :`,
+      );
+      if (!reason?.trim()) return;
+    }
+
     setStatusUpdateLoading(true);
     setStatusUpdateError(null);
 
@@ -83,10 +127,10 @@ const OrdersList = ({ data, totalOrders }) => {
         ),
       );
 
-      const result = await updateOrderPaymentStatus(orderId, newStatus);
+      const result = await updateOrderPaymentStatus(orderId, newStatus, reason);
 
       if (!result.success) {
-        throw new Error(`Erreur ${result.status}: ${result.statusText}`);
+        throw new Error(result.error || 'Échec de la mise à jour');
       }
     } catch (error) {
       setOrders(previousOrders);
@@ -98,16 +142,25 @@ const OrdersList = ({ data, totalOrders }) => {
     }
   };
 
-  const handleFilterChange = async (newFilters) => {
-    setCurrentFilters(newFilters);
-    setError(null);
+  // Chargement d'une page (filtres, tri, taille de page, curseur)
+  // Sans curseur explicite, on repart de la première page.
+  const loadOrders = (filters, listChanges = {}) => {
+    const listParams = {
+      sort: pageInfo?.sort,
+      direction: pageInfo?.direction,
+      pageSize: pageInfo?.pageSize,
+      ...listChanges,
+    };
 
     startTransition(async () => {
       try {
-        const result = await getFilteredOrders(newFilters);
+        const result = await getFilteredOrders(filters, listParams);
 
         if (result && result.orders) {
           setOrders(result.orders);
+          setPageInfo(result.pageInfo);
+          setSelectedIds([]);
+          syncListUrl('orders', listParams, filters);
         }
       } catch (error) {
         setError(
@@ -117,6 +170,18 @@ const OrdersList = ({ data, totalOrders }) => {
     });
   };
 
+  const handleFilterChange = (newFilters) => {
+    setCurrentFilters(newFilters);
+    setError(null);
+    loadOrders(newFilters);
+  };
+
+  // Tri et pagination
+  const handleListChange = (listChanges) => {
+    setError(null);
+    loadOrders(currentFilters, listChanges);
+  };
+
   const getStatusIcon = (status) => {
     switch (status) {
       case 'paid':
@@ -162,29 +227,90 @@ const OrdersList = ({ data, totalOrders }) => {
     }
   };
 
-  const getNextStatus = (currentStatus) => {
-    switch (currentStatus) {
-      case 'unpaid':
-        return 'paid';
-      case 'paid':
-        return 'refunded';
-      case 'refunded':
-        return 'unpaid';
-      case 'failed':
-        return 'unpaid';
-      default:
-        return 'paid';
+  // ===== SÉLECTION ET ACTIONS GROUPÉES =====
+  const allSelected = orders.length > 0 && selectedIds.length === orders.length;
+
+  const toggleSelection = (orderId) =>
+    setSelectedIds((prev) =>
+      prev.includes(orderId)
+        ? prev.filter((id) => id !== orderId)
+        : [...prev, orderId],
+    );
+
+  const toggleSelectAll = () =>
+    setSelectedIds(allSelected ? [] : orders.map((order) => order.order_id));
+
+  const handleBulkStatusChange = async (newStatus) => {
+    const count = selectedIds.length;
+    let reason;
+
+    if (STATUSES_REQUIRING_REASON.includes(newStatus)) {
+      reason = window.prompt(
+        `Raison (obligatoire) pour passer ${count} commande(s) en « ${getStatusText(newStatus)} » :`,
+      );
+      if (!reason?.trim()) return;
+    } else if (
+      !window.confirm(
+        `Passer ${count} commande(s) en « ${getStatusText(newStatus)} » ?`,
+      )
+    ) {
+      return;
+    }
+
+    setStatusUpdateLoading(true);
+    setBulkResult(null);
+
+    try {
+      const result = await bulkUpdateOrderPaymentStatus(
+        selectedIds,
+        newStatus,
+        reason,
+      );
+
+      if (!result.success) {
+        setBulkResult({
+          type: 'error',
+          text: result.error,
+          failures: result.results.filter((item) => !item.success),
+        });
+        return;
+      }
+
+      const updatedIds = new Set(selectedIds);
+      setOrders((prevOrders) =>
+        prevOrders.map((order) =>
+          updatedIds.has(order.order_id)
+            ? { ...order, order_payment_status: newStatus }
+            : order,
+        ),
+      );
+      setSelectedIds([]);
+      setBulkResult({
+        type: 'success',
+        text: `${count} commande(s) passée(s) en « ${getStatusText(newStatus)} ».`,
+        failures: [],
+      });
+    } catch (error) {
+      setBulkResult({
+        type: 'error',
+        text: `Échec de la mise à jour groupée. ${error.message}`,
+        failures: [],
+      });
+    } finally {
+      setStatusUpdateLoading(false);
     }
   };
 
+  // Action rapide : première transition autorisée (aucune pour refunded)
+  const getNextStatus = (currentStatus) =>
+    getAllowedOrderTransitions(currentStatus)[0] || null;
+
   const getStatusActionText = (currentStatus) => {
     switch (currentStatus) {
       case 'unpaid':
         return 'Marquer comme payée';
       case 'paid':
         return 'Marquer comme remboursée';
-      case 'refunded':
-        return 'Marquer comme impayée';
       case 'failed':
         return 'Marquer comme impayée';
       default:
@@ -213,6 +339,66 @@ const OrdersList = ({ data, totalOrders }) => {
 
   const hasActiveFilters = Object.keys(currentFilters).length > 0;
 
+  // URL d'export : mêmes filtres que la liste affichée
+  const buildExportUrl = (separator) => {
+    const params = new URLSearchParams({ separator });
+    for (const [key, value] of Object.entries(currentFilters)) {
+      if (Array.isArray(value)) {
+        value.forEach((item) => params.append(key, item));
+      } else if (value) {
+        params.set(key, value);
+      }
+    }
+    return `/api/dashboard/orders/export?${params.toString()}`;
+  };
+
+  // Factures groupées : commandes payées entre deux dates (incluses)
+  const isInvoiceRangeValid =
+    invoiceRange.from &&
+    invoiceRange.to &&
+    invoiceRange.from <= invoiceRange.to;
+
+  const buildInvoicesUrl = (format) => {
+    const params = new URLSearchParams(invoiceRange);
+    if (format) params.set('format', format);
+    return `/api/dashboard/orders/invoices?${params.toString()}`;
+  };
+
+  // Les factures manquantes sont émises par l'action serveur, la route de
+  // téléchargement ne fait que relire les factures existantes
+  const handleDownloadInvoices = async (format) => {
+    // Onglet ouvert avant l'appel serveur pour ne pas être bloqué
+    const printWindow = format === 'html' ? window.open('', '_blank') : null;
+
+    setIssuingInvoices(true);
+    setInvoiceError(null);
+
+    try {
+      const result = await issuePaidRangeInvoices(
+        invoiceRange.from,
+        invoiceRange.to,
+      );
+
+      if (!result.success) {
+        throw new Error(result.error || 'Échec de l’émission des factures');
+      }
+      if (result.invoiceCount === 0) {
+        throw new Error('Aucune commande payée sur cette période');
+      }
+
+      if (printWindow) {
+        printWindow.location.href = buildInvoicesUrl(format);
+      } else {
+        window.location.assign(buildInvoicesUrl(format));
+      }
+    } catch (error) {
+      printWindow?.close();
+      setInvoiceError(error.message);
+    } finally {
+      setIssuingInvoices(false);
+    }
+  };
+
   return (
     <div className={styles.container}>
       {/* Notifications d'erreur */}
@@ -230,6 +416,47 @@ const OrdersList = ({ data, totalOrders }) => {
         </div>
       )}
 
+      {bulkResult && (
+        <div
+          className={
+            bulkResult.type === 'success'
+              ? styles.successNotification
+              : styles.errorNotification
+          }
+        >
+          {bulkResult.type === 'success' ? (
+            <MdCheckCircle className={styles.successIcon} />
+          ) : (
+            <MdWarning className={styles.errorIcon} />
+          )}
+          <div
+            className={
+              bulkResult.type === 'success'
+                ? styles.successMessage
+                : styles.errorMessage
+            }
+          >
+            <span>{bulkResult.text}</span>
+            {bulkResult.failures.length > 0 && (
+              <ul className={styles.bulkFailures}>
+                {bulkResult.failures.map((failure) => (
+                  <li key={failure.orderId}>
+                    #{failure.orderId.substring(0, 8)} : {failure.error}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+          <button
+            onClick={() => setBulkResult(null)}
+            className={styles.errorDismiss}
+            aria-label="Fermer la notification"
+          >
+            <MdClose />
+          </button>
+        </div>
+      )}
+
       {statusUpdateError && (
         <div className={styles.errorNotification}>
           <MdWarning className={styles.errorIcon} />
@@ -252,7 +479,9 @@ const OrdersList = ({ data, totalOrders }) => {
               <MdShoppingCart />
             </div>
             <div className={styles.statContent}>
-              <span className={styles.statValue}>{totalOrders}</span>
+              <span className={styles.statValue}>
+                {pageInfo?.total ?? totalOrders}
+              </span>
               <span className={styles.statLabel}>Total Commandes</span>
             </div>
           </div>
@@ -357,7 +586,135 @@ const OrdersList = ({ data, totalOrders }) => {
           <OrderFilters
             onFilterChange={handleFilterChange}
             currentFilters={currentFilters}
+            applications={filterOptions?.applications}
+            platforms={filterOptions?.platforms}
+          />
+          <SortControl
+            listKey="orders"
+            pageInfo={pageInfo}
+            onChange={handleListChange}
+            disabled={isPending}
           />
+          {canExport && (
+            <div className={styles.exportActions}>
+              <a
+                href={buildExportUrl('comma')}
+                className={styles.exportButton}
+                title="Exporter les commandes filtrées (CSV)"
+              >
+                <MdFileDownload />
+                CSV
+              </a>
+              <a
+                href={buildExportUrl('semicolon')}
+                className={styles.exportButton}
+                title="CSV séparé par des points-virgules, pour Excel en français"
+              >
+                <MdFileDownload />
+                Excel (FR)
+              </a>
+            </div>
+          )}
+          {canInvoice && (
+            <div className={styles.invoiceRange}>
+              <button
+                type="button"
+                className={styles.exportButton}
+                onClick={() => setShowInvoicePanel((open) => !open)}
+                aria-expanded={showInvoicePanel}
+              >
+                <MdReceipt />
+                Factures
+              </button>
+              {showInvoicePanel && (
+                <div className={styles.invoicePanel}>
+                  <p className={styles.invoicePanelTitle}>
+                    Commandes payées sur la période
+                  </p>
+                  <label className={styles.invoicePanelField}>
+                    Du
+                    <input
+                      type="date"
+                      value={invoiceRange.from}
+                      max={invoiceRange.to || undefined}
+                      onChange={(e) => {
+                        setInvoiceError(null);
+                        setInvoiceRange((range) => ({
+                          ...range,
+                          from: e.target.value,
+                        }));
+                      }}
+                    />
+                  </label>
+                  <label className={styles.invoicePanelField}>
+                    Au
+                    <input
+                      type="date"
+                      value={invoiceRange.to}
+                      min={invoiceRange.from || undefined}
+                      onChange={(e) => {
+                        setInvoiceError(null);
+                        setInvoiceRange((range) => ({
+                          ...range,
+                          to: e.target.value,
+                        }));
+                      }}
+                    />
+                  </label>
+                  {isInvoiceRangeValid ? (
+                    <div className={styles.exportActions}>
+                      <button
+                        type="button"
+                        onClick={() => handleDownloadInvoices()}
+                        disabled={issuingInvoices}
+                        className={styles.exportButton}
+                      >
+                        <MdFileDownload />
+                        PDF
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => handleDownloadInvoices('html')}
+                        disabled={issuingInvoices}
+                        className={styles.exportButton}
+                      >
+                        Version imprimable
+                      </button>
+                    </div>
+                  ) : (
+                    <p className={styles.invoicePanelHint}>
+                      Choisissez une date de début et une date de fin.
+                    </p>
+                  )}
+                  {invoiceError && (
+                    <p className={styles.invoicePanelError}>{invoiceError}</p>
+                  )}
+                  <p className={styles.invoicePanelHint}>
+                    Les factures manquantes sont émises avant le téléchargement.
+                  </p>
+                </div>
+              )}
+            </div>
+          )}
+          {canManageNotifications && (
+            <Link
+              href="/dashboard/orders/notifications"
+              className={styles.exportButton}
+              title="Modèles des emails envoyés aux clients"
+            >
+              <MdMail />
+              Emails clients
+            </Link>
+          )}
+          {canCreate && (
+            <Link
+              href="/dashboard/orders/add"
+              className={styles.addOrderButton}
+            >
+              <MdAdd />
+              Nouvelle commande
+            </Link>
+          )}
         </div>
       </div>
 
@@ -371,10 +728,56 @@ const OrdersList = ({ data, totalOrders }) => {
 
       {/* Résultats */}
       <div className={styles.resultsHeader}>
-        <span className={styles.resultsCount}>
-          {orders.length} commande{orders.length > 1 ? 's' : ''}
-          {hasActiveFilters && ' trouvée(s) avec les filtres appliqués'}
-        </span>
+        <div className={styles.resultsSelection}>
+          {canUpdateStatus && orders.length > 0 && (
+            <label className={styles.selectAll}>
+              <input
+                type="checkbox"
+                checked={allSelected}
+                onChange={toggleSelectAll}
+                disabled={statusUpdateLoading}
+              />
+              Tout sélectionner
+            </label>
+          )}
+          <span className={styles.resultsCount}>
+            {orders.length} commande{orders.length > 1 ? 's' : ''}
+            {hasActiveFilters && ' trouvée(s) avec les filtres appliqués'}
+          </span>
+        </div>
+
+        {canUpdateStatus && selectedIds.length > 0 && (
+          <div className={styles.bulkActions}>
+            <span className={styles.bulkCount}>
+              {selectedIds.length} sélectionnée
+              {selectedIds.length > 1 ? 's' : ''}
+            </span>
+            <button
+              onClick={() => handleBulkStatusChange('paid')}
+              disabled={statusUpdateLoading}
+              className={`${styles.statusButton} ${styles.statusButtonUnpaid}`}
+            >
+              <MdCheckCircle />
+              <span>Marquer payées</span>
+            </button>
+            <button
+              onClick={() => handleBulkStatusChange('failed')}
+              disabled={statusUpdateLoading}
+              className={`${styles.statusButton} ${styles.statusButtonDanger}`}
+            >
+              <MdError />
+              <span>Marquer échouées</span>
+            </button>
+            <button
+              onClick={() => handleBulkStatusChange('refunded')}
+              disabled={statusUpdateLoading}
+              className={`${styles.statusButton} ${styles.statusButtonPaid}`}
+            >
+              <MdUndo />
+              <span>Marquer remboursées</span>
+            </button>
+          </div>
+        )}
       </div>
 
       {/* Liste des commandes */}
@@ -382,8 +785,21 @@ const OrdersList = ({ data, totalOrders }) => {
         {orders.length > 0 ? (
           <div className={styles.ordersGrid}>
             {orders.map((order) => (
-              <div key={order.order_id} className={styles.orderCard}>
+              <div
+                key={order.order_id}
+                className={`${styles.orderCard} ${selectedIds.includes(order.order_id) ? styles.selectedCard : ''}`}
+              >
                 <div className={styles.orderHeader}>
+                  {canUpdateStatus && (
+                    <input
+                      type="checkbox"
+                      checked={selectedIds.includes(order.order_id)}
+                      onChange={() => toggleSelection(order.order_id)}
+                      disabled={statusUpdateLoading}
+                      className={styles.orderCheckbox}
+                      aria-label={`Sélectionner la commande ${order.order_id.substring(0, 8)}`}
+                    />
+                  )}
                   <div className={styles.orderMeta}>
                     <span className={styles.orderId}>
                       #{order.order_id.substring(0, 8)}
@@ -472,51 +888,65 @@ const OrdersList = ({ data, totalOrders }) => {
                       <MdArrowForward className={styles.arrowIcon} />
                     </Link>
 
-                    <button
-                      onClick={() =>
-                        handleStatusChange(
-                          order.order_id,
-                          getNextStatus(order.order_payment_status),
-                        )
-                      }
-                      disabled={statusUpdateLoading}
-                      className={`${styles.statusButton} ${styles[`statusButton${order.order_payment_status.charAt(0).toUpperCase() + order.order_payment_status.slice(1)}`]}`}
-                      aria-label={`${getStatusActionText(order.order_payment_status)} pour la commande ${order.order_id.substring(0, 8)}`}
-                    >
-                      {statusUpdateLoading ? (
-                        <>
-                          <MdRefresh className={styles.loadingIcon} />
-                          <span>Mise à jour...</span>
-                        </>
-                      ) : (
-                        <>
-                          {getStatusIcon(
-                            getNextStatus(order.order_payment_status),
+                    {canUpdateStatus &&
+                      getNextStatus(order.order_payment_status) && (
+                        <button
+                          onClick={() =>
+                            handleStatusChange(
+                              order.order_id,
+                              getNextStatus(order.order_payment_status),
+                            )
+                          }
+                          disabled={statusUpdateLoading}
+                          className={`${styles.statusButton} ${styles[`statusButton${order.order_payment_status.charAt(0).toUpperCase() + order.order_payment_status.slice(1)}`]}`}
+                          aria-label={`${getStatusActionText(order.order_payment_status)} pour la commande ${order.order_id.substring(0, 8)}`}
+                        >
+                          {statusUpdateLoading ? (
+                            <>
+                              <MdRefresh className={styles.loadingIcon} />
+                              <span>Mise à jour...</span>
+                            </>
+                          ) : (
+                            <>
+                              {getStatusIcon(
+                                getNextStatus(order.order_payment_status),
+                              )}
+                              <span>
+                                {getStatusActionText(
+                                  order.order_payment_status,
+                                )}
+                              </span>
+                            </>
                           )}
-                          <span>
-                            {getStatusActionText(order.order_payment_status)}
-                          </span>
-                        </>
+                        </button>
                       )}
-                    </button>
                   </div>
 
-                  <div className={styles.statusDropdown}>
-                    <select
-                      value={order.order_payment_status}
-                      onChange={(e) =>
-                        handleStatusChange(order.order_id, e.target.value)
-                      }
-                      disabled={statusUpdateLoading}
-                      className={styles.statusSelect}
-                      aria-label={`Changer le statut de la commande ${order.order_id.substring(0, 8)}`}
-                    >
-                      <option value="unpaid">En attente</option>
-                      <option value="paid">Payée</option>
-                      <option value="refunded">Remboursée</option>
-                      <option value="failed">Échouée</option>
-                    </select>
-                  </div>
+                  {canUpdateStatus &&
+                    getNextStatus(order.order_payment_status) && (
+                      <div className={styles.statusDropdown}>
+                        <select
+                          value={order.order_payment_status}
+                          onChange={(e) =>
+                            handleStatusChange(order.order_id, e.target.value)
+                          }
+                          disabled={statusUpdateLoading}
+                          className={styles.statusSelect}
+                          aria-label={`Changer le statut de la commande ${order.order_id.substring(0, 8)}`}
+                        >
+                          <option value={order.order_payment_status}>
+                            {getStatusText(order.order_payment_status)}
+                          </option>
+                          {getAllowedOrderTransitions(
+                            order.order_payment_status,
+                          ).map((status) => (
+                            <option key={status} value={status}>
+                              {getStatusText(status)}
+                            </option>
+                          ))}
+                        </select>
+                      </div>
+                    )}
                 </div>
               </div>
             ))}
@@ -537,6 +967,13 @@ const OrdersList = ({ data, totalOrders }) => {
           </div>
         )}
       </div>
+
+      <ListPagination
+        pageInfo={pageInfo}
+        count={orders.length}
+        onChange={handleListChange}
+        disabled={isPending}
+      />
     </div>
   );
 };
@@ -7,6 +7,7 @@ import Link from 'next/link';
 import { MdArrowBack } from 'react-icons/md';
 import styles from '@/ui/styling/dashboard/platforms/add/addPlatform.module.css';
 import { platformAddingSchema } from '@/utils/schemas/platformSchema';
+import RichTextEditor from '@/ui/components/dashboard/RichTextEditor';
 import {
   trackForm,
   trackValidation,
@@ -33,7 +34,7 @@ export default function AddPlatform() {
     if (isChecked) {
       setAccountName('');
       setAccountNumber('');
-      setDescription('Paiement en espèces lors de la récupération');
+      setDescription('<p>Paiement en espèces lors de la récupération</p>');
     } else {
       setDescription('');
     }
@@ -185,15 +186,11 @@ export default function AddPlatform() {
           />
 
           {/* ✅ NOUVEAU : Champ Description */}
-          <textarea
-            name="description"
-            placeholder="Description (optional)"
+          <RichTextEditor
             value={description}
-            onChange={(e) => setDescription(e.target.value)}
-            maxLength="500"
+            onChange={setDescription}
+            maxLength={500}
             disabled={isSubmitting}
-            className={styles.textarea}
-            rows="3"
           />
         </div>
 
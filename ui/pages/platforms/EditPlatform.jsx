@@ -3,6 +3,7 @@
 import { useState, useEffect } from 'react';
 import { useRouter } from 'next/navigation';
 import styles from '@/ui/styling/dashboard/platforms/editPlatform.module.css';
+import RichTextEditor from '@/ui/components/dashboard/RichTextEditor';
 import { MdSave, MdCancel, MdInfo, MdEdit } from 'react-icons/md';
 import {
   trackForm,
@@ -50,7 +51,7 @@ const EditPlatform = ({ platform }) => {
       accountName: isChecked ? '' : prev.accountName,
       accountNumber: isChecked ? '' : prev.accountNumber,
       description: isChecked
-        ? 'Paiement en espèces lors de la récupération'
+        ? '<p>Paiement en espèces lors de la récupération</p>'
         : prev.description,
     }));
     setHasChanges(true);
@@ -354,18 +355,16 @@ const EditPlatform = ({ platform }) => {
 
         {/* ✅ NOUVEAU : Champ Description */}
         <div className={styles.formGroup}>
-          <label htmlFor="description" className={styles.label}>
-            Description (optional)
-          </label>
-          <textarea
-            id="description"
-            name="description"
+          <label className={styles.label}>Description (optional)</label>
+          <RichTextEditor
             value={formData.description}
-            onChange={handleInputChange}
-            className={styles.textarea}
-            placeholder="Additional information about this platform"
+            onChange={(html) =>
+              handleInputChange({
+                target: { name: 'description', value: html },
+              })
+            }
+            maxLength={500}
             disabled={loading}
-            rows="3"
           />
           <span className={styles.inputHint}>
             Optional description or notes
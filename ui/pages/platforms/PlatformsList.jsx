@@ -8,46 +8,68 @@ import { MdAdd } from 'react-icons/md';
 import styles from '@/ui/styling/dashboard/platforms/platforms.module.css';
 import PlatformsSearch from '@/ui/components/dashboard/search/PlatformsSearch';
 import PlatformFilters from '@/ui/components/dashboard/PlatformFilters';
-import { getFilteredPlatforms } from '@/app/dashboard/platforms/actions';
+import ListPagination, {
+  SortControl,
+  syncListUrl,
+} from '@/ui/components/dashboard/ListPagination';
+import BulkActions, {
+  BulkSelectCheckbox,
+} from '@/ui/components/dashboard/BulkActions';
+import {
+  getFilteredPlatforms,
+  bulkUpdatePlatformsActive,
+  bulkDeletePlatforms,
+} from '@/app/dashboard/platforms/actions';
+import { richTextToPlainText } from '@/utils/sanitizers/sanitizeRichText';
 import {
   trackUI,
   trackNavigation,
   trackDatabaseError,
 } from '@/utils/monitoring';
 
-export default function PlatformsList({ data }) {
+export default function PlatformsList({
+  data,
+  pageInfo: initialPageInfo,
+  filters: initialFilters,
+}) {
   const router = useRouter();
   const [platforms, setPlatforms] = useState(data);
+  const [pageInfo, setPageInfo] = useState(initialPageInfo);
   const [isPending, startTransition] = useTransition();
-  const [currentFilters, setCurrentFilters] = useState({});
+  const [currentFilters, setCurrentFilters] = useState(initialFilters || {});
   const [isDeleting, setIsDeleting] = useState(false);
   const [error, setError] = useState(null);
+  const [selectedIds, setSelectedIds] = useState([]);
 
   useEffect(() => {
     setPlatforms(data);
+    setPageInfo(initialPageInfo);
     trackUI('platforms_list_mounted', {
       platformCount: data?.length || 0,
       cashCount: data?.filter((p) => p.is_cash_payment).length || 0,
       electronicCount: data?.filter((p) => !p.is_cash_payment).length || 0,
     });
-  }, [data]);
+  }, [data, initialPageInfo]);
 
-  // ===== FILTRES =====
-  const handleFilterChange = (newFilters) => {
-    setCurrentFilters(newFilters);
-    setError(null);
-
-    trackUI('platform_filter_changed', {
-      filtersCount: Object.keys(newFilters).length,
-    });
+  // ===== CHARGEMENT D'UNE PAGE =====
+  // Sans curseur explicite, on repart de la première page.
+  const loadPlatforms = (filters, listChanges = {}) => {
+    const listParams = {
+      sort: pageInfo?.sort,
+      direction: pageInfo?.direction,
+      pageSize: pageInfo?.pageSize,
+      ...listChanges,
+    };
 
     startTransition(async () => {
       try {
-        const filteredData = await getFilteredPlatforms(newFilters);
-        setPlatforms(filteredData);
+        const result = await getFilteredPlatforms(filters, listParams);
+        setPlatforms(result.platforms);
+        setPageInfo(result.pageInfo);
+        syncListUrl('platforms', listParams, filters);
 
         trackUI('platform_filter_applied_successfully', {
-          resultsCount: filteredData.length,
+          resultsCount: result.platforms.length,
         });
       } catch (err) {
         console.error('Filter error:', err);
@@ -57,22 +79,32 @@ export default function PlatformsList({ data }) {
     });
   };
 
+  // ===== FILTRES =====
+  const handleFilterChange = (newFilters) => {
+    setCurrentFilters(newFilters);
+    setError(null);
+
+    trackUI('platform_filter_changed', {
+      filtersCount: Object.keys(newFilters).length,
+    });
+
+    loadPlatforms(newFilters);
+  };
+
   const clearAllFilters = () => {
     setCurrentFilters({});
     setError(null);
 
     trackUI('platform_filters_cleared');
 
-    startTransition(async () => {
-      try {
-        const allData = await getFilteredPlatforms({});
-        setPlatforms(allData);
-      } catch (err) {
-        console.error('Clear filters error:', err);
-        setError('Failed to clear filters. Please refresh the page.');
-        trackDatabaseError(err, 'clear_platform_filters_client');
-      }
-    });
+    loadPlatforms({});
+  };
+
+  // ===== TRI ET PAGINATION =====
+  const handleListChange = (listChanges) => {
+    setError(null);
+    trackUI('platforms_list_params_changed', listChanges);
+    loadPlatforms(currentFilters, listChanges);
   };
 
   // ===== DELETE =====
@@ -114,6 +146,14 @@ export default function PlatformsList({ data }) {
     }
   };
 
+  const toggleSelected = (platformId) => {
+    setSelectedIds((prev) =>
+      prev.includes(platformId)
+        ? prev.filter((id) => id !== platformId)
+        : [...prev, platformId],
+    );
+  };
+
   const hasActiveFilters = Object.keys(currentFilters).length > 0;
 
   return (
@@ -129,6 +169,12 @@ export default function PlatformsList({ data }) {
           onFilterChange={handleFilterChange}
           currentFilters={currentFilters}
         />
+        <SortControl
+          listKey="platforms"
+          pageInfo={pageInfo}
+          onChange={handleListChange}
+          disabled={isPending}
+        />
         <Link
           href="/dashboard/platforms/add"
           onClick={() => trackNavigation('navigate_to_add_platform')}
@@ -154,13 +200,24 @@ export default function PlatformsList({ data }) {
           {error}
           <button
             className={styles.retryButton}
-            onClick={() => handleFilterChange(currentFilters)}
+            onClick={() => loadPlatforms(currentFilters)}
           >
             Retry
           </button>
         </div>
       )}
 
+      {/* Actions groupées */}
+      <BulkActions
+        pageIds={(platforms || []).map((p) => p.platform_id)}
+        selectedIds={selectedIds}
+        onSelectionChange={setSelectedIds}
+        entityName="platforms"
+        onBulkActive={bulkUpdatePlatformsActive}
+        onBulkDelete={bulkDeletePlatforms}
+        onComplete={() => loadPlatforms(currentFilters)}
+      />
+
       {/* Grid */}
       <div className={styles.platformsGrid}>
         {platforms && platforms.length > 0 ? (
@@ -171,6 +228,12 @@ export default function PlatformsList({ data }) {
             >
               <div className={styles.platformDetails}>
                 <div className={styles.platformHeader}>
+                  <BulkSelectCheckbox
+                    inline
+                    checked={selectedIds.includes(platform.platform_id)}
+                    onChange={() => toggleSelected(platform.platform_id)}
+                    label={`Select ${platform.platform_name}`}
+                  />
                   <div className={styles.titleGroup}>
                     <h2>{platform.platform_name}</h2>
                     <span
@@ -202,7 +265,7 @@ export default function PlatformsList({ data }) {
                         <div className={styles.infoRow}>
                           <span className={styles.label}>Description:</span>
                           <span className={styles.value}>
-                            {platform.description}
+                            {richTextToPlainText(platform.description)}
                           </span>
                         </div>
                       )}
@@ -268,7 +331,7 @@ export default function PlatformsList({ data }) {
                         <div className={styles.infoRow}>
                           <span className={styles.label}>Description:</span>
                           <span className={styles.value}>
-                            {platform.description}
+                            {richTextToPlainText(platform.description)}
                           </span>
                         </div>
                       )}
@@ -376,6 +439,13 @@ export default function PlatformsList({ data }) {
           </div>
         )}
       </div>
+
+      <ListPagination
+        pageInfo={pageInfo}
+        count={platforms.length}
+        onChange={handleListChange}
+        disabled={isPending}
+      />
     </div>
   );
 }
@@ -0,0 +1,233 @@
+'use client';
+
+import { useState } from 'react';
+import { useRouter } from 'next/navigation';
+import Link from 'next/link';
+import {
+  MdWarning,
+  MdSchedule,
+  MdEventRepeat,
+  MdCheckCircle,
+  MdRefresh,
+  MdArrowForward,
+} from 'react-icons/md';
+import styles from '@/ui/styling/dashboard/rents/rents.module.css';
+import { payRentPeriod } from '@/app/dashboard/orders/actions';
+
+const formatPrice = (price) =>
+  new Intl.NumberFormat('fr-FR', {
+    style: 'currency',
+    currency: 'USD',
+    minimumFractionDigits: 0,
+    maximumFractionDigits: 2,
+  }).format(price);
+
+// Dates d'échéance 'YYYY-MM-DD' (sans heure ni fuseau)
+const formatDay = (dateString) =>
+  new Intl.DateTimeFormat('fr-FR', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    timeZone: 'UTC',
+  }).format(new Date(dateString));
+
+// Écart en jours entre une échéance et aujourd'hui (positif = en retard)
+const daysFromToday = (dateString) => {
+  const today = new Date();
+  const todayUtc = Date.UTC(
+    today.getFullYear(),
+    today.getMonth(),
+    today.getDate(),
+  );
+  return Math.round((todayUtc - Date.parse(dateString)) / 86_400_000);
+};
+
+const RentsList = ({
+  overdue,
+  upcoming,
+  totals,
+  upcomingDays,
+  canMarkPaid = false,
+}) => {
+  const router = useRouter();
+  const [payingPeriodId, setPayingPeriodId] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const handlePay = async (period) => {
+    if (
+      !confirm(
+        `Enregistrer le paiement de ${period.client_name} (échéance n°${period.number}, ${formatPrice(period.amount)}) ?`,
+      )
+    ) {
+      return;
+    }
+
+    setPayingPeriodId(period.id);
+    setMessage(null);
+
+    try {
+      const result = await payRentPeriod(period.id);
+
+      if (!result.success) {
+        throw new Error(result.error || 'Échec de l’enregistrement');
+      }
+
+      setMessage({
+        type: 'success',
+        text: `Loyer de ${period.client_name} marqué comme payé`,
+      });
+      router.refresh();
+    } catch (error) {
+      console.error('Erreur lors du paiement du loyer:', error);
+      setMessage({ type: 'error', text: error.message });
+    } finally {
+      setPayingPeriodId(null);
+      setTimeout(() => setMessage(null), 5000);
+    }
+  };
+
+  const renderTable = (periods, { late }) => (
+    <table className={styles.table}>
+      <thead>
+        <tr>
+          <td>Client</td>
+          <td>Application</td>
+          <td>Échéance</td>
+          <td>{late ? 'Retard' : 'Dans'}</td>
+          <td>Montant</td>
+          <td></td>
+        </tr>
+      </thead>
+      <tbody>
+        {periods.map((period) => {
+          const days = daysFromToday(period.due_date);
+
+          return (
+            <tr key={period.id}>
+              <td>
+                <div className={styles.client}>
+                  <span>{period.client_name}</span>
+                  {period.client_email && (
+                    <span className={styles.muted}>{period.client_email}</span>
+                  )}
+                </div>
+              </td>
+              <td>{period.application_name}</td>
+              <td className={styles.nowrap}>
+                n°{period.number} · {formatDay(period.due_date)}
+              </td>
+              <td className={styles.nowrap}>
+                {late ? (
+                  <span className={styles.lateBadge}>{days} j</span>
+                ) : days === 0 ? (
+                  "Aujourd'hui"
+                ) : (
+                  `${-days} j`
+                )}
+              </td>
+              <td className={styles.nowrap}>{formatPrice(period.amount)}</td>
+              <td>
+                <div className={styles.rowActions}>
+                  {canMarkPaid && (
+                    <button
+                      type="button"
+                      onClick={() => handlePay(period)}
+                      disabled={payingPeriodId !== null}
+                      className={styles.payButton}
+                    >
+                      {payingPeriodId === period.id ? (
+                        <MdRefresh className={styles.loadingIcon} />
+                      ) : (
+                        <MdCheckCircle />
+                      )}
+                      Marquer payé
+                    </button>
+                  )}
+                  <Link
+                    href={`/dashboard/orders/${period.order_id}`}
+                    className={styles.orderLink}
+                    title="Voir la commande"
+                  >
+                    <MdArrowForward />
+                  </Link>
+                </div>
+              </td>
+            </tr>
+          );
+        })}
+      </tbody>
+    </table>
+  );
+
+  return (
+    <div className={styles.container}>
+      {message && (
+        <div className={`${styles.message} ${styles[message.type]}`}>
+          {message.text}
+        </div>
+      )}
+
+      <div className={styles.top}>
+        <h1>Loyers</h1>
+      </div>
+
+      <div className={styles.statsGrid}>
+        <div className={`${styles.statCard} ${styles.statOverdue}`}>
+          <MdWarning className={styles.statIcon} />
+          <div className={styles.statContent}>
+            <span className={styles.statValue}>
+              {formatPrice(totals.overdue_amount)}
+            </span>
+            <span className={styles.statLabel}>
+              En retard ({totals.overdue_count})
+            </span>
+          </div>
+        </div>
+        <div className={styles.statCard}>
+          <MdSchedule className={styles.statIcon} />
+          <div className={styles.statContent}>
+            <span className={styles.statValue}>
+              {formatPrice(totals.upcoming_amount)}
+            </span>
+            <span className={styles.statLabel}>
+              À venir sous {upcomingDays} j ({totals.upcoming_count})
+            </span>
+          </div>
+        </div>
+        <div className={styles.statCard}>
+          <MdEventRepeat className={styles.statIcon} />
+          <div className={styles.statContent}>
+            <span className={styles.statValue}>{totals.active_schedules}</span>
+            <span className={styles.statLabel}>Locations actives</span>
+          </div>
+        </div>
+      </div>
+
+      <section className={styles.section}>
+        <h2>En retard</h2>
+        {overdue.length > 0 ? (
+          renderTable(overdue, { late: true })
+        ) : (
+          <p className={styles.empty}>Aucun loyer en retard.</p>
+        )}
+        {totals.overdue_count > overdue.length && (
+          <p className={styles.muted}>
+            {overdue.length} échéances les plus anciennes affichées sur{' '}
+            {totals.overdue_count}.
+          </p>
+        )}
+      </section>
+
+      <section className={styles.section}>
+        <h2>À venir ({upcomingDays} prochains jours)</h2>
+        {upcoming.length > 0 ? (
+          renderTable(upcoming, { late: false })
+        ) : (
+          <p className={styles.empty}>Aucun loyer à venir.</p>
+        )}
+      </section>
+    </div>
+  );
+};
+
+export default RentsList;
@@ -5,6 +5,8 @@ import { useState, useCallback, useEffect } from 'react';
 import { useRouter } from 'next/navigation';
 import Image from 'next/image';
 import styles from '@/ui/styling/dashboard/templates/editTemplate.module.css';
+import DuplicateButton from '@/ui/components/dashboard/DuplicateButton';
+import { createTemplateCopy } from '@/app/dashboard/templates/actions';
 import {
   trackUI,
   trackUpload,
@@ -16,7 +18,7 @@ const MAX_FILE_SIZE = 5 * 1024 * 1024; // 5MB
 const MAX_FILES = 5;
 const ALLOWED_TYPES = ['image/jpeg', 'image/jpg', 'image/png', 'image/webp'];
 
-export default function EditTemplate({ template }) {
+export default function EditTemplate({ template, canDuplicate = false }) {
   const router = useRouter();
   const [formData, setFormData] = useState({
     templateName: template.template_name || '',
@@ -386,6 +388,19 @@ export default function EditTemplate({ template }) {
             </div>
           )}
         </div>
+        {canDuplicate && (
+          <div className={styles.infoActions}>
+            <DuplicateButton
+              entityType="template"
+              duplicate={(copyImages) =>
+                createTemplateCopy(template.template_id, copyImages)
+              }
+              editHref={({ templateId }) =>
+                `/dashboard/templates/${templateId}`
+              }
+            />
+          </div>
+        )}
       </div>
 
       {/* Edit Form */}
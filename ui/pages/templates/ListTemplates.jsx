@@ -9,35 +9,60 @@ import { MdAdd } from 'react-icons/md';
 import styles from '@/ui/styling/dashboard/templates/templates.module.css';
 import TemplatesSearch from '@/ui/components/dashboard/search/TemplatesSearch';
 import TemplateFilters from '@/ui/components/dashboard/TemplateFilters';
-import { getFilteredTemplates } from '@/app/dashboard/templates/actions';
+import ListPagination, {
+  SortControl,
+  syncListUrl,
+} from '@/ui/components/dashboard/ListPagination';
+import BulkActions, {
+  BulkSelectCheckbox,
+} from '@/ui/components/dashboard/BulkActions';
+import {
+  getFilteredTemplates,
+  bulkUpdateTemplatesActive,
+  bulkDeleteTemplates,
+} from '@/app/dashboard/templates/actions';
 import {
   trackUI,
   trackNavigation,
   trackDatabaseError,
 } from '@/utils/monitoring';
 
-export default function ListTemplates({ data }) {
+export default function ListTemplates({
+  data,
+  pageInfo: initialPageInfo,
+  filters: initialFilters,
+}) {
   const router = useRouter();
   const [templates, setTemplates] = useState(data || []);
+  const [pageInfo, setPageInfo] = useState(initialPageInfo);
   const [isPending, startTransition] = useTransition();
-  const [currentFilters, setCurrentFilters] = useState({});
+  const [currentFilters, setCurrentFilters] = useState(initialFilters || {});
   const [isDeleting, setIsDeleting] = useState(null);
   const [error, setError] = useState(null);
+  const [selectedIds, setSelectedIds] = useState([]);
 
   useEffect(() => {
     setTemplates(data || []);
+    setPageInfo(initialPageInfo);
     trackUI('list_templates_mounted', { templatesCount: data?.length || 0 });
-  }, [data]);
+  }, [data, initialPageInfo]);
 
-  // ===== FILTRES =====
-  const handleFilterChange = (newFilters) => {
-    setCurrentFilters(newFilters);
-    setError(null);
+  // ===== CHARGEMENT D'UNE PAGE =====
+  // Sans curseur explicite, on repart de la première page.
+  const loadTemplates = (filters, listChanges = {}) => {
+    const listParams = {
+      sort: pageInfo?.sort,
+      direction: pageInfo?.direction,
+      pageSize: pageInfo?.pageSize,
+      ...listChanges,
+    };
 
     startTransition(async () => {
       try {
-        const filteredData = await getFilteredTemplates(newFilters);
-        setTemplates(filteredData);
+        const result = await getFilteredTemplates(filters, listParams);
+        setTemplates(result.templates);
+        setPageInfo(result.pageInfo);
+        syncListUrl('templates', listParams, filters);
       } catch (err) {
         console.error('Filter error:', err);
         setError('Failed to filter templates. Please try again.');
@@ -46,17 +71,24 @@ export default function ListTemplates({ data }) {
     });
   };
 
+  // ===== FILTRES =====
+  const handleFilterChange = (newFilters) => {
+    setCurrentFilters(newFilters);
+    setError(null);
+    loadTemplates(newFilters);
+  };
+
   const clearAllFilters = () => {
     setCurrentFilters({});
     setError(null);
-    startTransition(async () => {
-      try {
-        const allData = await getFilteredTemplates({});
-        setTemplates(allData);
-      } catch (err) {
-        setError('Failed to clear filters. Please refresh the page.');
-      }
-    });
+    loadTemplates({});
+  };
+
+  // ===== TRI ET PAGINATION =====
+  const handleListChange = (listChanges) => {
+    setError(null);
+    trackUI('templates_list_params_changed', listChanges);
+    loadTemplates(currentFilters, listChanges);
   };
 
   // ===== DELETE =====
@@ -117,6 +149,14 @@ export default function ListTemplates({ data }) {
     [router],
   );
 
+  const toggleSelected = (templateId) => {
+    setSelectedIds((prev) =>
+      prev.includes(templateId)
+        ? prev.filter((id) => id !== templateId)
+        : [...prev, templateId],
+    );
+  };
+
   const hasActiveFilters = Object.keys(currentFilters).length > 0;
 
   // ===== EMPTY STATE (aucun template en DB, pas de filtres actifs) =====
@@ -152,6 +192,12 @@ export default function ListTemplates({ data }) {
           onFilterChange={handleFilterChange}
           currentFilters={currentFilters}
         />
+        <SortControl
+          listKey="templates"
+          pageInfo={pageInfo}
+          onChange={handleListChange}
+          disabled={isPending}
+        />
         <Link
           href="/dashboard/templates/add"
           onClick={() => trackNavigation('navigate_to_add_template')}
@@ -192,6 +238,17 @@ export default function ListTemplates({ data }) {
         </div>
       )}
 
+      {/* Actions groupées */}
+      <BulkActions
+        pageIds={templates.map((t) => t.template_id)}
+        selectedIds={selectedIds}
+        onSelectionChange={setSelectedIds}
+        entityName="templates"
+        onBulkActive={bulkUpdateTemplatesActive}
+        onBulkDelete={bulkDeleteTemplates}
+        onComplete={() => loadTemplates(currentFilters)}
+      />
+
       {/* Templates Grid */}
       <div className={styles.bottom}>
         <div className={styles.grid}>
@@ -203,6 +260,11 @@ export default function ListTemplates({ data }) {
               >
                 {/* Image */}
                 <div className={styles.imageContainer}>
+                  <BulkSelectCheckbox
+                    checked={selectedIds.includes(template.template_id)}
+                    onChange={() => toggleSelected(template.template_id)}
+                    label={`Select ${template.template_name}`}
+                  />
                   {template.template_images?.[0] ? (
                     <Image
                       src={`https://res.cloudinary.com/${process.env.NEXT_PUBLIC_CLOUDINARY_CLOUD_NAME}/image/upload/c_fill,w_300,h_200/${template.template_images[0]}`}
@@ -316,6 +378,13 @@ export default function ListTemplates({ data }) {
             </div>
           )}
         </div>
+
+        <ListPagination
+          pageInfo={pageInfo}
+          count={templates.length}
+          onChange={handleListChange}
+          disabled={isPending}
+        />
       </div>
     </div>
   );
@@ -0,0 +1,270 @@
+// ui/pages/users/InvitationsList.jsx
+'use client';
+
+import { useState } from 'react';
+import Link from 'next/link';
+import { useRouter } from 'next/navigation';
+import { MdArrowBack, MdContentCopy, MdSend } from 'react-icons/md';
+import styles from '@/ui/styling/dashboard/users/users.module.css';
+import {
+  createInvitation,
+  revokeInvitation,
+} from '@/app/dashboard/users/actions';
+import { ALL_ROLES, DEFAULT_ROLE, ROLE_LABELS } from '@/lib/permissions';
+import { INVITATION_EXPIRY_OPTIONS } from '@/utils/schemas/invitationSchema';
+import { trackUI, trackDatabaseError } from '@/utils/monitoring';
+
+const STATUS_LABELS = {
+  pending: 'Pending',
+  used: 'Used',
+  expired: 'Expired',
+  revoked: 'Revoked',
+};
+
+const STATUS_CLASSES = {
+  pending: styles.statusPending,
+  used: styles.statusUsed,
+  expired: styles.statusExpired,
+  revoked: styles.statusRevoked,
+};
+
+const formatExpiry = (hours) =>
+  hours % 24 === 0 ? `${hours / 24} day(s)` : `${hours} hour(s)`;
+
+const formatDate = (date) => {
+  if (!date) return '—';
+
+  return new Date(date).toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+};
+
+export default function InvitationsList({ data = [] }) {
+  const router = useRouter();
+  const [email, setEmail] = useState('');
+  const [role, setRole] = useState(DEFAULT_ROLE);
+  const [expiresInHours, setExpiresInHours] = useState(
+    INVITATION_EXPIRY_OPTIONS[1],
+  );
+  const [isCreating, setIsCreating] = useState(false);
+  const [pendingId, setPendingId] = useState(null);
+  const [error, setError] = useState(null);
+  const [inviteUrl, setInviteUrl] = useState(null);
+  const [copied, setCopied] = useState(false);
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setIsCreating(true);
+    setError(null);
+    setInviteUrl(null);
+    setCopied(false);
+    trackUI('invitation_create_started', { role });
+
+    try {
+      const result = await createInvitation({ email, role, expiresInHours });
+
+      if (!result?.success) {
+        setError(result?.error || 'Failed to create the invitation.');
+        return;
+      }
+
+      setInviteUrl(result.url);
+      setEmail('');
+      trackUI('invitation_create_successful', { role });
+      router.refresh();
+    } catch (err) {
+      console.error('Invitation create error:', err);
+      setError(err.message || 'Failed to create the invitation.');
+      trackDatabaseError(err, 'invitation_create_client', { role });
+    } finally {
+      setIsCreating(false);
+    }
+  };
+
+  const handleRevoke = async (invitation) => {
+    if (!confirm(`Revoke the invitation sent to "${invitation.email}"?`)) {
+      return;
+    }
+
+    setPendingId(invitation.id);
+    setError(null);
+    trackUI('invitation_revoke_started', { invitationId: invitation.id });
+
+    try {
+      const result = await revokeInvitation(invitation.id);
+
+      if (!result?.success) {
+        throw new Error('Action failed');
+      }
+
+      trackUI('invitation_revoke_successful', { invitationId: invitation.id });
+      router.refresh();
+    } catch (err) {
+      console.error('Invitation revoke error:', err);
+      setError(err.message || 'Action failed. Please try again.');
+      trackDatabaseError(err, 'invitation_revoke_client', {
+        invitationId: invitation.id,
+      });
+    } finally {
+      setPendingId(null);
+    }
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(inviteUrl);
+      setCopied(true);
+    } catch (err) {
+      console.error('Clipboard error:', err);
+    }
+  };
+
+  return (
+    <div className={styles.container}>
+      <div className={styles.top}>
+        <h1>Invitations</h1>
+        <Link href="/dashboard/users" className={styles.linkButton}>
+          <MdArrowBack /> Users
+        </Link>
+      </div>
+
+      <form onSubmit={handleCreate} className={styles.inviteForm}>
+        <label className={styles.field}>
+          Email
+          <input
+            type="email"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            className={styles.input}
+            placeholder="name@benew.com"
+            disabled={isCreating}
+            required
+          />
+        </label>
+        <label className={styles.field}>
+          Role
+          <select
+            value={role}
+            onChange={(e) => setRole(e.target.value)}
+            className={styles.roleSelect}
+            disabled={isCreating}
+          >
+            {ALL_ROLES.map((value) => (
+              <option key={value} value={value}>
+                {ROLE_LABELS[value]}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className={styles.field}>
+          Expires in
+          <select
+            value={expiresInHours}
+            onChange={(e) => setExpiresInHours(Number(e.target.value))}
+            className={styles.roleSelect}
+            disabled={isCreating}
+          >
+            {INVITATION_EXPIRY_OPTIONS.map((hours) => (
+              <option key={hours} value={hours}>
+                {formatExpiry(hours)}
+              </option>
+            ))}
+          </select>
+        </label>
+        <button
+          type="submit"
+          className={styles.linkButton}
+          disabled={isCreating || !email}
+        >
+          <MdSend /> {isCreating ? 'Creating...' : 'Create invitation'}
+        </button>
+      </form>
+
+      {error && (
+        <div className={styles.error}>
+          <span className={styles.errorIcon}>⚠️</span>
+          {error}
+        </div>
+      )}
+
+      {/* Le lien n'est affiché qu'une seule fois (seul le hash est stocké) */}
+      {inviteUrl && (
+        <div className={styles.inviteLink}>
+          <code>{inviteUrl}</code>
+          <button
+            type="button"
+            className={styles.actionButton}
+            onClick={handleCopy}
+          >
+            <MdContentCopy /> {copied ? 'Copied' : 'Copy'}
+          </button>
+        </div>
+      )}
+
+      {data.length === 0 ? (
+        <p className={styles.empty}>No invitations yet.</p>
+      ) : (
+        <table className={styles.table}>
+          <thead>
+            <tr>
+              <td>Email</td>
+              <td>Role</td>
+              <td>Status</td>
+              <td>Created</td>
+              <td>Expires</td>
+              <td>Used by</td>
+              <td>Actions</td>
+            </tr>
+          </thead>
+          <tbody>
+            {data.map((invitation) => (
+              <tr key={invitation.id}>
+                <td>
+                  <div className={styles.user}>
+                    <span className={styles.name}>{invitation.email}</span>
+                    {invitation.created_by && (
+                      <span className={styles.email}>
+                        by {invitation.created_by}
+                      </span>
+                    )}
+                  </div>
+                </td>
+                <td>{ROLE_LABELS[invitation.role] || invitation.role}</td>
+                <td>
+                  <span
+                    className={`${styles.status} ${STATUS_CLASSES[invitation.status]}`}
+                  >
+                    {STATUS_LABELS[invitation.status]}
+                  </span>
+                </td>
+                <td>{formatDate(invitation.created_at)}</td>
+                <td>{formatDate(invitation.expires_at)}</td>
+                <td>
+                  {invitation.used_by
+                    ? `${invitation.used_by} (${formatDate(invitation.used_at)})`
+                    : '—'}
+                </td>
+                <td>
+                  {invitation.status === 'pending' && (
+                    <button
+                      type="button"
+                      className={`${styles.actionButton} ${styles.banButton}`}
+                      onClick={() => handleRevoke(invitation)}
+                      disabled={pendingId === invitation.id}
+                    >
+                      Revoke
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,359 @@
+// ui/pages/users/UsersList.jsx
+'use client';
+
+import { useState } from 'react';
+import Link from 'next/link';
+import { useRouter } from 'next/navigation';
+import {
+  MdBlock,
+  MdCheckCircle,
+  MdLogout,
+  MdLockReset,
+  MdMailOutline,
+  MdSecurity,
+} from 'react-icons/md';
+import styles from '@/ui/styling/dashboard/users/users.module.css';
+import {
+  banUser,
+  unbanUser,
+  revokeUserSessions,
+  forceUserPasswordReset,
+  updateUserRole,
+  setTwoFactorRequirement,
+} from '@/app/dashboard/users/actions';
+import { ALL_ROLES, ROLE_LABELS } from '@/lib/permissions';
+import { trackUI, trackDatabaseError } from '@/utils/monitoring';
+
+const formatDate = (date) => {
+  if (!date) return 'Never';
+
+  return new Date(date).toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+};
+
+export default function UsersList({
+  data = [],
+  currentUserId,
+  twoFactorRequired = false,
+}) {
+  const router = useRouter();
+  const [pendingUserId, setPendingUserId] = useState(null);
+  const [isSavingSetting, setIsSavingSetting] = useState(false);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+
+  const runAction = async (user, action, execute, successMessage) => {
+    setPendingUserId(user.id);
+    setError(null);
+    setNotice(null);
+    trackUI(`user_${action}_started`, { targetUserId: user.id });
+
+    try {
+      const result = await execute();
+
+      if (!result?.success) {
+        throw new Error('Action failed');
+      }
+
+      setNotice(successMessage(result));
+      trackUI(`user_${action}_successful`, { targetUserId: user.id });
+      router.refresh();
+    } catch (err) {
+      console.error(`User ${action} error:`, err);
+      setError(err.message || 'Action failed. Please try again.');
+      trackDatabaseError(err, `user_${action}_client`, {
+        targetUserId: user.id,
+      });
+    } finally {
+      setPendingUserId(null);
+    }
+  };
+
+  const handleBan = (user) => {
+    const reason = prompt(
+      `Deactivate "${user.email}"? All of their sessions will be revoked.\nReason (optional):`,
+    );
+    if (reason === null) return;
+
+    runAction(
+      user,
+      'ban',
+      () => banUser(user.id, reason),
+      (result) =>
+        `${user.email} deactivated (${result.revokedSessions} session(s) revoked).`,
+    );
+  };
+
+  const handleUnban = (user) => {
+    if (!confirm(`Reactivate "${user.email}"?`)) return;
+
+    runAction(
+      user,
+      'unban',
+      () => unbanUser(user.id),
+      () => `${user.email} reactivated.`,
+    );
+  };
+
+  const handleRevokeSessions = (user) => {
+    if (!confirm(`Sign "${user.email}" out of all devices?`)) return;
+
+    runAction(
+      user,
+      'revoke_sessions',
+      () => revokeUserSessions(user.id),
+      (result) =>
+        `${result.revokedSessions} session(s) revoked for ${user.email}.`,
+    );
+  };
+
+  const handleForceReset = (user) => {
+    if (
+      !confirm(
+        `Force a password reset for "${user.email}"? They will be signed out and unable to sign in until the password is changed.`,
+      )
+    ) {
+      return;
+    }
+
+    runAction(
+      user,
+      'force_password_reset',
+      () => forceUserPasswordReset(user.id),
+      () => `Password reset requested for ${user.email}.`,
+    );
+  };
+
+  const handleRoleChange = (user, role) => {
+    if (role === user.role) return;
+    if (
+      !confirm(
+        `Change the role of "${user.email}" to ${ROLE_LABELS[role]}? It applies at their next request (up to 5 minutes).`,
+      )
+    ) {
+      return;
+    }
+
+    runAction(
+      user,
+      'update_role',
+      () => updateUserRole(user.id, role),
+      () => `${user.email} is now ${ROLE_LABELS[role]}.`,
+    );
+  };
+
+  const handleTwoFactorRequirement = async (required) => {
+    const withoutTwoFactor = data.filter(
+      (user) => !user.two_factor_enabled,
+    ).length;
+
+    if (
+      required &&
+      !confirm(
+        `Require two-factor authentication for all admins? ${withoutTwoFactor} account(s) will have to set it up before using the dashboard.`,
+      )
+    ) {
+      return;
+    }
+
+    setIsSavingSetting(true);
+    setError(null);
+    setNotice(null);
+    trackUI('two_factor_requirement_started', { required });
+
+    try {
+      const result = await setTwoFactorRequirement(required);
+
+      if (!result?.success) {
+        throw new Error('Action failed');
+      }
+
+      setNotice(
+        required
+          ? 'Two-factor authentication is now required for all admins.'
+          : 'Two-factor authentication is now optional.',
+      );
+      trackUI('two_factor_requirement_successful', { required });
+      router.refresh();
+    } catch (err) {
+      console.error('Two-factor requirement error:', err);
+      setError(err.message || 'Action failed. Please try again.');
+      trackDatabaseError(err, 'two_factor_requirement_client', { required });
+    } finally {
+      setIsSavingSetting(false);
+    }
+  };
+
+  return (
+    <div className={styles.container}>
+      <div className={styles.top}>
+        <h1>Users</h1>
+        <div className={styles.topActions}>
+          <span className={styles.count}>{data.length} account(s)</span>
+          <Link
+            href="/dashboard/users/invitations"
+            className={styles.linkButton}
+          >
+            <MdMailOutline /> Invitations
+          </Link>
+        </div>
+      </div>
+
+      <div className={styles.security}>
+        <label className={styles.securityToggle}>
+          <input
+            type="checkbox"
+            checked={twoFactorRequired}
+            onChange={(e) => handleTwoFactorRequirement(e.target.checked)}
+            disabled={isSavingSetting}
+          />
+          Require two-factor authentication for all admins
+        </label>
+        <Link href="/two-factor/setup" className={styles.actionButton}>
+          <MdSecurity /> My 2FA settings
+        </Link>
+      </div>
+
+      {error && (
+        <div className={styles.error}>
+          <span className={styles.errorIcon}>⚠️</span>
+          {error}
+        </div>
+      )}
+
+      {notice && <div className={styles.notice}>{notice}</div>}
+
+      {data.length === 0 ? (
+        <p className={styles.empty}>No users found.</p>
+      ) : (
+        <table className={styles.table}>
+          <thead>
+            <tr>
+              <td>User</td>
+              <td>Role</td>
+              <td>Status</td>
+              <td>Last sign-in</td>
+              <td>Active sessions</td>
+              <td>Actions</td>
+            </tr>
+          </thead>
+          <tbody>
+            {data.map((user) => {
+              const isSelf = user.id === currentUserId;
+              const isPending = pendingUserId === user.id;
+
+              return (
+                <tr key={user.id} className={user.banned ? styles.banned : ''}>
+                  <td>
+                    <div className={styles.user}>
+                      <span className={styles.name}>
+                        {user.name || '—'}
+                        {isSelf && <span className={styles.self}>You</span>}
+                      </span>
+                      <span className={styles.email}>{user.email}</span>
+                    </div>
+                  </td>
+                  <td>
+                    <select
+                      className={styles.roleSelect}
+                      value={user.role}
+                      onChange={(e) => handleRoleChange(user, e.target.value)}
+                      disabled={isSelf || isPending}
+                      aria-label={`Role of ${user.email}`}
+                    >
+                      {ALL_ROLES.map((role) => (
+                        <option key={role} value={role}>
+                          {ROLE_LABELS[role]}
+                        </option>
+                      ))}
+                    </select>
+                  </td>
+                  <td>
+                    {user.banned ? (
+                      <span
+                        className={`${styles.status} ${styles.statusBanned}`}
+                        title={user.ban_reason || undefined}
+                      >
+                        Deactivated
+                      </span>
+                    ) : (
+                      <span
+                        className={`${styles.status} ${styles.statusActive}`}
+                      >
+                        Active
+                      </span>
+                    )}
+                    <span
+                      className={`${styles.status} ${
+                        user.two_factor_enabled
+                          ? styles.statusActive
+                          : styles.statusExpired
+                      }`}
+                    >
+                      {user.two_factor_enabled ? '2FA' : 'No 2FA'}
+                    </span>
+                    {user.force_password_reset && (
+                      <span
+                        className={`${styles.status} ${styles.statusReset}`}
+                      >
+                        Reset required
+                      </span>
+                    )}
+                  </td>
+                  <td>{formatDate(user.last_sign_in)}</td>
+                  <td>{user.active_sessions}</td>
+                  <td>
+                    <div className={styles.actions}>
+                      {user.banned ? (
+                        <button
+                          type="button"
+                          className={`${styles.actionButton} ${styles.unbanButton}`}
+                          onClick={() => handleUnban(user)}
+                          disabled={isSelf || isPending}
+                        >
+                          <MdCheckCircle /> Reactivate
+                        </button>
+                      ) : (
+                        <button
+                          type="button"
+                          className={`${styles.actionButton} ${styles.banButton}`}
+                          onClick={() => handleBan(user)}
+                          disabled={isSelf || isPending}
+                        >
+                          <MdBlock /> Deactivate
+                        </button>
+                      )}
+                      <button
+                        type="button"
+                        className={styles.actionButton}
+                        onClick={() => handleRevokeSessions(user)}
+                        disabled={
+                          isSelf || isPending || user.active_sessions === 0
+                        }
+                      >
+                        <MdLogout /> Revoke sessions
+                      </button>
+                      <button
+                        type="button"
+                        className={styles.actionButton}
+                        onClick={() => handleForceReset(user)}
+                        disabled={isSelf || isPending}
+                      >
+                        <MdLockReset /> Force reset
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,73 @@
+// utils/csv.js
+// Génération de CSV pour les exports du dashboard
+
+// BOM UTF-8 : sans lui, Excel ouvre le fichier en Windows-1252
+export const CSV_BOM = '\uFEFF';
+
+/**
+ * Séparateurs disponibles
+ * - comma     : CSV standard
+ * - semicolon : Excel en locale française (la virgule y est décimale)
+ */
+export const CSV_SEPARATORS = {
+  comma: { separator: ',', decimal: '.' },
+  semicolon: { separator: ';', decimal: ',' },
+};
+
+// Cellules interprétées comme formules par les tableurs
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Échapper une cellule texte
+ * Les valeurs saisies par les clients sont neutralisées contre
+ * l'injection de formules (préfixe ').
+ */
+export function escapeCsvValue(value, separator = ',') {
+  if (value === null || value === undefined) return '';
+
+  let text = String(value);
+  if (FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+
+  if (
+    text.includes(separator) ||
+    text.includes('"') ||
+    text.includes('\n') ||
+    text.includes('\r')
+  ) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+
+  return text;
+}
+
+/**
+ * Formater un montant avec le séparateur décimal du format choisi
+ */
+export function formatCsvNumber(value, decimal = '.') {
+  const number = parseFloat(value);
+  if (Number.isNaN(number)) return '';
+  return number.toFixed(2).replace('.', decimal);
+}
+
+/**
+ * Formater une date en "YYYY-MM-DD HH:MM:SS" (UTC), reconnu par Excel
+ */
+export function formatCsvDate(value) {
+  if (!value) return '';
+  const date = value instanceof Date ? value : new Date(value);
+  if (Number.isNaN(date.getTime())) return '';
+  return date.toISOString().slice(0, 19).replace('T', ' ');
+}
+
+/**
+ * Construire une ligne CSV (terminée par CRLF, comme le veut la RFC 4180)
+ * Les cellules déjà formatées (nombres) doivent être passées en chaînes.
+ */
+export function toCsvRow(values, separator = ',') {
+  return (
+    values.map((value) => escapeCsvValue(value, separator)).join(separator) +
+    '\r\n'
+  );
+}
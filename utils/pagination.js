@@ -0,0 +1,223 @@
+// utils/pagination.js
+// Paramètres de pagination par curseur et de tri des listes du dashboard
+//
+// Module sans dépendance serveur : partagé entre les pages (searchParams),
+// les server actions et les Client Components (URL, contrôles de tri).
+
+export const PAGE_SIZE_OPTIONS = [20, 50, 100];
+export const DEFAULT_PAGE_SIZE = 20;
+export const SORT_DIRECTIONS = ['asc', 'desc'];
+
+// Curseur opaque encodé par backend/pagination.js (base64url)
+const CURSOR_REGEX = /^[A-Za-z0-9_-]{1,512}$/;
+
+/**
+ * Colonnes triables par liste (clé d'URL → libellé)
+ * Les expressions SQL correspondantes sont dans backend/pagination.js.
+ */
+export const LIST_SORTS = {
+  applications: {
+    defaultSort: 'created',
+    options: {
+      created: 'Created',
+      updated: 'Updated',
+      name: 'Name',
+      price: 'Fee',
+      sales: 'Sales',
+    },
+  },
+  templates: {
+    defaultSort: 'created',
+    options: {
+      created: 'Created',
+      updated: 'Updated',
+      name: 'Name',
+      sales: 'Sales',
+    },
+  },
+  platforms: {
+    defaultSort: 'created',
+    options: {
+      created: 'Created',
+      updated: 'Updated',
+      name: 'Name',
+    },
+  },
+  videos: {
+    defaultSort: 'created',
+    options: {
+      created: 'Created',
+      updated: 'Updated',
+      name: 'Title',
+    },
+  },
+  orders: {
+    defaultSort: 'created',
+    options: {
+      created: 'Created',
+      updated: 'Updated',
+      name: 'Client',
+      price: 'Price',
+    },
+  },
+  customers: {
+    defaultSort: 'last',
+    options: {
+      last: 'Last order',
+      value: 'Lifetime value',
+      orders: 'Orders',
+      outstanding: 'Outstanding rent',
+      name: 'Name',
+    },
+  },
+  audit: {
+    defaultSort: 'created',
+    options: {
+      created: 'Date',
+    },
+  },
+};
+
+/**
+ * Filtres reportés dans l'URL par liste (clé = nom du filtre)
+ * - text : valeur unique
+ * - list : valeurs répétées (?status=draft&status=published)
+ * Les valeurs sont validées côté serveur (backend/catalogFilters.js,
+ * backend/orderFilters.js, customerFiltersSchema, auditFiltersSchema).
+ */
+export const LIST_FILTER_FIELDS = {
+  applications: {
+    application_name: 'text',
+    category: 'list',
+    level: 'list',
+    status: 'list',
+  },
+  templates: { template_name: 'text', platform: 'list', status: 'list' },
+  platforms: { platform_name: 'text', payment_type: 'list', status: 'list' },
+  videos: { video_title: 'text', category: 'text', status: 'list' },
+  orders: {
+    order_client_name: 'text',
+    order_client_email: 'text',
+    order_payment_status: 'list',
+    order_created_from: 'text',
+    order_created_to: 'text',
+    order_paid_from: 'text',
+    order_paid_to: 'text',
+    order_total_min: 'text',
+    order_total_max: 'text',
+    order_application_id: 'text',
+    order_platform_id: 'text',
+  },
+  customers: { search: 'text' },
+  audit: {
+    actor: 'text',
+    action: 'text',
+    entityType: 'text',
+    entityId: 'text',
+    dateFrom: 'text',
+    dateTo: 'text',
+  },
+};
+
+const readParam = (params, key) => {
+  const value =
+    typeof params?.get === 'function' ? params.get(key) : params?.[key];
+  return Array.isArray(value) ? value[0] : value;
+};
+
+/**
+ * Lire et valider les paramètres de liste (URL ou objet)
+ * Toute valeur hors liste blanche est remplacée par sa valeur par défaut.
+ *
+ * @param {string} listKey - Clé de LIST_SORTS
+ * @param {URLSearchParams|Object} params - sort, dir, size, after, before
+ * @returns {{ sort: string, direction: string, pageSize: number, after: string|null, before: string|null }}
+ */
+export function parseListParams(listKey, params = {}) {
+  const config = LIST_SORTS[listKey];
+
+  if (!config) {
+    throw new Error(`Unknown list: ${listKey}`);
+  }
+
+  const sort = readParam(params, 'sort');
+  const direction = readParam(params, 'dir') ?? readParam(params, 'direction');
+  const pageSize = Number(
+    readParam(params, 'size') ?? readParam(params, 'pageSize'),
+  );
+  const after = readParam(params, 'after');
+  const before = readParam(params, 'before');
+
+  const validAfter = CURSOR_REGEX.test(after || '') ? after : null;
+
+  return {
+    sort: Object.hasOwn(config.options, sort) ? sort : config.defaultSort,
+    direction: SORT_DIRECTIONS.includes(direction) ? direction : 'desc',
+    pageSize: PAGE_SIZE_OPTIONS.includes(pageSize)
+      ? pageSize
+      : DEFAULT_PAGE_SIZE,
+    // Un seul sens de navigation à la fois
+    after: validAfter,
+    before: !validAfter && CURSOR_REGEX.test(before || '') ? before : null,
+  };
+}
+
+/**
+ * Lire les filtres d'une liste depuis l'URL (URLSearchParams ou
+ * searchParams d'une page)
+ * @param {string} listKey - Clé de LIST_FILTER_FIELDS
+ * @param {URLSearchParams|Object} params
+ * @returns {Object} Filtres bruts, à valider côté serveur
+ */
+export function parseListFilters(listKey, params = {}) {
+  const fields = LIST_FILTER_FIELDS[listKey] || {};
+  const filters = {};
+
+  for (const [key, type] of Object.entries(fields)) {
+    if (type === 'list') {
+      const raw =
+        typeof params?.getAll === 'function'
+          ? params.getAll(key)
+          : params?.[key];
+      const values = [raw].flat().filter((v) => typeof v === 'string' && v);
+      if (values.length > 0) filters[key] = values;
+    } else {
+      const value = readParam(params, key);
+      if (typeof value === 'string' && value) filters[key] = value;
+    }
+  }
+
+  return filters;
+}
+
+/**
+ * Query string d'une liste (valeurs par défaut omises)
+ * @param {string} listKey
+ * @param {Object} listParams - Résultat de parseListParams
+ * @param {Object} [filters] - Filtres actifs (LIST_FILTER_FIELDS)
+ * @returns {string} ex: "sort=price&dir=asc&size=50&status=draft"
+ */
+export function toListQueryString(listKey, listParams, filters = {}) {
+  const { sort, direction, pageSize, after, before } = parseListParams(
+    listKey,
+    listParams,
+  );
+  const query = new URLSearchParams();
+
+  if (sort !== LIST_SORTS[listKey].defaultSort) query.set('sort', sort);
+  if (direction !== 'desc') query.set('dir', direction);
+  if (pageSize !== DEFAULT_PAGE_SIZE) query.set('size', String(pageSize));
+  if (after) query.set('after', after);
+  if (before) query.set('before', before);
+
+  for (const key of Object.keys(LIST_FILTER_FIELDS[listKey] || {})) {
+    const value = filters[key];
+    if (Array.isArray(value)) {
+      value.forEach((item) => query.append(key, String(item)));
+    } else if (value !== undefined && value !== null && value !== '') {
+      query.set(key, String(value));
+    }
+  }
+
+  return query.toString();
+}
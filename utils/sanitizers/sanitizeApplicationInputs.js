@@ -1,5 +1,7 @@
 // ===== FICHIER: utils/sanitizers/sanitizeApplicationInputs.js =====
 
+import { sanitizeRichText } from '@/utils/sanitizers/sanitizeRichText';
+
 /**
  * Sanitize les données du formulaire d'ajout d'application
  * @param {Object} formData - Les données du formulaire à sanitizer
@@ -12,8 +14,8 @@ export const sanitizeApplicationInputs = (formData) => {
 
     return (
       name
-        // Garde seulement les caractères autorisés (lettres, chiffres, espaces, ., _, -)
-        .replace(/[^a-zA-Z0-9._\s-]/g, '')
+        // Garde seulement les caractères autorisés (lettres, chiffres, espaces, ., _, -, parenthèses)
+        .replace(/[^a-zA-Z0-9._()\s-]/g, '')
         // Supprime les espaces multiples
         .replace(/\s+/g, ' ')
         .trim()
@@ -34,20 +36,6 @@ export const sanitizeApplicationInputs = (formData) => {
     );
   };
 
-  // Fonction pour sanitizer la description
-  const sanitizeDescription = (description) => {
-    if (typeof description !== 'string') return description;
-
-    return (
-      description
-        // Garde les caractères alphanumériques, espaces, ponctuation de base
-        .replace(/[^\w\s.,!?;:()\-'"àáâãäèéêëìíîïòóôõöùúûüÿñç]/g, '')
-        // Supprime les espaces multiples
-        .replace(/\s+/g, ' ')
-        .trim()
-    );
-  };
-
   // Fonction pour sanitizer les nombres (fee, rent, level)
   const sanitizeNumber = (number) => {
     if (typeof number === 'number') return number;
@@ -101,7 +89,8 @@ export const sanitizeApplicationInputs = (formData) => {
     name: sanitizeApplicationName(formData.name || ''),
     link: sanitizeUrl(formData.link || ''),
     admin: sanitizeUrl(formData.admin || ''),
-    description: sanitizeDescription(formData.description || ''),
+    // HTML de l'éditeur : liste blanche de balises (null si vide)
+    description: sanitizeRichText(formData.description),
     fee: sanitizeNumber(formData.fee),
     rent: sanitizeNumber(formData.rent),
     category: sanitizeCategory(formData.category || ''),
@@ -143,7 +132,6 @@ export const sanitizeApplicationInputsStrict = (formData) => {
     name: basicSanitized.name.slice(0, 100),
     link: basicSanitized.link.slice(0, 500),
     admin: basicSanitized.admin.slice(0, 500),
-    description: basicSanitized.description.slice(0, 1000),
     templateId: basicSanitized.templateId.slice(0, 36), // UUID length
 
     // Limite le nombre d'images
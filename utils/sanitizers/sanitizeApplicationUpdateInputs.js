@@ -1,5 +1,7 @@
 // ===== FICHIER: utils/sanitizers/sanitizeApplicationUpdateInputs.js =====
 
+import { sanitizeRichText } from '@/utils/sanitizers/sanitizeRichText';
+
 /**
  * Sanitize les données du formulaire de modification d'application
  * Version spécialisée pour les mises à jour (champs optionnels)
@@ -14,8 +16,8 @@ export const sanitizeApplicationUpdateInputs = (formData) => {
 
     return (
       name
-        // Garde seulement les caractères autorisés (lettres, chiffres, espaces, ., _, -)
-        .replace(/[^a-zA-Z0-9._\s-]/g, '')
+        // Garde seulement les caractères autorisés (lettres, chiffres, espaces, ., _, -, parenthèses)
+        .replace(/[^a-zA-Z0-9._()\s-]/g, '')
         // Supprime les espaces multiples
         .replace(/\s+/g, ' ')
         .trim()
@@ -37,21 +39,6 @@ export const sanitizeApplicationUpdateInputs = (formData) => {
     );
   };
 
-  // Fonction pour sanitizer la description (optionnelle)
-  const sanitizeDescription = (description) => {
-    if (typeof description !== 'string') return description;
-    if (description.trim() === '') return null; // Retourner null pour description vide
-
-    return (
-      description
-        // Garde les caractères alphanumériques, espaces, ponctuation de base
-        .replace(/[^\w\s.,!?;:()\-'"àáâãäèéêëìíîïòóôõöùúûüÿñç]/g, '')
-        // Supprime les espaces multiples
-        .replace(/\s+/g, ' ')
-        .trim()
-    );
-  };
-
   // Fonction pour sanitizer les nombres (fee, rent)
   const sanitizeNumber = (number) => {
     if (typeof number === 'number') return number;
@@ -139,7 +126,8 @@ export const sanitizeApplicationUpdateInputs = (formData) => {
   }
 
   if (formData.description !== undefined) {
-    sanitizedData.description = sanitizeDescription(formData.description);
+    // HTML de l'éditeur : liste blanche de balises (null si vide)
+    sanitizedData.description = sanitizeRichText(formData.description);
   }
 
   if (formData.fee !== undefined) {
@@ -166,14 +154,12 @@ export const sanitizeApplicationUpdateInputs = (formData) => {
     sanitizedData.otherVersions = sanitizeOtherVersions(formData.otherVersions);
   }
 
-  // Les champs non sanitizés selon vos instructions (isActive, oldImageUrls)
-  if (formData.isActive !== undefined) {
-    sanitizedData.isActive = formData.isActive; // Non sanitizé
-  }
-
-  if (formData.oldImageUrls !== undefined) {
-    sanitizedData.oldImageUrls = formData.oldImageUrls; // Non sanitizé (logique interne)
-  }
+  // Statut et dates de publication : vérifiés par le schéma
+  ['status', 'publishAt', 'unpublishAt'].forEach((field) => {
+    if (formData[field] !== undefined) {
+      sanitizedData[field] = formData[field]; // Non sanitizé
+    }
+  });
 
   // Logs pour le debugging (à supprimer en production)
   if (process.env.NODE_ENV === 'development') {
@@ -216,13 +202,6 @@ export const sanitizeApplicationUpdateInputsStrict = (formData) => {
     strictSanitized.admin = strictSanitized.admin.slice(0, 500);
   }
 
-  if (
-    strictSanitized.description !== undefined &&
-    strictSanitized.description !== null
-  ) {
-    strictSanitized.description = strictSanitized.description.slice(0, 1000);
-  }
-
   // Limite le nombre d'images et autres versions
   if (strictSanitized.imageUrls !== undefined) {
     strictSanitized.imageUrls = strictSanitized.imageUrls.slice(0, 10);
@@ -385,7 +364,7 @@ export const validateApplicationUpdateData = (formData) => {
     'rent',
     'imageUrls',
     'otherVersions',
-    'isActive',
+    'status',
   ];
 
   const providedFields = updatableFields.filter(
@@ -0,0 +1,102 @@
+// utils/sanitizers/sanitizeOrderInputs.js
+
+/**
+ * Sanitize le nom du client
+ * Les lettres accentuées sont conservées (clientèle francophone)
+ */
+const sanitizeClientName = (clientName) => {
+  if (typeof clientName !== 'string') return clientName;
+
+  return clientName
+    .replace(/[^\p{L}\p{M}0-9 .'-]/gu, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+/**
+ * Sanitize l'email du client (le format est vérifié par Yup)
+ */
+const sanitizeClientEmail = (clientEmail) => {
+  if (typeof clientEmail !== 'string') return clientEmail;
+
+  return clientEmail.trim().toLowerCase().replace(/\s/g, '');
+};
+
+/**
+ * Sanitize le téléphone du client
+ */
+const sanitizeClientPhone = (clientPhone) => {
+  if (typeof clientPhone !== 'string') return clientPhone;
+
+  return clientPhone
+    .replace(/[^\d+\-\s().]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+/**
+ * Sanitize un identifiant UUID
+ */
+const sanitizeId = (id) => {
+  if (typeof id !== 'string') return id;
+
+  return id.replace(/[^0-9a-fA-F-]/g, '').toLowerCase();
+};
+
+/**
+ * Sanitize un montant (accepte "1 500,50" saisi à la française)
+ * ✅ Retourne null si non numérique (Yup signale l'erreur)
+ */
+const sanitizeAmount = (amount) => {
+  if (typeof amount === 'number') return amount;
+  if (typeof amount !== 'string') return null;
+
+  const normalized = amount.replace(/\s/g, '').replace(',', '.');
+  const parsed = parseFloat(normalized);
+
+  return Number.isFinite(parsed) ? parsed : null;
+};
+
+/**
+ * Sanitize les données du formulaire d'ajout de commande
+ */
+export const sanitizeOrderInputs = (formData) => {
+  const platformIds = Array.isArray(formData.platformIds)
+    ? [...new Set(formData.platformIds.map(sanitizeId).filter(Boolean))]
+    : [];
+
+  return {
+    applicationId: sanitizeId(formData.applicationId || ''),
+    platformIds,
+    clientName: sanitizeClientName(formData.clientName || ''),
+    clientEmail: sanitizeClientEmail(formData.clientEmail || ''),
+    clientPhone: sanitizeClientPhone(formData.clientPhone || ''),
+    price: sanitizeAmount(formData.price),
+    rent: sanitizeAmount(formData.rent),
+    markAsPaid: Boolean(formData.markAsPaid),
+  };
+};
+
+/**
+ * Version stricte avec longueurs maximales
+ */
+export const sanitizeOrderInputsStrict = (formData) => {
+  const basicSanitized = sanitizeOrderInputs(formData);
+
+  return {
+    ...basicSanitized,
+    applicationId: basicSanitized.applicationId.slice(0, 36),
+    platformIds: basicSanitized.platformIds.map((id) => id.slice(0, 36)),
+    clientName: basicSanitized.clientName.slice(0, 100),
+    clientEmail: basicSanitized.clientEmail.slice(0, 255),
+    clientPhone: basicSanitized.clientPhone.slice(0, 30),
+    price:
+      basicSanitized.price !== null
+        ? Math.round(basicSanitized.price * 100) / 100
+        : null,
+    rent:
+      basicSanitized.rent !== null
+        ? Math.round(basicSanitized.rent * 100) / 100
+        : null,
+  };
+};
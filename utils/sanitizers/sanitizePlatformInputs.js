@@ -1,5 +1,7 @@
 // utils/sanitizers/sanitizePlatformInputs.js
 
+import { sanitizeRichText } from '@/utils/sanitizers/sanitizeRichText';
+
 /**
  * Sanitize le nom de la plateforme
  */
@@ -39,20 +41,6 @@ const sanitizeAccountNumber = (accountNumber) => {
   return sanitized || null;
 };
 
-/**
- * ✅ NOUVEAU : Sanitize la description
- */
-const sanitizeDescription = (description) => {
-  if (typeof description !== 'string') return description;
-
-  const sanitized = description
-    .replace(/[<>]/g, '') // Retirer < et >
-    .replace(/\s+/g, ' ')
-    .trim();
-
-  return sanitized || null;
-};
-
 /**
  * Sanitize les données du formulaire d'ajout de plateforme
  * ✅ SUPPORT CASH : Gère isCashPayment et description
@@ -70,7 +58,7 @@ export const sanitizePlatformInputs = (formData) => {
     accountNumber: isCashPayment
       ? null
       : sanitizeAccountNumber(formData.accountNumber || ''),
-    description: sanitizeDescription(formData.description || ''),
+    description: sanitizeRichText(formData.description),
   };
 };
 
@@ -90,9 +78,8 @@ export const sanitizePlatformInputsStrict = (formData) => {
     accountNumber: basicSanitized.accountNumber
       ? basicSanitized.accountNumber.slice(0, 20)
       : null,
-    description: basicSanitized.description
-      ? basicSanitized.description.slice(0, 500)
-      : null,
+    // HTML déjà nettoyé : sa longueur est vérifiée par le schéma
+    description: basicSanitized.description,
   };
 };
 
@@ -128,7 +115,7 @@ export const sanitizePlatformUpdateInputs = (formData) => {
 
   // ✅ NOUVEAU : Gérer description
   if (Object.prototype.hasOwnProperty.call(formData, 'description')) {
-    sanitizedData.description = sanitizeDescription(formData.description || '');
+    sanitizedData.description = sanitizeRichText(formData.description);
   }
 
   if (Object.prototype.hasOwnProperty.call(formData, 'isActive')) {
@@ -167,13 +154,6 @@ export const sanitizePlatformUpdateInputsStrict = (formData) => {
     strictSanitized.accountNumber = strictSanitized.accountNumber.slice(0, 20);
   }
 
-  if (
-    'description' in strictSanitized &&
-    typeof strictSanitized.description === 'string'
-  ) {
-    strictSanitized.description = strictSanitized.description.slice(0, 500);
-  }
-
   return strictSanitized;
 };
 
@@ -0,0 +1,212 @@
+// utils/sanitizers/sanitizeRichText.js
+// Descriptions en texte riche (éditeur Tiptap) : applications, plateformes
+// et vidéos
+//
+// Le HTML est reconstruit à partir d'une liste blanche de balises et
+// d'attributs ; tout le reste est retiré (balise seule ou avec son contenu).
+// Utilisable côté serveur (avant enregistrement) comme côté client
+// (affichage).
+import { htmlToDOM } from 'html-react-parser';
+
+// Taille maximale du HTML enregistré (le texte visible a sa propre limite)
+export const MAX_RICH_TEXT_HTML_LENGTH = 20000;
+
+// Balise autorisée → attributs conservés
+const ALLOWED_TAGS = {
+  p: [],
+  br: [],
+  strong: [],
+  em: [],
+  u: [],
+  s: [],
+  code: [],
+  pre: [],
+  blockquote: [],
+  h2: [],
+  h3: [],
+  ul: [],
+  ol: [],
+  li: [],
+  hr: [],
+  a: ['href'],
+  img: ['src', 'alt'],
+};
+
+// Équivalents fréquents dans un contenu collé
+const TAG_ALIASES = {
+  b: 'strong',
+  i: 'em',
+  del: 's',
+  strike: 's',
+  h1: 'h2',
+  h4: 'h3',
+  h5: 'h3',
+  h6: 'h3',
+};
+
+// Retirées avec leur contenu
+const DROPPED_TAGS = new Set([
+  'script',
+  'style',
+  'iframe',
+  'object',
+  'embed',
+  'noscript',
+  'template',
+  'svg',
+  'math',
+  'head',
+  'title',
+  'textarea',
+  'select',
+  'button',
+]);
+
+const VOID_TAGS = new Set(['br', 'hr', 'img']);
+
+// Balises de bloc : séparées par une ligne dans la version texte
+const BLOCK_TAGS = new Set([
+  'p',
+  'br',
+  'pre',
+  'blockquote',
+  'h2',
+  'h3',
+  'ul',
+  'ol',
+  'li',
+  'hr',
+]);
+
+const LINK_PROTOCOLS = ['http:', 'https:', 'mailto:'];
+
+// Images envoyées via le widget Cloudinary signé uniquement
+const CLOUDINARY_IMAGE_REGEX =
+  /^https:\/\/res\.cloudinary\.com\/([\w-]+)\/image\/upload\//;
+
+const escapeHtml = (value = '') =>
+  String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+function sanitizeLink(href) {
+  try {
+    const url = new URL(href.trim());
+    return LINK_PROTOCOLS.includes(url.protocol) ? url.href : null;
+  } catch {
+    return null;
+  }
+}
+
+function sanitizeImageSource(src) {
+  const match = src.trim().match(CLOUDINARY_IMAGE_REGEX);
+  if (!match) return null;
+
+  const cloudName = process.env.NEXT_PUBLIC_CLOUDINARY_CLOUD_NAME;
+  return !cloudName || match[1] === cloudName ? src.trim() : null;
+}
+
+/**
+ * Attributs conservés d'une balise autorisée
+ * @returns {Object|null} null si la balise n'est pas utilisable (lien ou
+ *   image sans URL valide)
+ */
+function sanitizeAttributes(tag, attribs = {}) {
+  if (tag === 'a') {
+    const href = attribs.href && sanitizeLink(attribs.href);
+    return href
+      ? { href, target: '_blank', rel: 'noopener noreferrer nofollow' }
+      : null;
+  }
+
+  if (tag === 'img') {
+    const src = attribs.src && sanitizeImageSource(attribs.src);
+    return src ? { src, alt: (attribs.alt || '').slice(0, 200) } : null;
+  }
+
+  return {};
+}
+
+function serializeNodes(nodes = []) {
+  return nodes.map(serializeNode).join('');
+}
+
+function serializeNode(node) {
+  if (node.type === 'text') return escapeHtml(node.data);
+
+  // Commentaires, directives, <script> et <style> (types dédiés)
+  if (node.type !== 'tag') return '';
+
+  const tag = TAG_ALIASES[node.name] || node.name;
+
+  if (DROPPED_TAGS.has(tag)) return '';
+
+  // Balise inconnue : on garde son contenu
+  if (!(tag in ALLOWED_TAGS)) return serializeNodes(node.children);
+
+  const attributes = sanitizeAttributes(tag, node.attribs);
+
+  if (!attributes) {
+    return tag === 'img' ? '' : serializeNodes(node.children);
+  }
+
+  const attributeString = Object.entries(attributes)
+    .map(([name, value]) => ` ${name}="${escapeHtml(value)}"`)
+    .join('');
+
+  if (VOID_TAGS.has(tag)) return `<${tag}${attributeString}>`;
+
+  return `<${tag}${attributeString}>${serializeNodes(node.children)}</${tag}>`;
+}
+
+function collectText(nodes = []) {
+  return nodes
+    .map((node) => {
+      if (node.type === 'text') return node.data;
+      if (node.type !== 'tag' || DROPPED_TAGS.has(node.name)) return '';
+
+      const text = collectText(node.children);
+      return BLOCK_TAGS.has(TAG_ALIASES[node.name] || node.name)
+        ? `\n${text}\n`
+        : text;
+    })
+    .join('');
+}
+
+/**
+ * Texte visible d'une description (aperçus, limites de longueur)
+ * @param {string} html
+ * @returns {string}
+ */
+export function richTextToPlainText(html) {
+  if (typeof html !== 'string' || html.trim() === '') return '';
+
+  return collectText(htmlToDOM(html))
+    .split('\n')
+    .map((line) => line.replace(/\s+/g, ' ').trim())
+    .filter(Boolean)
+    .join('\n');
+}
+
+/**
+ * Nettoyer le HTML produit par l'éditeur
+ * @param {string} html
+ * @returns {string|null} null si la description est vide (ni texte ni image)
+ */
+export function sanitizeRichText(html) {
+  if (typeof html !== 'string' || html.trim() === '') return null;
+
+  const sanitized = serializeNodes(htmlToDOM(html)).trim();
+
+  const isEmpty =
+    richTextToPlainText(sanitized) === '' && !sanitized.includes('<img');
+
+  return isEmpty ? null : sanitized;
+}
+
+export default {
+  sanitizeRichText,
+  richTextToPlainText,
+};
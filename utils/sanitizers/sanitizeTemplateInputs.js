@@ -11,7 +11,7 @@ export const sanitizeTemplateInputs = (formData) => {
     if (typeof templateName !== 'string') return templateName;
 
     return templateName
-      .replace(/[^a-zA-Z0-9._\s-]/g, '')
+      .replace(/[^a-zA-Z0-9._()\s-]/g, '')
       .replace(/\s+/g, ' ')
       .trim();
   };
@@ -1,5 +1,7 @@
 // utils/sanitizers/sanitizeVideoInputs.js
 
+import { sanitizeRichText } from '@/utils/sanitizers/sanitizeRichText';
+
 /**
  * Sanitize les données du formulaire d'ajout/modification de vidéo
  * @param {Object} formData - Les données du formulaire à sanitizer
@@ -15,16 +17,6 @@ export const sanitizeVideoInputs = (formData) => {
       .trim();
   };
 
-  // Sanitize la description
-  const sanitizeDescription = (description) => {
-    if (typeof description !== 'string') return description;
-    if (description.trim() === '') return null;
-    return description
-      .replace(/[^\w\s.,!?;:()\-'"àáâãäèéêëìíîïòóôõöùúûüÿñç]/g, '')
-      .replace(/\s+/g, ' ')
-      .trim();
-  };
-
   // Sanitize un public_id Cloudinary
   const sanitizeCloudinaryId = (id) => {
     if (typeof id !== 'string') return id;
@@ -67,7 +59,8 @@ export const sanitizeVideoInputs = (formData) => {
 
   return {
     title: sanitizeTitle(formData.title || ''),
-    description: sanitizeDescription(formData.description || ''),
+    // HTML de l'éditeur : liste blanche de balises (null si vide)
+    description: sanitizeRichText(formData.description),
     cloudinaryId: sanitizeCloudinaryId(formData.cloudinaryId || ''),
     thumbnailId: sanitizeCloudinaryId(formData.thumbnailId || ''),
     category: sanitizeCategory(formData.category || ''),
@@ -89,9 +82,6 @@ export const sanitizeVideoInputsStrict = (formData) => {
     thumbnailId: basicSanitized.thumbnailId
       ? basicSanitized.thumbnailId.slice(0, 500)
       : null,
-    description: basicSanitized.description
-      ? basicSanitized.description.slice(0, 5000)
-      : null,
     category: basicSanitized.category
       ? basicSanitized.category.slice(0, 100)
       : null,
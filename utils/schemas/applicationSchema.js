@@ -1,6 +1,33 @@
 // ===== FICHIER: utils/schemas/applicationSchema.js =====
 
 import * as yup from 'yup';
+import { richTextDescription } from '@/utils/schemas/richTextSchema';
+
+/**
+ * Cycle de publication d'une application
+ * Seules les applications publiées sont visibles sur la boutique.
+ */
+export const APPLICATION_STATUSES = [
+  'draft',
+  'scheduled',
+  'published',
+  'archived',
+];
+
+export const APPLICATION_STATUS_LABELS = {
+  draft: 'Draft',
+  scheduled: 'Scheduled',
+  published: 'Published',
+  archived: 'Archived',
+};
+
+// Champ date optionnel (datetime-local vide → null)
+const publicationDate = () =>
+  yup
+    .date()
+    .nullable()
+    .transform((value, originalValue) => (originalValue ? value : null))
+    .typeError('Invalid date');
 
 /**
  * Schema de validation pour l'ajout d'une application
@@ -14,8 +41,8 @@ export const applicationAddingSchema = yup
       .min(3, 'Application name must be at least 3 characters')
       .max(100, 'Application name must not exceed 100 characters')
       .matches(
-        /^[a-zA-Z0-9._\s-]+$/,
-        'Application name can only contain letters, numbers, spaces, and ._-',
+        /^[a-zA-Z0-9._()\s-]+$/,
+        'Application name can only contain letters, numbers, spaces, and ._-()',
       )
       .matches(/^[a-zA-Z]/, 'Application name must start with a letter')
       .test(
@@ -88,15 +115,7 @@ export const applicationAddingSchema = yup
       })
       .transform((value) => value?.trim()),
 
-    description: yup
-      .string()
-      .max(1000, 'Description must not exceed 1000 characters')
-      .test(
-        'no-only-spaces',
-        'Description cannot contain only spaces',
-        (value) => !value || value.trim().length > 0,
-      )
-      .transform((value) => value?.trim() || null), // null si vide car optionnel
+    description: richTextDescription(1000),
 
     fee: yup
       .number()
@@ -203,8 +222,8 @@ export const applicationUpdateSchema = yup.object().shape({
     .min(3, 'Application name must be at least 3 characters')
     .max(100, 'Application name must not exceed 100 characters')
     .matches(
-      /^[a-zA-Z0-9._\s-]+$/,
-      'Application name can only contain letters, numbers, spaces, and ._-',
+      /^[a-zA-Z0-9._()\s-]+$/,
+      'Application name can only contain letters, numbers, spaces, and ._-()',
     )
     .matches(/^[a-zA-Z]/, 'Application name must start with a letter')
     .test(
@@ -282,19 +301,7 @@ export const applicationUpdateSchema = yup.object().shape({
     }),
 
   // Champ optionnel: description
-  description: yup
-    .string()
-    .nullable()
-    .max(1000, 'Description must not exceed 1000 characters')
-    .test(
-      'no-only-spaces',
-      'Description cannot contain only spaces',
-      (value) => !value || value.trim().length > 0,
-    )
-    .transform((value) => {
-      if (!value || value.trim() === '') return null;
-      return value.trim();
-    }),
+  description: richTextDescription(1000),
 
   // Champ obligatoire: frais d'ouverture
   fee: yup
@@ -379,11 +386,37 @@ export const applicationUpdateSchema = yup.object().shape({
     .nullable()
     .default(null),
 
-  // Champ obligatoire: statut actif/inactif
-  isActive: yup
-    .boolean()
-    .required('Application status is required')
-    .typeError('Application status must be true or false'),
+  // Champ obligatoire: statut de publication
+  status: yup
+    .string()
+    .required('Publication status is required')
+    .oneOf(APPLICATION_STATUSES, 'Invalid publication status'),
+
+  // Publication programmée : date future obligatoire
+  publishAt: publicationDate().when('status', {
+    is: 'scheduled',
+    then: (schema) =>
+      schema
+        .required('Publication date is required for a scheduled application')
+        .test(
+          'future-publish-at',
+          'Publication date must be in the future',
+          (value) => !value || value > new Date(),
+        ),
+  }),
+
+  // Dépublication programmée (application programmée ou publiée)
+  unpublishAt: publicationDate().test(
+    'valid-unpublish-at',
+    'Unpublication date must be after the publication date',
+    function (value) {
+      const { status, publishAt } = this.parent;
+      if (!value || !['scheduled', 'published'].includes(status)) return true;
+
+      const from = status === 'scheduled' && publishAt ? publishAt : new Date();
+      return value > from;
+    },
+  ),
 });
 
 /**
@@ -402,6 +435,32 @@ export const applicationIdSchema = yup.object().shape({
     .trim(),
 });
 
+const uuidValidator = (label) =>
+  yup
+    .string()
+    .required(`${label} is required`)
+    .matches(
+      /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i,
+      `${label} must be a valid UUID format`,
+    )
+    .trim();
+
+/**
+ * Schema de validation pour la restauration d'une révision
+ */
+export const applicationRevisionRestoreSchema = yup.object().shape({
+  applicationId: uuidValidator('Application ID'),
+  revisionId: uuidValidator('Revision ID'),
+});
+
+/**
+ * Schema de validation pour la duplication d'une application
+ */
+export const applicationDuplicateSchema = yup.object().shape({
+  applicationId: uuidValidator('Application ID'),
+  copyImages: yup.boolean().default(false),
+});
+
 // Fonction pour nettoyer et valider un UUID
 export const cleanUUID = (uuid) => {
   if (!uuid || typeof uuid !== 'string') {
@@ -461,6 +520,8 @@ export default {
   applicationAddingSchema,
   applicationUpdateSchema,
   applicationIdSchema,
+  applicationDuplicateSchema,
+  applicationRevisionRestoreSchema,
   applicationSearchSchema,
   cleanUUID,
 };
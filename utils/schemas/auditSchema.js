@@ -0,0 +1,106 @@
+// utils/schemas/auditSchema.js
+import * as yup from 'yup';
+
+// Types d'entités journalisées (admin.audit_log.audit_entity_type)
+export const AUDIT_ENTITY_TYPES = [
+  'application',
+  'template',
+  'platform',
+  'video',
+  'order',
+  'customer',
+  'invoice',
+  'rent_period',
+  'notification_template',
+  'user',
+  'invitation',
+  'setting',
+];
+
+// Actions journalisées (admin.audit_log.audit_action)
+export const AUDIT_ACTIONS = [
+  'create',
+  'update',
+  'delete',
+  'update_status',
+  'ban',
+  'unban',
+  'revoke_sessions',
+  'force_password_reset',
+  'update_role',
+  'revoke',
+  'merge',
+  'restore',
+];
+
+export const AUDIT_ENTITY_LABELS = {
+  application: 'Application',
+  template: 'Template',
+  platform: 'Platform',
+  video: 'Video',
+  order: 'Order',
+  customer: 'Customer',
+  invoice: 'Invoice',
+  rent_period: 'Rent period',
+  notification_template: 'Notification template',
+  user: 'User',
+  invitation: 'Invitation',
+  setting: 'Setting',
+};
+
+// Identifiants : UUID du catalogue, IDs Better Auth ou clés de réglage
+const entityIdValidator = yup
+  .string()
+  .trim()
+  .max(100, 'Entity ID is too long')
+  .matches(/^[A-Za-z0-9_-]+$/, {
+    message: 'Invalid entity ID format',
+    excludeEmptyString: true,
+  });
+
+/**
+ * Schema de validation des filtres du journal d'audit
+ */
+export const auditFiltersSchema = yup.object().shape({
+  actor: yup.string().trim().max(100, 'Actor filter is too long'),
+
+  action: yup.string().oneOf([...AUDIT_ACTIONS, ''], 'Invalid action'),
+
+  entityType: yup
+    .string()
+    .oneOf([...AUDIT_ENTITY_TYPES, ''], 'Invalid entity type'),
+
+  entityId: entityIdValidator,
+
+  dateFrom: yup.date().typeError('Invalid start date').nullable(),
+
+  dateTo: yup
+    .date()
+    .typeError('Invalid end date')
+    .nullable()
+    .when('dateFrom', ([dateFrom], schema) =>
+      dateFrom
+        ? schema.min(dateFrom, 'End date must be after start date')
+        : schema,
+    ),
+});
+
+/**
+ * Schema de validation pour l'historique d'une entité
+ */
+export const auditEntitySchema = yup.object().shape({
+  entityType: yup
+    .string()
+    .required('Entity type is required')
+    .oneOf(AUDIT_ENTITY_TYPES, 'Invalid entity type'),
+
+  entityId: entityIdValidator.required('Entity ID is required'),
+});
+
+export default {
+  auditFiltersSchema,
+  auditEntitySchema,
+  AUDIT_ENTITY_TYPES,
+  AUDIT_ACTIONS,
+  AUDIT_ENTITY_LABELS,
+};
@@ -258,6 +258,72 @@ export const loginSchema = yup.object().shape({
   password: passwordValidatorBase,
 });
 
+/**
+ * Forgot password schema (request a reset link)
+ */
+export const forgotPasswordSchema = yup.object().shape({
+  email: emailValidator,
+});
+
+/**
+ * Reset password schema (new password from a reset link)
+ */
+export const resetPasswordSchema = yup.object().shape({
+  newPassword: passwordValidatorBase,
+
+  confirmPassword: yup
+    .string()
+    .required('Please confirm your password')
+    .oneOf([yup.ref('newPassword')], 'Passwords must match'),
+});
+
+/**
+ * Profile schema (account settings)
+ */
+export const profileSchema = yup.object().shape({
+  name: usernameValidator,
+
+  image: yup
+    .string()
+    .nullable()
+    .url('Invalid avatar URL')
+    .matches(/^https:\/\/res\.cloudinary\.com\//, {
+      message: 'Avatar must be uploaded through Cloudinary',
+      excludeEmptyString: true,
+    }),
+});
+
+/**
+ * Change password schema (current password required)
+ */
+export const changePasswordSchema = yup.object().shape({
+  // Pas de règles de complexité : l'ancien mot de passe peut les précéder
+  currentPassword: yup.string().required('Current password is required'),
+
+  newPassword: passwordValidatorBase.test(
+    'different-from-current',
+    'New password must be different',
+    (value, context) => value !== context.parent.currentPassword,
+  ),
+
+  confirmPassword: yup
+    .string()
+    .required('Please confirm your password')
+    .oneOf([yup.ref('newPassword')], 'Passwords must match'),
+});
+
+/**
+ * Change email schema (verification link sent before the change)
+ */
+export const changeEmailSchema = yup.object().shape({
+  newEmail: emailValidator,
+
+  confirmEmail: yup
+    .string()
+    .required('Please confirm the new email')
+    .oneOf([yup.ref('newEmail')], 'Emails must match'),
+});
+
 // ===== EXPORTS =====
 
 // Export individual validators for reuse in other schemas
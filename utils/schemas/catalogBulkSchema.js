@@ -0,0 +1,49 @@
+// utils/schemas/catalogBulkSchema.js
+// Actions groupées des listes du catalogue (applications, templates,
+// plateformes, vidéos) - voir lib/catalogBulk.js
+import * as yup from 'yup';
+
+export const MAX_BULK_CATALOG_ITEMS = 100;
+
+const UUID_REGEX =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const itemIdsValidator = yup
+  .array()
+  .of(
+    yup
+      .string()
+      .required('Item ID is required')
+      .matches(UUID_REGEX, 'Invalid item ID format')
+      .transform((value) => value?.toLowerCase().trim()),
+  )
+  .required('Select at least one item')
+  .min(1, 'Select at least one item')
+  .max(
+    MAX_BULK_CATALOG_ITEMS,
+    `At most ${MAX_BULK_CATALOG_ITEMS} items at once`,
+  )
+  .test(
+    'unique',
+    'Duplicate item IDs',
+    (ids) => !ids || new Set(ids).size === ids.length,
+  );
+
+/**
+ * Schema de validation pour l'activation / désactivation groupée
+ */
+export const catalogBulkActiveSchema = yup.object().shape({
+  ids: itemIdsValidator,
+  active: yup
+    .boolean()
+    .strict()
+    .required('Active status is required')
+    .typeError('Active status must be true or false'),
+});
+
+/**
+ * Schema de validation pour la suppression groupée
+ */
+export const catalogBulkDeleteSchema = yup.object().shape({
+  ids: itemIdsValidator,
+});
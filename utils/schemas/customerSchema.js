@@ -0,0 +1,74 @@
+// utils/schemas/customerSchema.js
+import * as yup from 'yup';
+
+// Doublons fusionnés en une seule opération
+export const MAX_MERGE_CUSTOMERS = 10;
+
+const UUID_REGEX =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+
+const customerIdValidator = yup
+  .string()
+  .transform((value) =>
+    typeof value === 'string' ? value.trim().toLowerCase() : value,
+  )
+  .required('Customer ID is required')
+  .matches(UUID_REGEX, 'Invalid customer ID format');
+
+// Nom, email ou téléphone (les jokers LIKE sont traités comme du texte)
+const searchValidator = yup
+  .string()
+  .transform((value) =>
+    typeof value === 'string'
+      ? value
+          .trim()
+          .replace(/[<>]/g, '')
+          .replace(/[\\%_]/g, '\\$&')
+      : value,
+  )
+  .max(100, 'Search is too long');
+
+/**
+ * Schema de validation des filtres de l'annuaire clients
+ */
+export const customerFiltersSchema = yup.object().shape({
+  search: searchValidator,
+});
+
+/**
+ * Schema de validation de la recherche de doublons à fusionner
+ */
+export const customerMergeSearchSchema = yup.object().shape({
+  customerId: customerIdValidator,
+  search: searchValidator
+    .required('Search is required')
+    .min(2, 'Search must be at least 2 characters'),
+});
+
+/**
+ * Schema de validation d'une fusion de clients
+ */
+export const customerMergeSchema = yup.object().shape({
+  targetId: customerIdValidator,
+  sourceIds: yup
+    .array()
+    .of(customerIdValidator)
+    .required('Select at least one customer to merge')
+    .min(1, 'Select at least one customer to merge')
+    .max(
+      MAX_MERGE_CUSTOMERS,
+      `At most ${MAX_MERGE_CUSTOMERS} customers at once`,
+    )
+    .test(
+      'unique',
+      'Duplicate customer IDs',
+      (ids) => !ids || new Set(ids).size === ids.length,
+    )
+    .test(
+      'not-target',
+      'A customer cannot be merged into itself',
+      function (ids) {
+        return !ids || !ids.includes(this.parent.targetId);
+      },
+    ),
+});
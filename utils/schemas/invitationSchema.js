@@ -0,0 +1,45 @@
+// utils/schemas/invitationSchema.js
+import * as yup from 'yup';
+import { emailValidator } from '@/utils/schemas/authSchema';
+import { ALL_ROLES, DEFAULT_ROLE } from '@/lib/permissions';
+
+// Durées de validité proposées (en heures)
+export const INVITATION_EXPIRY_OPTIONS = [24, 72, 168];
+
+/**
+ * Schema de validation pour la création d'une invitation
+ */
+export const invitationCreateSchema = yup.object().shape({
+  email: emailValidator,
+
+  role: yup
+    .string()
+    .required('Role is required')
+    .oneOf(ALL_ROLES, 'Invalid role')
+    .default(DEFAULT_ROLE),
+
+  expiresInHours: yup
+    .number()
+    .typeError('Expiry must be a number of hours')
+    .required('Expiry is required')
+    .oneOf(INVITATION_EXPIRY_OPTIONS, 'Invalid expiry'),
+});
+
+/**
+ * Schema de validation pour l'ID d'une invitation
+ */
+export const invitationIdSchema = yup.object().shape({
+  id: yup
+    .string()
+    .required('Invitation ID is required')
+    .matches(
+      /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i,
+      'Invalid invitation ID format',
+    ),
+});
+
+export default {
+  invitationCreateSchema,
+  invitationIdSchema,
+  INVITATION_EXPIRY_OPTIONS,
+};
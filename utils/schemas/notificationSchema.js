@@ -0,0 +1,92 @@
+// utils/schemas/notificationSchema.js
+import * as yup from 'yup';
+
+/**
+ * Statut de paiement → modèle de notification envoyé au client
+ * (les autres transitions, ex. failed → unpaid, ne notifient pas)
+ */
+export const NOTIFICATION_TEMPLATE_KEYS = {
+  paid: 'order_paid',
+  refunded: 'order_refunded',
+  failed: 'order_failed',
+};
+
+export const NOTIFICATION_TEMPLATE_LABELS = {
+  order_paid: 'Commande payée',
+  order_refunded: 'Commande remboursée',
+  order_failed: 'Paiement échoué',
+};
+
+// Variables disponibles dans le sujet et le corps : {{client_name}}...
+export const NOTIFICATION_VARIABLES = {
+  client_name: 'Nom du client',
+  order_number: 'Référence de la commande (#1a2b3c4d)',
+  application_name: "Nom de l'application",
+  amount: 'Montant de la commande',
+  rent: 'Loyer mensuel (vide si aucun)',
+  status_date: 'Date du paiement ou de l’annulation',
+  reason: 'Raison du remboursement / de l’échec',
+  company_name: "Nom de l'entreprise",
+};
+
+export const MAX_TEMPLATE_SUBJECT_LENGTH = 200;
+export const MAX_TEMPLATE_BODY_LENGTH = 5000;
+
+const UUID_REGEX =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+
+// Variables inconnues refusées : elles partiraient telles quelles au client
+const knownVariablesTest = [
+  'known-variables',
+  'Unknown variable in template',
+  function (value) {
+    const unknown = [...(value || '').matchAll(/\{\{\s*(\w+)\s*\}\}/g)]
+      .map((match) => match[1])
+      .filter((name) => !(name in NOTIFICATION_VARIABLES));
+
+    return (
+      unknown.length === 0 ||
+      this.createError({ message: `Unknown variable: {{${unknown[0]}}}` })
+    );
+  },
+];
+
+/**
+ * Schema de validation d'un modèle de notification
+ * Le texte est échappé à l'envoi (version HTML) : pas de nettoyage ici.
+ */
+export const notificationTemplateSchema = yup.object().shape({
+  key: yup
+    .string()
+    .required('Template is required')
+    .oneOf(Object.values(NOTIFICATION_TEMPLATE_KEYS), 'Unknown template'),
+  subject: yup
+    .string()
+    .trim()
+    .required('Subject is required')
+    .max(
+      MAX_TEMPLATE_SUBJECT_LENGTH,
+      `Subject must be at most ${MAX_TEMPLATE_SUBJECT_LENGTH} characters`,
+    )
+    .test(...knownVariablesTest),
+  body: yup
+    .string()
+    .trim()
+    .required('Body is required')
+    .max(
+      MAX_TEMPLATE_BODY_LENGTH,
+      `Body must be at most ${MAX_TEMPLATE_BODY_LENGTH} characters`,
+    )
+    .test(...knownVariablesTest),
+  enabled: yup.boolean().required(),
+});
+
+/**
+ * Schema de validation d'un nouvel envoi de notification
+ */
+export const notificationResendSchema = yup.object().shape({
+  orderId: yup
+    .string()
+    .required('Order ID is required')
+    .matches(UUID_REGEX, 'Invalid order ID format'),
+});
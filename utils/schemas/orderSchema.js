@@ -0,0 +1,209 @@
+// utils/schemas/orderSchema.js
+import * as yup from 'yup';
+
+export const ORDER_PAYMENT_STATUSES = ['unpaid', 'paid', 'refunded', 'failed'];
+
+/**
+ * Transitions autorisées du statut de paiement
+ * - unpaid   → paid | failed
+ * - paid     → refunded
+ * - failed   → unpaid (nouvelle tentative de paiement)
+ * - refunded : état final
+ */
+export const ORDER_STATUS_TRANSITIONS = {
+  unpaid: ['paid', 'failed'],
+  paid: ['refunded'],
+  failed: ['unpaid'],
+  refunded: [],
+};
+
+// Statuts qui exigent une raison (enregistrée dans order_cancel_reason)
+export const STATUSES_REQUIRING_REASON = ['refunded', 'failed'];
+
+export const MAX_CANCEL_REASON_LENGTH = 500;
+
+export function getAllowedOrderTransitions(status) {
+  return ORDER_STATUS_TRANSITIONS[status] || [];
+}
+
+export function canTransitionOrderStatus(fromStatus, toStatus) {
+  return getAllowedOrderTransitions(fromStatus).includes(toStatus);
+}
+
+export const MAX_BULK_ORDERS = 100;
+
+const UUID_REGEX =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+
+const orderIdValidator = yup
+  .string()
+  .required('Order ID is required')
+  .matches(UUID_REGEX, 'Invalid order ID format');
+
+const statusValidator = yup
+  .string()
+  .required('New status is required')
+  .oneOf(ORDER_PAYMENT_STATUSES, 'Invalid payment status');
+
+const reasonValidator = yup
+  .string()
+  .transform((value) =>
+    typeof value === 'string' ? value.trim().replace(/[<>]/g, '') : value,
+  )
+  .max(
+    MAX_CANCEL_REASON_LENGTH,
+    `Reason must be at most ${MAX_CANCEL_REASON_LENGTH} characters`,
+  )
+  .when('status', {
+    is: (status) => STATUSES_REQUIRING_REASON.includes(status),
+    then: (schema) =>
+      schema
+        .required('A reason is required for refunded or failed orders')
+        .min(3, 'Reason must be at least 3 characters'),
+    otherwise: (schema) => schema.nullable().notRequired(),
+  });
+
+// Email au client sur paid / refunded / failed (false : notification
+// retenue, journalisée comme non envoyée)
+const notifyClientValidator = yup.boolean().default(true);
+
+/**
+ * Schema de validation pour un changement de statut de paiement
+ * La transition elle-même est vérifiée contre le statut courant en base.
+ */
+export const orderStatusUpdateSchema = yup.object().shape({
+  orderId: orderIdValidator,
+  status: statusValidator,
+  reason: reasonValidator,
+  notifyClient: notifyClientValidator,
+});
+
+/**
+ * Schema de validation pour un changement de statut groupé
+ * Même statut et même raison pour toutes les commandes sélectionnées.
+ */
+export const orderBulkStatusUpdateSchema = yup.object().shape({
+  orderIds: yup
+    .array()
+    .of(orderIdValidator)
+    .required('Select at least one order')
+    .min(1, 'Select at least one order')
+    .max(MAX_BULK_ORDERS, `At most ${MAX_BULK_ORDERS} orders at once`)
+    .test(
+      'unique',
+      'Duplicate order IDs',
+      (ids) => !ids || new Set(ids).size === ids.length,
+    ),
+  status: statusValidator,
+  reason: reasonValidator,
+  notifyClient: notifyClientValidator,
+});
+
+/**
+ * Schema de validation pour le paiement d'une échéance de loyer
+ */
+export const rentPeriodPaymentSchema = yup.object().shape({
+  periodId: yup
+    .string()
+    .required('Rent period ID is required')
+    .matches(UUID_REGEX, 'Invalid rent period ID format'),
+  note: yup
+    .string()
+    .transform((value) =>
+      typeof value === 'string' ? value.trim().replace(/[<>]/g, '') : value,
+    )
+    .max(
+      MAX_CANCEL_REASON_LENGTH,
+      `Note must be at most ${MAX_CANCEL_REASON_LENGTH} characters`,
+    )
+    .nullable()
+    .notRequired(),
+});
+
+/**
+ * Schema de validation pour l'émission de la facture d'une commande
+ */
+export const orderInvoiceIssueSchema = yup.object().shape({
+  orderId: orderIdValidator,
+});
+
+export const MAX_ORDER_PLATFORMS = 10;
+export const MAX_ORDER_AMOUNT = 100_000_000;
+
+const amountValidator = (label) =>
+  yup
+    .number()
+    .typeError(`${label} must be a number`)
+    .required(`${label} is required`)
+    .min(0, `${label} cannot be negative`)
+    .max(MAX_ORDER_AMOUNT, `${label} is too high`);
+
+/**
+ * Schema de validation pour la saisie manuelle d'une commande
+ * (paiement en espèces ou par téléphone). Prix et loyer sont
+ * pré-remplis depuis l'application mais restent modifiables.
+ */
+export const orderAddingSchema = yup.object().shape({
+  applicationId: yup
+    .string()
+    .required('Application is required')
+    .matches(UUID_REGEX, 'Invalid application ID format'),
+
+  platformIds: yup
+    .array()
+    .of(yup.string().matches(UUID_REGEX, 'Invalid platform ID format'))
+    .required('Select at least one payment platform')
+    .min(1, 'Select at least one payment platform')
+    .max(MAX_ORDER_PLATFORMS, `At most ${MAX_ORDER_PLATFORMS} platforms`)
+    .test(
+      'unique',
+      'Duplicate platforms',
+      (ids) => !ids || new Set(ids).size === ids.length,
+    ),
+
+  clientName: yup
+    .string()
+    .required('Client name is required')
+    .min(2, 'Client name must be at least 2 characters')
+    .max(100, 'Client name must not exceed 100 characters')
+    .matches(
+      /^[\p{L}\p{M}0-9 .'-]+$/u,
+      "Client name can only contain letters, numbers, spaces and .'-",
+    )
+    .transform((value) => value?.trim()),
+
+  clientEmail: yup
+    .string()
+    .required('Client email is required')
+    .email('Invalid email format')
+    .max(255, 'Email must not exceed 255 characters')
+    .transform((value) => value?.toLowerCase().trim()),
+
+  clientPhone: yup
+    .string()
+    .trim()
+    .required('Client phone is required')
+    .matches(/^[\d+\-\s().]+$/, 'Invalid phone number format')
+    .test('is-valid-phone', 'Phone number must be valid', (value) => {
+      if (!value) return false;
+      const digitsOnly = value.replace(/\D/g, '');
+      return digitsOnly.length >= 6 && digitsOnly.length <= 15;
+    }),
+
+  price: amountValidator('Price'),
+  rent: amountValidator('Rent'),
+
+  // Commande encaissée immédiatement (espèces remises au comptoir)
+  markAsPaid: yup.boolean().default(false),
+});
+
+export default {
+  orderStatusUpdateSchema,
+  orderBulkStatusUpdateSchema,
+  orderAddingSchema,
+  rentPeriodPaymentSchema,
+  orderInvoiceIssueSchema,
+  ORDER_PAYMENT_STATUSES,
+  ORDER_STATUS_TRANSITIONS,
+  STATUSES_REQUIRING_REASON,
+};
@@ -1,5 +1,6 @@
 // utils/schemas/platformSchema.js
 import * as yup from 'yup';
+import { richTextDescription } from '@/utils/schemas/richTextSchema';
 
 /**
  * Schema de validation pour l'ajout d'une plateforme de paiement
@@ -69,11 +70,7 @@ export const platformAddingSchema = yup.object().shape({
   }),
 
   // ✅ NOUVEAU : Description optionnelle
-  description: yup
-    .string()
-    .max(500, 'Description must not exceed 500 characters')
-    .nullable()
-    .transform((value) => value?.trim() || null),
+  description: richTextDescription(500),
 });
 
 /**
@@ -143,11 +140,7 @@ export const platformUpdateSchema = yup
     }),
 
     // ✅ NOUVEAU : Description
-    description: yup
-      .string()
-      .max(500, 'Description must not exceed 500 characters')
-      .nullable()
-      .transform((value) => value?.trim() || null),
+    description: richTextDescription(500),
 
     isActive: yup
       .boolean()
@@ -0,0 +1,26 @@
+// utils/schemas/richTextSchema.js
+import * as yup from 'yup';
+import {
+  MAX_RICH_TEXT_HTML_LENGTH,
+  richTextToPlainText,
+} from '@/utils/sanitizers/sanitizeRichText';
+
+/**
+ * Description optionnelle en texte riche (HTML de l'éditeur Tiptap)
+ * La limite porte sur le texte visible, pas sur le balisage.
+ *
+ * @param {number} maxTextLength - Nombre maximal de caractères visibles
+ */
+export const richTextDescription = (maxTextLength) =>
+  yup
+    .string()
+    .nullable()
+    .transform((value) =>
+      typeof value === 'string' && value.trim() !== '' ? value.trim() : null,
+    )
+    .max(MAX_RICH_TEXT_HTML_LENGTH, 'Description is too long')
+    .test(
+      'text-length',
+      `Description must not exceed ${maxTextLength} characters`,
+      (value) => !value || richTextToPlainText(value).length <= maxTextLength,
+    );
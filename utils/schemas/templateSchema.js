@@ -14,8 +14,8 @@ export const templateAddingSchema = yup
       .min(3, 'Template name must be at least 3 characters')
       .max(100, 'Template name must not exceed 100 characters')
       .matches(
-        /^[a-zA-Z0-9._\s-]+$/,
-        'Template name can only contain letters, numbers, spaces, and ._-',
+        /^[a-zA-Z0-9._()\s-]+$/,
+        'Template name can only contain letters, numbers, spaces, and ._-()',
       )
       .matches(/^[a-zA-Z]/, 'Template name must start with a letter')
       .test(
@@ -79,8 +79,8 @@ export const templateUpdateSchema = yup
       .min(3, 'Template name must be at least 3 characters')
       .max(100, 'Template name must not exceed 100 characters')
       .matches(
-        /^[a-zA-Z0-9._\s-]+$/,
-        'Template name can only contain letters, numbers, spaces, and ._-',
+        /^[a-zA-Z0-9._()\s-]+$/,
+        'Template name can only contain letters, numbers, spaces, and ._-()',
       )
       .test(
         'no-only-spaces',
@@ -189,6 +189,14 @@ export const templateIdSchema = yup.object().shape({
     .transform((value) => value?.toLowerCase().trim()),
 });
 
+/**
+ * Schema de validation pour la duplication d'un template
+ */
+export const templateDuplicateSchema = yup.object().shape({
+  templateId: templateIdSchema.fields.id,
+  copyImages: yup.boolean().default(false),
+});
+
 /**
  * Fonction utilitaire pour valider un UUID
  */
@@ -218,6 +226,7 @@ export default {
   templateAddingSchema,
   templateUpdateSchema,
   templateIdSchema,
+  templateDuplicateSchema,
   isValidUUID,
   cleanUUID,
 };
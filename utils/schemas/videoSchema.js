@@ -1,5 +1,6 @@
 // utils/schemas/videoSchema.js
 import * as yup from 'yup';
+import { richTextDescription } from '@/utils/schemas/richTextSchema';
 
 /**
  * Schema de validation pour l'ajout d'une vidéo
@@ -17,11 +18,7 @@ export const videoAddingSchema = yup.object().shape({
     )
     .transform((value) => value?.trim()),
 
-  description: yup
-    .string()
-    .nullable()
-    .max(5000, 'Description must not exceed 5000 characters')
-    .transform((value) => value?.trim() || null),
+  description: richTextDescription(5000),
 
   cloudinaryId: yup
     .string()
@@ -87,11 +84,7 @@ export const videoUpdateSchema = yup.object().shape({
     )
     .transform((value) => value?.trim()),
 
-  description: yup
-    .string()
-    .nullable()
-    .max(5000, 'Description must not exceed 5000 characters')
-    .transform((value) => value?.trim() || null),
+  description: richTextDescription(5000),
 
   cloudinaryId: yup
     .string()